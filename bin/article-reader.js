@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Command-line article extraction, without the server.
+ *
+ *   article-reader https://example.com/post
+ *   article-reader --format markdown --output articles/ --input urls.txt
+ *   cat urls.txt | article-reader --format text
+ *
+ * Run with --help for the options. Exit status: 0 when every article was
+ * parsed, 1 when any failed (each failure is printed to stderr with its error
+ * code), 2 for usage errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const packageJson = require('../package.json');
+
+const FORMATS = {
+  json: { extension: 'json' },
+  html: { extension: 'html' },
+  standalone: { extension: 'html' },
+  markdown: { extension: 'md' },
+  text: { extension: 'txt' }
+};
+
+const USAGE = `Usage: article-reader [options] [url...]
+
+Parses articles and prints them, or writes one file per article.
+URLs come from the arguments, from --input, or from stdin (one per line;
+blank lines and lines starting with # are skipped).
+
+Options:
+  -i, --input <file>        Read URLs from a file ("-" for stdin)
+  -f, --format <format>     json (default), html, standalone, markdown or text
+  -o, --output <dir>        Write each article to <dir>/<title>.<ext> instead of stdout
+  -c, --concurrency <n>     Articles parsed at the same time (default 2)
+  -t, --timeout <seconds>   Give up on an article after this long (default 60)
+      --max-pages <n>       Most pages merged for multi-page articles
+      --images <mode>       hotlink (default) or inline, to embed images in the output
+      --browser             Load every page in the headless browser
+      --no-browser          Never use the headless browser
+      --report <file>       Write a JSON report of the run (default with --output: <dir>/report.json)
+  -v, --verbose             Show progress logs on stderr
+  -h, --help                Show this help
+      --version             Show the version
+
+With several URLs and no --output, json prints one JSON object per line and
+the other formats print the articles one after another.`;
+
+/**
+ * Fail with a usage error
+ * @param {string} message
+ */
+function usageError(message) {
+  process.stderr.write(`article-reader: ${message}\nRun article-reader --help for usage.\n`);
+  process.exit(2);
+}
+
+/**
+ * Read and check the command-line options
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        input: { type: 'string', short: 'i' },
+        format: { type: 'string', short: 'f', default: 'json' },
+        output: { type: 'string', short: 'o' },
+        concurrency: { type: 'string', short: 'c', default: '2' },
+        timeout: { type: 'string', short: 't', default: '60' },
+        'max-pages': { type: 'string' },
+        images: { type: 'string', default: 'hotlink' },
+        browser: { type: 'boolean' },
+        'no-browser': { type: 'boolean' },
+        report: { type: 'string' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const format = values.format.toLowerCase();
+  if (!FORMATS[format] || !Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    usageError(`unknown format "${values.format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const concurrency = parseInt(values.concurrency, 10);
+  if (!(concurrency >= 1)) usageError('--concurrency must be a positive number');
+  const timeout = parseFloat(values.timeout);
+  if (!(timeout > 0)) usageError('--timeout must be a positive number of seconds');
+  if (values.browser && values['no-browser']) usageError('--browser and --no-browser can\'t be combined');
+  if (!['hotlink', 'inline'].includes(values.images)) usageError('--images must be hotlink or inline');
+
+  return {
+    urls: positionals,
+    input: values.input,
+    format,
+    output: values.output,
+    concurrency,
+    timeout: timeout * 1000,
+    maxPages: values['max-pages'],
+    images: values.images,
+    browser: values.browser ? true : (values['no-browser'] ? false : undefined),
+    report: values.report || (values.output ? path.join(values.output, 'report.json') : null),
+    verbose: !!values.verbose,
+    help: !!values.help,
+    version: !!values.version
+  };
+}
+
+/**
+ * Read URLs from text, one per line
+ * @param {string} text
+ * @returns {string[]}
+ */
+function readUrlList(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Collect the URLs to parse from the arguments, --input, or stdin
+ * @param {Object} options
+ * @returns {string[]}
+ */
+function collectUrls(options) {
+  const urls = options.urls.slice();
+  if (options.input) {
+    try {
+      urls.push(...readUrlList(fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8')));
+    } catch (error) {
+      usageError(`can't read ${options.input}: ${error.message}`);
+    }
+  } else if (urls.length === 0 && !process.stdin.isTTY) {
+    urls.push(...readUrlList(fs.readFileSync(0, 'utf8')));
+  }
+  return urls;
+}
+
+/**
+ * Build a file name from an article title, unique within the run
+ * @param {string} title
+ * @param {string} extension
+ * @param {Set<string>} used - Names already taken (updated)
+ * @returns {string}
+ */
+function uniqueFileName(title, extension, used) {
+  const slug = String(title || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'article';
+  let name = `${slug}.${extension}`;
+  for (let n = 2; used.has(name); n++) {
+    name = `${slug}-${n}.${extension}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Render a parse result for output
+ * @param {Object} article - parseArticle result in the requested format (html for json)
+ * @param {string} format
+ * @param {boolean} single - Whether this is the only article written to stdout
+ * @returns {string}
+ */
+function render(article, format, single) {
+  if (format === 'json') {
+    return single ? `${JSON.stringify(article, null, 2)}\n` : `${JSON.stringify(article)}\n`;
+  }
+  return article.content.endsWith('\n') ? article.content : `${article.content}\n`;
+}
+
+/**
+ * Parse one URL, giving up after the timeout
+ * @param {Function} parseArticle
+ * @param {string} url
+ * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+function parseWithTimeout(parseArticle, url, options) {
+  const { TimeoutError } = require('../lib/errors');
+  // Aborting stops the request or browser page the parse is waiting on
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(`Gave up after ${options.timeout / 1000}s`));
+    }, options.timeout);
+  });
+  const parse = parseArticle(url, {
+    format: options.format === 'json' ? 'html' : options.format,
+    maxPages: options.maxPages,
+    images: options.images,
+    browser: options.browser,
+    signal: controller.signal
+  });
+  return Promise.race([parse, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (options.version) {
+    process.stdout.write(`${packageJson.version}\n`);
+    return 0;
+  }
+
+  const urls = collectUrls(options);
+  if (urls.length === 0) {
+    usageError('no URLs given');
+  }
+
+  // The library logs its progress to stdout, which is for the articles here
+  const log = console.log;
+  console.log = options.verbose ? console.error : () => {};
+  if (!options.verbose) console.error = () => {};
+  const { parseArticle, shutdownBrowserPool } = require('../lib/parseArticle');
+  const { toHttpError } = require('../lib/errors');
+
+  if (options.output) {
+    fs.mkdirSync(options.output, { recursive: true });
+  }
+
+  const startedAt = new Date();
+  const results = new Array(urls.length);
+  const usedNames = new Set();
+  const single = urls.length === 1;
+  // Articles printed to stdout keep the input order
+  let nextToPrint = 0;
+  const outputs = [];
+  const flush = () => {
+    while (nextToPrint < urls.length && outputs[nextToPrint] !== undefined) {
+      if (outputs[nextToPrint]) process.stdout.write(outputs[nextToPrint]);
+      outputs[nextToPrint] = null;
+      nextToPrint++;
+    }
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+      const started = Date.now();
+      try {
+        const article = await parseWithTimeout(parseArticle, url, options);
+        const content = render(article, options.format, single);
+        const result = { url, ok: true, title: article.title, durationMs: Date.now() - started };
+        if (options.output) {
+          result.file = uniqueFileName(article.title, FORMATS[options.format].extension, usedNames);
+          fs.writeFileSync(path.join(options.output, result.file), content);
+          outputs[index] = '';
+        } else {
+          outputs[index] = content;
+        }
+        results[index] = result;
+      } catch (error) {
+        const { body } = toHttpError(error);
+        process.stderr.write(`${url}: ${body.code} ${body.message}\n`);
+        results[index] = { url, ok: false, code: body.code, message: body.message, durationMs: Date.now() - started };
+        outputs[index] = '';
+      }
+      flush();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, urls.length) }, worker));
+
+  const failed = results.filter(result => !result.ok).length;
+  if (options.report) {
+    const report = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      format: options.format,
+      total: urls.length,
+      succeeded: urls.length - failed,
+      failed,
+      results
+    };
+    fs.writeFileSync(options.report, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (!single) {
+    process.stderr.write(`${urls.length - failed} of ${urls.length} articles parsed${options.report ? `, report in ${options.report}` : ''}\n`);
+  }
+
+  console.log = log;
+  await shutdownBrowserPool();
+  return failed > 0 ? 1 : 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    process.stderr.write(`article-reader: ${error.stack || error.message}\n`);
+    process.exit(1);
+  }
+);
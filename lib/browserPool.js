@@ -0,0 +1,239 @@
+/**
+ * Pool around a single warm Puppeteer browser.
+ *
+ * Each lease gets its own incognito browser context, so cookies and storage
+ * never leak between requests. At most `maxPages` leases are active at once;
+ * further requests wait in a FIFO queue and fail after `queueTimeout` ms. The
+ * browser is replaced after serving `recycleAfter` pages (Chromium's memory use
+ * grows over time) or as soon as it crashes or disconnects.
+ */
+
+/**
+ * Create a browser pool
+ * @param {Object} options
+ * @param {function(): Promise<Object>} options.launch - Launches a Puppeteer browser
+ * @param {number} [options.maxPages=2] - Most pages open at the same time
+ * @param {number} [options.queueTimeout=60000] - Milliseconds a request may wait for a free page
+ * @param {number} [options.recycleAfter=50] - Pages served before the browser is replaced
+ * @returns {{acquire: Function, close: Function, stats: Function}}
+ */
+function createBrowserPool(options) {
+  const launch = options.launch;
+  const maxPages = options.maxPages || 2;
+  const queueTimeout = options.queueTimeout || 60000;
+  const recycleAfter = options.recycleAfter || 50;
+
+  let current = null; // { browser, launching, served, active, retired }
+  const slots = new Set(); // every browser not yet closed, including retired ones
+  let active = 0;
+  let closing = false;
+  const queue = [];
+
+  /**
+   * Close a browser once it's retired and has no active pages left
+   * @param {Object} slot - Browser slot
+   */
+  async function closeIfIdle(slot) {
+    if (!slot.retired || slot.active > 0 || !slot.browser) return;
+    const browser = slot.browser;
+    slot.browser = null;
+    slots.delete(slot);
+    try {
+      await browser.close();
+    } catch (error) {
+      console.error('Error closing browser:', error);
+    }
+  }
+
+  /**
+   * Take a browser out of rotation; it closes when its last page is released
+   * @param {Object} slot - Browser slot
+   * @returns {Promise<void>} Resolves once the browser is closed, if it was idle
+   */
+  function retire(slot) {
+    slot.retired = true;
+    if (current === slot) current = null;
+    return closeIfIdle(slot);
+  }
+
+  /**
+   * Get the current browser, launching one if needed
+   * @returns {Promise<Object>} Browser slot
+   */
+  async function getBrowser() {
+    if (current && current.served >= recycleAfter) {
+      console.log(`Recycling browser after ${current.served} pages`);
+      retire(current);
+    }
+
+    if (!current) {
+      const slot = { browser: null, served: 0, active: 0, retired: false };
+      slot.launching = launch().then(browser => {
+        slot.browser = browser;
+        browser.on('disconnected', () => {
+          if (slot.browser === browser) {
+            console.log('Browser disconnected, a new one will be launched on the next request');
+            slot.browser = null;
+            slots.delete(slot);
+            retire(slot);
+          }
+        });
+        return slot;
+      });
+      current = slot;
+      slots.add(slot);
+      // A failed launch must not stick: the next request tries again
+      slot.launching.catch(() => {
+        if (current === slot) current = null;
+        slots.delete(slot);
+      });
+    }
+
+    return current.launching;
+  }
+
+  /**
+   * Open a page in a fresh incognito context on the current browser
+   * @returns {Promise<{page: Object, release: function(): Promise<void>}>}
+   */
+  async function openPage() {
+    const slot = await getBrowser();
+    slot.served++;
+    slot.active++;
+
+    let context = null;
+    try {
+      // Puppeteer 22+ contexts are isolated by default; older versions need the incognito call
+      context = slot.browser.createBrowserContext
+        ? await slot.browser.createBrowserContext()
+        : await slot.browser.createIncognitoBrowserContext();
+      const page = await context.newPage();
+
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        try {
+          await context.close();
+        } catch (error) {
+          // The browser may already be gone after a crash
+        }
+        slot.active--;
+        closeIfIdle(slot);
+        active--;
+        next();
+      };
+
+      return { page, release };
+    } catch (error) {
+      if (context) {
+        context.close().catch(() => {});
+      }
+      slot.active--;
+      // A browser that can't open pages is broken, replace it
+      retire(slot);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand free page slots to queued requests
+   */
+  function next() {
+    while (active < maxPages && queue.length > 0) {
+      const waiter = queue.shift();
+      clearTimeout(waiter.timer);
+      active++;
+      openPage().then(waiter.resolve, error => {
+        active--;
+        waiter.reject(error);
+        next();
+      });
+    }
+  }
+
+  return {
+    /**
+     * Lease a page; call release() when done with it
+     * @param {AbortSignal} [signal] - Gives up the place in the queue when aborted
+     * @returns {Promise<{page: Object, release: function(): Promise<void>}>}
+     * @throws {Error} If the pool is closing, the signal is aborted while waiting, or no page
+     *   frees up within queueTimeout
+     */
+    acquire(signal) {
+      if (closing) {
+        return Promise.reject(new Error('Browser pool is shutting down'));
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new Error('Cancelled while waiting for a free browser page'));
+      }
+
+      return new Promise((resolve, reject) => {
+        const leave = error => {
+          const index = queue.indexOf(waiter);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+          }
+        };
+        const onAbort = () => leave(new Error('Cancelled while waiting for a free browser page'));
+        const waiter = {
+          resolve: lease => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(lease);
+          },
+          reject: error => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error);
+          },
+          timer: null
+        };
+        waiter.timer = setTimeout(() => leave(new Error(`Timed out after ${queueTimeout}ms waiting for a free browser page`)), queueTimeout);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        queue.push(waiter);
+        next();
+      });
+    },
+
+    /**
+     * Reject queued requests, wait for active pages, then close every browser
+     * @param {number} [timeout=10000] - Milliseconds to wait for active pages
+     * @returns {Promise<void>}
+     */
+    async close(timeout = 10000) {
+      closing = true;
+      queue.splice(0).forEach(waiter => {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Browser pool is shutting down'));
+      });
+
+      const deadline = Date.now() + timeout;
+      while (active > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      current = null;
+      await Promise.all(Array.from(slots).map(async slot => {
+        try {
+          await slot.launching;
+        } catch (error) {
+          return;
+        }
+        // Pages still open after the timeout are closed with their browser
+        slot.active = 0;
+        await retire(slot);
+      }));
+    },
+
+    /**
+     * Current pool usage, for logging
+     * @returns {{active: number, queued: number, served: number}}
+     */
+    stats() {
+      return { active, queued: queue.length, served: current ? current.served : 0 };
+    }
+  };
+}
+
+module.exports = { createBrowserPool };
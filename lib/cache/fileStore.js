@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * On-disk store for the parse cache, one JSON file per key
+ * @param {Object} [options]
+ * @param {string} [options.dir='.cache/articles'] - Directory holding the cache files
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+ */
+function createFileStore(options = {}) {
+  const dir = path.resolve(options.dir || path.join('.cache', 'articles'));
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (e) {
+        // Missing or corrupt files are cache misses
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write to a temporary file first so readers never see a partial entry
+      const file = fileFor(key);
+      const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(value));
+      await fs.rename(tmpFile, file);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createFileStore };
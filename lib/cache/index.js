@@ -0,0 +1,222 @@
+/**
+ * Parse cache keyed by normalized URL.
+ *
+ * Entries are fresh for `ttl` seconds and served as cache hits. After that they
+ * are kept for `staleTtl` more seconds so the next request can revalidate them
+ * with ETag/Last-Modified instead of re-parsing. An article whose canonical URL
+ * differs from the requested one is stored under the canonical key, with an
+ * alias from the requested key, so every URL of one article shares one entry.
+ * The canonical URL comes from the page, so it is only trusted on the host the
+ * page was fetched from; otherwise any site could fill another site's entries.
+ *
+ * Parse options that change the article (maxPages) are part of the key, so a
+ * one-page parse is never served for a request that wants every page.
+ *
+ * A store is any object with async get(key), set(key, value), delete(key) and clear().
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+// Query parameters that never change the article
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref_src|ref_url|_ga|_hsenc|_hsmi|cmpid|ocid)$/i;
+
+/**
+ * Normalize a URL for use as a cache key: lowercase host, no default port,
+ * fragment or tracking parameters, and sorted query parameters
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+    parsed.port = '';
+  }
+  const params = new URLSearchParams(parsed.search);
+  Array.from(params.keys()).forEach(name => {
+    if (TRACKING_PARAMS.test(name)) params.delete(name);
+  });
+  params.sort();
+  parsed.search = params.toString();
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Cache key of a URL parsed with the given options
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Most pages merged into the article
+ * @returns {string}
+ */
+function cacheKey(url, options = {}) {
+  const key = normalizeUrl(url);
+  // normalizeUrl drops the fragment, so the suffix can't collide with a URL
+  return options.maxPages ? `${key}#maxPages=${options.maxPages}` : key;
+}
+
+/**
+ * Whether a page's canonical URL may key its cache entry: only on the host the page came from
+ * @param {string} canonicalUrl - Canonical URL declared by the page
+ * @param {string} pageUrl - URL the page was fetched from, after redirects
+ * @returns {boolean}
+ */
+function isSameHost(canonicalUrl, pageUrl) {
+  try {
+    return new URL(canonicalUrl).hostname.toLowerCase() === new URL(pageUrl).hostname.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create a parse cache
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store implementation (default: in-memory LRU)
+ * @param {number} [options.ttl=3600] - Seconds an entry is served without revalidation
+ * @param {number} [options.staleTtl=604800] - Seconds an expired entry is kept for revalidation
+ * @returns {Object} Cache with get, set, touch, delete and clear
+ */
+function createParseCache(options = {}) {
+  const store = options.store || createMemoryStore();
+  const ttl = (options.ttl !== undefined ? options.ttl : 3600) * 1000;
+  const staleTtl = (options.staleTtl !== undefined ? options.staleTtl : 7 * 24 * 3600) * 1000;
+
+  /**
+   * Resolve a requested URL to the stored entry and the key it lives under, following aliases
+   * @param {string} url - Requested URL
+   * @param {Object} [options] - Parse options in the key, see cacheKey
+   * @returns {Promise<{key: string, entry: (Object|null)}>}
+   */
+  async function resolve(url, options) {
+    const key = cacheKey(url, options);
+    let entry = await store.get(key);
+    if (entry && entry.alias) {
+      const aliasKey = entry.alias;
+      entry = await store.get(aliasKey);
+      return { key: aliasKey, entry };
+    }
+    return { key, entry };
+  }
+
+  return {
+    normalizeUrl,
+
+    /**
+     * Look up a parsed article
+     * @param {string} url - Requested URL
+     * @param {Object} [options] - Parse options in the key, see cacheKey
+     * @returns {Promise<{article: Object, etag: (string|null), lastModified: (string|null), fresh: boolean}|null>}
+     */
+    async get(url, options) {
+      const { key, entry } = await resolve(url, options);
+      if (!entry) return null;
+
+      const now = Date.now();
+      if (now > entry.expiresAt + staleTtl) {
+        await store.delete(key);
+        return null;
+      }
+      return {
+        article: entry.article,
+        etag: entry.etag || null,
+        lastModified: entry.lastModified || null,
+        fresh: now <= entry.expiresAt
+      };
+    },
+
+    /**
+     * Store a parsed article under its requested and canonical URLs
+     * @param {string} url - Requested URL
+     * @param {Object} article - Parsed article
+     * @param {Object} [validators] - Response validators for revalidation
+     * @param {string} [validators.etag]
+     * @param {string} [validators.lastModified]
+     * @param {string} [validators.url] - URL the page was fetched from, after redirects (default: url)
+     * @param {Object} [options] - Parse options in the key, see cacheKey
+     */
+    async set(url, article, validators = {}, options) {
+      const requestKey = cacheKey(url, options);
+      let key = requestKey;
+      if (article.canonicalUrl && isSameHost(article.canonicalUrl, validators.url || url)) {
+        try {
+          key = cacheKey(article.canonicalUrl, options);
+        } catch (e) {
+          // Keep the requested URL as the key
+        }
+      }
+
+      await store.set(key, {
+        article,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null,
+        storedAt: Date.now(),
+        expiresAt: Date.now() + ttl
+      });
+      if (key !== requestKey) {
+        await store.set(requestKey, { alias: key });
+      }
+    },
+
+    /**
+     * Mark an entry fresh again after the origin answered 304 Not Modified
+     * @param {string} url - Requested URL
+     * @param {Object} [options] - Parse options in the key, see cacheKey
+     */
+    async touch(url, options) {
+      const { key, entry } = await resolve(url, options);
+      if (entry) {
+        await store.set(key, { ...entry, expiresAt: Date.now() + ttl });
+      }
+    },
+
+    async delete(url, options) {
+      const { key } = await resolve(url, options);
+      await store.delete(key);
+      await store.delete(cacheKey(url, options));
+    },
+
+    async clear() {
+      await store.clear();
+    }
+  };
+}
+
+/**
+ * Create the parse cache described by environment variables, shared by server.js and the Netlify function
+ *   PARSE_CACHE_STORE     - "memory" (default), "file" or "none"
+ *   PARSE_CACHE_DIR       - Directory for the file store (default .cache/articles)
+ *   PARSE_CACHE_MAX_ENTRIES - Entries kept by the memory store (default 500)
+ *   PARSE_CACHE_TTL       - Seconds an entry is fresh (default 3600)
+ *   PARSE_CACHE_STALE_TTL - Seconds an expired entry is kept for revalidation (default 604800)
+ * @returns {Object|null} Parse cache, or null when caching is disabled
+ */
+function createParseCacheFromEnv() {
+  const kind = (process.env.PARSE_CACHE_STORE || 'memory').toLowerCase();
+  if (kind === 'none' || kind === 'off') {
+    return null;
+  }
+
+  const store = kind === 'file'
+    ? createFileStore({ dir: process.env.PARSE_CACHE_DIR })
+    : createMemoryStore({ maxEntries: parseInt(process.env.PARSE_CACHE_MAX_ENTRIES, 10) || undefined });
+
+  const seconds = value => (value !== undefined && value !== '' && !isNaN(Number(value)) ? Number(value) : undefined);
+  return createParseCache({
+    store,
+    ttl: seconds(process.env.PARSE_CACHE_TTL),
+    staleTtl: seconds(process.env.PARSE_CACHE_STALE_TTL)
+  });
+}
+
+module.exports = {
+  createParseCache,
+  createParseCacheFromEnv,
+  createMemoryStore,
+  createFileStore,
+  normalizeUrl
+};
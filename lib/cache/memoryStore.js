@@ -0,0 +1,39 @@
+/**
+ * In-memory LRU store for the parse cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || 500;
+  // Map iteration order is insertion order, so re-inserting on access keeps it LRU
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return null;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,129 @@
+/**
+ * Character-encoding detection and decoding for fetched pages.
+ *
+ * The encoding is taken from the first of these that names one, following the
+ * HTML spec's sniffing order:
+ *
+ *   1. Byte order mark
+ *   2. The charset parameter of the Content-Type header
+ *   3. <meta charset> or <meta http-equiv="Content-Type"> in the first 1024 bytes
+ *   4. Sniffing: valid UTF-8, then the common CJK multi-byte encodings, then
+ *      windows-1251 or windows-1252 depending on the share of non-ASCII letters
+ */
+
+const htmlEncodingSniffer = require('html-encoding-sniffer');
+const whatwgEncoding = require('whatwg-encoding');
+
+// Multi-byte encodings tried when a page declares nothing, most common first
+const SNIFF_CANDIDATES = ['Shift_JIS', 'EUC-JP', 'GBK', 'Big5', 'EUC-KR'];
+
+// Bytes sampled when sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Read the charset parameter from a Content-Type header
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {string|undefined} The charset label, if any
+ */
+function charsetFromContentType(contentType) {
+  const match = (contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Count characters a real text in the encoding would contain: kana, CJK
+ * ideographs, Hangul and CJK punctuation. Mis-decoded text tends to land in
+ * rarer blocks instead.
+ * @param {string} text
+ * @returns {number}
+ */
+function countCommonCjk(text) {
+  const matches = text.match(/[\u3000-\u30ff\u4e00-\u9fff\uac00-\ud7af\uff01-\uff5e]/g);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Guess the encoding of bytes that don't declare one
+ * @param {Buffer} bytes
+ * @returns {string} WHATWG encoding name
+ */
+function sniffEncoding(bytes) {
+  let sample = bytes.subarray(0, SNIFF_BYTES);
+  if (bytes.length > SNIFF_BYTES) {
+    // Cut at the last ASCII byte so a multi-byte character isn't split
+    let end = sample.length;
+    while (end > 0 && sample[end - 1] >= 0x80) end--;
+    sample = sample.subarray(0, end);
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample);
+    return 'UTF-8';
+  } catch (e) {
+    // Not UTF-8, keep looking
+  }
+
+  // A multi-byte encoding is only a match if it decodes without errors
+  let best = null;
+  SNIFF_CANDIDATES.forEach(encoding => {
+    const text = whatwgEncoding.decode(sample, encoding);
+    if (text.includes('\ufffd')) return;
+    const score = countCommonCjk(text);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { encoding, score };
+    }
+  });
+  if (best) return best.encoding;
+
+  // Single-byte: in Cyrillic text nearly every letter is a high byte, while
+  // accented letters are a small share of Latin-script text. Markup is skipped
+  // so tag and attribute names don't count as ASCII letters.
+  let high = 0;
+  let ascii = 0;
+  let inTag = false;
+  for (let i = 0; i < sample.length; i++) {
+    const byte = sample[i];
+    if (byte === 0x3C) inTag = true;
+    else if (byte === 0x3E) inTag = false;
+    else if (inTag) continue;
+    else if (byte >= 0x80) high++;
+    else if ((byte | 0x20) >= 0x61 && (byte | 0x20) <= 0x7A) ascii++;
+  }
+  return high > ascii ? 'windows-1251' : 'windows-1252';
+}
+
+/**
+ * Detect the encoding of an HTML document
+ * @param {Buffer} bytes - The raw document
+ * @param {string} [contentType] - Content-Type header the document was served with
+ * @returns {string} WHATWG encoding name, e.g. "UTF-8", "Shift_JIS", "windows-1251"
+ */
+function detectEncoding(bytes, contentType) {
+  const label = charsetFromContentType(contentType);
+  // Unknown header labels are ignored, as browsers do
+  const transportLayerEncodingLabel = label && whatwgEncoding.labelToName(label) ? label : undefined;
+  return htmlEncodingSniffer(bytes, { transportLayerEncodingLabel, defaultEncoding: null }) ||
+    sniffEncoding(bytes);
+}
+
+/**
+ * Decode an HTML document to a string in its detected encoding
+ * @param {Buffer} bytes - The raw document
+ * @param {string} [contentType] - Content-Type header the document was served with
+ * @returns {{html: string, encoding: string}} The decoded HTML (without BOM) and the encoding used
+ */
+function decodeHtml(bytes, contentType) {
+  const encoding = detectEncoding(bytes, contentType);
+  return { html: whatwgEncoding.decode(bytes, encoding), encoding };
+}
+
+/**
+ * Normalize an encoding label (such as a browser's document.characterSet)
+ * @param {string} label
+ * @returns {string|null} WHATWG encoding name, or null if the label is unknown
+ */
+function normalizeEncoding(label) {
+  return label ? whatwgEncoding.labelToName(label) : null;
+}
+
+module.exports = { decodeHtml, detectEncoding, normalizeEncoding };
@@ -0,0 +1,181 @@
+/**
+ * Embed provider registry.
+ *
+ * A provider is a plain object describing one embed source:
+ *   type     {string}   - Unique provider name, used for the `embed-<type>` class
+ *   detect   {Function} - (document, context) => Array<{ id, element, ... }>
+ *                         `element` is the node the embed replaces in the page
+ *                         (or null when it was found without an anchor), and
+ *                         `context.html` is the serialized source page
+ *   key      {Function} - Optional (candidate) => string dedup key, defaults to `id`
+ *   link     {Function} - Optional (embed) => public URL of the embedded item, used
+ *                         when the article is exported as Markdown or text
+ *   render   {Function} - (contentDoc, embed, wrapper) => void, fills the wrapper
+ *                         using safe markup built from the extracted id
+ *   allowsIframe {Function} - Optional (url: URL) => boolean, true for iframe URLs
+ *                         this provider renders. The content sanitizer removes
+ *                         iframes no provider (or operator setting) allows
+ *
+ * Providers run in registration order. An element claimed by one provider is
+ * not offered to later ones, so more specific providers are registered first.
+ */
+
+const youtube = require('./providers/youtube');
+const twitter = require('./providers/twitter');
+const vimeo = require('./providers/vimeo');
+const instagram = require('./providers/instagram');
+const tiktok = require('./providers/tiktok');
+const spotify = require('./providers/spotify');
+const gist = require('./providers/gist');
+const codepen = require('./providers/codepen');
+const bluesky = require('./providers/bluesky');
+const mastodon = require('./providers/mastodon');
+
+const providers = [];
+
+/**
+ * Register an embed provider. A provider with the same type replaces the existing one.
+ * @param {Object} provider - Provider definition (see module docs)
+ * @returns {Object} The registered provider
+ * @throws {TypeError} If the provider is missing a type, detect or render
+ */
+function registerEmbedProvider(provider) {
+  if (!provider || typeof provider.type !== 'string' || !/^[a-z0-9-]+$/.test(provider.type)) {
+    throw new TypeError('Embed provider must have a lowercase "type" made of letters, digits and dashes');
+  }
+  if (typeof provider.detect !== 'function' || typeof provider.render !== 'function') {
+    throw new TypeError(`Embed provider "${provider.type}" must implement detect() and render()`);
+  }
+
+  const existing = providers.findIndex(p => p.type === provider.type);
+  if (existing !== -1) {
+    providers[existing] = provider;
+  } else {
+    providers.push(provider);
+  }
+  return provider;
+}
+
+/**
+ * Remove a registered embed provider
+ * @param {string} type - Provider type
+ * @returns {boolean} True if a provider was removed
+ */
+function unregisterEmbedProvider(type) {
+  const index = providers.findIndex(p => p.type === type);
+  if (index === -1) return false;
+  providers.splice(index, 1);
+  return true;
+}
+
+/**
+ * List the registered embed providers, in detection order
+ * @returns {Object[]}
+ */
+function getEmbedProviders() {
+  return providers.slice();
+}
+
+/**
+ * Check whether any registered provider renders iframes with this URL
+ * @param {URL} url - Parsed iframe URL
+ * @returns {boolean}
+ */
+function isEmbedIframe(url) {
+  return providers.some(provider => {
+    if (typeof provider.allowsIframe !== 'function') return false;
+    try {
+      return !!provider.allowsIframe(url);
+    } catch (error) {
+      console.error(`Embed provider "${provider.type}" failed checking an iframe URL:`, error.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * Check whether an element, or one of its ancestors, already belongs to an embed
+ * @param {Element} element - Candidate element
+ * @param {Set<Element>} claimedElements - Elements already used by embeds
+ * @returns {boolean}
+ */
+function isClaimed(element, claimedElements) {
+  for (let node = element; node; node = node.parentElement) {
+    if (claimedElements.has(node)) return true;
+  }
+  return false;
+}
+
+/**
+ * Run every provider over a document and collect unique embeds
+ * @param {Document} document - The source document
+ * @returns {Array<Object>} Embeds with `type`, `key`, `id` and `element`
+ */
+function detectEmbeds(document) {
+  const context = { html: document.documentElement.outerHTML };
+  const embeds = [];
+  const seenKeys = new Set();
+  const claimedElements = new Set();
+
+  providers.forEach(provider => {
+    let candidates;
+    try {
+      candidates = provider.detect(document, context) || [];
+    } catch (error) {
+      console.error(`Embed provider "${provider.type}" failed during detection:`, error.message);
+      return;
+    }
+
+    candidates.forEach(candidate => {
+      if (!candidate || !candidate.id) return;
+
+      const key = `${provider.type}:${provider.key ? provider.key(candidate) : candidate.id}`;
+      if (seenKeys.has(key)) return;
+      if (candidate.element && isClaimed(candidate.element, claimedElements)) return;
+
+      seenKeys.add(key);
+      if (candidate.element) {
+        claimedElements.add(candidate.element);
+      }
+      embeds.push({ ...candidate, type: provider.type, key });
+    });
+  });
+
+  return embeds;
+}
+
+/**
+ * Render an embed into a wrapper element using its provider
+ * @param {Document} contentDoc - Document the wrapper is created in
+ * @param {Object} embed - Embed returned by detectEmbeds
+ * @returns {HTMLElement} Wrapper element containing the embed
+ */
+function renderEmbed(contentDoc, embed) {
+  const wrapper = contentDoc.createElement('div');
+  wrapper.className = `embed-wrapper embed-${embed.type}`;
+  wrapper.setAttribute('data-embed-key', embed.key);
+
+  const provider = providers.find(p => p.type === embed.type);
+  if (provider) {
+    const link = provider.link && provider.link(embed);
+    if (link) {
+      wrapper.setAttribute('data-embed-url', link);
+    }
+    provider.render(contentDoc, embed, wrapper);
+  }
+  return wrapper;
+}
+
+// Container embeds (posts, pens, gists) go before link-based video detection,
+// so a video link quoted inside a post stays part of that post
+[twitter, instagram, tiktok, bluesky, mastodon, gist, codepen, spotify, youtube, vimeo]
+  .forEach(registerEmbedProvider);
+
+module.exports = {
+  registerEmbedProvider,
+  unregisterEmbedProvider,
+  getEmbedProviders,
+  detectEmbeds,
+  renderEmbed,
+  isEmbedIframe
+};
@@ -0,0 +1,156 @@
+/**
+ * Shared helpers for embed providers: URL parsing and safe output markup.
+ * Providers build embeds from extracted ids with these helpers instead of
+ * copying the original page markup.
+ */
+
+// No positioning: the sanitizer drops position and offsets from article content
+const VIDEO_WRAPPER_STYLE = 'margin: 2em 0; overflow: hidden; max-width: 100%; background: #000; border-radius: 8px;';
+const VIDEO_IFRAME_STYLE = 'display: block; width: 100%; height: auto; aspect-ratio: 16 / 9; border: none;';
+const DEFAULT_ALLOW = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+
+/**
+ * Parse a URL, returning null instead of throwing
+ * @param {string} value - URL or relative reference
+ * @param {string} [baseUrl] - Base URL for relative references
+ * @returns {URL|null}
+ */
+function parseUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a URL's hostname is one of the given hosts or a subdomain of one
+ * @param {URL|null} url - Parsed URL
+ * @param {string[]} hosts - Host names, e.g. ['youtube.com']
+ * @returns {boolean}
+ */
+function hostMatches(url, hosts) {
+  if (!url) return false;
+  const hostname = url.hostname.toLowerCase();
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Create an iframe with the attributes every embed shares
+ * @param {Document} contentDoc - Document the iframe is created in
+ * @param {string} src - Iframe URL
+ * @param {Object} [options]
+ * @param {string} [options.title] - Accessible title
+ * @param {string} [options.allow] - Permissions policy
+ * @returns {HTMLIFrameElement}
+ */
+function createIframe(contentDoc, src, options = {}) {
+  const iframe = contentDoc.createElement('iframe');
+  iframe.setAttribute('src', src);
+  iframe.setAttribute('frameborder', '0');
+  iframe.setAttribute('allow', options.allow || DEFAULT_ALLOW);
+  iframe.setAttribute('allowfullscreen', '');
+  iframe.setAttribute('loading', 'lazy');
+  if (options.title) {
+    iframe.setAttribute('title', options.title);
+  }
+  return iframe;
+}
+
+/**
+ * Fill a wrapper with a 16:9 responsive video iframe
+ * @param {Document} contentDoc - Document the iframe is created in
+ * @param {HTMLElement} wrapper - Embed wrapper element
+ * @param {string} src - Iframe URL
+ * @param {Object} [options] - Options passed to createIframe
+ */
+function appendVideoIframe(contentDoc, wrapper, src, options) {
+  const iframe = createIframe(contentDoc, src, options);
+  wrapper.style.cssText = VIDEO_WRAPPER_STYLE;
+  iframe.style.cssText = VIDEO_IFRAME_STYLE;
+  wrapper.appendChild(iframe);
+}
+
+/**
+ * Fill a wrapper with a full-width iframe of fixed height
+ * @param {Document} contentDoc - Document the iframe is created in
+ * @param {HTMLElement} wrapper - Embed wrapper element
+ * @param {string} src - Iframe URL
+ * @param {number} height - Height in pixels
+ * @param {Object} [options] - Options passed to createIframe
+ * @param {number} [options.maxWidth] - Maximum width in pixels
+ */
+function appendFixedIframe(contentDoc, wrapper, src, height, options = {}) {
+  const iframe = createIframe(contentDoc, src, options);
+  wrapper.style.cssText = 'margin: 2em 0; max-width: 100%;';
+  iframe.style.cssText = `width: 100%; height: ${height}px; border: none; border-radius: 8px; display: block; margin: 0 auto;` +
+    (options.maxWidth ? ` max-width: ${options.maxWidth}px;` : '');
+  wrapper.appendChild(iframe);
+}
+
+/**
+ * Fill a wrapper with a plain link, used when an embed can't be rendered inline
+ * @param {Document} contentDoc - Document the link is created in
+ * @param {HTMLElement} wrapper - Embed wrapper element
+ * @param {string} href - Link target
+ * @param {string} text - Link text
+ */
+function appendLink(contentDoc, wrapper, href, text) {
+  const paragraph = contentDoc.createElement('p');
+  const link = contentDoc.createElement('a');
+  link.setAttribute('href', href);
+  link.setAttribute('target', '_blank');
+  link.setAttribute('rel', 'noopener noreferrer');
+  link.textContent = text;
+  paragraph.appendChild(link);
+  wrapper.style.cssText = 'margin: 2em 0; text-align: center;';
+  wrapper.appendChild(paragraph);
+}
+
+/**
+ * Find elements matching a selector whose URL attribute passes a test
+ * @param {Document} document - Source document
+ * @param {string} selector - CSS selector
+ * @param {string} attribute - Attribute holding the URL
+ * @param {function(URL): *} extract - Returns a truthy id for matching URLs
+ * @returns {Array<{element: Element, url: URL, id: *}>}
+ */
+function findByUrl(document, selector, attribute, extract) {
+  const matches = [];
+  document.querySelectorAll(selector).forEach(element => {
+    const url = parseUrl(element.getAttribute(attribute), document.baseURI);
+    const id = url && extract(url);
+    if (id) {
+      matches.push({ element, url, id });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Use an embed container's parent when the page wraps it in a dedicated element
+ * @param {Element} element - Embed element
+ * @param {string[]} classNames - Wrapper class names to look for
+ * @returns {Element}
+ */
+function withWrapper(element, classNames) {
+  const parent = element.parentElement;
+  if (parent && parent.tagName !== 'BODY' && parent.children.length === 1 &&
+      classNames.some(name => parent.classList.contains(name))) {
+    return parent;
+  }
+  return element;
+}
+
+module.exports = {
+  parseUrl,
+  hostMatches,
+  createIframe,
+  appendVideoIframe,
+  appendFixedIframe,
+  appendLink,
+  findByUrl,
+  withWrapper
+};
@@ -0,0 +1,66 @@
+const { parseUrl, hostMatches, appendFixedIframe, findByUrl, withWrapper } = require('../markup');
+
+const DID = /^did:(?:plc|web):[A-Za-z0-9._:%-]+$/;
+const RKEY = /^[A-Za-z0-9._~-]+$/;
+
+/**
+ * Extract a "<did>/<rkey>" pair from an at:// post URI
+ * @param {string|null} uri - e.g. at://did:plc:abc/app.bsky.feed.post/3k2...
+ * @returns {string|null}
+ */
+function extractIdFromUri(uri) {
+  const match = uri && uri.match(/^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/?#]+)$/);
+  return match && DID.test(match[1]) && RKEY.test(match[2]) ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Extract a "<did>/<rkey>" pair from an embed.bsky.app iframe URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['embed.bsky.app'])) return null;
+  const match = url.pathname.match(/^\/embed\/([^/]+)\/app\.bsky\.feed\.post\/([^/]+)/);
+  return match ? extractIdFromUri(`at://${decodeURIComponent(match[1])}/app.bsky.feed.post/${match[2]}`) : null;
+}
+
+module.exports = {
+  type: 'bluesky',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    document.querySelectorAll('blockquote.bluesky-embed, blockquote[data-bluesky-uri]').forEach(blockquote => {
+      const id = extractIdFromUri(blockquote.getAttribute('data-bluesky-uri'));
+      const link = blockquote.querySelector('a[href*="bsky.app/profile/"]');
+      const url = parseUrl(link && link.getAttribute('href'), document.baseURI);
+      if (id) {
+        candidates.push({ id, element: withWrapper(blockquote, ['bluesky', 'embed']), url: url && url.href });
+      }
+    });
+
+    findByUrl(document, 'iframe[src]', 'src', extractId).forEach(({ element, id }) => {
+      candidates.push({ id, element: withWrapper(element, ['bluesky', 'embed']) });
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    const [did, rkey] = embed.id.split('/');
+    return `https://bsky.app/profile/${did}/post/${rkey}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['embed.bsky.app']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    const [did, rkey] = embed.id.split('/');
+    appendFixedIframe(contentDoc, wrapper, `https://embed.bsky.app/embed/${did}/app.bsky.feed.post/${rkey}`, 400, {
+      maxWidth: 600,
+      title: 'Bluesky post'
+    });
+  }
+};
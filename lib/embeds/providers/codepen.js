@@ -0,0 +1,56 @@
+const { hostMatches, appendFixedIframe, findByUrl, withWrapper } = require('../markup');
+
+const NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Extract a "<user>/<pen hash>" pair from a pen or embed URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['codepen.io'])) return null;
+  const match = url.pathname.match(/^\/([A-Za-z0-9_-]+)\/(?:pen|embed(?:\/preview)?|full|details)\/([A-Za-z0-9]+)/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+module.exports = {
+  type: 'codepen',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    // <p class="codepen" data-slug-hash="..." data-user="..."> placeholders for CodePen's ei.js
+    document.querySelectorAll('.codepen[data-slug-hash]').forEach(element => {
+      const hash = element.getAttribute('data-slug-hash');
+      const user = element.getAttribute('data-user') || 'anon';
+      if (NAME.test(hash) && NAME.test(user)) {
+        const tab = element.getAttribute('data-default-tab');
+        candidates.push({ id: `${user}/${hash}`, element, tab: tab && /^[a-z,]+$/.test(tab) ? tab : null });
+      }
+    });
+
+    findByUrl(document, 'iframe[src]', 'src', extractId).forEach(({ element, id }) => {
+      candidates.push({ id, element: withWrapper(element, ['codepen', 'embed']) });
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    const [user, hash] = embed.id.split('/');
+    return `https://codepen.io/${user}/pen/${hash}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['codepen.io']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    const [user, hash] = embed.id.split('/');
+    const tab = encodeURIComponent(embed.tab || 'result');
+    appendFixedIframe(contentDoc, wrapper, `https://codepen.io/${user}/embed/${hash}?default-tab=${tab}`, 400, {
+      title: 'CodePen'
+    });
+  }
+};
@@ -0,0 +1,53 @@
+const { parseUrl, hostMatches, appendFixedIframe, findByUrl } = require('../markup');
+
+/**
+ * Extract a "<user>/<gist id>" pair from a gist page or script URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['gist.github.com'])) return null;
+  const match = url.pathname.match(/^\/([A-Za-z0-9-]+)\/([0-9a-f]{20,40})(?:\.js|\/|$)/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+module.exports = {
+  type: 'gist',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    // Script embeds, as served by fetchWithHeaders
+    findByUrl(document, 'script[src]', 'src', extractId).forEach(({ element, url, id }) => {
+      candidates.push({ id, element, file: url.searchParams.get('file') });
+    });
+
+    // Gists already rendered by the script, as served by fetchWithPuppeteer
+    document.querySelectorAll('div.gist').forEach(div => {
+      const link = div.querySelector('.gist-meta a[href*="gist.github.com"]');
+      const id = extractId(parseUrl(link && link.getAttribute('href'), document.baseURI));
+      if (id) {
+        candidates.push({ id, element: div });
+      }
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    return `https://gist.github.com/${embed.id}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['gist.github.com']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    // The .pibb view renders a gist as a standalone HTML page that can be framed
+    const file = embed.file ? `?file=${encodeURIComponent(embed.file)}` : '';
+    appendFixedIframe(contentDoc, wrapper, `https://gist.github.com/${embed.id}.pibb${file}`, 400, {
+      title: 'GitHub Gist'
+    });
+  }
+};
@@ -0,0 +1,51 @@
+const { parseUrl, hostMatches, appendFixedIframe, findByUrl, withWrapper } = require('../markup');
+
+/**
+ * Extract an Instagram post path ("p/<code>" or "reel/<code>") from a URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['instagram.com'])) return null;
+  const match = url.pathname.match(/^\/(?:[^/]+\/)?(p|reel|tv)\/([A-Za-z0-9_-]+)/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+module.exports = {
+  type: 'instagram',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    document.querySelectorAll('blockquote.instagram-media').forEach(blockquote => {
+      const link = blockquote.querySelector('a[href*="instagram.com"]');
+      const id = extractId(parseUrl(blockquote.getAttribute('data-instgrm-permalink'), document.baseURI)) ||
+                 extractId(parseUrl(link && link.getAttribute('href'), document.baseURI));
+      if (id) {
+        candidates.push({ id, element: withWrapper(blockquote, ['instagram', 'embed']) });
+      }
+    });
+
+    findByUrl(document, 'iframe[src]', 'src', extractId).forEach(({ element, id }) => {
+      candidates.push({ id, element: withWrapper(element, ['instagram', 'embed']) });
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    return `https://www.instagram.com/${embed.id}/`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['instagram.com']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    appendFixedIframe(contentDoc, wrapper, `https://www.instagram.com/${embed.id}/embed`, 620, {
+      maxWidth: 540,
+      title: 'Instagram post'
+    });
+  }
+};
@@ -0,0 +1,81 @@
+const { parseUrl, appendFixedIframe, appendLink, withWrapper } = require('../markup');
+
+// Instances whose embed pages are trusted in an iframe. Mastodon runs on any
+// host, so an embed from anywhere else would let that host run scripts in the
+// reader; those posts become links instead.
+//   MASTODON_INSTANCES - Comma-separated instance hosts (default mastodon.social)
+let instances = (process.env.MASTODON_INSTANCES || 'mastodon.social')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Replace the instances whose posts are embedded as iframes (default from MASTODON_INSTANCES)
+ * @param {string[]} hosts - Instance hosts; subdomains are not included
+ */
+function configureInstances(hosts) {
+  instances = hosts.map(host => String(host).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a URL is on one of the configured instances
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isTrustedInstance(url) {
+  return instances.includes(url.hostname.toLowerCase());
+}
+
+/**
+ * Normalize a Mastodon status URL to its /embed URL.
+ * Mastodon runs on any host, so this only accepts the https://<host>/@<user>/<id> shape.
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!url || url.protocol !== 'https:') return null;
+  const match = url.pathname.match(/^\/@([A-Za-z0-9_]+(?:@[A-Za-z0-9.-]+)?)\/(\d+)(?:\/embed)?\/?$/);
+  return match ? `https://${url.host}/@${match[1]}/${match[2]}/embed` : null;
+}
+
+module.exports = {
+  type: 'mastodon',
+  extractId,
+  configureInstances,
+
+  detect(document) {
+    const candidates = [];
+
+    // Iframes carry the mastodon-embed class; blockquotes point at the embed URL
+    document.querySelectorAll('iframe.mastodon-embed[src], blockquote.mastodon-embed').forEach(element => {
+      const link = element.querySelector('a[href]');
+      const value = element.tagName === 'IFRAME'
+        ? element.getAttribute('src')
+        : element.getAttribute('data-embed-url') || (link && link.getAttribute('href'));
+      const id = extractId(parseUrl(value, document.baseURI));
+      if (id) {
+        candidates.push({ id, element: withWrapper(element, ['mastodon', 'embed']) });
+      }
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    return embed.id.replace(/\/embed$/, '');
+  },
+
+  allowsIframe(url) {
+    return extractId(url) === url.href && isTrustedInstance(url);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    const url = new URL(embed.id);
+    if (!isTrustedInstance(url)) {
+      appendLink(contentDoc, wrapper, embed.id.replace(/\/embed$/, ''), `View post on ${url.host}`);
+      return;
+    }
+    appendFixedIframe(contentDoc, wrapper, embed.id, 400, {
+      maxWidth: 600,
+      title: 'Mastodon post'
+    });
+  }
+};
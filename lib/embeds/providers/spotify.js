@@ -0,0 +1,43 @@
+const { hostMatches, appendFixedIframe, findByUrl, withWrapper } = require('../markup');
+
+const KINDS = ['track', 'album', 'playlist', 'episode', 'show', 'artist'];
+
+/**
+ * Extract a Spotify "<kind>/<id>" pair from an embed or open.spotify.com URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['open.spotify.com'])) return null;
+  const match = url.pathname.match(/^\/(?:embed(?:-podcast)?\/)?(?:intl-[a-z-]+\/)?([a-z]+)\/([A-Za-z0-9]{22})/);
+  return match && KINDS.includes(match[1]) ? `${match[1]}/${match[2]}` : null;
+}
+
+module.exports = {
+  type: 'spotify',
+  extractId,
+
+  detect(document) {
+    return findByUrl(document, 'iframe[src]', 'src', extractId).map(({ element, id }) => ({
+      id,
+      element: withWrapper(element, ['spotify', 'embed'])
+    }));
+  },
+
+  link(embed) {
+    return `https://open.spotify.com/${embed.id}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['open.spotify.com']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    // Single tracks and episodes use Spotify's compact player
+    const compact = embed.id.startsWith('track/') || embed.id.startsWith('episode/');
+    appendFixedIframe(contentDoc, wrapper, `https://open.spotify.com/embed/${embed.id}`, compact ? 152 : 352, {
+      title: 'Spotify player',
+      allow: 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture'
+    });
+  }
+};
@@ -0,0 +1,47 @@
+const { parseUrl, hostMatches, appendFixedIframe, findByUrl, withWrapper } = require('../markup');
+
+/**
+ * Extract a TikTok video ID from a video page or embed URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['tiktok.com'])) return null;
+  const match = url.pathname.match(/\/(?:video|embed(?:\/v2)?|player\/v1)\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  type: 'tiktok',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    document.querySelectorAll('blockquote.tiktok-embed').forEach(blockquote => {
+      const videoId = blockquote.getAttribute('data-video-id');
+      const id = (videoId && /^\d+$/.test(videoId) ? videoId : null) ||
+                 extractId(parseUrl(blockquote.getAttribute('cite'), document.baseURI));
+      if (id) {
+        candidates.push({ id, element: withWrapper(blockquote, ['tiktok', 'embed']) });
+      }
+    });
+
+    findByUrl(document, 'iframe[src]', 'src', extractId).forEach(({ element, id }) => {
+      candidates.push({ id, element: withWrapper(element, ['tiktok', 'embed']) });
+    });
+
+    return candidates;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['tiktok.com']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    appendFixedIframe(contentDoc, wrapper, `https://www.tiktok.com/embed/v2/${embed.id}`, 740, {
+      maxWidth: 340,
+      title: 'TikTok video'
+    });
+  }
+};
@@ -0,0 +1,104 @@
+const { parseUrl, hostMatches, appendFixedIframe, withWrapper } = require('../markup');
+
+const HOSTS = ['twitter.com', 'x.com'];
+
+/**
+ * Extract a tweet ID from a status URL or an embed iframe URL
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, HOSTS)) return null;
+  const match = url.pathname.match(/\/(?:status|statuses)\/(\d+)/);
+  if (match) return match[1];
+  const id = url.searchParams.get('id');
+  return id && /^\d+$/.test(id) ? id : null;
+}
+
+module.exports = {
+  type: 'twitter',
+  extractId,
+
+  detect(document) {
+    const candidates = [];
+
+    // Strategy 1: Blockquote embeds, keeping the tweet text for display before widgets.js loads
+    document.querySelectorAll('blockquote.twitter-tweet, blockquote[class*="twitter-tweet"]').forEach(blockquote => {
+      let id = null;
+      let url = null;
+      blockquote.querySelectorAll('a[href]').forEach(link => {
+        const linkUrl = parseUrl(link.getAttribute('href'), document.baseURI);
+        if (!id && extractId(linkUrl)) {
+          id = extractId(linkUrl);
+          url = linkUrl.href;
+        }
+      });
+
+      const paragraph = blockquote.querySelector('p');
+      const text = (paragraph || blockquote).textContent.trim();
+
+      // If we can't extract an ID, use the tweet text as the dedup key
+      candidates.push({
+        id: id || 'hash_' + text.replace(/\s+/g, '').substring(0, 50),
+        element: withWrapper(blockquote, ['twitter-tweet', 'twitter-container']),
+        url,
+        text
+      });
+    });
+    console.log(`Found ${candidates.length} Twitter blockquotes in HTML`);
+
+    // Strategy 2: Iframe embeds
+    document.querySelectorAll('iframe[src]').forEach(iframe => {
+      const url = parseUrl(iframe.getAttribute('src'), document.baseURI);
+      if (!hostMatches(url, HOSTS)) return;
+      candidates.push({
+        id: extractId(url) || 'iframe_' + url.href.substring(0, 50),
+        element: withWrapper(iframe, ['twitter-tweet', 'twitter-container']),
+        src: url.href
+      });
+    });
+
+    return candidates;
+  },
+
+  link(embed) {
+    if (/^\d+$/.test(embed.id)) {
+      return embed.url || `https://twitter.com/x/status/${embed.id}`;
+    }
+    return embed.src || null;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, HOSTS);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    const isTweetId = /^\d+$/.test(embed.id);
+
+    if (!isTweetId && embed.src) {
+      appendFixedIframe(contentDoc, wrapper, embed.src, 500, { maxWidth: 550, title: 'Post on X' });
+      return;
+    }
+
+    // Blockquote markup that the frontend upgrades with Twitter's widget script
+    wrapper.style.cssText = 'margin: 2em 0; max-width: 100%;';
+    const blockquote = contentDoc.createElement('blockquote');
+    blockquote.className = 'twitter-tweet';
+    blockquote.style.cssText = 'margin: 0 auto; max-width: 550px;';
+
+    if (embed.text) {
+      const paragraph = contentDoc.createElement('p');
+      paragraph.textContent = embed.text;
+      blockquote.appendChild(paragraph);
+    }
+
+    if (isTweetId) {
+      const link = contentDoc.createElement('a');
+      link.setAttribute('href', embed.url || `https://twitter.com/x/status/${embed.id}`);
+      link.textContent = 'View on Twitter';
+      blockquote.appendChild(link);
+    }
+
+    wrapper.appendChild(blockquote);
+  }
+};
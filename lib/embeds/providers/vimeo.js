@@ -0,0 +1,44 @@
+const { hostMatches, appendVideoIframe, findByUrl, withWrapper } = require('../markup');
+
+/**
+ * Extract a Vimeo video ID from player or page URLs
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, ['vimeo.com'])) return null;
+  const match = url.hostname.startsWith('player.')
+    ? url.pathname.match(/^\/video\/(\d+)/)
+    : url.pathname.match(/^\/(?:channels\/[^/]+\/|groups\/[^/]+\/videos\/)?(\d+)(?:\/|$)/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  type: 'vimeo',
+  extractId,
+
+  detect(document) {
+    return [
+      ...findByUrl(document, 'iframe[src]', 'src', extractId).map(({ element, id }) => ({
+        id,
+        element: withWrapper(element, ['vimeo', 'video', 'embed', 'video-embed'])
+      })),
+      ...findByUrl(document, 'a[href]', 'href', extractId).map(({ element, id }) => ({ id, element }))
+    ];
+  },
+
+  link(embed) {
+    return `https://vimeo.com/${embed.id}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, ['player.vimeo.com']);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    appendVideoIframe(contentDoc, wrapper, `https://player.vimeo.com/video/${embed.id}`, {
+      title: 'Vimeo video',
+      allow: 'autoplay; fullscreen; picture-in-picture'
+    });
+  }
+};
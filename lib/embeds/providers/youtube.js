@@ -0,0 +1,82 @@
+const { parseUrl, hostMatches, appendVideoIframe, findByUrl, withWrapper } = require('../markup');
+
+const HOSTS = ['youtube.com', 'youtu.be', 'youtube-nocookie.com'];
+const VIDEO_ID = /^[a-zA-Z0-9_-]{11}$/;
+
+/**
+ * Extract a YouTube video ID from watch, short, embed and shorts URLs
+ * @param {URL|null} url - Parsed URL
+ * @returns {string|null}
+ */
+function extractId(url) {
+  if (!hostMatches(url, HOSTS)) return null;
+
+  let id = null;
+  if (url.hostname.endsWith('youtu.be')) {
+    id = url.pathname.split('/')[1];
+  } else if (url.pathname === '/watch') {
+    id = url.searchParams.get('v');
+  } else {
+    const match = url.pathname.match(/^\/(?:embed|shorts|v|live)\/([^/?#]+)/);
+    id = match && match[1];
+  }
+  return id && VIDEO_ID.test(id) ? id : null;
+}
+
+module.exports = {
+  type: 'youtube',
+  extractId,
+
+  detect(document, context) {
+    const candidates = [];
+
+    // Strategy 1: Direct iframe embeds, including the page's wrapper element
+    findByUrl(document, 'iframe[src]', 'src', url => hostMatches(url, HOSTS) && (extractId(url) || url.href))
+      .forEach(({ element, url, id }) => {
+        candidates.push({
+          id,
+          element: withWrapper(element, ['youtube', 'video', 'embed', 'video-embed']),
+          // Playlists and other embeds without a single video keep their player URL
+          src: extractId(url) ? null : url.href
+        });
+      });
+
+    // Strategy 2: Divs with YouTube data attributes
+    document.querySelectorAll('div[data-youtube-id], div[data-youtube-url]').forEach(div => {
+      if (div.querySelector('iframe')) return;
+      const value = div.getAttribute('data-youtube-id') || div.getAttribute('data-youtube-url');
+      const id = VIDEO_ID.test(value) ? value : extractId(parseUrl(value, document.baseURI));
+      if (id) {
+        candidates.push({ id, element: div });
+      }
+    });
+
+    // Strategy 3: Links to videos, which are kept in the text and followed by the player
+    findByUrl(document, 'a[href]', 'href', extractId).forEach(({ element, id }) => {
+      candidates.push({ id, element });
+    });
+
+    // Strategy 4: Video URLs in data attributes, scripts or text content
+    const pattern = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/g;
+    let match;
+    while ((match = pattern.exec(context.html)) !== null) {
+      candidates.push({ id: match[1], element: null });
+    }
+
+    return candidates;
+  },
+
+  link(embed) {
+    // Playlist players link to the playlist page
+    return embed.src ? embed.src.replace('/embed/videoseries', '/playlist') : `https://www.youtube.com/watch?v=${embed.id}`;
+  },
+
+  allowsIframe(url) {
+    return hostMatches(url, HOSTS);
+  },
+
+  render(contentDoc, embed, wrapper) {
+    const src = embed.src || `https://www.youtube.com/embed/${embed.id}`;
+    appendVideoIframe(contentDoc, wrapper, src, { title: 'YouTube video' });
+  }
+};
@@ -0,0 +1,522 @@
+/**
+ * EPUB 3 export: one or more parsed articles packaged as a book for e-readers.
+ *
+ * Each article becomes one XHTML chapter with its title, byline, site, date and
+ * a link to the original. The content is reduced to a fixed set of XHTML
+ * elements, embeds are replaced by links to the original post or video, and
+ * images are downloaded and stored in the book so it reads offline. The book
+ * has an EPUB 3 navigation document (articles and their sections) and a
+ * toc.ncx for older readers.
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { parseArticle } = require('./parseArticle');
+const { downloadImages: fetchImages } = require('./images/loader');
+const { optimizeImage } = require('./images/optimize');
+const { ArticleError, InvalidRequestError, InvalidUrlError } = require('./errors');
+const { embedLink, bylineText, sourceUrl, escapeXml, INVALID_XML_CHARS } = require('./formats/shared');
+
+// Most articles in one book
+const MAX_EPUB_ARTICLES = parseInt(process.env.MAX_EPUB_ARTICLES, 10) || 50;
+// Largest and widest image packaged (bigger ones are scaled down), and most images per book
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_IMAGE_WIDTH = 1600;
+const MAX_IMAGES = 200;
+
+// Elements kept in chapters; other elements are unwrapped, DROP_TAGS are removed with their content
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del',
+  'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp',
+  'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'time', 'tr', 'u', 'ul', 'var'
+]);
+const DROP_TAGS = new Set([
+  'audio', 'button', 'canvas', 'embed', 'form', 'iframe', 'input', 'link', 'math', 'meta', 'noscript',
+  'object', 'script', 'select', 'source', 'style', 'svg', 'template', 'textarea', 'track', 'video'
+]);
+const GLOBAL_ATTRIBUTES = ['id', 'title', 'lang', 'dir'];
+const TAG_ATTRIBUTES = {
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  ol: ['start', 'reversed'],
+  time: ['datetime'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime']
+};
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.6em; line-height: 1.25; margin: 1em 0 0.4em; }
+h2 { font-size: 1.3em; }
+h3 { font-size: 1.1em; }
+.meta, .source { color: #555; font-size: 0.9em; margin: 0.2em 0; }
+header { margin-bottom: 1.5em; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1em 0; }
+figcaption { font-size: 0.85em; color: #555; }
+blockquote { margin: 1em 1.5em; font-style: italic; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+code { font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 0.2em 0.4em; }
+.embed { border: 1px solid #ccc; padding: 0.5em 0.8em; }
+`;
+
+/**
+ * Build a file name from a title
+ * @param {string} title
+ * @returns {string} e.g. "my-article.epub"
+ */
+function epubFileName(title) {
+  const slug = String(title || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return `${slug || 'articles'}.epub`;
+}
+
+/**
+ * Build a Content-Disposition header that downloads the file under the given name
+ * @param {string} fileName - May contain non-ASCII characters
+ * @returns {string}
+ */
+function contentDisposition(fileName) {
+  const fallback = fileName.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '') || 'articles.epub';
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Download images into the book, each URL once, scaled down to fit the limits
+ * @param {string[]} sources - Image URLs in the order they appear
+ * @param {string} [referer] - Article the images appear in
+ * @param {Map} images - Images packaged so far, added to
+ * @returns {Promise<Map<string, {id: string, href: string, mediaType: string, data: Buffer}>>}
+ *   Packaged images by URL; images that failed or have an unsupported type are missing
+ */
+async function downloadImages(sources, referer, images) {
+  const remaining = MAX_IMAGES - images.size;
+  const missing = Array.from(new Set(sources)).filter(src => !images.has(src)).slice(0, Math.max(0, remaining));
+  const downloaded = await fetchImages(missing, {
+    referer,
+    transform: ({ data, type }) => optimizeImage(data, type, { maxWidth: MAX_IMAGE_WIDTH, maxBytes: MAX_IMAGE_BYTES })
+  });
+
+  for (const [src, image] of downloaded) {
+    const counter = images.size + 1;
+    images.set(src, {
+      id: `image-${counter}`,
+      href: `images/image-${counter}.${image.type.extension}`,
+      mediaType: image.type.mediaType,
+      data: image.data
+    });
+  }
+  return images;
+}
+
+/**
+ * Reduce article content to the elements and attributes allowed in chapters
+ * @param {Document} document - Document holding the content
+ * @param {HTMLElement} root - Content root, modified in place
+ * @param {string} [baseUrl] - Article URL, for relative links
+ */
+function cleanContent(document, root, baseUrl) {
+  // Embeds become a link to the embedded post or video
+  root.querySelectorAll('.embed-wrapper').forEach(wrapper => {
+    const { label, url, text } = embedLink(wrapper);
+    const placeholder = document.createElement('div');
+    placeholder.setAttribute('class', 'embed');
+    if (text) {
+      const quote = document.createElement('blockquote');
+      quote.textContent = text;
+      placeholder.appendChild(quote);
+    }
+    if (url) {
+      const paragraph = document.createElement('p');
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.textContent = label;
+      paragraph.appendChild(link);
+      placeholder.appendChild(paragraph);
+    }
+    wrapper.replaceWith(placeholder);
+  });
+
+  const seenIds = new Set();
+  const visit = element => {
+    Array.from(element.children).forEach(child => {
+      const tag = child.localName;
+      if (DROP_TAGS.has(tag)) {
+        child.remove();
+        return;
+      }
+      visit(child);
+      if (child.getAttribute('class') === 'embed' && tag === 'div') {
+        return;
+      }
+      if (!ALLOWED_TAGS.has(tag)) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+
+      const allowed = GLOBAL_ATTRIBUTES.concat(TAG_ATTRIBUTES[tag] || []);
+      Array.from(child.attributes).forEach(attribute => {
+        if (!allowed.includes(attribute.name)) child.removeAttribute(attribute.name);
+      });
+
+      // Ids must be unique within a chapter
+      if (child.id) {
+        if (seenIds.has(child.id)) child.removeAttribute('id');
+        else seenIds.add(child.id);
+      }
+
+      if (tag === 'a' && child.hasAttribute('href')) {
+        const href = child.getAttribute('href').trim();
+        let keep = href.startsWith('#');
+        if (!keep) {
+          try {
+            const url = new URL(href, baseUrl);
+            keep = ['http:', 'https:', 'mailto:'].includes(url.protocol);
+            if (keep) child.setAttribute('href', url.href);
+          } catch (e) {
+            keep = false;
+          }
+        }
+        if (!keep) child.removeAttribute('href');
+      }
+      if (tag === 'img' && !child.hasAttribute('alt')) {
+        child.setAttribute('alt', '');
+      }
+    });
+  };
+  visit(root);
+}
+
+/**
+ * Give h2 headings ids so the table of contents can link to them
+ * @param {HTMLElement} root - Chapter content
+ * @returns {Array<{id: string, title: string}>} Sections in order
+ */
+function collectSections(root) {
+  const sections = [];
+  root.querySelectorAll('h2').forEach((heading, index) => {
+    const title = heading.textContent.replace(/\s+/g, ' ').trim();
+    if (!title) return;
+    if (!heading.id) heading.id = `section-${index + 1}`;
+    sections.push({ id: heading.id, title });
+  });
+  return sections;
+}
+
+/**
+ * Serialize an HTML element's children as XHTML
+ * @param {Window} window - jsdom window
+ * @param {HTMLElement} root
+ * @returns {string}
+ */
+function toXhtml(window, root) {
+  const serialized = new window.XMLSerializer().serializeToString(root);
+  return serialized
+    .replace(/^<[^>]+?\/>$/, '')
+    .replace(/^<[^>]+>/, '')
+    .replace(/<\/[^>]+>$/, '')
+    .replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Render one chapter's XHTML document
+ * @param {Object} chapter
+ * @returns {string}
+ */
+function chapterDocument(chapter) {
+  const { article, lang, body } = chapter;
+  const title = escapeXml(chapter.title);
+  const byline = bylineText(article);
+  const source = sourceUrl(article);
+  const header = [`<h1>${title}</h1>`];
+  if (byline) header.push(`<p class="meta">${escapeXml(byline)}</p>`);
+  if (source) header.push(`<p class="source"><a href="${escapeXml(source)}">Original article</a></p>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(lang)}" xml:lang="${escapeXml(lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${title}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+<article>
+<header>
+${header.join('\n')}
+</header>
+${body}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the EPUB 3 navigation document
+ * @param {Object} book
+ * @returns {string}
+ */
+function navDocument(book) {
+  const items = book.chapters.map(chapter => {
+    const sections = chapter.sections.length > 0
+      ? `\n<ol>\n${chapter.sections.map(section => `<li><a href="${chapter.href}#${escapeXml(section.id)}">${escapeXml(section.title)}</a></li>`).join('\n')}\n</ol>\n`
+      : '';
+    return `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a>${sections}</li>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(book.lang)}" xml:lang="${escapeXml(book.lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(book.title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${items.join('\n')}
+</ol>
+</nav>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render toc.ncx, the table of contents EPUB 2 readers use
+ * @param {Object} book
+ * @returns {string}
+ */
+function ncxDocument(book) {
+  let playOrder = 0;
+  const navPoint = (id, order, label, src, children = '') =>
+    `<navPoint id="${id}" playOrder="${order}"><navLabel><text>${escapeXml(label)}</text></navLabel><content src="${escapeXml(src)}"/>${children}</navPoint>`;
+
+  // Articles and their sections in reading order
+  const points = book.chapters.map(chapter => {
+    const order = ++playOrder;
+    const children = chapter.sections
+      .map((section, index) => navPoint(`${chapter.id}-section-${index + 1}`, ++playOrder, section.title, `${chapter.href}#${section.id}`))
+      .join('');
+    return navPoint(chapter.id, order, chapter.title, chapter.href, children);
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escapeXml(book.identifier)}"/>
+<meta name="dtb:depth" content="${book.chapters.some(chapter => chapter.sections.length > 0) ? 2 : 1}"/>
+<meta name="dtb:totalPageCount" content="0"/>
+<meta name="dtb:maxPageNumber" content="0"/>
+</head>
+<docTitle><text>${escapeXml(book.title)}</text></docTitle>
+<navMap>
+${points.join('\n')}
+</navMap>
+</ncx>
+`;
+}
+
+/**
+ * Render the package document (metadata, manifest and reading order)
+ * @param {Object} book
+ * @returns {string}
+ */
+function packageDocument(book) {
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeXml(book.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(book.title)}</dc:title>`,
+    `<dc:language>${escapeXml(book.lang)}</dc:language>`
+  ];
+  book.creators.forEach(creator => metadata.push(`<dc:creator>${escapeXml(creator)}</dc:creator>`));
+  if (book.chapters.length === 1) {
+    const { article } = book.chapters[0];
+    if (article.siteName) metadata.push(`<dc:publisher>${escapeXml(article.siteName)}</dc:publisher>`);
+    if (article.publishedTime) metadata.push(`<dc:date>${escapeXml(article.publishedTime)}</dc:date>`);
+    if (article.excerpt) metadata.push(`<dc:description>${escapeXml(article.excerpt)}</dc:description>`);
+    const source = sourceUrl(article);
+    if (source) metadata.push(`<dc:source>${escapeXml(source)}</dc:source>`);
+  }
+  const subjects = new Set(book.chapters.flatMap(chapter => chapter.article.tags || []));
+  subjects.forEach(subject => metadata.push(`<dc:subject>${escapeXml(subject)}</dc:subject>`));
+  metadata.push(`<meta property="dcterms:modified">${book.modified}</meta>`);
+  if (book.cover) metadata.push(`<meta name="cover" content="${book.cover.id}"/>`);
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="css" href="styles.css" media-type="text/css"/>'
+  ];
+  book.chapters.forEach(chapter => {
+    manifest.push(`<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`);
+  });
+  book.images.forEach(image => {
+    const properties = image === book.cover ? ' properties="cover-image"' : '';
+    manifest.push(`<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${properties}/>`);
+  });
+
+  // The contents page comes first when there is more than one article
+  const spine = book.chapters.length > 1 ? ['<itemref idref="nav"/>'] : [];
+  book.chapters.forEach(chapter => spine.push(`<itemref idref="${chapter.id}"/>`));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(book.lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`;
+}
+
+/**
+ * Package parsed articles as an EPUB 3 book
+ * @param {Object[]} articles - Parsed articles with HTML content, in reading order
+ * @param {Object} [options]
+ * @param {string} [options.title] - Book title (defaults to the article title, or the first
+ *   title and a count for several articles)
+ * @returns {Promise<{data: Buffer, title: string, fileName: string}>}
+ */
+async function packageEpub(articles, options = {}) {
+  const lang = articles.map(article => article.lang).find(Boolean) || 'en';
+  const firstTitle = (articles[0].title || 'Untitled article').replace(/\s+/g, ' ').trim();
+  const title = options.title ||
+    (articles.length === 1 ? firstTitle : `${firstTitle} and ${articles.length - 1} more`);
+
+  // Clean each article's content and collect its images
+  const chapters = articles.map((article, index) => {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>');
+    const { document } = dom.window;
+    const root = document.createElement('div');
+    root.innerHTML = article.content || '';
+    cleanContent(document, root, sourceUrl(article) || undefined);
+    return {
+      id: `article-${index + 1}`,
+      href: `article-${index + 1}.xhtml`,
+      title: (article.title || 'Untitled article').replace(/\s+/g, ' ').trim(),
+      lang: article.lang || lang,
+      article,
+      dom,
+      root
+    };
+  });
+
+  // Each article's images are requested with the article as Referer
+  const images = new Map();
+  for (const chapter of chapters) {
+    const sources = Array.from(chapter.root.querySelectorAll('img'))
+      .map(img => img.getAttribute('src') || '')
+      .filter(src => /^(?:https?:|data:image\/)/i.test(src));
+    await downloadImages(sources, sourceUrl(chapter.article) || undefined, images);
+  }
+  const leadImage = articles[0].leadImage;
+  if (leadImage) {
+    await downloadImages([leadImage], sourceUrl(articles[0]) || undefined, images);
+  }
+
+  // Point images at the packaged copies, and drop the ones that couldn't be packaged
+  chapters.forEach(chapter => {
+    chapter.root.querySelectorAll('img').forEach(img => {
+      const image = images.get(img.getAttribute('src'));
+      if (image) {
+        img.setAttribute('src', image.href);
+      } else {
+        img.remove();
+      }
+    });
+    chapter.sections = collectSections(chapter.root);
+    chapter.body = toXhtml(chapter.dom.window, chapter.root);
+  });
+
+  const creators = Array.from(new Set(articles.map(article => article.byline).filter(Boolean)));
+  // The same list of URLs gives the same identifier, so readers treat a re-export as the same book
+  const hash = crypto.createHash('sha1').update(articles.map(article => sourceUrl(article) || article.title).join('\n')).digest('hex');
+  const book = {
+    identifier: `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-a${hash.slice(17, 20)}-${hash.slice(20, 32)}`,
+    title,
+    lang,
+    creators,
+    modified: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    chapters,
+    images: Array.from(images.values()),
+    cover: leadImage ? images.get(leadImage) || null : null
+  };
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', packageDocument(book));
+  zip.file('OEBPS/nav.xhtml', navDocument(book));
+  zip.file('OEBPS/toc.ncx', ncxDocument(book));
+  zip.file('OEBPS/styles.css', STYLESHEET);
+  chapters.forEach(chapter => zip.file(`OEBPS/${chapter.href}`, chapterDocument(chapter)));
+  book.images.forEach(image => zip.file(`OEBPS/${image.href}`, image.data));
+
+  const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+  console.log(`Built EPUB "${title}": ${chapters.length} articles, ${book.images.length} images, ${data.length} bytes`);
+  return { data, title, fileName: epubFileName(title) };
+}
+
+/**
+ * Parse one or more articles and package them as an EPUB 3 book, in the given order
+ * @param {string|string[]} urls - Article URL, or URLs in reading order
+ * @param {Object} [options]
+ * @param {string} [options.title] - Book title
+ * @param {Object} [options.cache] - Parse cache, passed to parseArticle
+ * @param {number} [options.maxPages] - Most pages per article, passed to parseArticle
+ * @returns {Promise<{data: Buffer, title: string, fileName: string}>}
+ * @throws {ArticleError} If the URL list is empty or too long, or an article can't be parsed
+ *   (`details.url` names the article)
+ */
+async function buildEpub(urls, options = {}) {
+  const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+  if (list.length === 0) {
+    throw new InvalidUrlError('URL is required');
+  }
+  if (list.length > MAX_EPUB_ARTICLES) {
+    throw new InvalidRequestError(`Too many articles (at most ${MAX_EPUB_ARTICLES} per book)`);
+  }
+  if (list.some(url => typeof url !== 'string')) {
+    throw new InvalidUrlError();
+  }
+
+  // One at a time, so a long list doesn't take over the browser pool
+  const articles = [];
+  for (const url of list) {
+    try {
+      articles.push(await parseArticle(url, { cache: options.cache, maxPages: options.maxPages }));
+    } catch (error) {
+      if (error instanceof ArticleError) {
+        error.details = { ...error.details, url };
+      }
+      throw error;
+    }
+  }
+
+  return packageEpub(articles, { title: options.title });
+}
+
+module.exports = { buildEpub, packageEpub, contentDisposition, MAX_EPUB_ARTICLES };
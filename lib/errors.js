@@ -0,0 +1,249 @@
+/**
+ * Error classes shared by the library and the HTTP entry points.
+ *
+ * Every error thrown on purpose is an ArticleError with a stable `code`, so
+ * callers branch on the code instead of matching message text. Errors also
+ * carry the upstream site's HTTP status when there was one, and a retry hint:
+ * `retryable` says whether the same request may succeed later, `retryAfter`
+ * how many seconds to wait when the site said so.
+ *
+ * toHttpError() turns any error into the status and `{code, message, details}`
+ * body returned by server.js and the Netlify functions.
+ */
+
+class ArticleError extends Error {
+  /**
+   * @param {string} code - Stable error code, e.g. "INVALID_URL"
+   * @param {string} message - Human-readable description
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status to respond with
+   * @param {number} [options.upstreamStatus] - HTTP status the site returned
+   * @param {boolean} [options.retryable=false] - Whether retrying later may succeed
+   * @param {number} [options.retryAfter] - Seconds to wait before retrying
+   * @param {Object} [options.details] - Extra fields for the response body
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = options.status || 500;
+    this.upstreamStatus = options.upstreamStatus ?? null;
+    this.retryable = !!options.retryable;
+    this.retryAfter = options.retryAfter ?? null;
+    this.details = options.details || {};
+  }
+}
+
+/** The URL is missing or malformed */
+class InvalidUrlError extends ArticleError {
+  constructor(message = 'Invalid URL format') {
+    super('INVALID_URL', message, { status: 400 });
+  }
+}
+
+/** The request body is missing something or can't be read */
+class InvalidRequestError extends ArticleError {
+  constructor(message) {
+    super('INVALID_REQUEST', message, { status: 400 });
+  }
+}
+
+/** The uploaded HTML is over the size limit */
+class PayloadTooLargeError extends ArticleError {
+  constructor(message = 'Uploaded file is too large') {
+    super('PAYLOAD_TOO_LARGE', message, { status: 413 });
+  }
+}
+
+/** The URL policy refuses the URL (scheme, host lists, private addresses) */
+class BlockedUrlError extends ArticleError {
+  constructor(reason) {
+    super('URL_BLOCKED', `Blocked URL: ${reason}`, { status: 403, details: { reason } });
+  }
+}
+
+/**
+ * The site answered with an error status, or couldn't be reached at all
+ * (upstreamStatus is null then)
+ */
+class UpstreamHttpError extends ArticleError {
+  /**
+   * @param {number|null} upstreamStatus - Status the site returned
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.retryAfter] - Seconds from the site's Retry-After header
+   * @param {boolean} [options.retryable] - Defaults to true for network errors, 408, 425, 429 and 5xx
+   * @param {Error} [options.cause]
+   */
+  constructor(upstreamStatus, message, options = {}) {
+    const retryable = options.retryable !== undefined
+      ? options.retryable
+      : !upstreamStatus || [408, 425, 429].includes(upstreamStatus) || upstreamStatus >= 500;
+    super('UPSTREAM_HTTP_ERROR', message, {
+      status: upstreamStatusToHttp(upstreamStatus),
+      upstreamStatus,
+      retryable,
+      retryAfter: options.retryAfter,
+      cause: options.cause
+    });
+  }
+}
+
+/** The site served something other than HTML */
+class UnsupportedContentError extends ArticleError {
+  constructor(contentType) {
+    super('UNSUPPORTED_CONTENT_TYPE', `Unsupported content type: ${contentType}`, {
+      status: 415,
+      details: { contentType }
+    });
+  }
+}
+
+/** The page is over the response size cap */
+class ResponseTooLargeError extends ArticleError {
+  constructor(limit) {
+    super('RESPONSE_TOO_LARGE', `Response too large (over ${limit} bytes)`, { status: 502, details: { limit } });
+  }
+}
+
+/** A Cloudflare-style bot challenge didn't clear */
+class ChallengeError extends ArticleError {
+  constructor(message, options = {}) {
+    super('CHALLENGE_NOT_PASSED', message, { status: 502, upstreamStatus: options.upstreamStatus, retryable: true });
+  }
+}
+
+/** The page loaded but Readability found no article in it */
+class ExtractionError extends ArticleError {
+  constructor(message = 'Could not extract article content from this URL') {
+    super('EXTRACTION_FAILED', message, { status: 422 });
+  }
+}
+
+/** Fetching or rendering the page took too long */
+class TimeoutError extends ArticleError {
+  constructor(message, options = {}) {
+    super('TIMEOUT', message, { status: 504, retryable: true, cause: options.cause });
+  }
+}
+
+/** The site needs a headless browser and none is usable (not installed, serverless, busy, crashed) */
+class BrowserUnavailableError extends ArticleError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.retryable=false] - True when the browser is only busy or restarting
+   * @param {number} [options.upstreamStatus] - Status of the plain request that needed the browser
+   * @param {Error} [options.cause]
+   */
+  constructor(message, options = {}) {
+    super('BROWSER_UNAVAILABLE', message, {
+      status: 503,
+      upstreamStatus: options.upstreamStatus,
+      retryable: !!options.retryable,
+      cause: options.cause
+    });
+  }
+}
+
+/** Something the request refers to doesn't exist, e.g. an unknown image hash */
+class NotFoundError extends ArticleError {
+  constructor(message = 'Not found') {
+    super('NOT_FOUND', message, { status: 404 });
+  }
+}
+
+/** The URL served something that isn't an RSS, Atom or JSON feed */
+class InvalidFeedError extends ArticleError {
+  constructor(message) {
+    super('INVALID_FEED', message, { status: 422 });
+  }
+}
+
+/** The caller cancelled the parse (the client went away, or asked to stop) */
+class CancelledError extends ArticleError {
+  constructor(message = 'The parse was cancelled') {
+    // 499 is the "client closed request" status used by nginx
+    super('CANCELLED', message, { status: 499 });
+  }
+}
+
+/**
+ * Pick the status returned to the client for an upstream error status
+ * @param {number|null} upstreamStatus
+ * @returns {number}
+ */
+function upstreamStatusToHttp(upstreamStatus) {
+  if (upstreamStatus === 401 || upstreamStatus === 403) return 403;
+  if (upstreamStatus === 404 || upstreamStatus === 410) return 404;
+  if (upstreamStatus === 429) return 429;
+  return 502;
+}
+
+/**
+ * Parse a Retry-After header into seconds
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = parseInt(value, 10);
+  if (String(seconds) === value.trim()) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Map any error to an HTTP status and JSON body. Errors that aren't ArticleErrors are
+ * logged and answered with a generic message, since theirs may expose internals
+ * @param {Error} error
+ * @returns {{status: number, body: {code: string, message: string, details: Object}}}
+ */
+function toHttpError(error) {
+  if (error instanceof ArticleError) {
+    const details = { ...error.details, retryable: error.retryable };
+    if (error.upstreamStatus !== null) details.upstreamStatus = error.upstreamStatus;
+    if (error.retryAfter !== null) details.retryAfter = error.retryAfter;
+    return { status: error.status, body: { code: error.code, message: error.message, details } };
+  }
+
+  // Body parser errors from express.json()
+  if (error && error.type === 'entity.too.large') {
+    return toHttpError(new PayloadTooLargeError('Request body is too large'));
+  }
+  if (error && error.type === 'entity.parse.failed') {
+    return toHttpError(new InvalidRequestError('Invalid JSON body'));
+  }
+
+  // Unexpected errors can mention paths and internals: log them here, answer generically
+  console.error('Unexpected error:', error);
+  return {
+    status: 500,
+    body: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+      details: { retryable: false }
+    }
+  };
+}
+
+module.exports = {
+  ArticleError,
+  InvalidUrlError,
+  InvalidRequestError,
+  PayloadTooLargeError,
+  BlockedUrlError,
+  UpstreamHttpError,
+  UnsupportedContentError,
+  ResponseTooLargeError,
+  ChallengeError,
+  ExtractionError,
+  TimeoutError,
+  BrowserUnavailableError,
+  NotFoundError,
+  InvalidFeedError,
+  CancelledError,
+  parseRetryAfter,
+  toHttpError
+};
@@ -0,0 +1,282 @@
+/**
+ * Structured metadata extraction.
+ *
+ * Each field is read from every source below and the first non-empty value
+ * wins, in this precedence order:
+ *
+ *   1. JSON-LD  - <script type="application/ld+json"> objects of an Article type
+ *                 (Article, NewsArticle, BlogPosting, ReportageNewsArticle, ...)
+ *   2. OpenGraph - og:* and article:* meta properties
+ *   3. Twitter card - twitter:* meta names
+ *   4. Dublin Core - DC.* / dcterms.* meta names
+ *   5. Plain HTML - <link rel="canonical">, <html lang>, meta keywords/author,
+ *                   <time datetime> and itemprop microdata
+ *
+ * Lists (tags, authors) are taken whole from the first source that has any,
+ * not merged across sources, so one site's conventions never mix with another's.
+ */
+
+const ARTICLE_TYPES = /^(?:Article|NewsArticle|BlogPosting|Blog|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|ReviewNewsArticle|BackgroundNewsArticle|TechArticle|ScholarlyArticle|SocialMediaPosting|LiveBlogPosting|Report|WebPage)$/;
+
+/**
+ * Resolve a URL against the page URL, returning null for anything that isn't http(s)
+ * @param {string} value - URL or relative reference
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null}
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a date string to ISO 8601
+ * @param {string} value - Date in any format Date.parse understands
+ * @returns {string|null}
+ */
+function normalizeDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Split a keywords value (comma-separated string or array) into unique tags
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function toTags(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  const tags = [];
+  items.forEach(item => {
+    const tag = typeof item === 'string' ? item.trim() : '';
+    if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+}
+
+/**
+ * Remove duplicate authors (by name) and drop empty entries
+ * @param {Array<{name: string, url: (string|null)}>} authors
+ * @returns {Array<{name: string, url: (string|null)}>}
+ */
+function uniqueAuthors(authors) {
+  const result = [];
+  authors.forEach(author => {
+    if (!author || !author.name) return;
+    const existing = result.find(a => a.name.toLowerCase() === author.name.toLowerCase());
+    if (existing) {
+      existing.url = existing.url || author.url;
+    } else {
+      result.push(author);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read all JSON-LD objects, flattening arrays and @graph containers
+ * @param {Document} document
+ * @returns {Object[]}
+ */
+function readJsonLd(document) {
+  const objects = [];
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      objects.push(node);
+      if (node['@graph']) visit(node['@graph']);
+    }
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    // Some sites wrap JSON-LD in CDATA or HTML comments
+    const text = script.textContent.replace(/^\s*(?:<!\[CDATA\[|<!--)/, '').replace(/(?:\]\]>|-->)\s*$/, '');
+    try {
+      visit(JSON.parse(text));
+    } catch (e) {
+      // Ignore malformed JSON-LD, other sources still apply
+    }
+  });
+  return objects;
+}
+
+/**
+ * Find the JSON-LD object describing the article
+ * @param {Object[]} objects - All JSON-LD objects on the page
+ * @returns {Object|null}
+ */
+function findJsonLdArticle(objects) {
+  const typesOf = object => [].concat(object['@type'] || []);
+  // Prefer real article types over a generic WebPage
+  return objects.find(o => typesOf(o).some(t => ARTICLE_TYPES.test(t) && t !== 'WebPage')) ||
+         objects.find(o => typesOf(o).includes('WebPage')) ||
+         null;
+}
+
+/**
+ * Convert a JSON-LD author/creator value into author entries
+ * @param {*} value - String, Person/Organization object, or array of either
+ * @param {string} baseUrl - Page URL
+ * @returns {Array<{name: string, url: (string|null)}>}
+ */
+function jsonLdAuthors(value, baseUrl) {
+  return [].concat(value || []).map(author => {
+    if (typeof author === 'string') {
+      return { name: author.trim(), url: null };
+    }
+    if (author && typeof author === 'object') {
+      const sameAs = [].concat(author.sameAs || [])[0];
+      return {
+        name: typeof author.name === 'string' ? author.name.trim() : '',
+        url: absoluteUrl(author.url || author['@id'] || sameAs, baseUrl)
+      };
+    }
+    return null;
+  });
+}
+
+/**
+ * Read a JSON-LD image value (string, ImageObject or array of either)
+ * @param {*} value
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null}
+ */
+function jsonLdImage(value, baseUrl) {
+  const first = [].concat(value || [])[0];
+  if (typeof first === 'string') return absoluteUrl(first, baseUrl);
+  if (first && typeof first === 'object') return absoluteUrl(first.url || first.contentUrl || first['@id'], baseUrl);
+  return null;
+}
+
+/**
+ * Extract metadata from each source, in precedence order
+ * @param {Document} document
+ * @param {string} baseUrl - Page URL
+ * @returns {Object[]} One partial metadata object per source
+ */
+function readSources(document, baseUrl) {
+  const meta = (attribute, names) => {
+    const values = [];
+    names.forEach(name => {
+      document.querySelectorAll(`meta[${attribute}]`).forEach(element => {
+        if ((element.getAttribute(attribute) || '').toLowerCase() === name.toLowerCase()) {
+          const content = (element.getAttribute('content') || '').trim();
+          if (content) values.push(content);
+        }
+      });
+    });
+    return values;
+  };
+  const first = (attribute, names) => meta(attribute, names)[0] || null;
+
+  // 1. JSON-LD
+  const ld = findJsonLdArticle(readJsonLd(document)) || {};
+  const mainEntity = ld.mainEntityOfPage;
+  const jsonLd = {
+    publishedTime: normalizeDate(ld.datePublished || ld.dateCreated),
+    modifiedTime: normalizeDate(ld.dateModified),
+    canonicalUrl: absoluteUrl(typeof mainEntity === 'string' ? mainEntity : (mainEntity && mainEntity['@id']) || ld.url, baseUrl),
+    lang: typeof ld.inLanguage === 'string' ? ld.inLanguage : null,
+    leadImage: jsonLdImage(ld.image || ld.thumbnailUrl, baseUrl),
+    tags: toTags(ld.keywords),
+    authors: uniqueAuthors(jsonLdAuthors(ld.author || ld.creator, baseUrl))
+  };
+
+  // 2. OpenGraph
+  const ogAuthors = meta('property', ['article:author', 'og:article:author']).map(value => {
+    const url = /^https?:\/\//i.test(value) ? absoluteUrl(value, baseUrl) : null;
+    return { name: url ? null : value, url };
+  }).filter(author => author.name);
+  const ogLocale = first('property', ['og:locale']);
+  const openGraph = {
+    publishedTime: normalizeDate(first('property', ['article:published_time', 'og:article:published_time'])),
+    modifiedTime: normalizeDate(first('property', ['article:modified_time', 'og:updated_time', 'og:article:modified_time'])),
+    canonicalUrl: absoluteUrl(first('property', ['og:url']), baseUrl),
+    lang: ogLocale ? ogLocale.replace('_', '-') : null,
+    leadImage: absoluteUrl(first('property', ['og:image:secure_url', 'og:image', 'og:image:url']), baseUrl),
+    tags: toTags(meta('property', ['article:tag', 'og:article:tag'])),
+    authors: uniqueAuthors(ogAuthors)
+  };
+
+  // 3. Twitter card
+  const creator = first('name', ['twitter:creator']);
+  const twitter = {
+    publishedTime: null,
+    modifiedTime: null,
+    canonicalUrl: absoluteUrl(first('name', ['twitter:url']), baseUrl),
+    lang: null,
+    leadImage: absoluteUrl(first('name', ['twitter:image', 'twitter:image:src']), baseUrl),
+    tags: [],
+    authors: creator ? [{ name: creator, url: `https://x.com/${creator.replace(/^@/, '')}` }] : []
+  };
+
+  // 4. Dublin Core
+  const dublinCore = {
+    publishedTime: normalizeDate(first('name', ['dcterms.issued', 'dcterms.created', 'DC.date.issued', 'DC.date.created', 'DC.date'])),
+    modifiedTime: normalizeDate(first('name', ['dcterms.modified', 'DC.date.modified'])),
+    canonicalUrl: absoluteUrl(first('name', ['dcterms.identifier', 'DC.identifier']), baseUrl),
+    lang: first('name', ['dcterms.language', 'DC.language']),
+    leadImage: null,
+    tags: toTags(meta('name', ['dcterms.subject', 'DC.subject'])),
+    authors: uniqueAuthors(meta('name', ['dcterms.creator', 'DC.creator']).map(name => ({ name, url: null })))
+  };
+
+  // 5. Plain HTML
+  const canonical = document.querySelector('link[rel="canonical"]');
+  const time = document.querySelector('[itemprop="datePublished"][datetime], [itemprop="datePublished"][content], article time[datetime], time[datetime]');
+  const modified = document.querySelector('[itemprop="dateModified"][datetime], [itemprop="dateModified"][content]');
+  const authorLinks = Array.from(document.querySelectorAll('a[rel="author"]')).map(link => ({
+    name: link.textContent.trim(),
+    url: absoluteUrl(link.getAttribute('href'), baseUrl)
+  }));
+  const html = {
+    publishedTime: normalizeDate(time && (time.getAttribute('datetime') || time.getAttribute('content'))),
+    modifiedTime: normalizeDate(modified && (modified.getAttribute('datetime') || modified.getAttribute('content'))),
+    canonicalUrl: absoluteUrl(canonical && canonical.getAttribute('href'), baseUrl),
+    lang: document.documentElement.getAttribute('lang') || null,
+    leadImage: null,
+    tags: toTags(first('name', ['keywords', 'news_keywords'])),
+    authors: uniqueAuthors(authorLinks.length > 0
+      ? authorLinks
+      : meta('name', ['author']).map(name => ({ name, url: null })))
+  };
+
+  return [jsonLd, openGraph, twitter, dublinCore, html];
+}
+
+/**
+ * Extract published/modified dates, canonical URL, language, lead image, tags and authors
+ * @param {Document} document - The source document, before Readability mutates it
+ * @param {string} [baseUrl] - Page URL, used to resolve relative URLs
+ * @returns {{publishedTime: (string|null), modifiedTime: (string|null), canonicalUrl: (string|null),
+ *            lang: (string|null), leadImage: (string|null), tags: string[],
+ *            authors: Array<{name: string, url: (string|null)}>}}
+ */
+function extractMetadata(document, baseUrl) {
+  const sources = readSources(document, baseUrl || document.baseURI);
+  const pick = field => {
+    const source = sources.find(s => (Array.isArray(s[field]) ? s[field].length > 0 : s[field]));
+    return source ? source[field] : (field === 'tags' || field === 'authors' ? [] : null);
+  };
+
+  return {
+    publishedTime: pick('publishedTime'),
+    modifiedTime: pick('modifiedTime'),
+    canonicalUrl: pick('canonicalUrl'),
+    lang: pick('lang'),
+    leadImage: pick('leadImage'),
+    tags: pick('tags'),
+    authors: pick('authors')
+  };
+}
+
+module.exports = { extractMetadata };
@@ -0,0 +1,92 @@
+const { safeFetch, MAX_RESPONSE_BYTES } = require('../urlSafety');
+const { USER_AGENT } = require('../requestHeaders');
+const { decodeHtml } = require('../decodeHtml');
+const { parseFeed, findFeedLinks, decodeFeed } = require('./parseFeed');
+const {
+  UpstreamHttpError,
+  ResponseTooLargeError,
+  TimeoutError,
+  InvalidFeedError,
+  parseRetryAfter
+} = require('../errors');
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, application/json;q=0.8, text/html;q=0.5, */*;q=0.1';
+const HTML_CONTENT_TYPE = /^\s*(text\/html|application\/xhtml\+xml)\b/i;
+
+/**
+ * Fetch a URL with the feed Accept header, as a conditional request when validators are given
+ * @param {string} url
+ * @param {Object} validators - {etag, lastModified}
+ * @returns {Promise<{response: Object, body: (Buffer|null)}>} body is null for 304 Not Modified
+ */
+async function request(url, validators) {
+  const headers = { 'User-Agent': USER_AGENT, 'Accept': FEED_ACCEPT };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  const response = await safeFetch(url, { headers, timeout: 30000 });
+  if (response.status === 304 && (validators.etag || validators.lastModified)) {
+    return { response, body: null };
+  }
+  if (!response.ok) {
+    throw new UpstreamHttpError(response.status, `Failed to fetch feed: ${response.status} ${response.statusText}`, {
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+
+  try {
+    return { response, body: await response.buffer() };
+  } catch (error) {
+    if (error.type === 'max-size') {
+      throw new ResponseTooLargeError(MAX_RESPONSE_BYTES);
+    }
+    if (error.type === 'body-timeout') {
+      throw new TimeoutError(`Timed out reading ${url}`, { cause: error });
+    }
+    throw new UpstreamHttpError(null, `Failed to fetch feed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Fetch and parse a feed. A web page is accepted in place of its feed: the
+ * first feed it links to with <link rel="alternate"> is fetched instead.
+ * @param {string} url - Feed (or page) URL
+ * @param {Object} [validators] - From the previous fetch, sent as a conditional request
+ * @param {string} [validators.etag] - Sent as If-None-Match
+ * @param {string} [validators.lastModified] - Sent as If-Modified-Since
+ * @returns {Promise<{url: string, notModified: boolean, feed: (Object|null), etag: (string|null), lastModified: (string|null)}>}
+ *   The URL of the feed itself, and the parsed feed unless it's unchanged
+ * @throws {InvalidFeedError|UpstreamHttpError|ArticleError} If the feed can't be fetched or read
+ */
+async function fetchFeed(url, validators = {}) {
+  const { response, body } = await request(url, validators);
+  if (!body) {
+    return { url, notModified: true, feed: null, etag: validators.etag || null, lastModified: validators.lastModified || null };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  let feedUrl = url;
+  let feedResponse = response;
+  let feedBody = body;
+
+  if (HTML_CONTENT_TYPE.test(contentType)) {
+    const [link] = findFeedLinks(decodeHtml(body, contentType).html, url);
+    if (!link) {
+      throw new InvalidFeedError('The page doesn\'t link to an RSS, Atom or JSON feed');
+    }
+    console.log(`Found feed ${link} on ${url}`);
+    feedUrl = link;
+    ({ response: feedResponse, body: feedBody } = await request(link, {}));
+  }
+
+  const feed = parseFeed(decodeFeed(feedBody, feedResponse.headers.get('content-type')), feedUrl);
+  return {
+    url: feedUrl,
+    notModified: false,
+    feed,
+    etag: feedResponse.headers.get('etag'),
+    lastModified: feedResponse.headers.get('last-modified')
+  };
+}
+
+module.exports = { fetchFeed };
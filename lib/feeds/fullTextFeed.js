@@ -0,0 +1,216 @@
+/**
+ * Full-text feeds: a feed whose items link to articles is fetched, each
+ * linked article is parsed, and the feed is written back out (as Atom or RSS
+ * 2.0) with the extracted article as each item's body. Feed readers can then
+ * subscribe to the Article Reader URL instead of a summary-only feed.
+ */
+
+const { JSDOM } = require('jsdom');
+const { parseArticle } = require('../parseArticle');
+const { sanitizeHtml } = require('../sanitizeHtml');
+const { assertUrlAllowed } = require('../urlSafety');
+const { embedLink, escapeXml } = require('../formats/shared');
+const { InvalidRequestError } = require('../errors');
+const { fetchFeed } = require('./fetchFeed');
+
+// Most items parsed per request, and items parsed at the same time
+const MAX_ITEMS = parseInt(process.env.FULLTEXT_FEED_MAX_ITEMS, 10) || 20;
+const CONCURRENCY = parseInt(process.env.FULLTEXT_FEED_CONCURRENCY, 10) || 3;
+
+const FORMATS = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8'
+};
+
+/**
+ * Prepare article HTML for feed readers, which drop iframes and scripts:
+ * embeds become a link to the embedded post or video
+ * @param {string} html - Sanitized article content
+ * @returns {string}
+ */
+function itemHtml(html) {
+  const fragment = JSDOM.fragment(`<div>${html}</div>`);
+  const root = fragment.firstChild;
+  root.querySelectorAll('.embed-wrapper').forEach(wrapper => {
+    const { label, url, text } = embedLink(wrapper);
+    const paragraph = root.ownerDocument.createElement('p');
+    if (text) paragraph.append(`${text} — `);
+    if (url) {
+      const link = root.ownerDocument.createElement('a');
+      link.setAttribute('href', url);
+      link.textContent = label;
+      paragraph.appendChild(link);
+    } else {
+      paragraph.append(label);
+    }
+    wrapper.replaceWith(paragraph);
+  });
+  return root.innerHTML;
+}
+
+/**
+ * Parse the article an entry links to, falling back to the entry's own summary
+ * @param {Object} entry - Feed entry from parseFeed
+ * @param {Object} [cache] - Parse cache
+ * @returns {Promise<{entry: Object, title: string, author: (string|null), published: (string|null), html: string, failed: boolean}>}
+ */
+async function fullTextItem(entry, cache) {
+  try {
+    const article = await parseArticle(entry.url, { cache });
+    return {
+      entry,
+      title: entry.title || article.title,
+      author: article.byline || null,
+      published: entry.published || article.publishedTime || null,
+      html: itemHtml(article.content),
+      failed: false
+    };
+  } catch (error) {
+    console.log(`Full-text feed: keeping the summary of ${entry.url}: ${error.message}`);
+    const note = `<p><em>The full text couldn't be extracted (${escapeXml(error.message)}).</em> ` +
+      `<a href="${escapeXml(entry.url)}">Read the original article</a></p>`;
+    const summary = entry.content ? sanitizeHtml(entry.content).html : '';
+    return {
+      entry,
+      title: entry.title || entry.url,
+      author: null,
+      published: entry.published,
+      html: note + summary,
+      failed: true
+    };
+  }
+}
+
+/**
+ * Atom ids must be URIs; feed entry ids often aren't (RSS guids can be any string)
+ * @param {Object} entry
+ * @returns {string}
+ */
+function atomId(entry) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(entry.id) ? entry.id : entry.url;
+}
+
+/**
+ * Write an Atom feed
+ * @param {Object} feed - {title, siteUrl, url, selfUrl}
+ * @param {Object[]} items - From fullTextItem
+ * @returns {string}
+ */
+function toAtom(feed, items) {
+  const updated = items.map(item => item.published).filter(Boolean).sort().pop() || new Date().toISOString();
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <id>${escapeXml(feed.selfUrl || feed.url)}</id>`,
+    `  <updated>${updated}</updated>`,
+    // Atom requires an author; entries without a byline fall back to this one
+    `  <author><name>${escapeXml(feed.title)}</name></author>`,
+    '  <generator>Article Reader</generator>'
+  ];
+  if (feed.selfUrl) lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`);
+  if (feed.siteUrl) lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`);
+
+  items.forEach(item => {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(atomId(item.entry))}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.entry.url)}"/>`,
+      `    <updated>${item.published || updated}</updated>`
+    );
+    if (item.published) lines.push(`    <published>${item.published}</published>`);
+    if (item.author) lines.push(`    <author><name>${escapeXml(item.author)}</name></author>`);
+    lines.push(`    <content type="html">${escapeXml(item.html)}</content>`, '  </entry>');
+  });
+
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write an RSS 2.0 feed
+ * @param {Object} feed - {title, siteUrl, url, selfUrl}
+ * @param {Object[]} items - From fullTextItem
+ * @returns {string}
+ */
+function toRss(feed, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl || feed.url)}</link>`,
+    `    <description>${escapeXml(`Full text of ${feed.title}`)}</description>`,
+    '    <generator>Article Reader</generator>'
+  ];
+  if (feed.selfUrl) lines.push(`    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>`);
+
+  items.forEach(item => {
+    const permaLink = item.entry.id === item.entry.url;
+    lines.push(
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.entry.url)}</link>`,
+      `      <guid isPermaLink="${permaLink}">${escapeXml(item.entry.id)}</guid>`
+    );
+    if (item.published) lines.push(`      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`);
+    // RSS authors must be email addresses, so bylines go in dc:creator
+    if (item.author) lines.push(`      <dc:creator>${escapeXml(item.author)}</dc:creator>`);
+    lines.push(`      <description>${escapeXml(item.html)}</description>`, '    </item>');
+  });
+
+  lines.push('  </channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Fetch a feed and rebuild it with the full text of each item
+ * @param {string} url - Feed URL, or a page that links to its feed
+ * @param {Object} [options]
+ * @param {string} [options.format='atom'] - atom or rss
+ * @param {number} [options.limit] - Most items, the first ones in feed order (at most FULLTEXT_FEED_MAX_ITEMS)
+ * @param {string} [options.selfUrl] - URL the full-text feed is served from, for its self link
+ * @param {Object} [options.cache] - Parse cache passed to parseArticle
+ * @returns {Promise<{content: string, contentType: string, items: number, failed: number}>}
+ * @throws {InvalidUrlError|InvalidRequestError|InvalidFeedError|ArticleError} If the URL or format
+ *   is invalid, or the feed can't be fetched or read
+ */
+async function buildFullTextFeed(url, options = {}) {
+  const format = (options.format || 'atom').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new InvalidRequestError(`Unknown feed format "${options.format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const limit = Math.min(MAX_ITEMS, Math.max(1, parseInt(options.limit, 10) || MAX_ITEMS));
+
+  const result = await fetchFeed(assertUrlAllowed(url).href);
+  const feed = {
+    title: result.feed.title || new URL(result.url).hostname,
+    siteUrl: result.feed.siteUrl,
+    url: result.url,
+    selfUrl: options.selfUrl
+  };
+
+  // Parse a few items at a time, keeping the feed's order
+  const entries = result.feed.entries.slice(0, limit);
+  const items = new Array(entries.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      items[index] = await fullTextItem(entries[index], options.cache);
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  const failed = items.filter(item => item.failed).length;
+  console.log(`Full-text feed ${feed.url}: ${items.length - failed} of ${items.length} items extracted`);
+  return {
+    content: format === 'rss' ? toRss(feed, items) : toAtom(feed, items),
+    contentType: FORMATS[format],
+    items: items.length,
+    failed
+  };
+}
+
+module.exports = { buildFullTextFeed, MAX_ITEMS };
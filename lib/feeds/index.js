@@ -0,0 +1,357 @@
+/**
+ * Feed subscriptions.
+ *
+ * Subscribed feeds are polled on a schedule with conditional requests. Each
+ * new entry is parsed with parseArticle and saved to the library as an unread
+ * article tagged with its feed (`feedId`), so feed entries arrive already
+ * cleaned. Entries that fail to parse are retried on later polls; after the
+ * last attempt the content the feed itself carries is used, if any. Feeds that
+ * fail to fetch are polled less often, doubling the wait after each failure.
+ *
+ * Subscriptions use the same stores as the library.
+ */
+
+const crypto = require('crypto');
+const { createMemoryStore, createFileStore } = require('../library');
+const { parseArticle, parseHtml } = require('../parseArticle');
+const { assertUrlAllowed } = require('../urlSafety');
+const { NotFoundError } = require('../errors');
+const { fetchFeed } = require('./fetchFeed');
+const { buildFullTextFeed } = require('./fullTextFeed');
+
+const DEFAULT_INTERVAL = 30 * 60;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_INITIAL_ENTRIES = 10;
+// Attempts at parsing an entry before falling back to the feed's content
+const MAX_ENTRY_ATTEMPTS = 3;
+// Longest wait between polls of a failing feed
+const MAX_BACKOFF = 24 * 60 * 60;
+// Entry ids remembered per feed, so entries that drop out and come back aren't added twice
+const MAX_SEEN_ENTRIES = 1000;
+// How often the scheduler looks for feeds that are due
+const TICK_INTERVAL = 60 * 1000;
+
+/**
+ * Public view of a subscription: without the entry bookkeeping
+ * @param {Object} subscription
+ * @returns {Object}
+ */
+function summarize(subscription) {
+  const { seen, pending, etag, lastModified, ...summary } = subscription;
+  return { ...summary, pendingEntries: pending.length };
+}
+
+/**
+ * Create the feed subscriptions
+ * @param {Object} options
+ * @param {Object} options.library - Library that parsed entries are saved to
+ * @param {Object} [options.store] - Store implementation for subscriptions (default: in-memory)
+ * @param {Object} [options.cache] - Parse cache passed to parseArticle
+ * @param {number} [options.interval=1800] - Seconds between polls of a feed
+ * @param {number} [options.concurrency=2] - Entries of one feed parsed at the same time
+ * @param {number} [options.initialEntries=10] - Newest entries added when subscribing; older ones are skipped
+ * @returns {Object} Feeds with subscribe, list, get, refresh, unsubscribe, start and stop
+ */
+function createFeeds(options) {
+  const store = options.store || createMemoryStore();
+  const library = options.library;
+  const interval = options.interval || DEFAULT_INTERVAL;
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const initialEntries = options.initialEntries !== undefined ? options.initialEntries : DEFAULT_INITIAL_ENTRIES;
+  // Feeds being polled, so a manual refresh and the scheduler don't poll the same feed at once
+  const polling = new Map();
+  let timer = null;
+  let ticking = false;
+
+  /**
+   * Read a subscription or fail
+   * @param {string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError}
+   */
+  async function getSubscription(id) {
+    const subscription = await store.get(String(id));
+    if (!subscription) {
+      throw new NotFoundError('Feed not found');
+    }
+    return subscription;
+  }
+
+  /**
+   * Parse an entry and save it to the library
+   * @param {Object} subscription
+   * @param {Object} entry - Pending entry with its attempt count
+   * @returns {Promise<string|null>} 'saved', 'skipped' when given up on, or null to retry on the next poll
+   */
+  async function ingest(subscription, entry) {
+    let article;
+    try {
+      article = await parseArticle(entry.url, { cache: options.cache });
+    } catch (error) {
+      entry.attempts += 1;
+      console.log(`Feed ${subscription.title}: failed to parse ${entry.url} (attempt ${entry.attempts}): ${error.message}`);
+      if (entry.attempts < MAX_ENTRY_ATTEMPTS) return null;
+      try {
+        if (!entry.content) throw error;
+        article = await parseHtml(entry.content, entry.url);
+      } catch (fallbackError) {
+        console.log(`Feed ${subscription.title}: giving up on ${entry.url}: ${fallbackError.message}`);
+        return 'skipped';
+      }
+    }
+
+    if (!article.title || article.title === 'Untitled article') article.title = entry.title || article.title;
+    if (!article.publishedTime) article.publishedTime = entry.published;
+    await library.save(article, { url: entry.url, feedId: subscription.id });
+    return 'saved';
+  }
+
+  /**
+   * Fetch a feed, queue its new entries and ingest the queue
+   * @param {Object} subscription
+   * @returns {Promise<{subscription: Object, added: number}>}
+   */
+  async function pollSubscription(subscription) {
+    const now = Date.now();
+    const updated = { ...subscription, lastPolledAt: new Date(now).toISOString() };
+
+    try {
+      const result = await fetchFeed(subscription.url, { etag: subscription.etag, lastModified: subscription.lastModified });
+      updated.etag = result.etag;
+      updated.lastModified = result.lastModified;
+      updated.failures = 0;
+      updated.lastError = null;
+      updated.nextPollAt = new Date(now + interval * 1000).toISOString();
+
+      if (!result.notModified) {
+        updated.title = subscription.customTitle ? subscription.title : (result.feed.title || subscription.title);
+        updated.siteUrl = result.feed.siteUrl || subscription.siteUrl;
+        const seen = new Set(subscription.seen);
+        const queued = new Set(subscription.pending.map(entry => entry.id));
+        let fresh = result.feed.entries.filter(entry => !seen.has(entry.id) && !queued.has(entry.id));
+        // On the first poll only the newest entries are added; the rest are marked seen
+        if (subscription.seen.length === 0 && subscription.pending.length === 0 && fresh.length > initialEntries) {
+          const sorted = fresh.slice().sort((a, b) => (b.published || '').localeCompare(a.published || ''));
+          const skipped = new Set(sorted.slice(initialEntries).map(entry => entry.id));
+          updated.seen = subscription.seen.concat(Array.from(skipped));
+          fresh = fresh.filter(entry => !skipped.has(entry.id));
+        }
+        updated.pending = subscription.pending.concat(fresh.map(entry => ({ ...entry, attempts: 0 })));
+      }
+    } catch (error) {
+      updated.failures = (subscription.failures || 0) + 1;
+      updated.lastError = error.message;
+      const backoff = Math.min(MAX_BACKOFF, interval * 2 ** updated.failures);
+      const wait = Math.max(backoff, error.retryAfter || 0);
+      updated.nextPollAt = new Date(now + wait * 1000).toISOString();
+      console.log(`Feed ${subscription.title || subscription.url} failed (${updated.failures} in a row), next poll in ${wait}s: ${error.message}`);
+    }
+
+    // Ingest the queue, a few entries at a time
+    const queue = updated.pending.slice();
+    const done = new Set();
+    let added = 0;
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        try {
+          const result = await ingest(updated, entry);
+          if (result) done.add(entry.id);
+          if (result === 'saved') added += 1;
+        } catch (error) {
+          console.error(`Feed ${updated.title}: failed to save ${entry.url}:`, error);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    updated.pending = updated.pending.filter(entry => !done.has(entry.id));
+    updated.seen = updated.seen.concat(Array.from(done)).slice(-MAX_SEEN_ENTRIES);
+
+    // The feed may have been unsubscribed while it was polled
+    if (await store.get(subscription.id)) {
+      await store.set(subscription.id, updated);
+    }
+    if (added > 0) console.log(`Feed ${updated.title}: ${added} new entries`);
+    return { subscription: updated, added };
+  }
+
+  /**
+   * Poll a feed unless it is already being polled, in which case wait for that poll
+   * @param {string} id
+   * @returns {Promise<{subscription: Object, added: number}>}
+   */
+  async function poll(id) {
+    if (!polling.has(id)) {
+      const running = getSubscription(id)
+        .then(pollSubscription)
+        .finally(() => polling.delete(id));
+      polling.set(id, running);
+    }
+    return polling.get(id);
+  }
+
+  /**
+   * Poll every feed that is due, one feed at a time
+   */
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = new Date().toISOString();
+      const due = (await store.list()).filter(subscription => subscription.nextPollAt <= now);
+      for (const subscription of due) {
+        await poll(subscription.id).catch(error => console.error(`Failed to poll feed ${subscription.url}:`, error));
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Add each feed's count of unread library items to its summary
+   * @param {Object[]} subscriptions
+   * @returns {Promise<Object[]>} Summaries with `unread`
+   */
+  async function withUnread(subscriptions) {
+    const counts = await library.countBy('feedId', { status: 'unread' });
+    return subscriptions.map(subscription => ({ ...summarize(subscription), unread: counts[subscription.id] || 0 }));
+  }
+
+  return {
+    /**
+     * Subscribe to a feed. The feed is fetched right away to check it; its
+     * entries are added in the background.
+     * @param {string} url - Feed URL, or a page that links to its feed
+     * @param {Object} [fields]
+     * @param {string} [fields.title] - Name shown instead of the feed's title
+     * @returns {Promise<{feed: Object, created: boolean}>} The subscription; created is false
+     *   when the feed was already subscribed
+     * @throws {InvalidUrlError|BlockedUrlError|InvalidFeedError|ArticleError} If the URL isn't a usable feed
+     */
+    async subscribe(url, fields = {}) {
+      const requested = assertUrlAllowed(url).href;
+      const subscriptions = await store.list();
+      const matches = subscription => subscription.url === requested || subscription.sourceUrl === requested;
+      const known = subscriptions.find(matches);
+      if (known) return { feed: (await withUnread([known]))[0], created: false };
+
+      const result = await fetchFeed(requested);
+      const existing = subscriptions.find(subscription => subscription.url === result.url);
+      if (existing) return { feed: (await withUnread([existing]))[0], created: false };
+
+      const title = typeof fields.title === 'string' && fields.title.trim() ? fields.title.trim() : null;
+      const subscription = {
+        id: crypto.randomUUID(),
+        url: result.url,
+        sourceUrl: requested,
+        title: title || result.feed.title || new URL(result.url).hostname,
+        customTitle: !!title,
+        siteUrl: result.feed.siteUrl,
+        etag: null,
+        lastModified: null,
+        createdAt: new Date().toISOString(),
+        lastPolledAt: null,
+        nextPollAt: new Date().toISOString(),
+        failures: 0,
+        lastError: null,
+        seen: [],
+        pending: []
+      };
+      await store.set(subscription.id, subscription);
+      console.log(`Subscribed to ${subscription.title} (${subscription.url})`);
+
+      poll(subscription.id).catch(error => console.error(`Failed to poll feed ${subscription.url}:`, error));
+      return { feed: (await withUnread([subscription]))[0], created: true };
+    },
+
+    /**
+     * List subscriptions with their unread counts, by title
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+      const subscriptions = (await store.list()).sort((a, b) => a.title.localeCompare(b.title));
+      return withUnread(subscriptions);
+    },
+
+    /**
+     * Read one subscription
+     * @param {string} id
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async get(id) {
+      return (await withUnread([await getSubscription(id)]))[0];
+    },
+
+    /**
+     * Poll a feed now, waiting for its new entries to be parsed
+     * @param {string} id
+     * @returns {Promise<{feed: Object, added: number}>}
+     * @throws {NotFoundError}
+     */
+    async refresh(id) {
+      const { subscription, added } = await poll(String(id));
+      return { feed: (await withUnread([subscription]))[0], added };
+    },
+
+    /**
+     * Stop following a feed. Articles it added stay in the library.
+     * @param {string} id
+     * @throws {NotFoundError}
+     */
+    async unsubscribe(id) {
+      if (!(await store.delete(String(id)))) {
+        throw new NotFoundError('Feed not found');
+      }
+    },
+
+    /**
+     * Start polling feeds that are due
+     */
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, TICK_INTERVAL);
+      // Polling shouldn't keep the process alive on its own
+      timer.unref();
+      setTimeout(tick, 1000).unref();
+    },
+
+    /**
+     * Stop polling
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Create the feeds described by environment variables, used by server.js
+ *   LIBRARY_STORE        - file (default) or memory, as for the library
+ *   FEEDS_DIR            - Directory for the file store (default .data/feeds)
+ *   FEED_POLL_INTERVAL   - Seconds between polls of a feed (default 1800)
+ *   FEED_CONCURRENCY     - Entries of one feed parsed at the same time (default 2)
+ *   FEED_INITIAL_ENTRIES - Newest entries added when subscribing (default 10)
+ * @param {Object} options
+ * @param {Object} options.library - Library that entries are saved to
+ * @param {Object} [options.cache] - Parse cache
+ * @returns {Object} Feeds
+ */
+function createFeedsFromEnv(options) {
+  const kind = (process.env.LIBRARY_STORE || 'file').toLowerCase();
+  const store = kind === 'memory'
+    ? createMemoryStore()
+    : createFileStore({ dir: process.env.FEEDS_DIR || '.data/feeds' });
+  const initialEntries = parseInt(process.env.FEED_INITIAL_ENTRIES, 10);
+  return createFeeds({
+    ...options,
+    store,
+    interval: parseInt(process.env.FEED_POLL_INTERVAL, 10) || undefined,
+    concurrency: parseInt(process.env.FEED_CONCURRENCY, 10) || undefined,
+    initialEntries: Number.isNaN(initialEntries) ? undefined : initialEntries
+  });
+}
+
+module.exports = { createFeeds, createFeedsFromEnv, buildFullTextFeed };
@@ -0,0 +1,243 @@
+/**
+ * Feed parsing: RSS 2.0 (and RSS 1.0/RDF), Atom and JSON Feed, read into one
+ * shape. Also finds the feeds a web page advertises, so a blog's address can
+ * be subscribed to as well as its feed's.
+ */
+
+const { JSDOM } = require('jsdom');
+const whatwgEncoding = require('whatwg-encoding');
+const { InvalidFeedError } = require('../errors');
+
+// <link rel="alternate"> types that name a feed
+const FEED_LINK_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json'];
+
+/**
+ * Decode a feed document. XML feeds name their encoding in the XML
+ * declaration; JSON feeds are UTF-8.
+ * @param {Buffer} bytes
+ * @param {string} [contentType]
+ * @returns {string}
+ */
+function decodeFeed(bytes, contentType) {
+  const charset = ((contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)/i) || [])[1];
+  const declared = (bytes.slice(0, 200).toString('latin1').match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/) || [])[1];
+  const encoding = whatwgEncoding.getBOMEncoding(bytes) ||
+    whatwgEncoding.labelToName(charset) ||
+    whatwgEncoding.labelToName(declared) ||
+    'UTF-8';
+  return whatwgEncoding.decode(bytes, encoding);
+}
+
+/**
+ * Resolve a link against the feed's URL
+ * @param {string} href
+ * @param {string} baseUrl
+ * @returns {string|null} Absolute http(s) URL, or null
+ */
+function absoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a feed date into ISO 8601
+ * @param {string} value - RFC 822 (RSS) or RFC 3339 (Atom, JSON Feed) date
+ * @returns {string|null}
+ */
+function isoDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Text of the first direct child with one of the given names
+ * @param {Element} element
+ * @param {string[]} names - Qualified names, such as "title" or "dc:date"
+ * @returns {string}
+ */
+function childText(element, names) {
+  for (const name of names) {
+    const child = Array.from(element.children).find(node => node.tagName === name);
+    if (child && child.textContent.trim()) return child.textContent.trim();
+  }
+  return '';
+}
+
+/**
+ * Read an Atom text construct (title, summary, content) as HTML
+ * @param {Element|undefined} element
+ * @returns {string|null}
+ */
+function atomHtml(element) {
+  if (!element) return null;
+  const type = element.getAttribute('type') || 'text';
+  if (type === 'xhtml') {
+    const div = Array.from(element.children).find(node => node.localName === 'div');
+    return div ? div.innerHTML : element.innerHTML;
+  }
+  if (type === 'html' || type === 'text/html') return element.textContent;
+  // Plain text becomes an escaped paragraph
+  const text = element.textContent.trim();
+  return text ? `<p>${text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p>` : null;
+}
+
+/**
+ * Read an Atom title as plain text; titles with type="html" hold escaped markup
+ * @param {Element} element
+ * @returns {string|null}
+ */
+function atomTitle(element) {
+  const title = Array.from(element.children).find(node => node.tagName === 'title');
+  if (!title) return null;
+  const text = title.getAttribute('type') === 'html'
+    ? JSDOM.fragment(title.textContent).textContent
+    : title.textContent;
+  return text.replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Read an RSS 2.0 or RSS 1.0 document
+ * @param {Document} document
+ * @param {string} feedUrl
+ * @returns {Object} Feed
+ */
+function readRss(document, feedUrl) {
+  const channel = document.getElementsByTagName('channel')[0];
+  const entries = Array.from(document.getElementsByTagName('item')).map(item => {
+    const guid = Array.from(item.children).find(node => node.tagName === 'guid');
+    const link = childText(item, ['link']) ||
+      (guid && guid.getAttribute('isPermaLink') !== 'false' ? guid.textContent : '');
+    return {
+      id: (guid && guid.textContent.trim()) || item.getAttribute('rdf:about') || link,
+      url: absoluteUrl(link, feedUrl),
+      title: childText(item, ['title']) || null,
+      published: isoDate(childText(item, ['pubDate', 'dc:date'])),
+      content: childText(item, ['content:encoded', 'description']) || null
+    };
+  });
+  return {
+    title: channel ? childText(channel, ['title']) || null : null,
+    siteUrl: channel ? absoluteUrl(childText(channel, ['link']), feedUrl) : null,
+    entries
+  };
+}
+
+/**
+ * Read an Atom document
+ * @param {Document} document
+ * @param {string} feedUrl
+ * @returns {Object} Feed
+ */
+function readAtom(document, feedUrl) {
+  const alternate = element => {
+    const links = Array.from(element.children).filter(node => node.tagName === 'link');
+    const link = links.find(node => (node.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+    return link ? absoluteUrl(link.getAttribute('href'), feedUrl) : null;
+  };
+  const feed = document.documentElement;
+  const entries = Array.from(feed.children).filter(node => node.tagName === 'entry').map(entry => {
+    const url = alternate(entry);
+    const child = name => Array.from(entry.children).find(node => node.tagName === name);
+    return {
+      id: childText(entry, ['id']) || url,
+      url,
+      title: atomTitle(entry),
+      published: isoDate(childText(entry, ['published', 'updated'])),
+      content: atomHtml(child('content')) || atomHtml(child('summary'))
+    };
+  });
+  return { title: atomTitle(feed), siteUrl: alternate(feed), entries };
+}
+
+/**
+ * Read a JSON Feed document
+ * @param {Object} json
+ * @param {string} feedUrl
+ * @returns {Object} Feed
+ */
+function readJsonFeed(json, feedUrl) {
+  const entries = (Array.isArray(json.items) ? json.items : []).map(item => {
+    const url = absoluteUrl(item.url || item.external_url, feedUrl);
+    const text = typeof item.content_text === 'string' && item.content_text.trim()
+      ? `<p>${item.content_text.trim().replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p>`
+      : null;
+    return {
+      id: item.id !== undefined && item.id !== null ? String(item.id) : url,
+      url,
+      title: typeof item.title === 'string' ? item.title.trim() || null : null,
+      published: isoDate(item.date_published || item.date_modified),
+      content: typeof item.content_html === 'string' ? item.content_html : text
+    };
+  });
+  return {
+    title: typeof json.title === 'string' ? json.title.trim() || null : null,
+    siteUrl: absoluteUrl(json.home_page_url, feedUrl),
+    entries
+  };
+}
+
+/**
+ * Parse a feed document
+ * @param {string} text - The decoded document
+ * @param {string} feedUrl - URL the feed was fetched from, for relative links
+ * @returns {{title: (string|null), siteUrl: (string|null), entries: Object[]}} Entries in document
+ *   order as {id, url, title, published, content}; entries without an id or URL are left out
+ * @throws {InvalidFeedError} If the document isn't a feed
+ */
+function parseFeed(text, feedUrl) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let feed;
+
+  if (trimmed.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (e) {
+      throw new InvalidFeedError('The feed is not valid JSON');
+    }
+    if (typeof json.version !== 'string' || !json.version.startsWith('https://jsonfeed.org/version/')) {
+      throw new InvalidFeedError('The JSON document is not a JSON Feed');
+    }
+    feed = readJsonFeed(json, feedUrl);
+  } else {
+    let document;
+    try {
+      document = new JSDOM(trimmed, { contentType: 'text/xml' }).window.document;
+    } catch (e) {
+      throw new InvalidFeedError(`The feed is not valid XML: ${e.message.split('\n')[0]}`);
+    }
+    const root = document.documentElement.localName;
+    if (root === 'rss' || root === 'RDF') {
+      feed = readRss(document, feedUrl);
+    } else if (root === 'feed') {
+      feed = readAtom(document, feedUrl);
+    } else {
+      throw new InvalidFeedError(`Not an RSS or Atom feed (root element <${document.documentElement.tagName}>)`);
+    }
+  }
+
+  feed.entries = feed.entries.filter(entry => entry.id && entry.url);
+  return feed;
+}
+
+/**
+ * Find the feeds a web page links to with <link rel="alternate">
+ * @param {string} html
+ * @param {string} pageUrl
+ * @returns {string[]} Feed URLs, in page order
+ */
+function findFeedLinks(html, pageUrl) {
+  const { document } = new JSDOM(html, { url: pageUrl }).window;
+  return Array.from(document.querySelectorAll('link[rel~="alternate"][href]'))
+    .filter(link => FEED_LINK_TYPES.includes((link.getAttribute('type') || '').toLowerCase()))
+    .map(link => absoluteUrl(link.getAttribute('href'), pageUrl))
+    .filter(Boolean);
+}
+
+module.exports = { parseFeed, findFeedLinks, decodeFeed };
@@ -0,0 +1,54 @@
+/**
+ * Output formats for parsed articles.
+ *
+ *   html       - The article content as an HTML fragment (the default)
+ *   markdown   - GitHub-flavored Markdown with a title/byline header
+ *   text       - Plain text with a title/byline header
+ *   standalone - A complete HTML document with inline reader styles
+ *
+ * The parse cache always stores the html format; other formats are rendered
+ * from it on the way out.
+ */
+
+const { InvalidRequestError } = require('../errors');
+const { toMarkdown } = require('./markdown');
+const { toText } = require('./text');
+const { toStandaloneHtml } = require('./standalone');
+
+const FORMATS = ['html', 'markdown', 'text', 'standalone'];
+
+// Renderers for everything but html, which is the content as parsed
+const RENDERERS = {
+  markdown: toMarkdown,
+  text: toText,
+  standalone: toStandaloneHtml
+};
+
+/**
+ * Check a requested format name
+ * @param {string} [format] - Format name, case-insensitive; empty means html
+ * @returns {string} The normalized format name
+ * @throws {InvalidRequestError} If the format is unknown
+ */
+function normalizeFormat(format) {
+  const name = String(format || 'html').trim().toLowerCase();
+  if (!FORMATS.includes(name)) {
+    throw new InvalidRequestError(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Render a parsed article in the given format
+ * @param {Object} article - Parsed article with HTML content
+ * @param {string} [format='html'] - One of FORMATS
+ * @returns {Object} The article with `content` in the requested format and `format` set
+ * @throws {InvalidRequestError} If the format is unknown
+ */
+function formatArticle(article, format) {
+  const name = normalizeFormat(format);
+  const content = name === 'html' ? article.content : RENDERERS[name](article);
+  return { ...article, format: name, content };
+}
+
+module.exports = { FORMATS, normalizeFormat, formatArticle };
@@ -0,0 +1,219 @@
+/**
+ * Article content to Markdown (GitHub-flavored, for notes and wikis).
+ *
+ * Turndown does the conversion; the rules here cover what the article content
+ * adds on top of plain HTML:
+ *   - Embed wrappers become links to the embedded item
+ *   - Footnote references become [^label], with the notes collected at the end
+ *   - Tables without a header row use their first row as the header, since
+ *     GFM tables need one
+ *   - <pre> blocks without <code> become fenced code blocks too
+ */
+
+const { JSDOM } = require('jsdom');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const { embedLink, bylineText, sourceUrl } = require('./shared');
+
+// Containers sites use for footnote and endnote lists
+const FOOTNOTE_CONTAINERS = '.footnotes, .footnote, .endnotes, [role="doc-endnotes"], section[id*="footnote"]';
+// Links back from a note to its reference, also with the sanitizer's id prefix
+const BACKLINKS = '.footnote-backref, .footnote-back, [role="doc-backlink"], a[href^="#fnref"], a[href^="#ref"], ' +
+  'a[href^="#article-fnref"], a[href^="#article-ref"]';
+
+const turndownService = createTurndownService();
+
+/**
+ * Escape a URL for use inside Markdown link parentheses
+ * @param {string} url
+ * @returns {string}
+ */
+function markdownUrl(url) {
+  return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Escape text used as a Markdown link label
+ * @param {string} text
+ * @returns {string}
+ */
+function markdownLabel(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Configure Turndown with GFM and the article-specific rules
+ * @returns {TurndownService}
+ */
+function createTurndownService() {
+  const service = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '_',
+    hr: '---'
+  });
+  service.use(gfm);
+  service.remove(['script', 'style', 'noscript', 'template']);
+
+  service.addRule('embed', {
+    filter: node => node.nodeName === 'DIV' && node.classList.contains('embed-wrapper'),
+    replacement: (content, node) => {
+      const { label, url, text } = embedLink(node);
+      if (!url) return '';
+      const quote = text ? `> ${text}\n\n` : '';
+      return `\n\n${quote}[${markdownLabel(label)}](${markdownUrl(url)})\n\n`;
+    }
+  });
+
+  service.addRule('footnoteReference', {
+    filter: node => node.nodeType === 1 && node.hasAttribute('data-footnote-ref'),
+    replacement: (content, node) => `[^${node.getAttribute('data-footnote-ref')}]`
+  });
+
+  service.addRule('preformatted', {
+    filter: node => node.nodeName === 'PRE' && !(node.firstChild && node.firstChild.nodeName === 'CODE'),
+    replacement: (content, node) => {
+      const language = ((node.className || '').match(/(?:language|lang)-(\S+)/) || [null, ''])[1];
+      const code = node.textContent.replace(/\n$/, '');
+      // Use a longer fence when the code itself contains one
+      const fence = code.includes('```') ? '~~~~' : '```';
+      return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+    }
+  });
+
+  // Table cells must stay on one line; multi-paragraph cells are joined
+  service.addRule('tableCellSingleLine', {
+    filter: ['th', 'td'],
+    replacement: (content, node) => {
+      const index = Array.prototype.indexOf.call(node.parentNode.childNodes, node);
+      const text = content.replace(/\n+/g, ' ').replace(/\|/g, '\\|').trim();
+      return `${index === 0 ? '| ' : ' '}${text} |`;
+    }
+  });
+
+  return service;
+}
+
+/**
+ * Mark footnote references and pull the notes out of the content
+ * @param {HTMLElement} container - Article content, modified in place
+ * @returns {Array<{label: string, element: HTMLElement}>} Notes in reference order
+ */
+function extractFootnotes(container) {
+  const byId = new Map();
+  container.querySelectorAll('[id]').forEach(element => byId.set(element.id, element));
+
+  const notes = [];
+  const labels = new Map(); // note element -> label
+
+  container.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    let id;
+    try {
+      id = decodeURIComponent(anchor.getAttribute('href').slice(1));
+    } catch (e) {
+      return;
+    }
+    const target = byId.get(id);
+    if (!target || target.contains(anchor)) return;
+
+    const isReference = anchor.matches('[role="doc-noteref"], .footnote-ref, [rel="footnote"]') || !!anchor.closest('sup');
+    const isNote = target.matches('li, [role="doc-endnote"], [role="doc-footnote"]') || !!target.closest(FOOTNOTE_CONTAINERS);
+    if (!isReference || !isNote) return;
+
+    if (!labels.has(target)) {
+      const text = anchor.textContent.replace(/[[\]\s]/g, '');
+      const label = /^[\w-]{1,20}$/.test(text) && !notes.some(note => note.label === text) ? text : String(notes.length + 1);
+      labels.set(target, label);
+      notes.push({ label, element: target });
+    }
+
+    // Replace the whole <sup> when the link is all it holds
+    const sup = anchor.closest('sup');
+    const reference = sup && sup.textContent.trim() === anchor.textContent.trim() ? sup : anchor;
+    reference.setAttribute('data-footnote-ref', labels.get(target));
+  });
+
+  const lists = new Set(notes.map(note => note.element.parentElement));
+  notes.forEach(note => {
+    note.element.querySelectorAll(BACKLINKS).forEach(link => link.remove());
+    note.element.remove();
+  });
+
+  // Drop the emptied note lists, and sections left holding only a "Notes" heading or a rule
+  // (Readability strips class names, so this goes by structure)
+  lists.forEach(list => {
+    if (!list || !container.contains(list) || list.querySelector('li')) return;
+    let empty = list;
+    while (empty.parentElement && empty.parentElement !== container &&
+           !empty.parentElement.querySelector('img, iframe, .embed-wrapper') &&
+           !empty.parentElement.textContent.replace(/(?:foot|end)?notes?|references?|sources?/gi, '').trim()) {
+      empty = empty.parentElement;
+    }
+    empty.remove();
+  });
+
+  return notes;
+}
+
+/**
+ * Give tables without a header row one, using their first row
+ * @param {HTMLElement} container - Article content, modified in place
+ */
+function promoteHeaderRows(container) {
+  container.querySelectorAll('table').forEach(table => {
+    if (table.querySelector('thead')) return;
+    const firstRow = table.rows[0];
+    if (!firstRow) return;
+    Array.from(firstRow.cells).forEach(cell => {
+      if (cell.nodeName === 'TH') return;
+      const header = cell.ownerDocument.createElement('th');
+      Array.from(cell.attributes).forEach(attribute => header.setAttribute(attribute.name, attribute.value));
+      while (cell.firstChild) header.appendChild(cell.firstChild);
+      cell.replaceWith(header);
+    });
+  });
+}
+
+/**
+ * Convert article content HTML to Markdown
+ * @param {string} html - Article content
+ * @returns {string} Markdown body, with footnote definitions at the end
+ */
+function htmlToMarkdown(html) {
+  const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+  const container = document.createElement('div');
+  container.innerHTML = html;
+
+  const notes = extractFootnotes(container);
+  promoteHeaderRows(container);
+
+  let markdown = turndownService.turndown(container);
+  if (notes.length > 0) {
+    const definitions = notes.map(note => {
+      const text = turndownService.turndown(note.element.innerHTML).trim();
+      // Continuation lines are indented so they stay part of the note
+      return `[^${note.label}]: ${text.replace(/\n/g, '\n    ')}`;
+    });
+    markdown += `\n\n${definitions.join('\n\n')}`;
+  }
+  return markdown.trim();
+}
+
+/**
+ * Render a parsed article as a Markdown document: title, byline, source link and body
+ * @param {Object} article - Parsed article
+ * @returns {string}
+ */
+function toMarkdown(article) {
+  const parts = [];
+  if (article.title) parts.push(`# ${article.title.replace(/\s+/g, ' ').trim()}`);
+  const byline = bylineText(article);
+  if (byline) parts.push(`_${byline.replace(/_/g, '\\_')}_`);
+  const source = sourceUrl(article);
+  if (source) parts.push(`[Original article](${markdownUrl(source)})`);
+  parts.push(htmlToMarkdown(article.content || ''));
+  return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = { toMarkdown, htmlToMarkdown };
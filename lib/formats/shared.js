@@ -0,0 +1,70 @@
+/**
+ * Helpers shared by the export formats.
+ */
+
+// Characters XML doesn't allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Find the link an embed wrapper stands for: the provider's public URL,
+ * else the first link or player URL inside it
+ * @param {HTMLElement} wrapper - div.embed-wrapper from the article content
+ * @returns {{label: string, url: (string|null), text: string}} Link label, URL, and the
+ *   quoted text of blockquote embeds (empty for players)
+ */
+function embedLink(wrapper) {
+  const type = (Array.from(wrapper.classList).find(name => name.startsWith('embed-') && name !== 'embed-wrapper') || '')
+    .replace(/^embed-/, '');
+  const iframe = wrapper.querySelector('iframe[src]');
+  const anchor = wrapper.querySelector('a[href]');
+  const url = wrapper.getAttribute('data-embed-url') ||
+    (anchor && anchor.getAttribute('href')) ||
+    (iframe && iframe.getAttribute('src')) ||
+    null;
+
+  const quote = wrapper.querySelector('blockquote p');
+  let label = iframe && iframe.getAttribute('title');
+  if (!label && type === 'twitter') label = 'Post on X';
+  if (!label) label = type ? `${type.charAt(0).toUpperCase()}${type.slice(1)} embed` : 'Embedded media';
+
+  return { label, url, text: quote ? quote.textContent.replace(/\s+/g, ' ').trim() : '' };
+}
+
+/**
+ * Build the byline line shown under the title: author, site and date
+ * @param {Object} article - Parsed article
+ * @returns {string} Parts joined with " · ", or an empty string
+ */
+function bylineText(article) {
+  const parts = [];
+  if (article.byline) parts.push(article.byline);
+  if (article.siteName && article.siteName !== article.byline) parts.push(article.siteName);
+  if (article.publishedTime) parts.push(article.publishedTime.slice(0, 10));
+  return parts.join(' · ');
+}
+
+/**
+ * Pick the URL an export links back to
+ * @param {Object} article - Parsed article
+ * @returns {string|null}
+ */
+function sourceUrl(article) {
+  return article.canonicalUrl || (article.pages && article.pages[0]) || null;
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = { embedLink, bylineText, sourceUrl, escapeXml, INVALID_XML_CHARS };
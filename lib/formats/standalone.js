@@ -0,0 +1,103 @@
+/**
+ * Article as a single self-contained HTML file: title, metadata and content
+ * with the reader styles inlined, so it opens offline in any browser.
+ * Images and embeds still load from their original sites.
+ */
+
+const { bylineText, sourceUrl } = require('./shared');
+
+const READER_CSS = `
+  :root { color-scheme: light dark; --text: #222; --muted: #666; --background: #fff; --rule: #e5e5e5; --code: #f5f5f5; --link: #0066cc; }
+  @media (prefers-color-scheme: dark) {
+    :root { --text: #ddd; --muted: #999; --background: #1b1b1b; --rule: #333; --code: #262626; --link: #6cb4ff; }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 40px 20px; background: var(--background); color: var(--text);
+    font-family: Georgia, "Times New Roman", serif; font-size: 19px; line-height: 1.7; }
+  main { max-width: 700px; margin: 0 auto; }
+  header { margin-bottom: 32px; padding-bottom: 20px; border-bottom: 1px solid var(--rule); }
+  h1 { font-size: 2em; line-height: 1.25; margin: 0 0 12px; }
+  .meta { color: var(--muted); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; font-size: 15px; }
+  .meta p { margin: 4px 0; }
+  a { color: var(--link); }
+  img, video { max-width: 100%; height: auto; }
+  figure { margin: 24px 0; }
+  figcaption { color: var(--muted); font-size: 0.85em; }
+  blockquote { margin: 20px 0; padding-left: 20px; border-left: 3px solid var(--rule); color: var(--muted); }
+  pre, code { font-family: Menlo, Consolas, monospace; font-size: 0.85em; background: var(--code); }
+  pre { padding: 14px; overflow-x: auto; line-height: 1.5; }
+  table { border-collapse: collapse; width: 100%; margin: 20px 0; font-size: 0.9em; }
+  th, td { border: 1px solid var(--rule); padding: 6px 10px; text-align: left; }
+  hr { border: 0; border-top: 1px solid var(--rule); margin: 32px 0; }
+  .hero { display: block; width: 100%; margin-bottom: 24px; }
+  .embed-wrapper { margin: 24px 0; }
+  .embed-wrapper iframe, .embed-wrapper blockquote { max-width: 100%; }
+  @media print { body { padding: 0; } a { color: inherit; } }
+`;
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a parsed article as a standalone HTML document
+ * @param {Object} article - Parsed article
+ * @returns {string}
+ */
+function toStandaloneHtml(article) {
+  const title = (article.title || 'Untitled article').replace(/\s+/g, ' ').trim();
+  const content = article.content || '';
+  const source = sourceUrl(article);
+  const byline = bylineText(article);
+
+  const head = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`
+  ];
+  if (article.byline) head.push(`<meta name="author" content="${escapeHtml(article.byline)}">`);
+  if (article.excerpt) head.push(`<meta name="description" content="${escapeHtml(article.excerpt)}">`);
+  if (article.publishedTime) head.push(`<meta name="date" content="${escapeHtml(article.publishedTime)}">`);
+  if (source) head.push(`<link rel="canonical" href="${escapeHtml(source)}">`);
+  head.push(`<style>${READER_CSS}</style>`);
+
+  const meta = [];
+  if (byline) meta.push(`<p>${escapeHtml(byline)}</p>`);
+  if (source) meta.push(`<p><a href="${escapeHtml(source)}">Original article</a></p>`);
+
+  // Same rule as the reader view: show the lead image unless the content has it
+  const hero = article.leadImage && !content.includes(article.leadImage)
+    ? `<img class="hero" src="${escapeHtml(article.leadImage)}" alt="">\n`
+    : '';
+
+  const lang = article.lang ? ` lang="${escapeHtml(article.lang)}"` : '';
+  return `<!DOCTYPE html>
+<html${lang}>
+<head>
+${head.join('\n')}
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${meta.join('')}</div>
+</header>
+${hero}<article>
+${content}
+</article>
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { toStandaloneHtml };
@@ -0,0 +1,187 @@
+/**
+ * Article content to plain text.
+ *
+ * Blocks are separated by blank lines, lists keep their bullets and numbers,
+ * table rows are written one per line with " | " between cells, embeds become
+ * "<label>: <url>" lines, and footnote references are written as [1].
+ */
+
+const { JSDOM } = require('jsdom');
+const { embedLink, bylineText, sourceUrl } = require('./shared');
+
+// Elements whose content starts and ends a block of text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main', 'nav', 'p', 'section', 'summary'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'video', 'audio', 'svg', 'button']);
+
+// Stands in for <br> while whitespace is collapsed
+const LINE_BREAK = '\u0001';
+
+/**
+ * Indent every line after the first
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+function hangingIndent(text, indent) {
+  return text.split('\n').join(`\n${indent}`);
+}
+
+/**
+ * Render an element's content as blocks of text
+ * @param {Node} root
+ * @returns {string[]} Blocks, without surrounding blank lines
+ */
+function renderBlocks(root) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline
+      .replace(/[ \t\r\n\f]+/g, ' ')
+      .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), '\n')
+      .trim();
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  const visit = node => {
+    if (node.nodeType === 3) {
+      inline += node.textContent;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (node.classList.contains('embed-wrapper')) {
+      flush();
+      const { label, url, text } = embedLink(node);
+      if (text) blocks.push(`"${text}"`);
+      if (url) blocks.push(`${label}: ${url}`);
+      return;
+    }
+    if (SKIP_TAGS.has(tag)) return;
+
+    switch (tag) {
+      case 'br':
+        inline += LINE_BREAK;
+        return;
+      case 'a':
+        // Footnote backlinks ("↩") mean nothing without the links
+        if (/^[\s\u21a9\u2191\u2934\ufe0e^]+$/.test(node.textContent)) return;
+        break;
+      case 'img': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        if (alt) inline += ` [Image: ${alt}] `;
+        return;
+      }
+      case 'sup': {
+        // Footnote references: "word[1]" instead of "word1"
+        const label = node.textContent.replace(/[[\]\s]/g, '');
+        if (node.querySelector('a[href^="#"]') && /^[\w-]{1,20}$/.test(label)) {
+          inline += `[${label}]`;
+          return;
+        }
+        break;
+      }
+      case 'pre':
+        flush();
+        blocks.push(node.textContent.replace(/\n+$/, ''));
+        return;
+      case 'ul':
+      case 'ol':
+        flush();
+        blocks.push(renderList(node));
+        return;
+      case 'table':
+        flush();
+        blocks.push(renderTable(node));
+        return;
+      case 'hr':
+        flush();
+        blocks.push('* * *');
+        return;
+      case 'blockquote':
+        flush();
+        blocks.push(renderBlocks(node).map(block => `    ${hangingIndent(block, '    ')}`).join('\n\n'));
+        return;
+      default:
+        break;
+    }
+
+    if (BLOCK_TAGS.has(tag)) {
+      flush();
+      node.childNodes.forEach(visit);
+      flush();
+    } else {
+      node.childNodes.forEach(visit);
+    }
+  };
+
+  root.childNodes.forEach(visit);
+  flush();
+  return blocks.filter(Boolean);
+}
+
+/**
+ * Render a list with bullets or numbers, nested lists indented under their item
+ * @param {HTMLElement} list - <ul> or <ol>
+ * @returns {string}
+ */
+function renderList(list) {
+  const ordered = list.tagName === 'OL';
+  let number = parseInt(list.getAttribute('start'), 10) || 1;
+  const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+  return items.map(item => {
+    const marker = ordered ? `${number++}. ` : '- ';
+    const text = renderBlocks(item).join('\n');
+    return marker + hangingIndent(text, ' '.repeat(marker.length));
+  }).join('\n');
+}
+
+/**
+ * Render a table one row per line
+ * @param {HTMLElement} table
+ * @returns {string}
+ */
+function renderTable(table) {
+  return Array.from(table.rows).map(row => Array.from(row.cells)
+    .map(cell => renderBlocks(cell).join(' ').replace(/\s+/g, ' '))
+    .join(' | ')).join('\n');
+}
+
+/**
+ * Convert article content HTML to plain text
+ * @param {string} html - Article content
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return renderBlocks(container).join('\n\n');
+}
+
+/**
+ * Render a parsed article as a plain-text document: title, byline, source URL and body
+ * @param {Object} article - Parsed article
+ * @returns {string}
+ */
+function toText(article) {
+  const header = [];
+  if (article.title) {
+    const title = article.title.replace(/\s+/g, ' ').trim();
+    header.push(`${title}\n${'='.repeat(Math.min(title.length, 72))}`);
+  }
+  const byline = bylineText(article);
+  if (byline) header.push(byline);
+  const source = sourceUrl(article);
+  if (source) header.push(source);
+
+  const body = htmlToText(article.content || '');
+  return `${header.concat(body ? [body] : []).join('\n\n')}\n`;
+}
+
+module.exports = { toText, htmlToText };
@@ -0,0 +1,157 @@
+/**
+ * Offline image bundling for parsed articles.
+ *
+ * By default article images hotlink to the origin. The other modes download
+ * them (see loader.js), fit them into size limits (optimize.js) and rewrite
+ * the content to point at the copy:
+ *
+ *   hotlink - Images stay on the origin (the default)
+ *   inline  - Images are embedded as data: URIs, so the content works offline
+ *   proxy   - Images are kept in the content-addressed store (store.js) and
+ *             served from /api/image/:hash
+ *
+ * Images that can't be downloaded or made to fit keep their original URL.
+ * The parse cache stores hotlinked content; bundling happens per request, with
+ * the store remembering images already downloaded.
+ */
+
+const { JSDOM } = require('jsdom');
+const { InvalidRequestError } = require('../errors');
+const { sourceUrl } = require('../formats/shared');
+const { downloadImages } = require('./loader');
+const { optimizeImage } = require('./optimize');
+const { createImageStore } = require('./store');
+
+const IMAGE_MODES = ['hotlink', 'inline', 'proxy'];
+
+const DEFAULT_LIMITS = {
+  maxWidth: parseInt(process.env.BUNDLE_IMAGE_MAX_WIDTH, 10) || 1600,
+  maxBytes: parseInt(process.env.BUNDLE_IMAGE_MAX_BYTES, 10) || 1024 * 1024,
+  maxImages: parseInt(process.env.BUNDLE_MAX_IMAGES, 10) || 100
+};
+
+/**
+ * Check a requested image mode
+ * @param {string} [mode] - Mode name, case-insensitive; empty means hotlink
+ * @returns {string} The normalized mode
+ * @throws {InvalidRequestError} If the mode is unknown
+ */
+function normalizeImageMode(mode) {
+  const name = String(mode || 'hotlink').trim().toLowerCase();
+  if (!IMAGE_MODES.includes(name)) {
+    throw new InvalidRequestError(`Unknown images mode "${mode}" (expected one of: ${IMAGE_MODES.join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Create the image store described by environment variables, shared by server.js and the Netlify functions
+ *   IMAGE_STORE_DIR - Directory for stored images (default .cache/images)
+ * @returns {Object} Image store
+ */
+function createImageStoreFromEnv() {
+  return createImageStore({ dir: process.env.IMAGE_STORE_DIR });
+}
+
+/**
+ * Download an article's images, or find them in the store
+ * @param {string[]} sources - Absolute image URLs
+ * @param {Object} options - See bundleImages
+ * @returns {Promise<Map<string, {data: Buffer, mediaType: string, hash: (string|null)}>>} Bundled images by URL
+ */
+async function collectImages(sources, options) {
+  const { store, referer } = options;
+  const images = new Map();
+  const missing = [];
+
+  for (const src of sources.slice(0, options.maxImages)) {
+    const hash = store ? await store.getUrl(src) : null;
+    const stored = hash ? await store.get(hash) : null;
+    if (stored) {
+      images.set(src, { ...stored, hash });
+    } else {
+      missing.push(src);
+    }
+  }
+
+  const downloaded = await downloadImages(missing, {
+    referer,
+    transform: ({ data, type }) => optimizeImage(data, type, options)
+  });
+  for (const [src, image] of downloaded) {
+    let hash = null;
+    if (store) {
+      hash = await store.put(image.data);
+      await store.setUrl(src, hash);
+    }
+    images.set(src, { data: image.data, mediaType: image.type.mediaType, hash });
+  }
+  return images;
+}
+
+/**
+ * Point an article's images at bundled copies
+ * @param {Object} article - Parsed article with HTML content
+ * @param {Object} [options]
+ * @param {string} [options.mode='hotlink'] - One of IMAGE_MODES
+ * @param {Object} [options.store] - Image store; required for proxy, used to skip repeat downloads otherwise
+ * @param {string} [options.referer] - Page the images appear on (default the article's URL)
+ * @param {string} [options.urlPrefix='/api/image/'] - Prefix of proxied image URLs, followed by the hash
+ * @param {number} [options.maxWidth] - Widest image kept as is (default BUNDLE_IMAGE_MAX_WIDTH or 1600)
+ * @param {number} [options.maxBytes] - Largest image bundled (default BUNDLE_IMAGE_MAX_BYTES or 1 MB)
+ * @param {number} [options.maxImages] - Most images bundled per article (default BUNDLE_MAX_IMAGES or 100)
+ * @returns {Promise<Object>} The article with rewritten `content` and `leadImage`, and
+ *   `images: {mode, bundled, failed}`; unchanged for hotlink
+ * @throws {InvalidRequestError} If the mode is unknown, or proxy is requested without a store
+ */
+async function bundleImages(article, options = {}) {
+  const mode = normalizeImageMode(options.mode);
+  if (mode === 'hotlink') {
+    return article;
+  }
+  if (mode === 'proxy' && !options.store) {
+    throw new InvalidRequestError('The proxy images mode is not available here, use inline');
+  }
+
+  const settings = { ...DEFAULT_LIMITS, ...options, referer: options.referer || sourceUrl(article) || undefined };
+  const urlPrefix = options.urlPrefix || '/api/image/';
+
+  const contentDom = new JSDOM(`<body>${article.content || ''}</body>`);
+  const document = contentDom.window.document;
+  const imgs = Array.from(document.querySelectorAll('img[src]'))
+    .filter(img => /^https?:/i.test(img.getAttribute('src')));
+  const sources = Array.from(new Set(imgs.map(img => img.getAttribute('src'))));
+  if (article.leadImage && /^https?:/i.test(article.leadImage) && !sources.includes(article.leadImage)) {
+    sources.push(article.leadImage);
+  }
+
+  const images = await collectImages(sources, settings);
+  const bundledUrl = src => {
+    const image = images.get(src);
+    if (!image) return null;
+    return mode === 'inline'
+      ? `data:${image.mediaType};base64,${image.data.toString('base64')}`
+      : `${urlPrefix}${image.hash}`;
+  };
+
+  imgs.forEach(img => {
+    const url = bundledUrl(img.getAttribute('src'));
+    if (!url) return;
+    img.setAttribute('src', url);
+    // The other candidates would still load from the origin
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+  });
+
+  const failed = sources.filter(src => !images.has(src)).length;
+  console.log(`Bundled ${images.size} images (${mode})${failed ? `, ${failed} kept their original URL` : ''}`);
+
+  return {
+    ...article,
+    content: document.body.innerHTML,
+    leadImage: (article.leadImage && bundledUrl(article.leadImage)) || article.leadImage,
+    images: { mode, bundled: images.size, failed }
+  };
+}
+
+module.exports = { IMAGE_MODES, normalizeImageMode, bundleImages, createImageStore, createImageStoreFromEnv };
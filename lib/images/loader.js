@@ -0,0 +1,118 @@
+/**
+ * Image downloads for EPUBs and offline bundling: same URL policy as page
+ * fetches (safeFetch), browser image headers with the article as Referer,
+ * and the type taken from the bytes rather than the Content-Type header.
+ */
+
+const { safeFetch } = require('../urlSafety');
+const { imageHeaders } = require('../requestHeaders');
+
+// Largest image downloaded; bigger images are left out (or hotlinked)
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Image types recognized by their first bytes; `web` types display everywhere,
+// including EPUB readers, the others have to be converted first
+const IMAGE_TYPES = [
+  { mediaType: 'image/jpeg', extension: 'jpg', web: true, test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { mediaType: 'image/png', extension: 'png', web: true, test: bytes => bytes.slice(0, 4).toString('latin1') === '\x89PNG' },
+  { mediaType: 'image/gif', extension: 'gif', web: true, test: bytes => bytes.slice(0, 4).toString('latin1') === 'GIF8' },
+  {
+    mediaType: 'image/webp',
+    extension: 'webp',
+    web: true,
+    test: bytes => bytes.slice(0, 4).toString('latin1') === 'RIFF' && bytes.slice(8, 12).toString('latin1') === 'WEBP'
+  },
+  {
+    mediaType: 'image/avif',
+    extension: 'avif',
+    web: false,
+    test: bytes => bytes.slice(4, 8).toString('latin1') === 'ftyp' && /^avi[fs]$/.test(bytes.slice(8, 12).toString('latin1'))
+  },
+  {
+    mediaType: 'image/tiff',
+    extension: 'tif',
+    web: false,
+    test: bytes => ['II*\x00', 'MM\x00*'].includes(bytes.slice(0, 4).toString('latin1'))
+  }
+];
+
+/**
+ * Find the type of image bytes
+ * @param {Buffer} bytes
+ * @returns {{mediaType: string, extension: string, web: boolean}|null} Null if the bytes aren't a known image type
+ */
+function detectImageType(bytes) {
+  const type = IMAGE_TYPES.find(candidate => bytes.length > 12 && candidate.test(bytes));
+  return type ? { mediaType: type.mediaType, extension: type.extension, web: type.web } : null;
+}
+
+/**
+ * Read an image from a URL or a data: URI
+ * @param {string} src - Absolute image URL
+ * @param {Object} [options]
+ * @param {string} [options.referer] - Page the image appears on
+ * @param {number} [options.maxBytes=MAX_DOWNLOAD_BYTES] - Largest image to download
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If the URL is blocked, the request fails or the image is too large
+ */
+async function loadImage(src, options = {}) {
+  const dataUri = /^data:image\/[\w.+-]+;base64,(.*)$/is.exec(src);
+  if (dataUri) {
+    return Buffer.from(dataUri[1], 'base64');
+  }
+  const response = await safeFetch(src, {
+    maxBytes: options.maxBytes || MAX_DOWNLOAD_BYTES,
+    timeout: 15000,
+    headers: imageHeaders(options.referer)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.buffer();
+}
+
+/**
+ * Download images, each URL once, a few at a time
+ * @param {string[]} sources - Absolute image URLs or data: URIs
+ * @param {Object} [options]
+ * @param {string} [options.referer] - Page the images appear on
+ * @param {number} [options.maxImages] - Most images to download; later ones are skipped
+ * @param {Function} [options.transform] - async ({src, data, type}) => {data, type} or null,
+ *   run on each download (resizing, conversion); null leaves the image out
+ * @returns {Promise<Map<string, {data: Buffer, type: Object}>>} Images by URL; images that failed,
+ *   aren't images or were left out by transform are missing
+ */
+async function downloadImages(sources, options = {}) {
+  const images = new Map();
+  const unique = Array.from(new Set(sources));
+  const queue = options.maxImages ? unique.slice(0, options.maxImages) : unique;
+  if (queue.length < unique.length) {
+    console.log(`Downloading the first ${queue.length} of ${unique.length} images`);
+  }
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const src = queue.shift();
+      try {
+        const data = await loadImage(src, { referer: options.referer });
+        const type = detectImageType(data);
+        if (!type) {
+          console.log(`Skipping image with unsupported type: ${src.slice(0, 120)}`);
+          continue;
+        }
+        const image = options.transform ? await options.transform({ src, data, type }) : { data, type };
+        if (image) {
+          images.set(src, image);
+        }
+      } catch (error) {
+        console.log(`Skipping image ${src.slice(0, 120)}: ${error.message}`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return images;
+}
+
+module.exports = { detectImageType, loadImage, downloadImages };
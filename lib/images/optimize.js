@@ -0,0 +1,89 @@
+/**
+ * Image resizing and conversion with sharp, when it is installed.
+ *
+ * Images wider than maxWidth are scaled down, types that don't display
+ * everywhere (AVIF, TIFF) are converted, and images over maxBytes are
+ * re-encoded at lower quality, then smaller sizes, until they fit. Without
+ * sharp, images are kept only if they already fit the limits.
+ */
+
+const { detectImageType } = require('./loader');
+
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  console.log('sharp not available, images are bundled without resizing');
+}
+
+// Re-encoding steps tried in order until the image fits maxBytes
+const QUALITY_STEPS = [82, 70, 55];
+// Images aren't scaled below this width to make them fit
+const MIN_WIDTH = 320;
+
+/**
+ * Encode a resized image as JPEG, or as PNG/WebP when it has transparency
+ * @param {Buffer} data - Source image
+ * @param {number} width - Target width
+ * @param {number} quality
+ * @param {boolean} hasAlpha
+ * @param {boolean} [allowPng=true] - False to use WebP, once PNG turned out too large
+ * @returns {Promise<Buffer>}
+ */
+function encode(data, width, quality, hasAlpha, allowPng = true) {
+  // rotate() applies the EXIF orientation, which is dropped from the output
+  const pipeline = sharp(data).rotate().resize({ width, withoutEnlargement: true });
+  if (!hasAlpha) {
+    return pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+  return allowPng
+    ? pipeline.png({ compressionLevel: 9 }).toBuffer()
+    : pipeline.webp({ quality }).toBuffer();
+}
+
+/**
+ * Fit an image into the size limits
+ * @param {Buffer} data - Image bytes
+ * @param {{mediaType: string, web: boolean}} type - Type from detectImageType
+ * @param {Object} [options]
+ * @param {number} [options.maxWidth=1600] - Widest image kept as is
+ * @param {number} [options.maxBytes=1048576] - Largest image kept
+ * @returns {Promise<{data: Buffer, type: Object}|null>} The image, possibly re-encoded, or null if it can't be made to fit
+ */
+async function optimizeImage(data, type, options = {}) {
+  const maxWidth = options.maxWidth || 1600;
+  const maxBytes = options.maxBytes || 1024 * 1024;
+
+  if (!sharp) {
+    return type.web && data.length <= maxBytes ? { data, type } : null;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (error) {
+    console.log(`Unreadable image: ${error.message}`);
+    return null;
+  }
+
+  const fits = type.web && data.length <= maxBytes;
+  // Animations would lose every frame but the first; keep them whenever they fit
+  if (fits && (metadata.pages > 1 || !metadata.width || metadata.width <= maxWidth)) {
+    return { data, type };
+  }
+
+  const hasAlpha = !!metadata.hasAlpha;
+  let width = Math.min(metadata.width || maxWidth, maxWidth);
+  while (width >= MIN_WIDTH) {
+    for (let i = 0; i < QUALITY_STEPS.length; i++) {
+      const output = await encode(data, width, QUALITY_STEPS[i], hasAlpha, i === 0);
+      if (output.length <= maxBytes) {
+        return { data: output, type: detectImageType(output) };
+      }
+    }
+    width = Math.floor(width * 0.75);
+  }
+  return null;
+}
+
+module.exports = { optimizeImage };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { detectImageType } = require('./loader');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Content-addressed image store on disk, behind /api/image/:hash.
+ *
+ * Images are saved under the SHA-256 of their bytes, so the same image found
+ * in several articles is stored once. A second index maps the original image
+ * URLs to hashes, so articles served again don't download their images again.
+ * Nothing is evicted; clear the directory to reclaim space.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir='.cache/images'] - Directory holding the images
+ * @returns {{get: Function, put: Function, getUrl: Function, setUrl: Function, clear: Function}}
+ */
+function createImageStore(options = {}) {
+  const dir = path.resolve(options.dir || path.join('.cache', 'images'));
+  const urlFileFor = url => path.join(dir, 'urls', crypto.createHash('sha256').update(url).digest('hex'));
+
+  /**
+   * Write a file through a temporary file so readers never see a partial one
+   * @param {string} file
+   * @param {Buffer|string} data
+   */
+  async function writeAtomic(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpFile, data);
+    await fs.rename(tmpFile, file);
+  }
+
+  return {
+    /**
+     * Read a stored image
+     * @param {string} hash - SHA-256 of the image, hex
+     * @returns {Promise<{data: Buffer, mediaType: string}|null>} Null for unknown or malformed hashes
+     */
+    async get(hash) {
+      if (!HASH_PATTERN.test(String(hash))) return null;
+      try {
+        const data = await fs.readFile(path.join(dir, hash));
+        const type = detectImageType(data);
+        return type ? { data, mediaType: type.mediaType } : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Store an image
+     * @param {Buffer} data - Image bytes
+     * @returns {Promise<string>} Its hash
+     */
+    async put(data) {
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      const file = path.join(dir, hash);
+      try {
+        await fs.access(file);
+      } catch (e) {
+        await writeAtomic(file, data);
+      }
+      return hash;
+    },
+
+    /**
+     * Find the stored image downloaded from a URL
+     * @param {string} url - Original image URL
+     * @returns {Promise<string|null>} Its hash
+     */
+    async getUrl(url) {
+      try {
+        const hash = (await fs.readFile(urlFileFor(url), 'utf8')).trim();
+        return HASH_PATTERN.test(hash) ? hash : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Remember which stored image a URL was downloaded as
+     * @param {string} url - Original image URL
+     * @param {string} hash
+     */
+    async setUrl(url, hash) {
+      await writeAtomic(urlFileFor(url), hash);
+    },
+
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createImageStore };
@@ -0,0 +1,50 @@
+/**
+ * Netlify Blobs store for jobs, shared by every function instance of a site.
+ * The Netlify functions are Lambda-style handlers, so each one must call
+ * connectBlobs(event) before the store is used.
+ * @param {Object} [options]
+ * @param {string} [options.name='jobs'] - Blob store name
+ * @returns {{get: Function, set: Function, delete: Function, list: Function}}
+ */
+function createBlobStore(options = {}) {
+  const name = options.name || 'jobs';
+  // Loaded on first use: only the Netlify deployment needs the package
+  const blobs = () => require('@netlify/blobs').getStore({ name, consistency: 'strong' });
+
+  return {
+    async get(id) {
+      return blobs().get(String(id), { type: 'json' });
+    },
+
+    async set(id, item) {
+      await blobs().setJSON(String(id), item);
+    },
+
+    async delete(id) {
+      const store = blobs();
+      if (!(await store.getMetadata(String(id)))) return false;
+      await store.delete(String(id));
+      return true;
+    },
+
+    async list() {
+      const store = blobs();
+      const { blobs: entries } = await store.list();
+      const items = await Promise.all(entries.map(entry => store.get(entry.key, { type: 'json' }).catch(() => null)));
+      return items.filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Give @netlify/blobs the site's credentials from a Lambda-style function event
+ * @param {Object} event - Netlify function event
+ */
+function connectBlobs(event) {
+  // Only deployed functions (and netlify dev) get the blobs context
+  if (event.blobs) {
+    require('@netlify/blobs').connectLambda(event);
+  }
+}
+
+module.exports = { createBlobStore, connectBlobs };
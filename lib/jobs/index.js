@@ -0,0 +1,362 @@
+/**
+ * Asynchronous parse jobs.
+ *
+ * Creating a job stores the request and returns at once; the parse runs in the
+ * background and its status, progress and result are read back by id. When the
+ * job has a webhook, the finished job is POSTed to it. Jobs get around request
+ * time limits (Netlify cuts functions off after 26 seconds, and browser parses
+ * of hard sites take longer) and survive clients that go away mid-parse.
+ *
+ * By default jobs run in this process, a few at a time. `dispatch` replaces
+ * that: the Netlify functions hand each job to a background function, which
+ * calls run(id). Finished jobs are kept for `ttl` seconds.
+ *
+ * A store is any object with async get(id), set(id, item), delete(id) and list(),
+ * as for the library.
+ */
+
+const crypto = require('crypto');
+const { createMemoryStore, createFileStore } = require('../library');
+const { createBlobStore, connectBlobs } = require('./blobStore');
+const { parseArticle, normalizeMaxPages } = require('../parseArticle');
+const { normalizeFormat } = require('../formats');
+const { normalizeImageMode } = require('../images');
+const { assertUrlAllowed, safeFetch } = require('../urlSafety');
+const { InvalidUrlError, NotFoundError, TimeoutError, toHttpError } = require('../errors');
+
+const STATUSES = ['queued', 'running', 'done', 'failed'];
+const DEFAULT_CONCURRENCY = 2;
+// Seconds jobs are kept
+const DEFAULT_TTL = 24 * 60 * 60;
+// Seconds a job may run before it is cancelled
+const DEFAULT_TIMEOUT = 10 * 60;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT = 10000;
+// How often expired jobs are deleted
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Check the parse options a job is created with
+ * @param {Object} request - {url, format, images, maxPages, refresh, segments}
+ * @returns {Object} The options to store with the job
+ * @throws {InvalidUrlError|BlockedUrlError|InvalidRequestError}
+ */
+function readRequest(request) {
+  if (!request.url) {
+    throw new InvalidUrlError('URL is required');
+  }
+  return {
+    url: assertUrlAllowed(request.url).href,
+    options: {
+      format: normalizeFormat(request.format),
+      images: normalizeImageMode(request.images),
+      maxPages: normalizeMaxPages(request.maxPages),
+      refresh: request.refresh === true || request.refresh === '1',
+      segments: request.segments === true || request.segments === '1'
+    }
+  };
+}
+
+/**
+ * Create the job queue
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store implementation for jobs (default: in-memory)
+ * @param {Object} [options.cache] - Parse cache passed to parseArticle
+ * @param {Object} [options.imageStore] - Image store, for images=proxy
+ * @param {number} [options.concurrency=2] - Jobs run at the same time in this process
+ * @param {number} [options.ttl=86400] - Seconds jobs are kept after they are created
+ * @param {number} [options.timeout=600] - Seconds a job may run
+ * @param {string} [options.webhookSecret] - Signs webhook bodies (X-Signature-256 header)
+ * @param {function(Object): Promise<void>} [options.dispatch] - Runs a new job elsewhere
+ *   instead of in this process; it must end up calling run(job.id)
+ * @returns {Object} Jobs with create, get, run, start and stop
+ */
+function createJobs(options = {}) {
+  const store = options.store || createMemoryStore();
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const ttl = options.ttl || DEFAULT_TTL;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const queue = [];
+  const running = new Set();
+  let timer = null;
+
+  /**
+   * Whether a job is past its expiry time
+   * @param {Object} job
+   * @returns {boolean}
+   */
+  function isExpired(job) {
+    return job.expiresAt < new Date().toISOString();
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   */
+  function next() {
+    while (running.size < concurrency && queue.length > 0) {
+      const id = queue.shift();
+      running.add(id);
+      runJob(id)
+        .catch(error => console.error(`Job ${id} failed to run:`, error))
+        .finally(() => {
+          running.delete(id);
+          next();
+        });
+    }
+  }
+
+  /**
+   * Queue a job in this process
+   * @param {string} id
+   */
+  function enqueue(id) {
+    if (!queue.includes(id) && !running.has(id)) {
+      queue.push(id);
+      next();
+    }
+  }
+
+  /**
+   * POST the finished job to its webhook, retrying a few times
+   * @param {Object} job
+   * @returns {Promise<Object>} The webhook delivery record
+   */
+  async function deliverWebhook(job) {
+    const body = JSON.stringify(job);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'article-reader-jobs' };
+    if (options.webhookSecret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', options.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    const delivery = { ...job.webhook, attempts: 0, deliveredAt: null, status: null, error: null };
+    while (delivery.attempts < WEBHOOK_ATTEMPTS) {
+      delivery.attempts++;
+      try {
+        const response = await safeFetch(job.webhook.url, { method: 'POST', headers, body, timeout: WEBHOOK_TIMEOUT });
+        delivery.status = response.status;
+        if (response.ok) {
+          delivery.deliveredAt = new Date().toISOString();
+          delivery.error = null;
+          return delivery;
+        }
+        delivery.error = `The webhook answered ${response.status}`;
+        // Client errors won't get better with a retry
+        if (response.status < 500 && response.status !== 429) break;
+      } catch (error) {
+        delivery.error = error.message;
+      }
+      if (delivery.attempts < WEBHOOK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, 2000 * delivery.attempts));
+      }
+    }
+    console.log(`Job ${job.id}: webhook ${job.webhook.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+    return delivery;
+  }
+
+  /**
+   * Run a queued job to completion: parse, record the result, call the webhook
+   * @param {string} id
+   * @returns {Promise<Object|null>} The finished job, or null if it isn't queued
+   */
+  async function runJob(id) {
+    const queued = await store.get(id);
+    if (!queued || queued.status !== 'queued') return null;
+
+    let job = { ...queued, status: 'running', startedAt: new Date().toISOString(), progress: null };
+    await store.set(id, job);
+    console.log(`Job ${id}: parsing ${job.url}`);
+
+    // Progress is saved as it comes, one write at a time, so pollers can show the stage
+    let saving = Promise.resolve();
+    const onProgress = event => {
+      job = { ...job, progress: { stage: event.stage, message: event.message } };
+      const snapshot = job;
+      saving = saving.then(() => store.set(id, snapshot)).catch(() => {});
+    };
+
+    // Jobs have no client to cancel them, only a time limit
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout * 1000);
+    try {
+      const result = await parseArticle(job.url, {
+        ...job.options,
+        maxPages: job.options.maxPages || undefined,
+        cache: options.cache,
+        imageStore: options.imageStore,
+        signal: controller.signal,
+        onProgress
+      });
+      job = { ...job, status: 'done', result };
+    } catch (error) {
+      const failure = controller.signal.aborted
+        ? new TimeoutError(`The job was cancelled after running for ${timeout}s`)
+        : error;
+      job = { ...job, status: 'failed', error: toHttpError(failure).body };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await saving;
+    job = { ...job, progress: null, finishedAt: new Date().toISOString() };
+    await store.set(id, job);
+    console.log(`Job ${id}: ${job.status}${job.error ? ` (${job.error.code})` : ''}`);
+
+    if (job.webhook) {
+      job = { ...job, webhook: await deliverWebhook(job) };
+      await store.set(id, job);
+    }
+    return job;
+  }
+
+  /**
+   * Delete expired jobs
+   */
+  async function prune() {
+    const jobs = await store.list();
+    const expired = jobs.filter(job => isExpired(job) && !running.has(job.id));
+    await Promise.all(expired.map(job => store.delete(job.id)));
+    if (expired.length > 0) console.log(`Deleted ${expired.length} expired jobs`);
+  }
+
+  return {
+    /**
+     * Create a job and start it in the background
+     * @param {Object} request - {url, format, images, maxPages, refresh, segments}, as for parseArticle
+     * @param {Object} [fields]
+     * @param {string} [fields.webhook] - URL the finished job is POSTed to
+     * @returns {Promise<Object>} The queued job
+     * @throws {InvalidUrlError|BlockedUrlError|InvalidRequestError} If the URL, webhook or options are invalid
+     */
+    async create(request, fields = {}) {
+      const { url, options: parseOptions } = readRequest(request);
+      // The webhook is checked like article URLs, so jobs can't be used to reach internal hosts
+      const webhook = fields.webhook ? { url: assertUrlAllowed(fields.webhook).href } : null;
+
+      const now = new Date();
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        url,
+        options: parseOptions,
+        webhook,
+        createdAt: now.toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+        progress: null,
+        result: null,
+        error: null
+      };
+      await store.set(job.id, job);
+
+      if (options.dispatch) {
+        try {
+          await options.dispatch(job);
+        } catch (error) {
+          const failed = { ...job, status: 'failed', finishedAt: new Date().toISOString(), error: toHttpError(error).body };
+          await store.set(job.id, failed);
+          throw error;
+        }
+      } else {
+        enqueue(job.id);
+      }
+      return job;
+    },
+
+    /**
+     * Read a job
+     * @param {string} id
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError} If there is no such job, or it expired
+     */
+    async get(id) {
+      const job = await store.get(String(id));
+      if (!job || isExpired(job)) {
+        throw new NotFoundError('Job not found');
+      }
+      return job;
+    },
+
+    /**
+     * Run a queued job now, in this process; used by dispatchers such as the
+     * Netlify background function. Jobs that already started are left alone.
+     * @param {string} id
+     * @returns {Promise<Object|null>} The finished job, or null if it wasn't queued
+     */
+    async run(id) {
+      running.add(id);
+      try {
+        return await runJob(String(id));
+      } finally {
+        running.delete(id);
+      }
+    },
+
+    /**
+     * Resume jobs left queued or running by a previous process, and delete
+     * expired jobs from time to time
+     */
+    async start() {
+      if (timer) return;
+      timer = setInterval(() => prune().catch(error => console.error('Failed to prune jobs:', error)), PRUNE_INTERVAL);
+      timer.unref();
+
+      const jobs = await store.list();
+      const left = jobs.filter(job => (job.status === 'queued' || job.status === 'running') && !isExpired(job))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      for (const job of left) {
+        if (job.status === 'running') {
+          await store.set(job.id, { ...job, status: 'queued', startedAt: null, progress: null });
+        }
+        enqueue(job.id);
+      }
+      if (left.length > 0) console.log(`Resuming ${left.length} unfinished jobs`);
+      await prune();
+    },
+
+    /**
+     * Stop pruning and starting queued jobs. Jobs still running when the process
+     * exits are resumed by the next start().
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      queue.length = 0;
+    }
+  };
+}
+
+/**
+ * Create the jobs described by environment variables, shared by server.js and the Netlify functions
+ *   JOBS_STORE          - file (default), memory, or blobs for Netlify Blobs
+ *   JOBS_DIR            - Directory for the file store (default .data/jobs)
+ *   JOBS_CONCURRENCY    - Jobs run at the same time (default 2)
+ *   JOBS_TTL            - Seconds jobs are kept (default 86400)
+ *   JOBS_TIMEOUT        - Seconds a job may run (default 600)
+ *   JOBS_WEBHOOK_SECRET - Signs webhook bodies
+ * @param {Object} [options] - Passed to createJobs (cache, imageStore, dispatch), and:
+ * @param {string} [options.defaultStore='file'] - Store used when JOBS_STORE isn't set
+ * @returns {Object} Jobs
+ */
+function createJobsFromEnv(options = {}) {
+  const { defaultStore = 'file', ...jobOptions } = options;
+  const kind = (process.env.JOBS_STORE || defaultStore).toLowerCase();
+  let store;
+  if (kind === 'memory') {
+    store = createMemoryStore();
+  } else if (kind === 'blobs') {
+    store = createBlobStore({ name: 'jobs' });
+  } else {
+    store = createFileStore({ dir: process.env.JOBS_DIR || '.data/jobs' });
+  }
+  return createJobs({
+    ...jobOptions,
+    store,
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY, 10) || undefined,
+    ttl: parseInt(process.env.JOBS_TTL, 10) || undefined,
+    timeout: parseInt(process.env.JOBS_TIMEOUT, 10) || undefined,
+    webhookSecret: process.env.JOBS_WEBHOOK_SECRET || undefined
+  });
+}
+
+module.exports = { createJobs, createJobsFromEnv, createBlobStore, connectBlobs, STATUSES };
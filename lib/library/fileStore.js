@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Item ids become file names
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * On-disk store for the library and highlights, one JSON file per item
+ * @param {Object} [options]
+ * @param {string} [options.dir='.data/library'] - Directory holding the item files
+ * @returns {{get: Function, set: Function, delete: Function, list: Function}}
+ */
+function createFileStore(options = {}) {
+  const dir = path.resolve(options.dir || path.join('.data', 'library'));
+  const fileFor = id => {
+    if (!ID_PATTERN.test(String(id))) return null;
+    return path.join(dir, `${id}.json`);
+  };
+
+  /**
+   * Read one item file
+   * @param {string} file
+   * @returns {Promise<Object|null>} Null for missing or corrupt files
+   */
+  async function readItem(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    async get(id) {
+      const file = fileFor(id);
+      return file ? readItem(file) : null;
+    },
+
+    async set(id, item) {
+      const file = fileFor(id);
+      if (!file) {
+        throw new Error(`Invalid item id: ${id}`);
+      }
+      await fs.mkdir(dir, { recursive: true });
+      // Write to a temporary file first so readers never see a partial item
+      const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(item));
+      await fs.rename(tmpFile, file);
+    },
+
+    async delete(id) {
+      const file = fileFor(id);
+      if (!file) return false;
+      try {
+        await fs.unlink(file);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        return [];
+      }
+      const items = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readItem(path.join(dir, name))));
+      return items.filter(Boolean);
+    }
+  };
+}
+
+module.exports = { createFileStore };
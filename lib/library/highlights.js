@@ -0,0 +1,287 @@
+/**
+ * Highlights and notes on articles.
+ *
+ * A highlight is anchored to the article's text (the textContent of its HTML
+ * content) by two selectors, as in W3C Web Annotations:
+ *   quote    - {exact, prefix, suffix}: the highlighted text and a little context around it
+ *   position - {start, end}: character offsets of the highlighted text
+ * When the article is parsed again and its text shifted, the quote finds the
+ * passage; the position picks between repeated passages.
+ *
+ * Highlights belong to an article by its normalized URL, so they show up on
+ * the parsed article and its library copy alike. They use the same stores as
+ * the library.
+ */
+
+const crypto = require('crypto');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { normalizeUrl } = require('../cache');
+const { InvalidRequestError, NotFoundError } = require('../errors');
+
+const MAX_QUOTE_LENGTH = 10000;
+const MAX_CONTEXT_LENGTH = 200;
+const MAX_NOTE_LENGTH = 10000;
+const EXPORT_FORMATS = ['markdown', 'json'];
+
+/**
+ * Check the URL a highlight belongs to
+ * @param {string} url
+ * @returns {{url: string, key: string}}
+ * @throws {InvalidRequestError} If the URL is missing or invalid
+ */
+function readUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new InvalidRequestError('The article URL is required');
+  }
+  try {
+    return { url, key: normalizeUrl(url) };
+  } catch (e) {
+    throw new InvalidRequestError('Invalid article URL');
+  }
+}
+
+/**
+ * Check a text-quote selector
+ * @param {Object} quote
+ * @returns {{exact: string, prefix: string, suffix: string}}
+ * @throws {InvalidRequestError}
+ */
+function readQuote(quote) {
+  if (!quote || typeof quote.exact !== 'string' || !quote.exact.trim()) {
+    throw new InvalidRequestError('quote.exact must be the highlighted text');
+  }
+  if (quote.exact.length > MAX_QUOTE_LENGTH) {
+    throw new InvalidRequestError(`Highlights can be at most ${MAX_QUOTE_LENGTH} characters`);
+  }
+  const context = value => (typeof value === 'string' ? value.slice(0, MAX_CONTEXT_LENGTH) : '');
+  return { exact: quote.exact, prefix: context(quote.prefix), suffix: context(quote.suffix) };
+}
+
+/**
+ * Check a text-position selector
+ * @param {Object} position
+ * @param {string} exact - The quoted text, whose length the position must span
+ * @returns {{start: number, end: number}}
+ * @throws {InvalidRequestError}
+ */
+function readPosition(position, exact) {
+  const { start, end } = position || {};
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end - start !== exact.length) {
+    throw new InvalidRequestError('position must be {start, end} offsets spanning the quoted text');
+  }
+  return { start, end };
+}
+
+/**
+ * Check a note
+ * @param {*} note
+ * @returns {string|null}
+ * @throws {InvalidRequestError}
+ */
+function readNote(note) {
+  if (note === undefined || note === null) return null;
+  if (typeof note !== 'string') {
+    throw new InvalidRequestError('The note must be a string');
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw new InvalidRequestError(`Notes can be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return note.trim() || null;
+}
+
+/**
+ * Order highlights as they appear in their articles
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function byPosition(a, b) {
+  return a.position.start - b.position.start || a.createdAt.localeCompare(b.createdAt);
+}
+
+/**
+ * Group highlights by article, articles with the latest highlight first
+ * @param {Object[]} highlights
+ * @returns {{url: string, title: string, highlights: Object[]}[]}
+ */
+function groupByArticle(highlights) {
+  const groups = new Map();
+  highlights.forEach(highlight => {
+    if (!groups.has(highlight.key)) {
+      groups.set(highlight.key, { url: highlight.url, title: highlight.title, highlights: [], latest: '' });
+    }
+    const group = groups.get(highlight.key);
+    group.highlights.push(highlight);
+    if (highlight.createdAt > group.latest) {
+      group.latest = highlight.createdAt;
+      // The newest highlight has the article's current title and URL
+      group.title = highlight.title || group.title;
+      group.url = highlight.url;
+    }
+  });
+  return Array.from(groups.values())
+    .sort((a, b) => b.latest.localeCompare(a.latest))
+    .map(({ latest, ...group }) => ({ ...group, highlights: group.highlights.sort(byPosition) }));
+}
+
+/**
+ * Render grouped highlights as Markdown: a section per article linking to
+ * the source, each highlight as a blockquote followed by its note
+ * @param {Object[]} groups - From groupByArticle
+ * @returns {string}
+ */
+function toMarkdown(groups) {
+  const linkText = text => text.replace(/([\\[\]])/g, '\\$1');
+  const single = groups.length === 1;
+  const lines = single ? [] : ['# Highlights', ''];
+
+  groups.forEach(group => {
+    const title = group.title || group.url;
+    lines.push(`${single ? '#' : '##'} [${linkText(title)}](<${group.url}>)`, '');
+    group.highlights.forEach(highlight => {
+      highlight.quote.exact.trim().split(/\n+/).forEach((line, index) => {
+        if (index > 0) lines.push('>');
+        lines.push(`> ${line.trim()}`);
+      });
+      lines.push('');
+      if (highlight.note) {
+        lines.push(highlight.note, '');
+      }
+    });
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Create the highlight collection
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store implementation (default: in-memory)
+ * @returns {Object} Highlights with add, list, update, delete and export
+ */
+function createHighlights(options = {}) {
+  const store = options.store || createMemoryStore();
+
+  /**
+   * Highlights of one article, or all of them
+   * @param {string} [url]
+   * @returns {Promise<Object[]>}
+   */
+  async function find(url) {
+    const key = url ? readUrl(url).key : null;
+    return (await store.list()).filter(highlight => !key || highlight.key === key);
+  }
+
+  return {
+    /**
+     * Highlight a passage
+     * @param {Object} fields
+     * @param {string} fields.url - Article URL
+     * @param {string} [fields.title] - Article title, for exports
+     * @param {Object} fields.quote - {exact, prefix, suffix}
+     * @param {Object} fields.position - {start, end}
+     * @param {string} [fields.note]
+     * @returns {Promise<Object>} The new highlight
+     * @throws {InvalidRequestError} If a field is invalid
+     */
+    async add(fields = {}) {
+      const { url, key } = readUrl(fields.url);
+      const quote = readQuote(fields.quote);
+      const now = new Date().toISOString();
+      const highlight = {
+        id: crypto.randomUUID(),
+        key,
+        url,
+        title: typeof fields.title === 'string' && fields.title.trim() ? fields.title.trim() : null,
+        quote,
+        position: readPosition(fields.position, quote.exact),
+        note: readNote(fields.note),
+        createdAt: now,
+        updatedAt: now
+      };
+      await store.set(highlight.id, highlight);
+      return highlight;
+    },
+
+    /**
+     * List highlights in reading order
+     * @param {Object} [filters]
+     * @param {string} [filters.url] - Only this article's highlights
+     * @returns {Promise<Object[]>}
+     */
+    async list(filters = {}) {
+      const highlights = await find(filters.url);
+      return filters.url ? highlights.sort(byPosition) : groupByArticle(highlights).flatMap(group => group.highlights);
+    },
+
+    /**
+     * Change a highlight's note
+     * @param {string} id
+     * @param {Object} changes
+     * @param {string|null} [changes.note]
+     * @returns {Promise<Object>} The updated highlight
+     * @throws {NotFoundError|InvalidRequestError}
+     */
+    async update(id, changes = {}) {
+      const highlight = await store.get(String(id));
+      if (!highlight) {
+        throw new NotFoundError('Highlight not found');
+      }
+      const updated = { ...highlight, note: readNote(changes.note), updatedAt: new Date().toISOString() };
+      await store.set(highlight.id, updated);
+      return updated;
+    },
+
+    /**
+     * Remove a highlight
+     * @param {string} id
+     * @throws {NotFoundError}
+     */
+    async delete(id) {
+      if (!(await store.delete(String(id)))) {
+        throw new NotFoundError('Highlight not found');
+      }
+    },
+
+    /**
+     * Export highlights with links to their articles
+     * @param {Object} [options]
+     * @param {string} [options.url] - Only this article's highlights (default: every article)
+     * @param {string} [options.format='markdown'] - markdown or json
+     * @returns {Promise<{content: (string|Object[]), format: string}>} Markdown text, or the
+     *   highlights grouped by article as {url, title, highlights}
+     * @throws {InvalidRequestError} If the format is unknown or there is nothing to export
+     */
+    async export(options = {}) {
+      const format = (options.format || 'markdown').toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new InvalidRequestError(`Unknown export format "${options.format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+      }
+      const groups = groupByArticle(await find(options.url));
+      if (format === 'json') {
+        return { content: groups, format };
+      }
+      if (groups.length === 0) {
+        throw new InvalidRequestError('There are no highlights to export');
+      }
+      return { content: toMarkdown(groups), format };
+    }
+  };
+}
+
+/**
+ * Create the highlights described by environment variables, used by server.js
+ *   LIBRARY_STORE  - file (default) or memory, as for the library
+ *   HIGHLIGHTS_DIR - Directory for the file store (default .data/highlights)
+ * @returns {Object} Highlights
+ */
+function createHighlightsFromEnv() {
+  const kind = (process.env.LIBRARY_STORE || 'file').toLowerCase();
+  const store = kind === 'memory'
+    ? createMemoryStore()
+    : createFileStore({ dir: process.env.HIGHLIGHTS_DIR || '.data/highlights' });
+  return createHighlights({ store });
+}
+
+module.exports = { EXPORT_FORMATS, createHighlights, createHighlightsFromEnv };
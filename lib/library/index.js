@@ -0,0 +1,344 @@
+/**
+ * Saved reading library.
+ *
+ * Each item keeps the full parsed article (HTML content, metadata), so saved
+ * articles open without fetching the site again, plus reading state: status
+ * (unread, read, archived), a star and tags. Saving a URL that is already in
+ * the library refreshes its article and keeps its state.
+ *
+ * Listing, filtering and finding an item by URL use an index of item summaries
+ * (everything but the article) kept in memory. It is read from the store once,
+ * on first use, and kept up to date by the library, so only opening an item
+ * reads its article. Nothing else should write to the store meanwhile.
+ *
+ * A store is any object with async get(id), set(id, item), delete(id) and list().
+ */
+
+const crypto = require('crypto');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createHighlights, createHighlightsFromEnv } = require('./highlights');
+const { normalizeUrl } = require('../cache');
+const { sanitizeHtml } = require('../sanitizeHtml');
+const { sourceUrl } = require('../formats/shared');
+const { InvalidRequestError, NotFoundError } = require('../errors');
+
+const STATUSES = ['unread', 'read', 'archived'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+// Fields of a parse result that describe one request rather than the article (segments are
+// rebuilt from the content on request)
+const TRANSIENT_FIELDS = ['cacheStatus', 'format', 'images', 'segments'];
+
+/**
+ * Check a status value
+ * @param {string} status
+ * @returns {string}
+ * @throws {InvalidRequestError} If the status is unknown
+ */
+function readStatus(status) {
+  const value = String(status).trim().toLowerCase();
+  if (!STATUSES.includes(value)) {
+    throw new InvalidRequestError(`Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Check a list of tags: trimmed, without duplicates (ignoring case)
+ * @param {string[]|string} tags - Tags, or a comma-separated string
+ * @returns {string[]}
+ * @throws {InvalidRequestError} If tags aren't strings, or there are too many or too long ones
+ */
+function readTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    throw new InvalidRequestError('Tags must be a list of strings');
+  }
+  const seen = new Set();
+  const result = [];
+  list.map(tag => tag.trim().replace(/\s+/g, ' ')).filter(Boolean).forEach(tag => {
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new InvalidRequestError(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      result.push(tag);
+    }
+  });
+  if (result.length > MAX_TAGS) {
+    throw new InvalidRequestError(`At most ${MAX_TAGS} tags per article`);
+  }
+  return result;
+}
+
+/**
+ * Read a boolean from JSON or a query string ("1", "true")
+ * @param {*} value
+ * @returns {boolean}
+ */
+function readBoolean(value) {
+  return value === true || value === 1 || /^(?:1|true|yes)$/i.test(String(value));
+}
+
+/**
+ * Everything but the article, for listings
+ * @param {Object} item
+ * @returns {Object}
+ */
+function summarize(item) {
+  const { article, ...summary } = item;
+  return summary;
+}
+
+/**
+ * Create a library
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store implementation (default: in-memory)
+ * @returns {Object} Library with save, list, countBy, get, update and delete
+ */
+function createLibrary(options = {}) {
+  const store = options.store || createMemoryStore();
+  // Item summaries by id, loaded on first use
+  let index = null;
+  let loading = null;
+
+  /**
+   * The summary index, reading every item from the store the first time
+   * @returns {Promise<Map<string, Object>>}
+   */
+  function loadIndex() {
+    if (index) return Promise.resolve(index);
+    if (!loading) {
+      loading = store.list()
+        .then(items => {
+          index = new Map(items.map(item => [item.id, summarize(item)]));
+          return index;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    return loading;
+  }
+
+  /**
+   * Read an item or fail
+   * @param {string} id
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError}
+   */
+  async function getItem(id) {
+    const item = await store.get(String(id));
+    if (!item) {
+      throw new NotFoundError('Library item not found');
+    }
+    return item;
+  }
+
+  /**
+   * Summaries of the items matching list filters, newest first
+   * @param {Object} filters - status, starred, site, tag and feed, as for list
+   * @returns {Promise<Object[]>}
+   * @throws {InvalidRequestError} If the status is unknown
+   */
+  async function findItems(filters) {
+    const status = filters.status && filters.status !== 'all' ? readStatus(filters.status) : null;
+    const starred = filters.starred !== undefined && filters.starred !== '' && readBoolean(filters.starred);
+    const site = filters.site ? String(filters.site).trim().toLowerCase().replace(/^www\./, '') : null;
+    const tag = filters.tag ? String(filters.tag).trim().toLowerCase() : null;
+    const feed = filters.feed ? String(filters.feed) : null;
+
+    return Array.from((await loadIndex()).values())
+      .filter(item => !status || item.status === status)
+      .filter(item => !starred || item.starred)
+      .filter(item => !site || (item.site && (item.site === site || item.site.endsWith(`.${site}`))))
+      .filter(item => !tag || item.tags.some(itemTag => itemTag.toLowerCase() === tag))
+      .filter(item => !feed || item.feedId === feed)
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  return {
+    /**
+     * Save a parsed article, or refresh the article of an item with the same URL
+     * @param {Object} article - parseArticle/parseHtml result in the html format
+     * @param {Object} [fields]
+     * @param {string} [fields.url] - URL the article was parsed from, if the article doesn't name one
+     * @param {string[]} [fields.tags]
+     * @param {boolean} [fields.starred]
+     * @param {string} [fields.feedId] - Subscription the article came from
+     * @returns {Promise<{item: Object, created: boolean}>} Summary of the saved item
+     * @throws {InvalidRequestError} If the article or fields are invalid
+     */
+    async save(article, fields = {}) {
+      if (!article || typeof article !== 'object' || typeof article.content !== 'string') {
+        throw new InvalidRequestError('An article with HTML content is required');
+      }
+      if (article.format && article.format !== 'html') {
+        throw new InvalidRequestError('Only articles in the html format can be saved');
+      }
+
+      const stored = { ...article };
+      TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+      // Articles can come from the client, so their content is sanitized again
+      const { html, report } = sanitizeHtml(article.content);
+      stored.content = html;
+      stored.sanitized = report;
+
+      const url = sourceUrl(article) || fields.url || null;
+      let key = null;
+      if (url) {
+        try {
+          key = normalizeUrl(url);
+        } catch (e) {
+          throw new InvalidRequestError('Invalid article URL');
+        }
+      }
+
+      const now = new Date().toISOString();
+      const summaries = await loadIndex();
+      const existing = key ? Array.from(summaries.values()).find(item => item.key === key) : null;
+      const item = {
+        id: existing ? existing.id : crypto.randomUUID(),
+        key,
+        url,
+        site: url ? new URL(url).hostname.replace(/^www\./, '') : null,
+        title: article.title || 'Untitled article',
+        siteName: article.siteName || null,
+        byline: article.byline || null,
+        excerpt: article.excerpt || null,
+        leadImage: article.leadImage || null,
+        publishedTime: article.publishedTime || null,
+        status: existing ? existing.status : 'unread',
+        starred: fields.starred !== undefined ? readBoolean(fields.starred) : !!(existing && existing.starred),
+        tags: fields.tags !== undefined ? readTags(fields.tags) : (existing ? existing.tags : []),
+        savedAt: existing ? existing.savedAt : now,
+        updatedAt: now,
+        readAt: existing ? existing.readAt : null,
+        feedId: fields.feedId || (existing && existing.feedId) || null,
+        article: stored
+      };
+      await store.set(item.id, item);
+      summaries.set(item.id, summarize(item));
+      console.log(`${existing ? 'Updated' : 'Saved'} library item ${item.id}: ${item.title}`);
+      return { item: summarize(item), created: !existing };
+    },
+
+    /**
+     * List saved articles, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - unread, read or archived; "all" or empty for every status
+     * @param {boolean|string} [filters.starred] - Only starred items
+     * @param {string} [filters.site] - Hostname; subdomains match too
+     * @param {string} [filters.tag] - Tag, ignoring case
+     * @param {string} [filters.feed] - Id of the feed subscription the items came from
+     * @param {number} [filters.limit=100] - Most items returned (at most 500)
+     * @param {number} [filters.offset=0] - Items to skip
+     * @returns {Promise<{items: Object[], total: number}>} Item summaries (without the article), and
+     *   how many items match in total
+     * @throws {InvalidRequestError} If the status is unknown
+     */
+    async list(filters = {}) {
+      const limit = Math.min(MAX_LIST_LIMIT, Math.max(1, parseInt(filters.limit, 10) || DEFAULT_LIST_LIMIT));
+      const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+      const matching = await findItems(filters);
+
+      return {
+        items: matching.slice(offset, offset + limit).map(summarize),
+        total: matching.length
+      };
+    },
+
+    /**
+     * Count matching items by the value of one of their fields
+     * @param {string} field - Item field, such as feedId
+     * @param {Object} [filters] - As for list
+     * @returns {Promise<Object>} Counts by field value; items without a value aren't counted
+     * @throws {InvalidRequestError} If the status is unknown
+     */
+    async countBy(field, filters = {}) {
+      const counts = {};
+      (await findItems(filters)).forEach(item => {
+        const value = item[field];
+        if (value !== null && value !== undefined) counts[value] = (counts[value] || 0) + 1;
+      });
+      return counts;
+    },
+
+    /**
+     * Read a saved article
+     * @param {string} id
+     * @returns {Promise<Object>} The item with its full `article`
+     * @throws {NotFoundError} If there is no such item
+     */
+    get: getItem,
+
+    /**
+     * Change an item's status, star or tags
+     * @param {string} id
+     * @param {Object} changes
+     * @param {string} [changes.status] - unread, read or archived
+     * @param {boolean} [changes.starred]
+     * @param {string[]} [changes.tags] - Replaces the tags
+     * @returns {Promise<Object>} Summary of the updated item
+     * @throws {NotFoundError|InvalidRequestError} If there is no such item, or a change is invalid
+     */
+    async update(id, changes = {}) {
+      const summaries = await loadIndex();
+      const item = await getItem(id);
+      const updated = { ...item, updatedAt: new Date().toISOString() };
+      if (changes.status !== undefined) {
+        updated.status = readStatus(changes.status);
+        if (updated.status === 'read' && item.status !== 'read') {
+          updated.readAt = updated.updatedAt;
+        }
+      }
+      if (changes.starred !== undefined) updated.starred = readBoolean(changes.starred);
+      if (changes.tags !== undefined) updated.tags = readTags(changes.tags);
+
+      await store.set(item.id, updated);
+      summaries.set(item.id, summarize(updated));
+      return summarize(updated);
+    },
+
+    /**
+     * Remove a saved article
+     * @param {string} id
+     * @throws {NotFoundError} If there is no such item
+     */
+    async delete(id) {
+      const summaries = await loadIndex();
+      if (!(await store.delete(String(id)))) {
+        throw new NotFoundError('Library item not found');
+      }
+      summaries.delete(String(id));
+    }
+  };
+}
+
+/**
+ * Create the library described by environment variables, used by server.js
+ *   LIBRARY_STORE - file (default) or memory
+ *   LIBRARY_DIR   - Directory for the file store (default .data/library)
+ * @returns {Object} Library
+ */
+function createLibraryFromEnv() {
+  const kind = (process.env.LIBRARY_STORE || 'file').toLowerCase();
+  const store = kind === 'memory'
+    ? createMemoryStore()
+    : createFileStore({ dir: process.env.LIBRARY_DIR });
+  return createLibrary({ store });
+}
+
+module.exports = {
+  STATUSES,
+  createLibrary,
+  createLibraryFromEnv,
+  createHighlights,
+  createHighlightsFromEnv,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,27 @@
+/**
+ * In-memory store for the library, lost on restart; for tests and single-process demos
+ * @returns {{get: Function, set: Function, delete: Function, list: Function}}
+ */
+function createMemoryStore() {
+  const items = new Map();
+
+  return {
+    async get(id) {
+      return items.has(id) ? items.get(id) : null;
+    },
+
+    async set(id, item) {
+      items.set(id, item);
+    },
+
+    async delete(id) {
+      return items.delete(id);
+    },
+
+    async list() {
+      return Array.from(items.values());
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
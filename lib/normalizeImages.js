@@ -0,0 +1,313 @@
+/**
+ * Image normalization, run on the page before Readability.
+ *
+ * Sites load images lazily or responsively in ways Readability doesn't follow:
+ * the real URL sits in data-src/data-srcset, in <picture> sources, or in a
+ * <noscript> fallback next to a placeholder. This pass gives every image a
+ * real, absolute `src` (the best srcset candidate), turns <picture> into a
+ * plain <img>, and wraps images and their captions in <figure>/<figcaption>
+ * so Readability keeps them together.
+ */
+
+// Attributes lazy-loading libraries keep the real URL in, most specific first
+const LAZY_SRC_ATTRIBUTES = [
+  'data-src', 'data-lazy-src', 'data-original', 'data-original-src', 'data-hi-res-src', 'data-full-src',
+  'data-orig-file', 'data-lazyload', 'data-echo', 'data-url', 'data-img-src'
+];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'data-original-srcset'];
+const LAZY_SIZES_ATTRIBUTES = ['data-sizes'];
+
+// src values that are only stand-ins for the real image
+const PLACEHOLDER_SRC = /^data:|placeholder|blank\.(?:gif|png)|spacer|pixel\.(?:gif|png)|transparent\.(?:gif|png)|1x1|lazy|loading|grey\.gif|gray\.gif/i;
+
+// Widest srcset candidate picked; wider ones are only used when nothing smaller exists
+const MAX_IMAGE_WIDTH = 1600;
+const MAX_IMAGE_DENSITY = 2;
+
+// Class names of caption elements sites put next to images
+const CAPTION_CLASS = /(?:^|[\s_-])(?:caption|wp-caption-text|figcaption|image-credit|photo-credit|credit)(?:$|[\s_-])/i;
+
+/**
+ * Resolve a URL against the page URL
+ * @param {string} value
+ * @param {string} [baseUrl]
+ * @returns {string} The absolute URL, or the value unchanged if it can't be resolved
+ */
+function absoluteUrl(value, baseUrl) {
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Split a srcset attribute into candidates, allowing commas inside URLs
+ * @param {string} srcset
+ * @returns {Array<{url: string, width: (number|null), density: number}>}
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  const value = srcset || '';
+  let position = 0;
+
+  while (position < value.length) {
+    while (position < value.length && /[\s,]/.test(value[position])) position++;
+    if (position >= value.length) break;
+
+    let start = position;
+    while (position < value.length && !/\s/.test(value[position])) position++;
+    let url = value.slice(start, position);
+    let descriptor = '';
+    if (/,$/.test(url)) {
+      // "a.jpg,b.jpg 2x": a trailing comma ends the candidate
+      url = url.replace(/,+$/, '');
+    } else {
+      start = position;
+      while (position < value.length && value[position] !== ',') position++;
+      descriptor = value.slice(start, position).trim();
+    }
+
+    const width = /^(\d+)w$/.exec(descriptor);
+    const density = /^([\d.]+)x$/.exec(descriptor);
+    candidates.push({
+      url,
+      width: width ? parseInt(width[1], 10) : null,
+      density: density ? parseFloat(density[1]) : 1
+    });
+  }
+  return candidates.filter(candidate => candidate.url);
+}
+
+/**
+ * Pick the best candidate from a srcset: the widest up to MAX_IMAGE_WIDTH (or the
+ * highest density up to MAX_IMAGE_DENSITY), else the smallest one above the limit
+ * @param {string} srcset
+ * @returns {string|null}
+ */
+function bestSrcsetCandidate(srcset) {
+  const candidates = parseSrcset(srcset);
+  if (candidates.length === 0) return null;
+
+  const byWidth = candidates.filter(candidate => candidate.width);
+  const [list, size, limit] = byWidth.length > 0
+    ? [byWidth, candidate => candidate.width, MAX_IMAGE_WIDTH]
+    : [candidates, candidate => candidate.density, MAX_IMAGE_DENSITY];
+  const sorted = list.slice().sort((a, b) => size(a) - size(b));
+  const withinLimit = sorted.filter(candidate => size(candidate) <= limit);
+  return (withinLimit.length > 0 ? withinLimit[withinLimit.length - 1] : sorted[0]).url;
+}
+
+/**
+ * Make every URL in a srcset absolute
+ * @param {string} srcset
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+function absoluteSrcset(srcset, baseUrl) {
+  return parseSrcset(srcset).map(candidate => {
+    const descriptor = candidate.width ? ` ${candidate.width}w` : candidate.density !== 1 ? ` ${candidate.density}x` : '';
+    return `${absoluteUrl(candidate.url, baseUrl)}${descriptor}`;
+  }).join(', ');
+}
+
+/**
+ * Check whether an image's src is missing or a placeholder
+ * @param {Element} img
+ * @returns {boolean}
+ */
+function hasPlaceholderSrc(img) {
+  const src = (img.getAttribute('src') || '').trim();
+  return !src || PLACEHOLDER_SRC.test(src);
+}
+
+/**
+ * Copy the first lazy attribute that is set onto the real attribute
+ * @param {Element} element
+ * @param {string[]} lazyAttributes
+ * @param {string} attribute - Real attribute, e.g. "src"
+ * @returns {boolean} True if a value was copied
+ */
+function promoteAttribute(element, lazyAttributes, attribute) {
+  const lazy = lazyAttributes.find(name => (element.getAttribute(name) || '').trim());
+  if (!lazy) return false;
+  element.setAttribute(attribute, element.getAttribute(lazy).trim());
+  return true;
+}
+
+/**
+ * Replace placeholder images with the real images from their <noscript> fallbacks
+ * @param {Document} document
+ */
+function unwrapNoscriptImages(document) {
+  Array.from(document.querySelectorAll('noscript')).forEach(noscript => {
+    // Without scripting, the parser keeps <noscript> content as text
+    const template = document.createElement('template');
+    template.innerHTML = noscript.innerHTML.includes('<') ? noscript.innerHTML : noscript.textContent;
+    const fallback = template.content;
+    const images = fallback.querySelectorAll('img');
+    if (images.length !== 1 || fallback.textContent.trim()) return;
+
+    // The placeholder is usually the previous sibling, or an image-only wrapper around it
+    const previous = noscript.previousElementSibling;
+    const placeholder = previous && (previous.tagName === 'IMG'
+      ? previous
+      : !previous.textContent.trim() && previous.querySelectorAll('img').length === 1 && previous.querySelector('img'));
+
+    const isLazy = placeholder && LAZY_SRC_ATTRIBUTES.concat(LAZY_SRCSET_ATTRIBUTES).some(name => placeholder.hasAttribute(name));
+    if (isLazy) {
+      // The placeholder has its own lazy URL, the fallback would only duplicate it
+      noscript.remove();
+    } else if (placeholder && hasPlaceholderSrc(placeholder)) {
+      placeholder.replaceWith(document.importNode(images[0], true));
+      noscript.remove();
+    } else {
+      noscript.replaceWith(document.importNode(fallback, true));
+    }
+  });
+}
+
+/**
+ * Give an image its real, absolute src
+ * @param {Element} img
+ * @param {string} [baseUrl]
+ */
+function normalizeImage(img, baseUrl) {
+  if (hasPlaceholderSrc(img) || LAZY_SRC_ATTRIBUTES.some(name => img.hasAttribute(name))) {
+    if (promoteAttribute(img, LAZY_SRC_ATTRIBUTES, 'src')) {
+      // Placeholders are often sized 1x1
+      if (img.getAttribute('width') === '1') img.removeAttribute('width');
+      if (img.getAttribute('height') === '1') img.removeAttribute('height');
+    }
+  }
+  promoteAttribute(img, LAZY_SRCSET_ATTRIBUTES, 'srcset');
+  promoteAttribute(img, LAZY_SIZES_ATTRIBUTES, 'sizes');
+
+  const srcset = img.getAttribute('srcset');
+  if (srcset) {
+    img.setAttribute('srcset', absoluteSrcset(srcset, baseUrl));
+    const best = bestSrcsetCandidate(srcset);
+    if (best && (hasPlaceholderSrc(img) || img.hasAttribute('data-srcset') || /\d+w\b/.test(srcset))) {
+      img.setAttribute('src', best);
+    }
+  }
+
+  const src = img.getAttribute('src');
+  if (src && !/^data:/i.test(src.trim())) {
+    img.setAttribute('src', absoluteUrl(src, baseUrl));
+  }
+  ['loading', 'decoding'].forEach(name => img.removeAttribute(name));
+}
+
+/**
+ * Turn a <picture> into its <img>, using the best source when the img has no real src
+ * @param {Element} picture
+ * @param {string} [baseUrl]
+ */
+function flattenPicture(picture, baseUrl) {
+  const document = picture.ownerDocument;
+  let img = picture.querySelector('img');
+  const sources = Array.from(picture.querySelectorAll('source'));
+  sources.forEach(source => promoteAttribute(source, LAZY_SRCSET_ATTRIBUTES, 'srcset'));
+
+  if (!img) {
+    img = document.createElement('img');
+    picture.appendChild(img);
+  }
+  normalizeImage(img, baseUrl);
+
+  if (hasPlaceholderSrc(img)) {
+    // Sources without a media query apply everywhere; prefer them
+    const ordered = sources.filter(source => !source.getAttribute('media')).concat(sources.filter(source => source.getAttribute('media')));
+    const source = ordered.find(candidate => candidate.getAttribute('srcset') || candidate.getAttribute('src'));
+    if (source) {
+      const srcset = source.getAttribute('srcset');
+      const best = srcset ? bestSrcsetCandidate(srcset) : source.getAttribute('src');
+      if (best) img.setAttribute('src', absoluteUrl(best, baseUrl));
+      if (srcset && !img.getAttribute('srcset')) img.setAttribute('srcset', absoluteSrcset(srcset, baseUrl));
+    }
+  }
+
+  picture.replaceWith(img);
+}
+
+/**
+ * Find the element standing for an image in the layout: the image itself, or
+ * wrappers (links, divs, spans) that hold nothing else
+ * @param {Element} img
+ * @returns {Element}
+ */
+function imageBlock(img) {
+  let block = img;
+  while (block.parentElement && !['BODY', 'FIGURE', 'ARTICLE', 'MAIN', 'SECTION'].includes(block.parentElement.tagName) &&
+         block.parentElement.children.length === 1 && !block.parentElement.textContent.trim()) {
+    block = block.parentElement;
+  }
+  return block;
+}
+
+/**
+ * Check whether an element looks like an image caption
+ * @param {Element|null} element
+ * @returns {boolean}
+ */
+function isCaption(element) {
+  if (!element || element.querySelector('img, figure, h1, h2, h3, h4, h5, h6')) return false;
+  const text = element.textContent.trim();
+  if (!text || text.length > 400) return false;
+  return element.tagName === 'FIGCAPTION' ||
+    CAPTION_CLASS.test(element.getAttribute('class') || '') ||
+    (element.getAttribute('itemprop') || '') === 'caption';
+}
+
+/**
+ * Wrap images and their captions in <figure>/<figcaption>
+ * @param {Document} document
+ */
+function pairCaptions(document) {
+  // Stray <figcaption>s right after a figure belong in it
+  Array.from(document.querySelectorAll('figcaption')).forEach(caption => {
+    const figure = caption.previousElementSibling;
+    if (!caption.closest('figure') && figure && figure.tagName === 'FIGURE' && !figure.querySelector('figcaption')) {
+      figure.appendChild(caption);
+    }
+  });
+
+  // Images followed by a caption element become figures
+  Array.from(document.querySelectorAll('img')).forEach(img => {
+    if (!img.isConnected || img.closest('figure')) return;
+    const block = imageBlock(img);
+    const container = block.parentElement;
+    let caption = block.nextElementSibling;
+    // Captions can also follow the wrapper the image sits in (<div class="wp-caption"><a><img></a><p class="wp-caption-text">)
+    if (!isCaption(caption) && container && container.children.length === 2 && block === container.firstElementChild) {
+      caption = container.lastElementChild;
+    }
+    if (!isCaption(caption)) return;
+
+    const figure = document.createElement('figure');
+    const figcaption = document.createElement('figcaption');
+    while (caption.firstChild) figcaption.appendChild(caption.firstChild);
+    block.replaceWith(figure);
+    figure.appendChild(block);
+    figure.appendChild(figcaption);
+    caption.remove();
+  });
+}
+
+/**
+ * Normalize the images of a page in place, before extraction
+ * @param {Document} document - The page, modified in place
+ * @param {string} [baseUrl] - The page URL, used to resolve relative image URLs
+ * @returns {number} How many images have a real src afterwards
+ */
+function normalizeImages(document, baseUrl) {
+  unwrapNoscriptImages(document);
+  Array.from(document.querySelectorAll('picture')).forEach(picture => flattenPicture(picture, baseUrl));
+  document.querySelectorAll('img').forEach(img => normalizeImage(img, baseUrl));
+  pairCaptions(document);
+
+  return Array.from(document.querySelectorAll('img')).filter(img => !hasPlaceholderSrc(img)).length;
+}
+
+module.exports = { normalizeImages, parseSrcset, bestSrcsetCandidate };
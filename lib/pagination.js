@@ -0,0 +1,196 @@
+const { JSDOM } = require('jsdom');
+
+// Containers that usually hold "next page" and numbered page links
+const PAGINATION_SELECTORS = [
+  '.pagination',
+  '.pager',
+  '.page-numbers',
+  '.paging',
+  '[class*="paginat"]',
+  'nav[aria-label*="page" i]',
+  '[role="navigation"][aria-label*="page" i]'
+].join(', ');
+
+// Link text used for "next page" in common languages
+const NEXT_TEXT = /^(?:next(?:\s+page)?|more|continue(?:\s+reading)?|weiter|nächste(?:\s+seite)?|suivant(?:e)?|page\s+suivante|siguiente|próxima|successiva|volgende|次へ|下一页|›|»|→)\s*[›»→]?$/i;
+
+// Query parameters and path segments sites use for page numbers
+// ("p" is left out: WordPress uses it for post IDs)
+const PAGE_PARAMS = ['page', 'pg', 'paged', 'pagina', 'seite'];
+const PAGE_PATH = /\/(?:page|seite|pagina)\/(\d+)\/?$|[-_/]p(?:age)?(\d+)\/?$/i;
+
+/**
+ * Strip the page number from a URL so pages of one article compare equal
+ * @param {URL} url - Page URL
+ * @returns {string} Host and path without page markers
+ */
+function articleKey(url) {
+  const path = url.pathname.replace(PAGE_PATH, '').replace(/\/+$/, '');
+  const query = new URLSearchParams(url.search);
+  PAGE_PARAMS.forEach(param => query.delete(param));
+  query.sort();
+  return `${url.hostname.replace(/^www\./, '')}${path}?${query.toString()}`;
+}
+
+/**
+ * Read the page number from a URL, defaulting to 1
+ * @param {URL} url - Page URL
+ * @returns {number}
+ */
+function pageNumber(url) {
+  for (const param of PAGE_PARAMS) {
+    const value = parseInt(url.searchParams.get(param), 10);
+    if (value > 0) return value;
+  }
+  const match = url.pathname.match(PAGE_PATH);
+  const value = match ? parseInt(match[1] || match[2], 10) : NaN;
+  return value > 0 ? value : 1;
+}
+
+/**
+ * Find the URL of the next page of a multi-page article
+ *
+ * Looks, in order, at <link rel="next">, "next page" anchors, and the
+ * numbered page list. Candidates must point to another page of the same
+ * article (same host and path once page markers are stripped) that hasn't
+ * been visited yet, which rules out "next article" links.
+ *
+ * @param {Document} document - The page document, before Readability runs
+ * @param {string} pageUrl - URL of the page the document came from
+ * @param {string[]} visited - Page URLs already merged
+ * @returns {string|null} Absolute URL of the next page
+ */
+function findNextPageUrl(document, pageUrl, visited) {
+  let current;
+  try {
+    current = new URL(pageUrl);
+  } catch (e) {
+    return null;
+  }
+
+  const currentKey = articleKey(current);
+  const seen = new Set(visited.map(url => url.replace(/#.*$/, '')));
+
+  const accept = href => {
+    if (!href) return null;
+    let candidate;
+    try {
+      candidate = new URL(href, pageUrl);
+    } catch (e) {
+      return null;
+    }
+    candidate.hash = '';
+    if (candidate.protocol !== 'http:' && candidate.protocol !== 'https:') return null;
+    if (seen.has(candidate.href) || candidate.href === current.href.replace(/#.*$/, '')) return null;
+    if (articleKey(candidate) !== currentKey) return null;
+    return pageNumber(candidate) > pageNumber(current) ? candidate.href : null;
+  };
+
+  // 1. <link rel="next"> in the head
+  for (const link of document.querySelectorAll('link[rel~="next"][href]')) {
+    const next = accept(link.getAttribute('href'));
+    if (next) return next;
+  }
+
+  // 2. "Next page" anchors, by rel or by link text
+  for (const anchor of document.querySelectorAll('a[href]')) {
+    const text = anchor.textContent.replace(/\s+/g, ' ').trim();
+    const label = anchor.getAttribute('aria-label') || '';
+    if ((anchor.getAttribute('rel') || '').split(/\s+/).includes('next') ||
+        NEXT_TEXT.test(text) || NEXT_TEXT.test(label.trim())) {
+      const next = accept(anchor.getAttribute('href'));
+      if (next) return next;
+    }
+  }
+
+  // 3. Numbered page lists: the link labelled with the following page number
+  const wanted = String(pageNumber(current) + 1);
+  for (const container of document.querySelectorAll(PAGINATION_SELECTORS)) {
+    for (const anchor of container.querySelectorAll('a[href]')) {
+      if (anchor.textContent.trim() === wanted) {
+        const next = accept(anchor.getAttribute('href'));
+        if (next) return next;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize heading text for duplicate comparison
+ * @param {string} text
+ * @returns {string}
+ */
+function headingKey(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Stitch the extracted content of several pages into one document.
+ * Headings and embeds repeated from earlier pages (the article title printed
+ * on every page, a video in the page template) are dropped.
+ * @param {Array<{title: string, content: string}>} pages - Extracted pages, in order
+ * @returns {string} Merged content HTML
+ */
+function mergePages(pages) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>');
+  const doc = dom.window.document;
+  const seenHeadings = new Set(pages[0].title ? [headingKey(pages[0].title)] : []);
+  const seenEmbeds = new Set();
+
+  pages.forEach((page, index) => {
+    const container = doc.createElement('div');
+    container.innerHTML = page.content;
+
+    container.querySelectorAll('h1, h2, h3').forEach(heading => {
+      const key = headingKey(heading.textContent);
+      if (!key) return;
+      if (index > 0 && seenHeadings.has(key) && !heading.closest('.embed-additional-media')) {
+        heading.remove();
+      } else {
+        seenHeadings.add(key);
+      }
+    });
+
+    container.querySelectorAll('[data-embed-key]').forEach(wrapper => {
+      const key = wrapper.getAttribute('data-embed-key');
+      if (seenEmbeds.has(key)) {
+        wrapper.remove();
+      } else {
+        seenEmbeds.add(key);
+      }
+    });
+
+    container.querySelectorAll('.embed-additional-media').forEach(section => {
+      if (!section.querySelector('.embed-wrapper')) {
+        section.remove();
+      }
+    });
+
+    // Readability numbers its wrapper after the page it thinks it's on
+    const pageWrapper = container.querySelector('#readability-page-1');
+    if (pageWrapper) {
+      pageWrapper.id = `readability-page-${index + 1}`;
+    }
+
+    while (container.firstChild) {
+      doc.body.appendChild(container.firstChild);
+    }
+  });
+
+  // Collect every page's leftover embeds into one section at the end
+  const sections = Array.from(doc.querySelectorAll('.embed-additional-media'));
+  if (sections.length > 0) {
+    const [first, ...rest] = sections;
+    rest.forEach(section => {
+      section.querySelectorAll('.embed-wrapper').forEach(wrapper => first.appendChild(wrapper));
+      section.remove();
+    });
+    doc.body.appendChild(first);
+  }
+
+  return doc.body.innerHTML;
+}
+
+module.exports = { findNextPageUrl, mergePages };
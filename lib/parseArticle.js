@@ -1,6 +1,63 @@
 const { Readability } = require('@mozilla/readability');
 const { JSDOM } = require('jsdom');
-const fetch = require('node-fetch');
+const { extractMetadata } = require('./extractMetadata');
+const { findNextPageUrl, mergePages } = require('./pagination');
+const { createBrowserPool } = require('./browserPool');
+const { MAX_RESPONSE_BYTES, assertUrlAllowed, isUrlAllowed, safeFetch } = require('./urlSafety');
+const { decodeHtml, normalizeEncoding } = require('./decodeHtml');
+const { USER_AGENT, pageHeaders, mergeHeaders } = require('./requestHeaders');
+const { findSiteRule } = require('./siteRules');
+const {
+  ArticleError,
+  BlockedUrlError,
+  BrowserUnavailableError,
+  CancelledError,
+  ChallengeError,
+  ExtractionError,
+  InvalidRequestError,
+  InvalidUrlError,
+  ResponseTooLargeError,
+  TimeoutError,
+  UnsupportedContentError,
+  UpstreamHttpError,
+  parseRetryAfter
+} = require('./errors');
+const {
+  registerEmbedProvider,
+  unregisterEmbedProvider,
+  getEmbedProviders,
+  detectEmbeds,
+  renderEmbed
+} = require('./embeds');
+const { normalizeFormat, formatArticle } = require('./formats');
+const { sanitizeHtml } = require('./sanitizeHtml');
+const { normalizeImages } = require('./normalizeImages');
+const { normalizeImageMode, bundleImages } = require('./images');
+const { segmentArticle } = require('./segments');
+
+// Content types accepted as article pages
+const HTML_CONTENT_TYPE = /^\s*(?:text\/html|application\/xhtml\+xml)\s*(?:;|$)/i;
+
+// Most pages of a multi-page article to fetch and merge
+const DEFAULT_MAX_PAGES = parseInt(process.env.MAX_ARTICLE_PAGES, 10) || 5;
+
+/**
+ * Check a maxPages option and keep it between 1 and MAX_ARTICLE_PAGES, which is
+ * both the default and the most a request may ask for
+ * @param {number|string} [value] - Whole number, or its string from a query or form
+ * @returns {number}
+ * @throws {InvalidRequestError} If the value isn't a whole number
+ */
+function normalizeMaxPages(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_MAX_PAGES;
+  }
+  const pages = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(pages)) {
+    throw new InvalidRequestError(`maxPages must be a whole number (got ${JSON.stringify(value)})`);
+  }
+  return Math.min(DEFAULT_MAX_PAGES, Math.max(1, pages));
+}
 
 // Try to load Puppeteer (optional dependency for sites that require JavaScript)
 let puppeteer = null;
@@ -11,9 +68,10 @@ const isServerless = !!process.env.AWS_LAMBDA_FUNCTION_NAME ||
                      !!process.env.VERCEL ||
                      !!process.env.NETLIFY_DEV;
 
-// Puppeteer doesn't work well in serverless environments (Netlify Functions, AWS Lambda, etc.)
-// due to size limits and missing Chrome binaries
-if (!isServerless) {
+/**
+ * Load Puppeteer, preferring puppeteer-extra with the stealth plugin
+ */
+function loadPuppeteer() {
   try {
     // Try to use puppeteer-extra with stealth plugin first (better for bypassing Cloudflare)
     puppeteerExtra = require('puppeteer-extra');
@@ -31,18 +89,166 @@ if (!isServerless) {
       console.log('Puppeteer not available, using regular fetch only');
     }
   }
+}
+
+// Puppeteer doesn't work well in serverless environments (Netlify Functions, AWS Lambda, etc.)
+// due to size limits and missing Chrome binaries
+if (!isServerless) {
+  loadPuppeteer();
 } else {
   console.log('Serverless environment detected - Puppeteer disabled (not compatible with Netlify Functions)');
 }
 
+/**
+ * Let a serverless function use the headless browser. Only for functions that may run
+ * longer than a browser parse takes (background functions), and only when CHROME_BIN
+ * points to a Chrome binary built for the platform, since function bundles don't include one.
+ * @returns {boolean} Whether the browser can be used
+ */
+function allowServerlessBrowser() {
+  if (!puppeteer && process.env.CHROME_BIN) {
+    console.log(`Enabling Puppeteer with the Chrome binary at ${process.env.CHROME_BIN}`);
+    loadPuppeteer();
+  }
+  return !!puppeteer;
+}
+
+let browserPool = null;
+
+/**
+ * Get the shared browser pool, creating it on first use
+ *   BROWSER_MAX_PAGES     - Pages open at the same time (default 2)
+ *   BROWSER_QUEUE_TIMEOUT - Milliseconds a request waits for a free page (default 60000)
+ *   BROWSER_RECYCLE_AFTER - Pages served before the browser is replaced (default 50)
+ * @returns {Object} Browser pool from lib/browserPool
+ */
+function getBrowserPool() {
+  if (browserPool) {
+    return browserPool;
+  }
+
+  browserPool = createBrowserPool({
+    maxPages: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 2,
+    queueTimeout: parseInt(process.env.BROWSER_QUEUE_TIMEOUT, 10) || 60000,
+    recycleAfter: parseInt(process.env.BROWSER_RECYCLE_AFTER, 10) || 50,
+    launch: () => {
+      console.log('Launching browser for the pool');
+      return puppeteer.launch({
+        headless: 'new', // Use new headless mode (less detectable)
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--disable-gpu',
+          '--disable-blink-features=AutomationControlled', // Important: hide automation
+          '--disable-features=IsolateOrigins,site-per-process',
+          '--window-size=1920,1080',
+          // '--disable-web-security', // May help bypass some protections
+          '--disable-features=VizDisplayCompositor',
+          ...(isServerless ? [
+            '--single-process',
+            '--no-zygote',
+            '--disable-extensions'
+          ] : [])
+        ],
+        ...(isServerless && {
+          executablePath: process.env.CHROME_BIN || undefined
+        })
+      });
+    }
+  });
+  return browserPool;
+}
+
+/**
+ * Close the shared browser, waiting for in-flight pages first. Call on shutdown.
+ * @returns {Promise<void>}
+ */
+async function shutdownBrowserPool() {
+  if (browserPool) {
+    const pool = browserPool;
+    browserPool = null;
+    await pool.close();
+  }
+}
+
+/**
+ * Progress reporting and cancellation for one parse, passed down to the fetch helpers
+ * @param {Object} [options] - parseArticle options
+ * @param {boolean} [options.browser] - Browser override (see fetchHtml)
+ * @param {AbortSignal} [options.signal] - Cancels the parse
+ * @param {Function} [options.onProgress] - Called with each {stage, message, ...details}
+ * @returns {{browser: (boolean|undefined), signal: (AbortSignal|null), progress: Function, check: Function}}
+ */
+function createRun(options = {}) {
+  const signal = options.signal || null;
+  return {
+    browser: options.browser,
+    signal,
+    /**
+     * Report a stage of the parse
+     * @param {string} stage - See parseArticle for the stages
+     * @param {string} message - Human-readable status
+     * @param {Object} [details] - Extra fields, such as the status of a failed request
+     */
+    progress(stage, message, details = {}) {
+      if (!options.onProgress) return;
+      try {
+        options.onProgress({ stage, message, ...details });
+      } catch (error) {
+        console.error('Progress listener failed:', error);
+      }
+    },
+    /**
+     * Stop here if the parse was cancelled
+     * @throws {CancelledError}
+     */
+    check() {
+      if (signal && signal.aborted) {
+        throw new CancelledError();
+      }
+    }
+  };
+}
+
+/**
+ * Wait, stopping early if the parse is cancelled
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws {CancelledError} If the signal is aborted before the time is up
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Fetch HTML using Puppeteer (headless browser) for sites that block regular requests
  * @param {string} url - The URL to fetch
- * @returns {Promise<string>} HTML content
+ * @param {Object} [rule] - Site rule (see lib/siteRules): headers, selectors to click or dismiss, and to wait for
+ * @param {Object} [run] - Progress and cancellation from createRun(); cancelling closes the page
+ * @returns {Promise<{html: string, encoding: (string|null), url: string}>} HTML content, the encoding the browser
+ *   decoded it with, and the page's URL after redirects
  */
-async function fetchWithPuppeteer(url) {
+async function fetchWithPuppeteer(url, rule = findSiteRule(url), run = createRun()) {
   if (!puppeteer) {
-    throw new Error('Puppeteer is not installed. Install it with: npm install puppeteer');
+    throw new BrowserUnavailableError('Puppeteer is not installed. Install it with: npm install puppeteer');
   }
 
   // Check if we're in a serverless environment (Netlify, AWS Lambda, etc.)
@@ -54,34 +260,53 @@ async function fetchWithPuppeteer(url) {
   const timeout = isServerless ? 20000 : 30000;
   const waitUntil = isServerless ? 'domcontentloaded' : 'networkidle2';
 
-  let browser;
+  let lease;
+  let closeOnAbort = null;
   try {
-    browser = await puppeteer.launch({
-      headless: 'new', // Use new headless mode (less detectable)
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--disable-gpu',
-        '--disable-blink-features=AutomationControlled', // Important: hide automation
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--window-size=1920,1080',
-        // '--disable-web-security', // May help bypass some protections
-        '--disable-features=VizDisplayCompositor',
-        ...(isServerless ? [
-          '--single-process',
-          '--no-zygote',
-          '--disable-extensions'
-        ] : [])
-      ],
-      ...(isServerless && {
-        executablePath: process.env.CHROME_BIN || undefined
-      })
-    });
+    run.progress('launching-browser', 'Opening the page in the headless browser', { url });
+    // Wait for a page from the shared browser instead of launching a browser per request
+    lease = await getBrowserPool().acquire(run.signal);
+    run.check();
+    const page = lease.page;
+    // Closing the page stops whatever it's doing: navigation, evaluation, the challenge loop
+    if (run.signal) {
+      closeOnAbort = () => lease.release();
+      run.signal.addEventListener('abort', closeOnAbort, { once: true });
+    }
 
-    const page = await browser.newPage();
+    // Apply the URL policy to everything the page loads, not just the first
+    // navigation: redirects, frames and the page's own fetches could otherwise
+    // reach internal addresses and end up in the returned HTML
+    const hostChecks = new Map();
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const requestUrl = request.url();
+      if (/^(?:data|blob):/i.test(requestUrl)) {
+        request.continue();
+        return;
+      }
+      let origin;
+      try {
+        origin = new URL(requestUrl).origin;
+      } catch (e) {
+        request.abort('blockedbyclient');
+        return;
+      }
+      if (!hostChecks.has(origin)) {
+        hostChecks.set(origin, isUrlAllowed(requestUrl));
+      }
+      hostChecks.get(origin).then(allowed => {
+        if (allowed) {
+          request.continue();
+        } else {
+          console.log(`Blocked browser request to ${requestUrl}`);
+          request.abort('blockedbyclient');
+        }
+      }).catch(() => {
+        // The page may have closed while the check ran
+      });
+    });
 
     // Stealth techniques to avoid detection
     // Remove webdriver property
@@ -122,11 +347,12 @@ async function fetchWithPuppeteer(url) {
       deviceScaleFactor: 1
     });
 
-    // Use a more recent Chrome user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    // Use a more recent Chrome user agent, unless the site rule sets one
+    const userAgentHeader = Object.keys(rule.headers).find(name => name.toLowerCase() === 'user-agent');
+    await page.setUserAgent(userAgentHeader ? rule.headers[userAgentHeader] : USER_AGENT);
 
     // Set extra headers to look more like a real browser
-    await page.setExtraHTTPHeaders({
+    await page.setExtraHTTPHeaders(mergeHeaders({
       'Accept-Language': 'en-US,en;q=0.9',
       'Accept-Encoding': 'gzip, deflate, br',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
@@ -136,7 +362,7 @@ async function fetchWithPuppeteer(url) {
       'Sec-Fetch-Site': 'none',
       'Sec-Fetch-User': '?1',
       'Cache-Control': 'max-age=0',
-    });
+    }, Object.fromEntries(Object.entries(rule.headers).filter(([name]) => name !== userAgentHeader))));
 
     // Navigate to the page
     const response = await page.goto(url, {
@@ -146,13 +372,17 @@ async function fetchWithPuppeteer(url) {
 
     // Check response status
     if (!response) {
-      throw new Error('No response received from page');
+      throw new UpstreamHttpError(null, 'No response received from page');
     }
 
     const status = response.status();
+    const contentType = response.headers()['content-type'];
+    if (contentType && !HTML_CONTENT_TYPE.test(contentType)) {
+      throw new UnsupportedContentError(contentType.split(';')[0].trim());
+    }
 
     // Wait a moment for page to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await sleep(2000, run.signal);
 
     // Check if we hit a Cloudflare challenge page
     const isCloudflareChallenge = await page.evaluate(() => {
@@ -168,31 +398,32 @@ async function fetchWithPuppeteer(url) {
 
     if (isCloudflareChallenge) {
       console.log('Cloudflare challenge detected, waiting for it to complete...');
+      run.progress('challenge', 'Cloudflare challenge detected, waiting for it to complete', { url });
 
       // Try to interact with the page to help Cloudflare's JavaScript complete the challenge
       try {
         // Simulate human-like mouse movements and scrolling
         await page.mouse.move(100, 100);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500, run.signal);
         await page.mouse.move(200, 200);
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500, run.signal);
 
         // Scroll down and up to simulate reading
         await page.evaluate(() => {
           window.scrollTo(0, 300);
         });
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await sleep(1000, run.signal);
         await page.evaluate(() => {
           window.scrollTo(0, 0);
         });
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500, run.signal);
 
         // Try to find and click any "Verify" or challenge buttons
         try {
           const verifyButton = await page.$('input[type="checkbox"], button:has-text("Verify"), button:has-text("I\'m not a robot"), [class*="challenge"]');
           if (verifyButton) {
             await verifyButton.click();
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await sleep(1000, run.signal);
           }
         } catch (e) {
           // No verify button found, continue
@@ -205,7 +436,9 @@ async function fetchWithPuppeteer(url) {
         const startTime = Date.now();
 
         while (!challengeCompleted && (Date.now() - startTime) < maxWaitTime) {
-          await new Promise(resolve => setTimeout(resolve, 2000)); // Check every 2 seconds
+          await sleep(2000, run.signal); // Check every 2 seconds
+          const waited = Math.round((Date.now() - startTime) / 1000);
+          run.progress('waiting', `Waiting for the challenge to complete (${waited}s)`, { elapsed: waited });
 
           const challengeStatus = await page.evaluate(() => {
             const bodyText = document.body ? document.body.innerText.toLowerCase() : '';
@@ -243,7 +476,7 @@ async function fetchWithPuppeteer(url) {
 
           // Continue simulating activity
           await page.mouse.move(Math.random() * 500, Math.random() * 500);
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          await sleep(1000, run.signal);
         }
 
         if (!challengeCompleted) {
@@ -256,20 +489,23 @@ async function fetchWithPuppeteer(url) {
           });
 
           if (finalCheck) {
-            throw new Error('Cloudflare challenge did not complete successfully');
+            throw new ChallengeError('Cloudflare challenge did not complete successfully', { upstreamStatus: status });
           }
         }
 
         // Wait a bit more for redirect/content to fully load
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        await sleep(3000, run.signal);
 
         console.log('Cloudflare challenge appears to have completed');
       } catch (e) {
+        if (e instanceof CancelledError) {
+          throw e;
+        }
         // Challenge didn't complete in time
         const pageContent = await page.evaluate(() => {
           return document.body ? document.body.innerText.substring(0, 500) : 'No content';
         });
-        throw new Error(`Cloudflare challenge detected but did not complete in time. The site is using Cloudflare protection which may require manual verification. Page content: ${pageContent.substring(0, 200)}`);
+        throw new ChallengeError(`Cloudflare challenge detected but did not complete in time. The site is using Cloudflare protection which may require manual verification. Page content: ${pageContent.substring(0, 200)}`, { upstreamStatus: status });
       }
     }
 
@@ -279,34 +515,23 @@ async function fetchWithPuppeteer(url) {
         const errorElement = document.querySelector('body');
         return errorElement ? errorElement.innerText.substring(0, 500) : 'Unknown error';
       });
-      throw new Error(`HTTP ${status}: ${response.statusText()}. Page content: ${errorText.substring(0, 200)}`);
+      throw new UpstreamHttpError(status, `HTTP ${status}: ${response.statusText()}. Page content: ${errorText.substring(0, 200)}`, {
+        retryAfter: parseRetryAfter(response.headers()['retry-after'])
+      });
     }
 
     // Wait a bit for dynamic content to load (Medium loads content via JS)
     // Use Promise-based delay instead of deprecated waitForTimeout
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await sleep(2000, run.signal);
 
-    // Handle Medium's sign-up modal/popup if it appears
+    // Dismiss sign-up modals and overlays with the site rule's close buttons
     try {
       // Wait a moment for modal to appear
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Common selectors for Medium modals/popups
-      const modalSelectors = [
-        'button[aria-label="Close"]',
-        'button[data-action="close"]',
-        '.overlay button',
-        '[data-testid="close-button"]',
-        'button[class*="close"]',
-        'button[class*="dismiss"]',
-        '.overlay-close',
-        '[aria-label*="close" i]',
-        '[aria-label*="dismiss" i]'
-      ];
+      await sleep(1000, run.signal);
 
       // Try to find and close any modals by clicking buttons
       let modalClosed = false;
-      for (const selector of modalSelectors) {
+      for (const selector of rule.dismiss) {
         try {
           const closeButton = await page.$(selector);
           if (closeButton) {
@@ -318,7 +543,7 @@ async function fetchWithPuppeteer(url) {
             if (isVisible) {
               console.log(`Found visible modal close button with selector: ${selector}`);
               await closeButton.click({ delay: 100 });
-              await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for modal to close
+              await sleep(1000, run.signal); // Wait for modal to close
               modalClosed = true;
               break;
             }
@@ -331,7 +556,7 @@ async function fetchWithPuppeteer(url) {
       // Alternative: Press Escape key to close modals
       if (!modalClosed) {
         await page.keyboard.press('Escape');
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500, run.signal);
       }
 
       // Try to click outside modal to dismiss it (click on body)
@@ -343,40 +568,66 @@ async function fetchWithPuppeteer(url) {
             body.click();
           }
         });
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sleep(500, run.signal);
       } catch (e) {
         // Ignore errors
       }
 
+      // Click what the site rule asks for, e.g. "show full article" buttons
+      for (const selector of rule.click) {
+        const elements = await page.$$(selector);
+        for (const element of elements) {
+          try {
+            await element.click({ delay: 50 });
+            console.log(`Clicked ${selector}`);
+          } catch (e) {
+            // Hidden or detached elements can't be clicked
+          }
+        }
+        if (elements.length > 0) {
+          await sleep(1000, run.signal);
+        }
+      }
+
       // Scroll down a bit to trigger lazy loading and ensure content is visible
       await page.evaluate(() => {
         window.scrollTo(0, 300);
       });
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await sleep(500, run.signal);
     } catch (e) {
       console.log('Error handling modal:', e.message);
     }
 
-    // Wait for article content to appear (Medium-specific)
-    try {
-      await page.waitForSelector('article, [role="article"], .postArticle, .postArticle-content', {
-        timeout: 10000
-      }).catch(() => {
-        // If article selector doesn't appear, continue anyway
-        console.log('Article selector not found, continuing with page content');
-      });
-    } catch (e) {
-      // Continue even if selector wait fails
-      console.log('Waiting for article content timed out, using available content');
+    // Wait for the site rule's article selectors to appear
+    if (rule.waitFor.length > 0) {
+      try {
+        await page.waitForSelector(rule.waitFor.join(', '), {
+          timeout: 10000
+        }).catch(() => {
+          // If article selector doesn't appear, continue anyway
+          console.log('Article selector not found, continuing with page content');
+        });
+      } catch (e) {
+        // Continue even if selector wait fails
+        console.log('Waiting for article content timed out, using available content');
+      }
     }
 
     // Additional wait to ensure content is fully loaded after modal dismissal
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await sleep(1000, run.signal);
 
     // Get the HTML content
     const html = await page.content();
-    return html;
+    if (Buffer.byteLength(html) > MAX_RESPONSE_BYTES) {
+      throw new ResponseTooLargeError(MAX_RESPONSE_BYTES);
+    }
+    // The browser has already decoded the page; report the encoding it chose
+    const encoding = normalizeEncoding(await page.evaluate(() => document.characterSet));
+    return { html, encoding, url: page.url() };
   } catch (error) {
+    // Work on a page closed by cancelling fails with whatever the page was doing
+    run.check();
+
     // Provide more detailed error information
     const errorMessage = error.message || 'Unknown error';
     const errorDetails = {
@@ -386,14 +637,31 @@ async function fetchWithPuppeteer(url) {
       waitUntil: waitUntil
     };
     console.error('Puppeteer error details:', errorDetails);
-    throw new Error(`Puppeteer failed: ${errorMessage}. ${isServerless ? 'Serverless environment detected - Puppeteer may not be fully supported.' : ''}`);
+
+    if (error instanceof ArticleError) {
+      throw error;
+    }
+    if (error.name === 'TimeoutError') {
+      throw new TimeoutError(`Puppeteer failed: ${errorMessage}`, { cause: error });
+    }
+    if (errorMessage.includes('net::ERR_BLOCKED_BY_CLIENT')) {
+      // Request interception refused the navigation
+      throw new BlockedUrlError(`the page at ${url} led to a host that is not allowed`);
+    }
+    if (errorMessage.includes('net::ERR_')) {
+      throw new UpstreamHttpError(null, `Puppeteer failed: ${errorMessage}`, { cause: error });
+    }
+    // Launch failures, crashes and a full pool: the browser is restarted on the next request
+    throw new BrowserUnavailableError(`Puppeteer failed: ${errorMessage}. ${isServerless ? 'Serverless environment detected - Puppeteer may not be fully supported.' : ''}`, {
+      retryable: true,
+      cause: error
+    });
   } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeError) {
-        console.error('Error closing browser:', closeError);
-      }
+    if (closeOnAbort) {
+      run.signal.removeEventListener('abort', closeOnAbort);
+    }
+    if (lease) {
+      await lease.release();
     }
   }
 }
@@ -401,438 +669,550 @@ async function fetchWithPuppeteer(url) {
 /**
  * Fetch HTML using regular fetch with browser-like headers
  * @param {string} url - The URL to fetch
- * @returns {Promise<string>} HTML content
+ * @param {Object} [validators] - Validators from a cached copy, sent as a conditional request
+ * @param {string} [validators.etag] - Sent as If-None-Match
+ * @param {string} [validators.lastModified] - Sent as If-Modified-Since
+ * @param {Object} [headers] - Header overrides from the site rule
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{html: (string|null), encoding: (string|null), url: string, etag: (string|null), lastModified: (string|null), notModified: boolean}>}
+ *   Decoded HTML content, its detected encoding, the URL after redirects and response validators, or notModified
+ *   when the cached copy is current
  */
-async function fetchWithHeaders(url) {
-  const response = await fetch(url, {
+async function fetchWithHeaders(url, validators = {}, headers = {}, signal) {
+  const conditionalHeaders = {};
+  if (validators.etag) conditionalHeaders['If-None-Match'] = validators.etag;
+  if (validators.lastModified) conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+
+  // safeFetch applies the URL policy to every redirect hop and caps the body size
+  const response = await safeFetch(url, {
     headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'DNT': '1',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-User': '?1',
-      'Cache-Control': 'max-age=0',
-      'Referer': 'https://www.google.com/'
+      ...mergeHeaders(pageHeaders(), headers),
+      ...conditionalHeaders
     },
-    redirect: 'follow'
+    // Same budget as the browser: Netlify Functions are stopped after 26s
+    timeout: isServerless ? 20000 : 30000,
+    signal: signal || undefined
   });
 
+  if (response.status === 304 && Object.keys(conditionalHeaders).length > 0) {
+    return { html: null, encoding: null, etag: validators.etag || null, lastModified: validators.lastModified || null, notModified: true };
+  }
+
   if (!response.ok) {
-    const error = new Error(`Failed to fetch URL: ${response.statusText}`);
-    error.statusCode = response.status;
-    throw error;
+    throw new UpstreamHttpError(response.status, `Failed to fetch URL: ${response.status} ${response.statusText}`, {
+      retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+    });
   }
 
-  return await response.text();
+  const contentType = response.headers.get('content-type');
+  if (contentType && !HTML_CONTENT_TYPE.test(contentType)) {
+    throw new UnsupportedContentError(contentType.split(';')[0].trim());
+  }
+
+  let body;
+  try {
+    // Read bytes rather than text(): text() assumes UTF-8
+    body = await response.buffer();
+  } catch (error) {
+    if (error.type === 'max-size') {
+      throw new ResponseTooLargeError(MAX_RESPONSE_BYTES);
+    }
+    if (error.type === 'body-timeout') {
+      throw new TimeoutError(`Timed out reading ${url}`, { cause: error });
+    }
+    throw new UpstreamHttpError(null, `Failed to fetch URL: ${error.message}`, { cause: error });
+  }
+
+  const { html, encoding } = decodeHtml(body, contentType);
+
+  return {
+    html,
+    encoding,
+    url: response.url,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    notModified: false
+  };
 }
 
+// Block-level elements a placeholder can be placed after when an embed is
+// anchored by an inline link
+const BLOCK_TAGS = ['P', 'LI', 'DIV', 'BLOCKQUOTE', 'SECTION', 'ARTICLE', 'FIGURE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TD', 'PRE'];
+
 /**
- * Check if a URL is from a domain that typically requires JavaScript/browser rendering
- * @param {string} url - The URL to check
- * @returns {boolean}
+ * Create a placeholder token unique to one parse, so article text can never collide with it
+ * @returns {string} Token prefix used for placeholder text
  */
-function requiresBrowserRendering(url) {
-  const hostname = new URL(url).hostname.toLowerCase();
-  const jsRequiredDomains = [
-    'medium.com',
-    'substack.com',
-    'dev.to'
-  ];
-
-  return jsRequiredDomains.some(domain => hostname.includes(domain));
+function createPlaceholderToken() {
+  return `article-reader-embed-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
 }
 
 /**
- * Parse an article from a URL
- * @param {string} url - The URL of the article to parse
- * @returns {Promise<Object>} Parsed article data with title, content, excerpt, byline, and siteName
- * @throws {Error} If the URL is invalid, fetch fails, or article cannot be parsed
+ * Replace each embed's anchor element with a text placeholder that Readability keeps
+ * @param {Document} document - The source document (mutated)
+ * @param {Array<Object>} embeds - Embeds found in the document
+ * @param {string} token - Placeholder token prefix
  */
-async function parseArticle(url) {
-  // Validate URL format
-  let articleUrl;
-  try {
-    articleUrl = new URL(url);
-  } catch (e) {
-    throw new Error('Invalid URL format');
-  }
-
-  let html;
-  const needsBrowser = requiresBrowserRendering(url);
-
-  // Try fetching with regular headers first
-  try {
-    html = await fetchWithHeaders(articleUrl.toString());
-  } catch (error) {
-    // If fetch fails with 403/Forbidden or 500, try Puppeteer for ANY site (not just Medium-like sites)
-    const isBlocked = error.statusCode === 403 ||
-                     error.statusCode === 500 ||
-                     error.message.includes('Forbidden') ||
-                     error.message.includes('403') ||
-                     error.message.includes('500');
-
-    // Try Puppeteer if available, regardless of domain (any site might block automated requests)
-    if (isBlocked && puppeteer) {
-      console.log(`Regular fetch failed (${error.statusCode || 'unknown'}) for ${articleUrl.hostname}, trying Puppeteer...`);
-      try {
-        html = await fetchWithPuppeteer(articleUrl.toString());
-      } catch (puppeteerError) {
-        // If Puppeteer also gets a 500, site is likely blocking automated access
-        if (puppeteerError.message.includes('500') || puppeteerError.message.includes('HTTP 500')) {
-          throw new Error(`Site returned a 500 error, likely due to anti-bot protection. Try: 1) Wait a few minutes and try again, 2) Use a different article URL, or 3) Access the article in a regular browser first to verify it's publicly accessible. Original error: ${error.message}`);
-        }
-        throw new Error(`Failed to fetch URL with browser automation: ${puppeteerError.message}. Original error: ${error.message}`);
+function insertEmbedPlaceholders(document, embeds, token) {
+  // Embeds found by scanning raw HTML, or in <head>, have nothing to anchor to
+  const anchored = embeds
+    .map((embed, index) => ({ element: embed.element, index }))
+    .filter(({ element }) => element && element.isConnected && element.tagName !== 'LINK' && document.body.contains(element));
+  // Embeds come grouped by provider; place them in document order
+  anchored.sort((a, b) => (a.element.compareDocumentPosition(b.element) & 4 ? -1 : 1));
+
+  // Last placeholder placed after each block, so several links in one block keep their order
+  const cursors = new Map();
+
+  anchored.forEach(({ element, index }) => {
+    const placeholder = document.createElement('p');
+    placeholder.textContent = `[[${token}-${index}]]`;
+
+    if (element.tagName === 'A') {
+      // Keep the link text readable and drop the embed right after its block
+      let block = element.parentElement;
+      while (block && block !== document.body && !BLOCK_TAGS.includes(block.tagName)) {
+        block = block.parentElement;
       }
-    } else if (isBlocked && !puppeteer) {
-      // Site blocked the request but Puppeteer isn't available
-      if (isServerless) {
-        throw new Error(`Failed to fetch URL: ${error.message}. This site blocked automated requests and requires browser automation, which is not available in serverless environments like Netlify Functions. Please use the local server (npm start) instead, or use a different article URL.`);
+      if (block && block !== document.body) {
+        const after = cursors.get(block) || block;
+        after.parentNode.insertBefore(placeholder, after.nextSibling);
+        cursors.set(block, placeholder);
       } else {
-        throw new Error(`Failed to fetch URL: ${error.message}. This site blocked automated requests and requires browser automation. Install Puppeteer with: npm install puppeteer`);
+        element.parentNode.insertBefore(placeholder, element.nextSibling);
       }
-    } else {
-      // Re-throw the original error if it's not a blocking error
-      throw error;
+      return;
     }
-  }
 
-  // Parse HTML with JSDOM
-  const dom = new JSDOM(html, {
-    url: articleUrl.toString()
+    element.parentNode.replaceChild(placeholder, element);
   });
+}
 
-  const document = dom.window.document;
+/**
+ * Replace placeholders left in Readability's output with the rendered embeds
+ * @param {Document} contentDoc - Document holding the extracted article content
+ * @param {Array<Object>} embeds - Embeds found in the source document
+ * @param {string} token - Placeholder token prefix
+ * @returns {Set<Object>} Embeds that were placed at their original position
+ */
+function hydrateEmbedPlaceholders(contentDoc, embeds, token) {
+  const placed = new Set();
+  const pattern = new RegExp(`\\[\\[${token}-(\\d+)\\]\\]`);
+  const walker = contentDoc.createTreeWalker(contentDoc.body, contentDoc.defaultView.NodeFilter.SHOW_TEXT);
+
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (pattern.test(walker.currentNode.nodeValue)) {
+      textNodes.push(walker.currentNode);
+    }
+  }
 
-  // Extract YouTube and Twitter/X embeds before parsing
-  const embeds = [];
-
-  // Find YouTube embeds - multiple strategies
-  // Strategy 1: Direct iframe embeds
-  const youtubeIframes = document.querySelectorAll('iframe[src*="youtube.com"], iframe[src*="youtu.be"], iframe[src*="youtube-nocookie.com"]');
-  youtubeIframes.forEach(iframe => {
-    // Include parent wrapper if it exists (common pattern)
-    let embedElement = iframe;
-    const parent = iframe.parentElement;
-    if (parent && (parent.classList.contains('youtube') || parent.classList.contains('video') ||
-        parent.classList.contains('embed') || parent.getAttribute('data-youtube-id'))) {
-      embedElement = parent;
+  textNodes.forEach(textNode => {
+    const index = parseInt(textNode.nodeValue.match(pattern)[1], 10);
+    const embed = embeds[index];
+    const parent = textNode.parentNode;
+
+    if (!embed || placed.has(embed)) {
+      parent.removeChild(textNode);
+      return;
     }
 
-    const html = embedElement.outerHTML;
-    if (html && !embeds.some(e => e.html === html)) {
-      embeds.push({
-        type: 'youtube',
-        html: html,
-        element: embedElement,
-        iframe: iframe
-      });
+    const wrapper = renderEmbed(contentDoc, embed);
+    if (parent.tagName === 'P' && parent.textContent.trim() === textNode.nodeValue.trim()) {
+      // Placeholder paragraph is intact, swap the whole paragraph
+      parent.parentNode.replaceChild(wrapper, parent);
+    } else {
+      // Readability merged the placeholder into other text
+      const [before, after] = textNode.nodeValue.split(pattern.exec(textNode.nodeValue)[0]);
+      if (before.trim()) parent.insertBefore(contentDoc.createTextNode(before), textNode);
+      parent.insertBefore(wrapper, textNode);
+      if (after.trim()) parent.insertBefore(contentDoc.createTextNode(after), textNode);
+      parent.removeChild(textNode);
     }
+    placed.add(embed);
   });
 
-  // Strategy 2: Look for divs with YouTube data attributes or classes
-  const youtubeDivs = document.querySelectorAll('div[data-youtube-id], div[data-youtube-url], div.youtube, div[class*="youtube"], div[class*="video-embed"]');
-  youtubeDivs.forEach(div => {
-    // Check if it contains an iframe or has YouTube data
-    const iframe = div.querySelector('iframe[src*="youtube"], iframe[src*="youtu.be"]');
-    const youtubeId = div.getAttribute('data-youtube-id') || div.getAttribute('data-youtube-url');
+  return placed;
+}
 
-    if (iframe) {
-      // Already handled above, skip
-      return;
-    }
+/**
+ * Readability's excerpt without embed placeholders. Without a meta description,
+ * Readability uses the first paragraph, which is a placeholder when the article
+ * opens with an embed; the first paragraph of real text is used instead.
+ * @param {string|null} excerpt - Excerpt from Readability
+ * @param {Document} contentDoc - Document holding the extracted article content, embeds placed
+ * @param {string} token - Placeholder token prefix
+ * @returns {string|null}
+ */
+function cleanExcerpt(excerpt, contentDoc, token) {
+  const pattern = new RegExp(`\\[\\[${token}-\\d+\\]\\]`, 'g');
+  const cleaned = (excerpt || '').replace(pattern, '').trim();
+  if (cleaned) {
+    return cleaned;
+  }
+  const paragraph = Array.from(contentDoc.querySelectorAll('p'))
+    .find(p => !p.closest('.embed-wrapper') && p.textContent.replace(pattern, '').trim());
+  return paragraph ? paragraph.textContent.replace(pattern, '').trim() : null;
+}
 
-    if (youtubeId) {
-      // Extract video ID from various formats
-      let videoId = youtubeId;
-      if (youtubeId.includes('youtube.com/watch?v=')) {
-        videoId = youtubeId.split('v=')[1]?.split('&')[0];
-      } else if (youtubeId.includes('youtu.be/')) {
-        videoId = youtubeId.split('youtu.be/')[1]?.split('?')[0];
-      }
+/**
+ * Parse an article from a URL, following pagination for multi-page articles
+ * @param {string} url - The URL of the article to parse
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Most pages to fetch and merge, at most MAX_ARTICLE_PAGES
+ *   (default MAX_ARTICLE_PAGES or 5)
+ * @param {Object} [options.cache] - Parse cache from lib/cache, consulted before fetching
+ * @param {boolean} [options.refresh] - Skip the cache lookup and re-parse (the result is still stored)
+ * @param {string} [options.format='html'] - Format of `content`: html, markdown, text or standalone
+ * @param {string} [options.images='hotlink'] - hotlink, inline (data: URIs) or proxy (served from
+ *   the image store), see lib/images
+ * @param {Object} [options.imageStore] - Image store from lib/images, required for proxy
+ * @param {string} [options.imageUrlPrefix='/api/image/'] - Where the image store is served, for proxy
+ * @param {boolean} [options.browser] - true loads pages in the headless browser only, false never
+ *   uses it; by default the site rule's strategy decides
+ * @param {AbortSignal} [options.signal] - Cancels the parse: requests are aborted, the browser page
+ *   is closed, and parseArticle rejects with CancelledError
+ * @param {Function} [options.onProgress] - Called with {stage, message, ...details} as the parse goes:
+ *   fetching {url}, fetch-failed {status, code}, launching-browser {url}, challenge {url},
+ *   waiting {elapsed} (seconds, while a challenge runs), extracting {page}, embeds {count},
+ *   and done {title, cacheStatus}
+ * @param {boolean} [options.segments] - Add `segments`, the content as sentences for reading
+ *   aloud (see lib/segments)
+ * @returns {Promise<Object>} Parsed article data with title, content, excerpt, byline, siteName,
+ *   metadata, `encoding`, the character encoding the page was decoded with, `format`, `pages`,
+ *   the page URLs merged into the content, `siteRule`, the name of the site rule applied (see
+ *   lib/siteRules), and `sanitized`, what the sanitizer removed from the content (see
+ *   lib/sanitizeHtml). With bundled images, `images` counts them. With a cache,
+ *   `cacheStatus` is "hit", "revalidated", "miss" or "refreshed"
+ * @throws {ArticleError} If the URL is invalid or blocked, fetch fails, or article cannot be parsed
+ *   (see lib/errors for the codes)
+ */
+async function parseArticle(url, options = {}) {
+  // Validate URL format and refuse non-http(s), denied or private hosts up front
+  const articleUrl = assertUrlAllowed(url);
+  const format = normalizeFormat(options.format);
+  const images = imageOptions(options);
+
+  const maxPages = normalizeMaxPages(options.maxPages);
+  const cache = options.cache || null;
+  const run = createRun(options);
+  const done = article => {
+    run.progress('done', 'Done', { title: article.title, cacheStatus: article.cacheStatus || null });
+    return article;
+  };
 
-      if (videoId) {
-        const embedUrl = `https://www.youtube.com/embed/${videoId}`;
-        const embedHtml = `<iframe src="${embedUrl}" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>`;
-
-        if (!embeds.some(e => e.videoId === videoId)) {
-          embeds.push({
-            type: 'youtube',
-            html: embedHtml,
-            element: div,
-            videoId: videoId,
-            isGenerated: true
-          });
-        }
-      }
+  // Serve fresh cache entries directly, revalidate stale ones with the origin
+  let cached = null;
+  if (cache && !options.refresh) {
+    cached = await cache.get(articleUrl.toString(), { maxPages });
+    // Entries stored before content was sanitized are parsed again
+    if (cached && !cached.article.sanitized) {
+      cached = null;
     }
-  });
-
-  // Strategy 3: Look for YouTube links that might be embeds
-  const youtubeLinks = document.querySelectorAll('a[href*="youtube.com/watch"], a[href*="youtu.be/"]');
-  youtubeLinks.forEach(link => {
-    const href = link.getAttribute('href');
-    if (!href) return;
-
-    // Extract video ID
-    let videoId = null;
-    if (href.includes('youtube.com/watch?v=')) {
-      videoId = href.split('v=')[1]?.split('&')[0];
-    } else if (href.includes('youtu.be/')) {
-      videoId = href.split('youtu.be/')[1]?.split('?')[0];
+    if (cached && cached.fresh) {
+      return done({ ...(await finishArticle(cached.article, format, images, options.segments)), cacheStatus: 'hit' });
     }
+  }
 
-    if (videoId && !embeds.some(e => e.videoId === videoId)) {
-      // Check if parent is already an embed container
-      const parent = link.parentElement;
-      if (parent && (parent.classList.contains('embed') || parent.classList.contains('video'))) {
-        // Include parent wrapper
-        const html = parent.outerHTML;
-        if (!embeds.some(e => e.html === html)) {
-          embeds.push({
-            type: 'youtube',
-            html: html,
-            element: parent,
-            videoId: videoId
-          });
-        }
-      } else {
-        // Generate embed iframe from link
-        const embedUrl = `https://www.youtube.com/embed/${videoId}`;
-        const embedHtml = `<iframe src="${embedUrl}" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>`;
-
-        embeds.push({
-          type: 'youtube',
-          html: embedHtml,
-          element: link,
-          videoId: videoId,
-          isGenerated: true
-        });
-      }
-    }
-  });
+  const firstPage = await fetchHtml(articleUrl, cached || {}, findSiteRule(articleUrl), run);
+  if (firstPage.notModified) {
+    await cache.touch(articleUrl.toString(), { maxPages });
+    return done({ ...(await finishArticle(cached.article, format, images, options.segments)), cacheStatus: 'revalidated' });
+  }
 
-  // Strategy 4: Look for oEmbed or other embed patterns
-  const oembedLinks = document.querySelectorAll('link[type="application/json+oembed"][href*="youtube"], a[href*="youtube.com/embed"]');
-  oembedLinks.forEach(link => {
-    const href = link.getAttribute('href');
-    if (href && href.includes('youtube.com/embed/')) {
-      const videoId = href.split('embed/')[1]?.split('?')[0];
-      if (videoId && !embeds.some(e => e.videoId === videoId)) {
-        const embedUrl = `https://www.youtube.com/embed/${videoId}`;
-        const embedHtml = `<iframe src="${embedUrl}" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>`;
-
-        embeds.push({
-          type: 'youtube',
-          html: embedHtml,
-          element: link,
-          videoId: videoId,
-          isGenerated: true
-        });
-      }
-    }
-  });
+  const extracted = await extractAllPages(articleUrl, firstPage.html, maxPages, run);
+  run.check();
+  // Sanitize the final, merged content before it is cached or returned
+  const { html: content, report: sanitized } = sanitizeHtml(extracted.content);
+  const article = { ...extracted, content, sanitized, encoding: firstPage.encoding };
 
-  // Strategy 5: Scan HTML content for YouTube URLs in data attributes, scripts, or text content
-  const htmlContent = dom.serialize();
-  const youtubeUrlPattern = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/g;
-  let match;
-  const foundVideoIds = new Set();
+  // The cache keeps the HTML content with hotlinked images, other formats are rendered per request
+  if (cache) {
+    await cache.set(articleUrl.toString(), article, firstPage, { maxPages });
+    return done({ ...(await finishArticle(article, format, images, options.segments)), cacheStatus: options.refresh ? 'refreshed' : 'miss' });
+  }
+  return done(await finishArticle(article, format, images, options.segments));
+}
 
-  while ((match = youtubeUrlPattern.exec(htmlContent)) !== null) {
-    const videoId = match[1];
-    if (videoId && !embeds.some(e => e.videoId === videoId)) {
-      foundVideoIds.add(videoId);
-    }
+/**
+ * Read the image bundling options of parseArticle/parseHtml
+ * @param {Object} options - Options passed to parseArticle or parseHtml
+ * @returns {Object} Options for bundleImages
+ * @throws {InvalidRequestError} If the images mode is unknown, or proxy has no image store
+ */
+function imageOptions(options) {
+  const mode = normalizeImageMode(options.images);
+  // Checked before fetching anything; bundleImages would only fail after the parse
+  if (mode === 'proxy' && !options.imageStore) {
+    throw new InvalidRequestError('The proxy images mode is not available here, use inline');
   }
+  return { mode, store: options.imageStore || null, urlPrefix: options.imageUrlPrefix };
+}
 
-  // For each found video ID, check if we already have an embed for it
-  foundVideoIds.forEach(videoId => {
-    if (!embeds.some(e => e.videoId === videoId)) {
-      const embedUrl = `https://www.youtube.com/embed/${videoId}`;
-      const embedHtml = `<iframe src="${embedUrl}" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>`;
-
-      embeds.push({
-        type: 'youtube',
-        html: embedHtml,
-        element: null,
-        videoId: videoId,
-        isGenerated: true
-      });
-    }
-  });
+/**
+ * Bundle the images of a parsed article and render it in the requested format
+ * @param {Object} article - Parsed article with HTML content
+ * @param {string} format - One of FORMATS
+ * @param {Object} images - Options from imageOptions()
+ * @param {boolean} [segments] - Add the content's sentences as `segments`
+ * @returns {Promise<Object>}
+ */
+async function finishArticle(article, format, images, segments) {
+  const result = formatArticle(await bundleImages(article, images), format);
+  // Segments come from the HTML content, whatever the format
+  return segments ? { ...result, segments: segmentArticle(article) } : result;
+}
 
-  // Find Twitter/X embeds - use a Set to track unique tweet URLs/IDs
-  const foundTweetIds = new Set();
-
-  // Strategy 1: Find blockquote Twitter embeds
-  const twitterBlockquotes = document.querySelectorAll('blockquote.twitter-tweet, blockquote[class*="twitter-tweet"]');
-  console.log(`Found ${twitterBlockquotes.length} Twitter blockquotes in HTML`);
-  twitterBlockquotes.forEach(blockquote => {
-    // Extract tweet URL from the blockquote to identify unique tweets
-    const tweetLink = blockquote.querySelector('a[href*="twitter.com/"], a[href*="x.com/"]');
-    let tweetId = null;
-
-    if (tweetLink) {
-      const href = tweetLink.getAttribute('href');
-      // Extract tweet ID from URL (format: twitter.com/username/status/1234567890)
-      const tweetIdMatch = href.match(/\/(status|statuses)\/(\d+)/);
-      if (tweetIdMatch) {
-        tweetId = tweetIdMatch[2];
-      }
+/**
+ * Extract an article and follow its "next page" links, merging up to maxPages pages
+ * @param {URL} articleUrl - URL of the first page
+ * @param {string} html - HTML of the first page
+ * @param {number} maxPages - Most pages to fetch and merge
+ * @param {Object} [run] - Progress and cancellation from createRun(), for the following pages
+ * @returns {Promise<Object>} Parsed article data, with `pages` listing the merged page URLs
+ */
+async function extractAllPages(articleUrl, html, maxPages, run = createRun()) {
+  run.progress('extracting', 'Extracting the article', { page: 1 });
+  const first = extractArticle(html, articleUrl.toString());
+  const pages = [first.article];
+  const pageUrls = [articleUrl.toString()];
+  let embedCount = first.embedCount;
+
+  // Follow "next page" links and stitch the pages into one article
+  let nextPageUrl = first.nextPageUrl;
+  while (nextPageUrl && pages.length < maxPages) {
+    console.log(`Following page ${pages.length + 1}: ${nextPageUrl}`);
+    let page;
+    try {
+      const pageUrl = new URL(nextPageUrl);
+      const { html: pageHtml } = await fetchHtml(pageUrl, {}, findSiteRule(pageUrl), run);
+      run.progress('extracting', `Extracting page ${pages.length + 1}`, { page: pages.length + 1 });
+      page = extractArticle(pageHtml, nextPageUrl, pageUrls.concat(nextPageUrl));
+    } catch (error) {
+      run.check();
+      // Keep the pages we have rather than failing the whole article
+      console.log(`Stopping pagination at ${nextPageUrl}: ${error.message}`);
+      break;
     }
+    pages.push(page.article);
+    pageUrls.push(nextPageUrl);
+    embedCount += page.embedCount;
+    nextPageUrl = page.nextPageUrl;
+  }
+  run.progress('embeds', embedCount === 1 ? 'Found 1 embed' : `Found ${embedCount} embeds`, { count: embedCount });
 
-    // If we can't extract ID, use a hash of the blockquote content as fallback
-    if (!tweetId) {
-      const textContent = blockquote.textContent?.substring(0, 100) || '';
-      tweetId = 'hash_' + textContent.replace(/\s+/g, '').substring(0, 50);
-    }
+  return {
+    ...first.article,
+    content: pages.length > 1 ? mergePages(pages) : first.article.content,
+    pages: pageUrls
+  };
+}
 
-    // Check if we've already found this tweet
-    if (foundTweetIds.has(tweetId)) {
-      return;
+/**
+ * Fetch page HTML with the strategy of the site's rule: a regular request falling back to
+ * Puppeteer when the site blocks it (fetch), Puppeteer only (browser), or Puppeteer falling
+ * back to a regular request (browser-first)
+ * @param {URL} articleUrl - The URL to fetch
+ * @param {Object} [validators] - ETag/Last-Modified of a cached copy (see fetchWithHeaders)
+ * @param {Object} [rule] - Site rule (see lib/siteRules)
+ * @param {Object} [run] - Progress and cancellation from createRun(). Its `browser` overrides the
+ *   rule: true loads the page in the browser only, false never uses the browser
+ * @returns {Promise<{html: (string|null), encoding: (string|null), url: string, etag: (string|null), lastModified: (string|null), notModified: boolean}>}
+ *   `url` is the page's URL after redirects
+ * @throws {ArticleError} If both fetch strategies fail
+ */
+async function fetchHtml(articleUrl, validators, rule = findSiteRule(articleUrl), run = createRun()) {
+  let result;
+  let browserTried = false;
+  const browser = run.browser;
+  const useBrowser = !!puppeteer && browser !== false;
+  let strategy = rule.strategy;
+  if (browser === true) strategy = 'browser';
+  if (browser === false) strategy = 'fetch';
+
+  if (strategy !== 'fetch') {
+    if (useBrowser) {
+      browserTried = true;
+      try {
+        // The browser can't revalidate, so there are no validators to cache
+        const page = await fetchWithPuppeteer(articleUrl.toString(), rule, run);
+        return { ...page, etag: null, lastModified: null, notModified: false };
+      } catch (error) {
+        if (strategy === 'browser' || error instanceof CancelledError) {
+          throw error;
+        }
+        run.progress('fetch-failed', 'The browser couldn\'t load the page, trying a regular request', {
+          status: error.upstreamStatus || null,
+          code: error.code || null
+        });
+        console.log(`Browser fetch failed for ${articleUrl.hostname} (${error.message}), trying a regular request...`);
+      }
+    } else if (browser === true) {
+      throw new BrowserUnavailableError('Browser rendering was requested, but browser automation is not available here');
+    } else if (strategy === 'browser') {
+      throw new BrowserUnavailableError(isServerless
+        ? `The site rule "${rule.name}" requires browser automation, which is not available in serverless environments like Netlify Functions. Please use the local server (npm start) instead.`
+        : `The site rule "${rule.name}" requires browser automation. Install Puppeteer with: npm install puppeteer`);
     }
+  }
 
-    // Find associated script tag (could be before or after)
-    let scriptTag = null;
-    let parent = blockquote.parentElement;
+  // Regular request with browser-like headers
+  try {
+    run.progress('fetching', `Fetching ${articleUrl.hostname}`, { url: articleUrl.toString() });
+    result = await fetchWithHeaders(articleUrl.toString(), validators, rule.headers, run.signal);
+  } catch (error) {
+    // An aborted request fails like a network error
+    run.check();
+    run.progress('fetch-failed', error.upstreamStatus
+      ? `The site answered ${error.upstreamStatus}`
+      : `The request failed: ${error.message}`, { status: error.upstreamStatus || null, code: error.code || null });
 
-    // Check siblings
-    let sibling = blockquote.previousElementSibling;
-    while (sibling && !scriptTag) {
-      if (sibling.tagName === 'SCRIPT' &&
-          (sibling.src?.includes('platform.twitter.com') || sibling.src?.includes('platform.x.com'))) {
-        scriptTag = sibling;
-      }
-      sibling = sibling.previousElementSibling;
-    }
+    // If fetch fails with 403/Forbidden or 500, try Puppeteer for ANY site (not just Medium-like sites)
+    const isBlocked = error instanceof UpstreamHttpError &&
+                     (error.upstreamStatus === 403 || error.upstreamStatus === 500);
 
-    sibling = blockquote.nextElementSibling;
-    while (sibling && !scriptTag) {
-      if (sibling.tagName === 'SCRIPT' &&
-          (sibling.src?.includes('platform.twitter.com') || sibling.src?.includes('platform.x.com'))) {
-        scriptTag = sibling;
+    // Try Puppeteer if available, regardless of domain (any site might block automated requests)
+    if (isBlocked && useBrowser && !browserTried) {
+      console.log(`Regular fetch failed (${error.upstreamStatus}) for ${articleUrl.hostname}, trying Puppeteer...`);
+      try {
+        // The browser can't revalidate, so there are no validators to cache
+        const page = await fetchWithPuppeteer(articleUrl.toString(), rule, run);
+        result = { ...page, etag: null, lastModified: null, notModified: false };
+      } catch (puppeteerError) {
+        if (puppeteerError instanceof CancelledError) {
+          throw puppeteerError;
+        }
+        // If Puppeteer also gets a 500, site is likely blocking automated access
+        if (puppeteerError.upstreamStatus === 500) {
+          throw new UpstreamHttpError(500, `Site returned a 500 error, likely due to anti-bot protection. Try: 1) Wait a few minutes and try again, 2) Use a different article URL, or 3) Access the article in a regular browser first to verify it's publicly accessible. Original error: ${error.message}`);
+        }
+        // Keep the browser's error type, with both attempts in the message
+        puppeteerError.message = `Failed to fetch URL with browser automation: ${puppeteerError.message}. Original error: ${error.message}`;
+        throw puppeteerError;
       }
-      sibling = sibling.nextElementSibling;
-    }
-
-    // Check if parent contains script
-    if (!scriptTag && parent) {
-      const scriptInParent = parent.querySelector('script[src*="platform.twitter.com"], script[src*="platform.x.com"]');
-      if (scriptInParent) {
-        scriptTag = scriptInParent;
+    } else if (isBlocked && !puppeteer && browser !== false) {
+      // Site blocked the request but Puppeteer isn't available
+      if (isServerless) {
+        throw new BrowserUnavailableError(`Failed to fetch URL: ${error.message}. This site blocked automated requests and requires browser automation, which is not available in serverless environments like Netlify Functions. Please use the local server (npm start) instead, or use a different article URL.`, { upstreamStatus: error.upstreamStatus });
+      } else {
+        throw new BrowserUnavailableError(`Failed to fetch URL: ${error.message}. This site blocked automated requests and requires browser automation. Install Puppeteer with: npm install puppeteer`, { upstreamStatus: error.upstreamStatus });
       }
+    } else {
+      // Re-throw the original error if it's not a blocking error
+      throw error;
     }
+  }
 
-    // Include parent wrapper if it's a Twitter embed container
-    let embedElement = blockquote;
-    if (parent && parent.tagName === 'DIV' &&
-        (parent.classList.contains('twitter-tweet') || parent.classList.contains('twitter-container'))) {
-      embedElement = parent;
-    }
+  return result;
+}
 
-    // Build HTML including script if found
-    let html = embedElement.outerHTML;
-    if (scriptTag && !html.includes(scriptTag.outerHTML)) {
-      html += scriptTag.outerHTML;
+/**
+ * Parse an article from HTML the caller already has (saved pages, pages behind a login)
+ * @param {string|Buffer} html - The page HTML, or the raw bytes of a saved page
+ * @param {string} [baseUrl] - The page's original URL, used to resolve relative links
+ * @param {Object} [options]
+ * @param {string} [options.format='html'] - Format of `content`: html, markdown, text or standalone
+ * @param {string} [options.images='hotlink'] - How to bundle images, as for parseArticle
+ * @param {Object} [options.imageStore] - Image store from lib/images, required for proxy
+ * @param {string} [options.imageUrlPrefix='/api/image/'] - Where the image store is served, for proxy
+ * @param {boolean} [options.segments] - Add `segments`, as for parseArticle
+ * @returns {Promise<Object>} Parsed article data with title, content, excerpt, byline, siteName,
+ *   `format`, `siteRule` and `sanitized`. For raw bytes, `encoding` is the character encoding detected for them
+ * @throws {ArticleError} If the HTML is empty, the base URL or format is invalid, or article cannot be parsed
+ */
+async function parseHtml(html, baseUrl, options = {}) {
+  const format = normalizeFormat(options.format);
+  const images = imageOptions(options);
+  let encoding;
+  if (Buffer.isBuffer(html)) {
+    ({ html, encoding } = decodeHtml(html));
+  }
+  if (typeof html !== 'string' || !html.trim()) {
+    throw new InvalidRequestError('HTML content is required');
+  }
+
+  let articleUrl;
+  if (baseUrl) {
+    try {
+      articleUrl = new URL(baseUrl);
+    } catch (e) {
+      throw new InvalidUrlError();
     }
+  }
 
-    foundTweetIds.add(tweetId);
-    embeds.push({
-      type: 'twitter',
-      html: html,
-      element: embedElement,
-      tweetId: tweetId
+  const { article } = extractArticle(html, articleUrl ? articleUrl.toString() : undefined);
+  const { html: content, report: sanitized } = sanitizeHtml(article.content);
+  const result = { ...article, content, sanitized };
+  return finishArticle(encoding ? { ...result, encoding } : result, format, { ...images, referer: articleUrl && articleUrl.toString() }, options.segments);
+}
+
+/**
+ * Remove the site rule's strip selectors, and limit the page to its content selectors
+ * @param {Document} document - The page, modified in place
+ * @param {Object} rule - Site rule
+ */
+function applySiteRule(document, rule) {
+  let stripped = 0;
+  rule.strip.forEach(selector => {
+    document.querySelectorAll(selector).forEach(element => {
+      element.remove();
+      stripped++;
     });
-    console.log(`Added Twitter embed with tweet ID: ${tweetId}`);
   });
 
-  // Strategy 2: Find Twitter iframe embeds
-  const twitterIframes = document.querySelectorAll('iframe[src*="twitter.com"], iframe[src*="x.com"]');
-  twitterIframes.forEach(iframe => {
-    const src = iframe.getAttribute('src');
-    // Extract tweet ID from iframe src
-    const tweetIdMatch = src.match(/\/(status|statuses)\/(\d+)/);
-    const tweetId = tweetIdMatch ? tweetIdMatch[2] : 'iframe_' + src.substring(0, 50);
-
-    if (!foundTweetIds.has(tweetId)) {
-      foundTweetIds.add(tweetId);
-
-      // Include parent wrapper if it exists
-      let embedElement = iframe;
-      const parent = iframe.parentElement;
-      if (parent && (parent.classList.contains('twitter-tweet') || parent.classList.contains('twitter-container'))) {
-        embedElement = parent;
-      }
+  // The first content selector that matches wins; Readability still cleans what it selects
+  const selector = rule.content.find(candidate => document.querySelector(candidate));
+  if (selector) {
+    const content = Array.from(document.querySelectorAll(selector))
+      .filter((element, index, all) => !all.some(other => other !== element && other.contains(element)));
+    document.body.replaceChildren(...content);
+  }
 
-      embeds.push({
-        type: 'twitter',
-        html: embedElement.outerHTML,
-        element: embedElement,
-        tweetId: tweetId
-      });
-    }
-  });
+  if (rule.name || stripped > 0 || selector) {
+    console.log(`Site rule ${rule.name || '(defaults)'}: stripped ${stripped} elements${selector ? `, content from ${selector}` : ''}`);
+  }
+}
 
-  // Strategy 3: Find Twitter script tags and their associated blockquotes (fallback)
-  const twitterScripts = document.querySelectorAll('script[src*="platform.twitter.com"], script[src*="platform.x.com"]');
-  twitterScripts.forEach(script => {
-    // Check if we've already processed this script's blockquote
-    let blockquote = script.previousElementSibling;
-    while (blockquote && blockquote.tagName !== 'BLOCKQUOTE') {
-      blockquote = blockquote.previousElementSibling;
-    }
+/**
+ * Extract the article from page HTML, keeping embeds in place
+ * @param {string} html - The page HTML
+ * @param {string} [url] - The page URL, used to resolve relative links
+ * @param {string[]} [visitedPages] - Page URLs already fetched, excluded from pagination
+ * @param {Object} [rule] - Site rule (see lib/siteRules): selectors to strip, and of the content
+ * @returns {{article: Object, nextPageUrl: (string|null), embedCount: number}} Parsed article data with
+ *   title, content, excerpt, byline, siteName, metadata and `siteRule`, the name of the rule applied,
+ *   the next page of the article if there is one, and the number of embeds found
+ * @throws {ExtractionError} If article cannot be parsed
+ */
+function extractArticle(html, url, visitedPages = [url], rule = findSiteRule(url)) {
+  // Parse HTML with JSDOM
+  const dom = new JSDOM(html, { url });
 
-    if (!blockquote) {
-      blockquote = script.nextElementSibling;
-      while (blockquote && blockquote.tagName !== 'BLOCKQUOTE') {
-        blockquote = blockquote.nextElementSibling;
-      }
-    }
+  const document = dom.window.document;
 
-    if (blockquote && blockquote.classList.contains('twitter-tweet')) {
-      // Extract tweet ID
-      const tweetLink = blockquote.querySelector('a[href*="twitter.com/"], a[href*="x.com/"]');
-      let tweetId = null;
+  // Read structured metadata and pagination first, Readability rewrites the document
+  const metadata = extractMetadata(document, url);
+  const nextPageUrl = url ? findNextPageUrl(document, url, visitedPages) : null;
 
-      if (tweetLink) {
-        const href = tweetLink.getAttribute('href');
-        const tweetIdMatch = href.match(/\/(status|statuses)\/(\d+)/);
-        if (tweetIdMatch) {
-          tweetId = tweetIdMatch[2];
-        }
-      }
+  applySiteRule(document, rule);
 
-      if (!tweetId) {
-        const textContent = blockquote.textContent?.substring(0, 100) || '';
-        tweetId = 'hash_' + textContent.replace(/\s+/g, '').substring(0, 50);
-      }
+  // Resolve lazy-loaded, <picture> and <noscript> images so Readability sees the real ones
+  const imageCount = normalizeImages(document, url);
+  console.log(`Normalized images: ${imageCount} with a real source`);
 
-      // Only add if we haven't seen this tweet yet
-      if (!foundTweetIds.has(tweetId)) {
-        foundTweetIds.add(tweetId);
-        const html = blockquote.outerHTML + script.outerHTML;
-        embeds.push({
-          type: 'twitter',
-          html: html,
-          element: blockquote,
-          tweetId: tweetId
-        });
-      }
-    }
-  });
+  // Find embeds (YouTube, Twitter/X, Vimeo, ...) before Readability strips them
+  const embeds = detectEmbeds(document);
+
+  // Replace embeds with placeholders so their position survives Readability
+  const placeholderToken = createPlaceholderToken();
+  insertEmbedPlaceholders(document, embeds, placeholderToken);
 
   // Extract article content using Readability
   const reader = new Readability(document);
   const article = reader.parse();
 
   if (!article) {
-    throw new Error('Could not extract article content from this URL');
+    throw new ExtractionError();
   }
 
   // Parse the article content to re-insert embeds
@@ -840,136 +1220,60 @@ async function parseArticle(url) {
   const contentDoc = contentDom.window.document;
   const contentBody = contentDoc.body;
 
-  // Readability almost always strips embeds, so we'll always re-insert them
-  // No need to check for duplicates - just add all embeds we found
-  const twitterEmbeds = embeds.filter(e => e.type === 'twitter');
-  const youtubeEmbeds = embeds.filter(e => e.type === 'youtube');
   console.log(`Found ${embeds.length} total embeds:`);
-  console.log(`  - ${twitterEmbeds.length} Twitter embeds`);
-  console.log(`  - ${youtubeEmbeds.length} YouTube embeds`);
-  console.log(`  - Will add all ${embeds.length} embeds`);
-
-  // Re-insert all embeds (Readability strips them, so we always need to add them back)
-  embeds.forEach(embed => {
-    const embedKey = embed.videoId || embed.tweetId || embed.html;
-    console.log(`Adding embed: ${embed.type} - ${embedKey}`);
-
-    // Create a wrapper div for the embed
-    const wrapper = contentDoc.createElement('div');
-    wrapper.className = `embed-wrapper embed-${embed.type}`;
-
-    // Clone the embed HTML
-    const tempDiv = contentDoc.createElement('div');
-    tempDiv.innerHTML = embed.html;
-
-    // Handle YouTube embeds
-    if (embed.type === 'youtube') {
-      let iframe = tempDiv.querySelector('iframe');
-
-      // If we generated the embed, create the iframe
-      if (!iframe && embed.isGenerated && embed.videoId) {
-        iframe = contentDoc.createElement('iframe');
-        iframe.src = `https://www.youtube.com/embed/${embed.videoId}`;
-        iframe.setAttribute('frameborder', '0');
-        iframe.setAttribute('allow', 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture');
-        iframe.setAttribute('allowfullscreen', '');
-        tempDiv.appendChild(iframe);
-      }
-
-      iframe = tempDiv.querySelector('iframe');
-      if (iframe) {
-        wrapper.style.cssText = 'margin: 2em 0; position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; background: #000; border-radius: 8px;';
-        iframe.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: none;';
-        wrapper.appendChild(iframe);
-      } else {
-        // Handle YouTube links or other formats
-        const link = tempDiv.querySelector('a[href*="youtube"], a[href*="youtu.be"]');
-        if (link && embed.videoId) {
-          // Convert link to iframe embed
-          const iframe = contentDoc.createElement('iframe');
-          iframe.src = `https://www.youtube.com/embed/${embed.videoId}`;
-          iframe.setAttribute('frameborder', '0');
-          iframe.setAttribute('allow', 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture');
-          iframe.setAttribute('allowfullscreen', '');
-          wrapper.style.cssText = 'margin: 2em 0; position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; background: #000; border-radius: 8px;';
-          iframe.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: none;';
-          wrapper.appendChild(iframe);
-        } else {
-          wrapper.style.cssText = 'margin: 2em 0; text-align: center;';
-          wrapper.appendChild(tempDiv.cloneNode(true));
-        }
-      }
+  getEmbedProviders().forEach(provider => {
+    const count = embeds.filter(e => e.type === provider.type).length;
+    if (count > 0) {
+      console.log(`  - ${count} ${provider.type} embeds`);
     }
-
-    // Handle Twitter/X embeds
-    else if (embed.type === 'twitter') {
-      wrapper.style.cssText = 'margin: 2em 0; max-width: 100%;';
-
-      // Move all children from tempDiv to wrapper
-      // Skip script tags - frontend will handle Twitter widget loading
-      while (tempDiv.firstChild) {
-        const child = tempDiv.firstChild;
-
-        // Skip script tags - they won't execute via innerHTML anyway
-        if (child.tagName === 'SCRIPT') {
-          tempDiv.removeChild(child);
-          continue;
-        }
-
-        // Ensure blockquotes have the twitter-tweet class and proper structure
-        if (child.tagName === 'BLOCKQUOTE') {
-          if (!child.classList.contains('twitter-tweet')) {
-            child.classList.add('twitter-tweet');
-          }
-          child.style.cssText = 'margin: 0 auto; max-width: 550px;';
-
-          // Ensure blockquote has a link inside (required by Twitter widget)
-          if (!child.querySelector('a[href*="twitter"], a[href*="x.com"]')) {
-            // Try to extract tweet ID and create a link
-            if (embed.tweetId && !embed.tweetId.startsWith('hash_') && !embed.tweetId.startsWith('iframe_')) {
-              const link = contentDoc.createElement('a');
-              link.href = `https://twitter.com/x/status/${embed.tweetId}`;
-              link.textContent = 'View on Twitter';
-              child.appendChild(link);
-            }
-          }
-        }
-
-        // Style iframes
-        if (child.tagName === 'IFRAME') {
-          child.style.cssText = 'max-width: 100%; margin: 0 auto; display: block;';
-        }
-
-        // If child is a div containing a blockquote, ensure blockquote is properly structured
-        if (child.tagName === 'DIV') {
-          const nestedBlockquote = child.querySelector('blockquote');
-          if (nestedBlockquote) {
-            if (!nestedBlockquote.classList.contains('twitter-tweet')) {
-              nestedBlockquote.classList.add('twitter-tweet');
-            }
-            nestedBlockquote.style.cssText = 'margin: 0 auto; max-width: 550px;';
-          }
-        }
-
-        wrapper.appendChild(child);
-      }
-    }
-
-    // Insert embed into content body (append for now, could be improved to preserve position)
-    contentBody.appendChild(wrapper);
   });
 
+  // Swap each placeholder that survived Readability for its embed
+  const placedEmbeds = hydrateEmbedPlaceholders(contentDoc, embeds, placeholderToken);
+
+  // Embeds whose placeholder was stripped (or which had no anchor in the page)
+  // go into a trailing "additional media" section
+  const leftoverEmbeds = embeds.filter(embed => !placedEmbeds.has(embed));
+  if (leftoverEmbeds.length > 0) {
+    console.log(`  - ${leftoverEmbeds.length} embeds could not be placed in position, adding as additional media`);
+    const section = contentDoc.createElement('section');
+    section.className = 'embed-additional-media';
+    const heading = contentDoc.createElement('h2');
+    heading.textContent = 'Additional media';
+    section.appendChild(heading);
+    leftoverEmbeds.forEach(embed => {
+      section.appendChild(renderEmbed(contentDoc, embed));
+    });
+    contentBody.appendChild(section);
+  }
+
   // Get the updated content HTML
   const updatedContent = contentBody.innerHTML;
 
-  // Return the parsed article with embeds
+  // Return the parsed article with embeds and metadata
   return {
-    title: article.title,
-    content: updatedContent,
-    excerpt: article.excerpt,
-    byline: article.byline,
-    siteName: article.siteName
+    article: {
+      title: article.title,
+      content: updatedContent,
+      excerpt: cleanExcerpt(article.excerpt, contentDoc, placeholderToken),
+      byline: article.byline || (metadata.authors.length > 0 ? metadata.authors.map(a => a.name).join(', ') : null),
+      siteName: article.siteName,
+      ...metadata,
+      siteRule: rule.name
+    },
+    nextPageUrl,
+    embedCount: embeds.length
   };
 }
 
-module.exports = { parseArticle };
+module.exports = {
+  parseArticle,
+  parseHtml,
+  normalizeMaxPages,
+  shutdownBrowserPool,
+  allowServerlessBrowser,
+  registerEmbedProvider,
+  unregisterEmbedProvider,
+  getEmbedProviders,
+  formatArticle
+};
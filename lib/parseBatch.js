@@ -0,0 +1,162 @@
+/**
+ * Batch parsing: a list of URLs parsed a few at a time, politely. Requests to
+ * one site run one after another with a pause in between, links to the same
+ * article (by normalized URL) are parsed once, and each result is reported as
+ * soon as it's ready, so callers can stream them.
+ */
+
+const { parseArticle, normalizeMaxPages } = require('./parseArticle');
+const { normalizeUrl } = require('./cache');
+const { InvalidRequestError, InvalidUrlError, toHttpError } = require('./errors');
+
+// Most URLs per batch, and articles parsed at the same time
+const MAX_BATCH_URLS = parseInt(process.env.MAX_BATCH_URLS, 10) || 100;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+// Milliseconds between two requests to the same site (0 turns the pause off)
+const HOST_DELAY = process.env.BATCH_HOST_DELAY ? Math.max(0, parseInt(process.env.BATCH_HOST_DELAY, 10) || 0) : 1000;
+
+/**
+ * Key URLs by article and by site. URLs that don't parse get a key of their
+ * own and no site, and fail in parseArticle with INVALID_URL.
+ * @param {string} url
+ * @returns {{key: string, host: (string|null)}}
+ */
+function batchKey(url) {
+  try {
+    const key = normalizeUrl(url);
+    return { key, host: new URL(key).hostname };
+  } catch (e) {
+    return { key: `invalid:${url}`, host: null };
+  }
+}
+
+/**
+ * Parse a list of URLs
+ * @param {string[]} urls
+ * @param {Object} [options] - parseArticle options (format, images, imageStore, maxPages, cache, refresh), and:
+ * @param {number} [options.concurrency] - Articles parsed at the same time (default BATCH_CONCURRENCY or 4)
+ * @param {number} [options.hostDelay] - Milliseconds between requests to one site (default BATCH_HOST_DELAY or 1000)
+ * @param {AbortSignal} [options.signal] - Stops the batch: articles being parsed are cancelled
+ *   (reported as CANCELLED failures), and the rest are left out
+ * @param {Function} [onResult] - Called with each result as it's ready, in completion order:
+ *   {index, url, ok: true, article}, {index, url, ok: false, error: {code, message, details}},
+ *   or {index, url, duplicateOf} for a URL already in the batch (at that index)
+ * @returns {Promise<{total: number, parsed: number, succeeded: number, failed: number, duplicates: number, cancelled: boolean}>}
+ * @throws {InvalidUrlError|InvalidRequestError} If the list is empty, too long, or holds something other than strings,
+ *   or maxPages isn't a whole number
+ */
+async function parseBatch(urls, options = {}, onResult = () => {}) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new InvalidUrlError('A list of URLs is required');
+  }
+  if (urls.length > MAX_BATCH_URLS) {
+    throw new InvalidRequestError(`Too many URLs (at most ${MAX_BATCH_URLS} per batch)`);
+  }
+  if (urls.some(url => typeof url !== 'string')) {
+    throw new InvalidUrlError();
+  }
+
+  const { concurrency = BATCH_CONCURRENCY, hostDelay = HOST_DELAY, signal, ...otherOptions } = options;
+  // Checked once here rather than failing every article
+  const parseOptions = { ...otherOptions, maxPages: normalizeMaxPages(otherOptions.maxPages) };
+  const summary = { total: urls.length, parsed: 0, succeeded: 0, failed: 0, duplicates: 0, cancelled: false };
+
+  // A failing callback (a closed stream, say) mustn't stall the batch or change its counts
+  const report = result => {
+    try {
+      onResult(result);
+    } catch (error) {
+      console.error(`Batch: reporting the result for ${result.url} failed:`, error.message);
+    }
+  };
+
+  // One job per article; later links to it are reported as duplicates right away
+  const jobs = [];
+  const firstIndex = new Map();
+  urls.forEach((rawUrl, index) => {
+    const url = rawUrl.trim();
+    const { key, host } = batchKey(url);
+    if (firstIndex.has(key)) {
+      summary.duplicates++;
+      report({ index, url, duplicateOf: firstIndex.get(key) });
+      return;
+    }
+    firstIndex.set(key, index);
+    jobs.push({ index, url, host });
+  });
+
+  // Per site: whether a request is running, and when the next one may start
+  const hosts = new Map();
+  const hostState = host => {
+    if (!hosts.has(host)) hosts.set(host, { busy: false, nextAt: 0 });
+    return hosts.get(host);
+  };
+
+  return new Promise(resolve => {
+    let running = 0;
+    let timer = null;
+
+    const finish = async job => {
+      const site = job.host && hostState(job.host);
+      let result;
+      try {
+        const article = await parseArticle(job.url, { ...parseOptions, signal });
+        summary.succeeded++;
+        result = { index: job.index, url: job.url, ok: true, article };
+        // Cached articles didn't touch the site, so they don't hold up the next request
+        if (site && article.cacheStatus !== 'hit') site.nextAt = Date.now() + hostDelay;
+      } catch (error) {
+        summary.failed++;
+        result = { index: job.index, url: job.url, ok: false, error: toHttpError(error).body };
+        if (site) site.nextAt = Date.now() + hostDelay;
+      }
+      report(result);
+      summary.parsed++;
+      if (site) site.busy = false;
+      running--;
+      schedule();
+    };
+
+    // Start every job whose site is free, up to the concurrency limit
+    const schedule = () => {
+      clearTimeout(timer);
+      if (signal && signal.aborted && jobs.length) {
+        summary.cancelled = true;
+        jobs.length = 0;
+      }
+
+      const now = Date.now();
+      let wait = Infinity;
+      for (let i = 0; i < jobs.length && running < concurrency;) {
+        const job = jobs[i];
+        const site = job.host && hostState(job.host);
+        if (site && site.busy) {
+          i++;
+        } else if (site && site.nextAt > now) {
+          wait = Math.min(wait, site.nextAt - now);
+          i++;
+        } else {
+          jobs.splice(i, 1);
+          if (site) site.busy = true;
+          running++;
+          finish(job);
+        }
+      }
+
+      if (running === 0 && jobs.length === 0) {
+        console.log(`Batch: ${summary.succeeded} of ${summary.total - summary.duplicates} articles parsed` +
+          (summary.cancelled ? ' (cancelled)' : ''));
+        if (signal) signal.removeEventListener('abort', schedule);
+        resolve(summary);
+      } else if (wait < Infinity && running < concurrency) {
+        // Nothing else can start until a site's pause is over
+        timer = setTimeout(schedule, wait);
+      }
+    };
+
+    if (signal) signal.addEventListener('abort', schedule, { once: true });
+    schedule();
+  });
+}
+
+module.exports = { parseBatch, MAX_BATCH_URLS };
@@ -0,0 +1,96 @@
+const busboy = require('busboy');
+const { Readable } = require('stream');
+const { InvalidRequestError, PayloadTooLargeError } = require('./errors');
+
+// Largest HTML document accepted from a client, in bytes
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Read multipart/form-data into fields and files
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {Readable|Buffer} input - Request body stream or buffer
+ * @returns {Promise<{fields: Object, files: Array<{name: string, filename: string, mimeType: string, data: Buffer}>}>}
+ */
+function parseMultipart(headers, input) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers, limits: { fileSize: MAX_HTML_BYTES, files: 1, fieldSize: MAX_HTML_BYTES } });
+    } catch (e) {
+      reject(new InvalidRequestError('Invalid multipart upload'));
+      return;
+    }
+
+    const fields = {};
+    const files = [];
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => reject(new PayloadTooLargeError()));
+      stream.on('end', () => {
+        files.push({ name, filename: info.filename, mimeType: info.mimeType, data: Buffer.concat(chunks) });
+      });
+    });
+
+    parser.on('error', () => reject(new InvalidRequestError('Invalid multipart upload')));
+    parser.on('close', () => resolve({ fields, files }));
+
+    (Buffer.isBuffer(input) ? Readable.from([input]) : input).pipe(parser);
+  });
+}
+
+/**
+ * Read submitted HTML, its original URL, the output format, images mode and whether to add
+ * sentence segments from a JSON or multipart request
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {Object|string|Buffer|Readable} body - Parsed JSON body, raw body, or request stream
+ * @returns {Promise<{html: (string|Buffer), url: (string|undefined), format: (string|undefined),
+ *   images: (string|undefined), segments: boolean}>}
+ *   Uploaded files are returned as raw bytes so parseHtml can detect their character encoding
+ * @throws {InvalidRequestError|PayloadTooLargeError} If the body can't be read or is too large
+ */
+async function readHtmlUpload(headers, body) {
+  const contentType = (headers['content-type'] || '').toLowerCase();
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const { fields, files } = await parseMultipart(headers, body);
+    const file = files.find(f => f.name === 'file') || files[0];
+    return {
+      html: file ? file.data : fields.html,
+      url: fields.url || undefined,
+      format: fields.format || undefined,
+      images: fields.images || undefined,
+      segments: fields.segments === '1' || fields.segments === 'true'
+    };
+  }
+
+  let data = body;
+  if (Buffer.isBuffer(data)) {
+    data = data.toString('utf8');
+  }
+  if (typeof data === 'string') {
+    if (Buffer.byteLength(data) > MAX_HTML_BYTES) {
+      throw new PayloadTooLargeError();
+    }
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      throw new InvalidRequestError('Invalid JSON body');
+    }
+  }
+
+  return {
+    html: data && data.html,
+    url: (data && data.url) || undefined,
+    format: (data && data.format) || undefined,
+    images: (data && data.images) || undefined,
+    segments: !!data && data.segments === true
+  };
+}
+
+module.exports = { readHtmlUpload, MAX_HTML_BYTES };
@@ -0,0 +1,67 @@
+/**
+ * Request headers sent to article sites. Page and image requests look like
+ * the same desktop Chrome, so sites that only serve browsers serve both.
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Headers for fetching an article page, as a browser navigating to it
+ * @returns {Object}
+ */
+function pageHeaders() {
+  return {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-User': '?1',
+    'Cache-Control': 'max-age=0',
+    'Referer': 'https://www.google.com/'
+  };
+}
+
+/**
+ * Headers for fetching an image the way the article page would load it
+ * @param {string} [referer] - The article URL; sites that block hotlinking check it
+ * @returns {Object}
+ */
+function imageHeaders(referer) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Sec-Fetch-Dest': 'image',
+    'Sec-Fetch-Mode': 'no-cors',
+    'Sec-Fetch-Site': 'cross-site'
+  };
+  if (referer) headers['Referer'] = referer;
+  return headers;
+}
+
+/**
+ * Apply header overrides, matching names case-insensitively so an override
+ * replaces the default instead of being sent next to it
+ * @param {Object} headers - Default headers
+ * @param {Object} [overrides] - Headers to add or replace
+ * @returns {Object}
+ */
+function mergeHeaders(headers, overrides = {}) {
+  const overridden = new Set(Object.keys(overrides).map(name => name.toLowerCase()));
+  const merged = {};
+  Object.keys(headers).forEach(name => {
+    if (!overridden.has(name.toLowerCase())) merged[name] = headers[name];
+  });
+  return { ...merged, ...overrides };
+}
+
+module.exports = { USER_AGENT, pageHeaders, imageHeaders, mergeHeaders };
@@ -0,0 +1,383 @@
+/**
+ * Allowlist sanitizer for extracted article content.
+ *
+ * Article HTML comes from arbitrary pages and is shown in the reader's own
+ * origin, so the final content is rebuilt from a fixed set of tags and
+ * attributes: everything else is dropped. Scripts, styles, forms and other
+ * active elements are removed with their content, unknown elements are
+ * unwrapped (their text is kept), URLs must use an allowed scheme, inline
+ * styles keep only layout properties, and iframes are kept only when an embed
+ * provider renders that URL or the host is on the operator's list, and always
+ * get a `sandbox` attribute.
+ *
+ * Ids are prefixed with ID_PREFIX, and in-page links and id references with
+ * them, so article markup can't shadow the reader's own elements or the
+ * globals browsers create for ids. Inline styles can't position anything, so
+ * content can't be laid over the reader's controls.
+ *
+ * Operators can adjust the policy with comma-separated lists:
+ *   SANITIZE_ALLOW_TAGS       - Extra tags to keep
+ *   SANITIZE_DENY_TAGS        - Tags to remove (with their content) even though they are allowed
+ *   SANITIZE_ALLOW_ATTRIBUTES - Extra attributes, "name" for every tag or "tag:name" for one
+ *   SANITIZE_URL_SCHEMES      - URL schemes allowed in links and sources (default http, https, mailto, tel)
+ *   SANITIZE_IFRAME_HOSTS     - Extra hosts iframes may load from (subdomains included)
+ *   SANITIZE_IFRAME_SANDBOX   - Sandbox tokens set on every iframe
+ */
+
+const { JSDOM } = require('jsdom');
+const { isEmbedIframe } = require('./embeds');
+
+const DEFAULT_TAGS = [
+  'a', 'abbr', 'address', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption',
+  'cite', 'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'iframe',
+  'img', 'ins', 'kbd', 'li', 'main', 'mark', 'ol', 'p', 'picture', 'pre', 'q', 'rp', 'rt', 'ruby', 's',
+  'samp', 'section', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'video', 'wbr'
+];
+
+// Removed together with their content; other tags not on the list are unwrapped
+const DROP_TAGS = [
+  'applet', 'base', 'button', 'canvas', 'dialog', 'embed', 'form', 'frame', 'frameset', 'head', 'input',
+  'link', 'math', 'meta', 'noscript', 'object', 'option', 'script', 'select', 'style', 'svg', 'template',
+  'textarea', 'title'
+];
+
+const DEFAULT_ATTRIBUTES = {
+  '*': ['id', 'title', 'lang', 'dir', 'class', 'style', 'role', 'aria-label', 'aria-labelledby', 'aria-describedby', 'aria-hidden'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  video: ['src', 'poster', 'controls', 'width', 'height', 'preload', 'muted', 'loop', 'playsinline'],
+  audio: ['src', 'controls', 'preload', 'muted', 'loop'],
+  iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'loading', 'frameborder', 'referrerpolicy', 'scrolling'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  time: ['datetime'],
+  data: ['value'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  details: ['open'],
+  // Embed wrappers
+  div: ['data-embed-key', 'data-embed-url']
+};
+
+// Prefix of every id in the content; it can't form a JavaScript identifier or collide with the reader's ids
+const ID_PREFIX = 'article-';
+// Attributes naming ids, as a space-separated list
+const ID_REFERENCE_ATTRIBUTES = ['headers', 'aria-labelledby', 'aria-describedby'];
+
+// Attributes holding a single URL, and attributes holding a srcset list
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'poster', 'data-embed-url'];
+const SRCSET_ATTRIBUTES = ['srcset'];
+
+// Class names the reader's stylesheet and scripts rely on
+const ALLOWED_CLASSES = [/^page$/, /^embed-[a-z0-9-]+$/, /^twitter-tweet$/];
+
+// Inline style properties kept (embed layout); values can't load anything
+const STYLE_PROPERTIES = /^(?:margin|padding|border)(?:-(?:top|right|bottom|left))?(?:-(?:width|style|color|radius))?$|^(?:width|height|max-width|max-height|min-height|aspect-ratio|overflow|display|text-align|background|background-color|border-radius|float|clear)$/;
+const UNSAFE_STYLE_VALUE = /url\s*\(|expression\s*\(|javascript:|@import|behavior|-moz-binding|\\|fixed|sticky/i;
+
+// Permissions an embedded iframe may ask for
+const IFRAME_PERMISSIONS = ['accelerometer', 'autoplay', 'clipboard-write', 'encrypted-media', 'fullscreen', 'gyroscope', 'picture-in-picture', 'web-share'];
+const DEFAULT_SANDBOX = 'allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox allow-presentation';
+
+// Inline images that can't carry script
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=\s]*$/i;
+
+/**
+ * Parse a comma-separated list from the environment
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Build a policy from the defaults and a set of adjustments
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function buildPolicy(settings) {
+  const tags = new Set(DEFAULT_TAGS.concat(settings.allowTags || []));
+  const dropTags = new Set(DROP_TAGS.filter(tag => !tags.has(tag)));
+  (settings.denyTags || []).forEach(tag => {
+    tags.delete(tag);
+    dropTags.add(tag);
+  });
+
+  const attributes = {};
+  Object.keys(DEFAULT_ATTRIBUTES).forEach(tag => {
+    attributes[tag] = new Set(DEFAULT_ATTRIBUTES[tag]);
+  });
+  (settings.allowAttributes || []).forEach(entry => {
+    const [tag, name] = entry.includes(':') ? entry.split(':') : ['*', entry];
+    // Event handlers are never allowed
+    if (/^on/.test(name)) return;
+    if (!attributes[tag]) attributes[tag] = new Set();
+    attributes[tag].add(name);
+  });
+
+  return {
+    tags,
+    dropTags,
+    attributes,
+    urlSchemes: settings.urlSchemes && settings.urlSchemes.length > 0 ? settings.urlSchemes : ['http', 'https', 'mailto', 'tel'],
+    iframeHosts: (settings.iframeHosts || []).map(host => host.replace(/^\*?\./, '')),
+    iframeSandbox: settings.iframeSandbox || DEFAULT_SANDBOX
+  };
+}
+
+let policy = buildPolicy({
+  allowTags: parseList(process.env.SANITIZE_ALLOW_TAGS),
+  denyTags: parseList(process.env.SANITIZE_DENY_TAGS),
+  allowAttributes: parseList(process.env.SANITIZE_ALLOW_ATTRIBUTES),
+  urlSchemes: parseList(process.env.SANITIZE_URL_SCHEMES),
+  iframeHosts: parseList(process.env.SANITIZE_IFRAME_HOSTS),
+  iframeSandbox: (process.env.SANITIZE_IFRAME_SANDBOX || '').trim()
+});
+
+/**
+ * Replace the sanitizer policy (defaults come from the SANITIZE_* variables)
+ * @param {Object} settings
+ * @param {string[]} [settings.allowTags] - Tags to keep on top of the defaults
+ * @param {string[]} [settings.denyTags] - Tags to remove with their content
+ * @param {string[]} [settings.allowAttributes] - Extra attributes, "name" or "tag:name"
+ * @param {string[]} [settings.urlSchemes] - Allowed URL schemes, without the colon
+ * @param {string[]} [settings.iframeHosts] - Hosts iframes may load from besides the embed providers'
+ * @param {string} [settings.iframeSandbox] - Sandbox tokens set on every iframe
+ */
+function configureSanitizer(settings = {}) {
+  const lower = list => list && list.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+  policy = buildPolicy({
+    allowTags: lower(settings.allowTags),
+    denyTags: lower(settings.denyTags),
+    allowAttributes: lower(settings.allowAttributes),
+    urlSchemes: lower(settings.urlSchemes),
+    iframeHosts: lower(settings.iframeHosts),
+    iframeSandbox: settings.iframeSandbox
+  });
+}
+
+/**
+ * Add one to a counter in the report
+ * @param {Object} counts
+ * @param {string} name
+ */
+function count(counts, name) {
+  counts[name] = (counts[name] || 0) + 1;
+}
+
+/**
+ * Find the scheme of a URL attribute value
+ * @param {string} value
+ * @returns {string|null} Lowercase scheme, or null for relative URLs
+ */
+function urlScheme(value) {
+  // Browsers ignore whitespace and control characters inside "java\tscript:"
+  const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Check a URL attribute value against the allowed schemes
+ * @param {string} value
+ * @param {string} tag - Element the attribute is on
+ * @returns {string|null} The blocked scheme, or null if the URL is allowed
+ */
+function blockedScheme(value, tag) {
+  const scheme = urlScheme(value);
+  if (!scheme || policy.urlSchemes.includes(scheme)) return null;
+  if (scheme === 'data' && (tag === 'img' || tag === 'source') && SAFE_DATA_IMAGE.test(value.trim())) return null;
+  return scheme;
+}
+
+/**
+ * Prefix an id, once: saved articles are sanitized again
+ * @param {string} id
+ * @returns {string}
+ */
+function prefixId(id) {
+  return id.startsWith(ID_PREFIX) ? id : `${ID_PREFIX}${id}`;
+}
+
+/**
+ * Keep only layout declarations from an inline style
+ * @param {string} style
+ * @returns {{style: string, changed: boolean}}
+ */
+function sanitizeStyle(style) {
+  const declarations = style.split(';').map(part => part.trim()).filter(Boolean);
+  const kept = declarations.filter(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) return false;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1);
+    return STYLE_PROPERTIES.test(property) && !UNSAFE_STYLE_VALUE.test(value);
+  });
+  return { style: kept.join('; '), changed: kept.length !== declarations.length };
+}
+
+/**
+ * Check whether an iframe may stay: a provider renders that URL, or the host is allowed
+ * @param {string} src
+ * @returns {boolean}
+ */
+function iframeAllowed(src) {
+  let url;
+  try {
+    url = new URL(src);
+  } catch (e) {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  const host = url.hostname.toLowerCase();
+  return policy.iframeHosts.some(entry => host === entry || host.endsWith(`.${entry}`)) || isEmbedIframe(url);
+}
+
+/**
+ * Remove attributes the policy doesn't allow, and clean the allowed ones
+ * @param {Element} element
+ * @param {string} tag
+ * @param {Object} report
+ */
+function sanitizeAttributes(element, tag, report) {
+  const allowed = policy.attributes[tag];
+  Array.from(element.attributes).forEach(attribute => {
+    const name = attribute.name.toLowerCase();
+    const value = attribute.value;
+
+    if (!policy.attributes['*'].has(name) && !(allowed && allowed.has(name))) {
+      element.removeAttribute(attribute.name);
+      count(report.removedAttributes, name);
+      return;
+    }
+
+    if (name === 'id' || (name === 'name' && tag === 'a')) {
+      element.setAttribute(attribute.name, prefixId(value));
+    } else if (ID_REFERENCE_ATTRIBUTES.includes(name)) {
+      element.setAttribute(attribute.name, value.split(/\s+/).filter(Boolean).map(prefixId).join(' '));
+    } else if (name === 'href' && value.trim().startsWith('#') && value.trim().length > 1) {
+      element.setAttribute(attribute.name, `#${prefixId(value.trim().slice(1))}`);
+    } else if (URL_ATTRIBUTES.includes(name)) {
+      const scheme = blockedScheme(value, tag);
+      if (scheme) {
+        element.removeAttribute(attribute.name);
+        count(report.blockedUrls, scheme);
+      }
+    } else if (SRCSET_ATTRIBUTES.includes(name)) {
+      const candidates = value.split(/,\s+/).filter(candidate => {
+        const scheme = blockedScheme(candidate.trim().split(/\s+/)[0] || '', tag);
+        if (scheme) count(report.blockedUrls, scheme);
+        return !scheme;
+      });
+      if (candidates.length > 0) element.setAttribute(attribute.name, candidates.join(', '));
+      else element.removeAttribute(attribute.name);
+    } else if (name === 'class') {
+      const classes = value.split(/\s+/).filter(name => ALLOWED_CLASSES.some(pattern => pattern.test(name)));
+      if (classes.length > 0) element.setAttribute('class', classes.join(' '));
+      else element.removeAttribute('class');
+    } else if (name === 'style') {
+      const { style, changed } = sanitizeStyle(value);
+      if (changed) count(report.removedAttributes, 'style');
+      if (style) element.setAttribute('style', style);
+      else element.removeAttribute('style');
+    } else if (name === 'target' && value !== '_blank') {
+      element.removeAttribute(attribute.name);
+    } else if (name === 'allow') {
+      const permissions = value.split(';').map(item => item.trim()).filter(item => IFRAME_PERMISSIONS.includes(item.split(/\s+/)[0]));
+      element.setAttribute('allow', permissions.join('; '));
+    }
+  });
+
+  // Links that open a new tab can't reach back into the reader
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+  if (tag === 'iframe') {
+    element.setAttribute('sandbox', policy.iframeSandbox);
+  }
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} parent
+ * @param {Object} report
+ */
+function sanitizeChildren(parent, report) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 8) {
+      node.remove();
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.localName.toLowerCase();
+    if (policy.dropTags.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+      node.remove();
+      count(report.removedElements, tag);
+      return;
+    }
+    if (!policy.tags.has(tag)) {
+      sanitizeChildren(node, report);
+      node.replaceWith(...node.childNodes);
+      count(report.unwrappedElements, tag);
+      return;
+    }
+    if (tag === 'iframe' && !iframeAllowed(node.getAttribute('src') || '')) {
+      let host = 'invalid URL';
+      try {
+        const url = new URL(node.getAttribute('src'));
+        host = url.hostname || url.protocol;
+      } catch (e) {
+        // Keep the placeholder
+      }
+      node.remove();
+      count(report.removedElements, 'iframe');
+      if (!report.blockedIframes.includes(host)) report.blockedIframes.push(host);
+      return;
+    }
+
+    sanitizeAttributes(node, tag, report);
+    sanitizeChildren(node, report);
+  });
+}
+
+/**
+ * Sanitize article content against the allowlist policy
+ * @param {string} html - Article content HTML
+ * @returns {{html: string, report: Object}} The sanitized HTML, and what was removed:
+ *   `removedElements` and `unwrappedElements` (counts by tag), `removedAttributes`
+ *   (counts by name), `blockedUrls` (counts by scheme) and `blockedIframes` (hosts)
+ */
+function sanitizeHtml(html) {
+  const report = {
+    removedElements: {},
+    unwrappedElements: {},
+    removedAttributes: {},
+    blockedUrls: {},
+    blockedIframes: []
+  };
+
+  const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+  const container = document.createElement('div');
+  container.innerHTML = html || '';
+  sanitizeChildren(container, report);
+
+  const removed = Object.keys(report.removedElements).length + Object.keys(report.removedAttributes).length +
+    Object.keys(report.blockedUrls).length;
+  if (removed > 0) {
+    console.log(`Sanitizer removed: ${JSON.stringify(report)}`);
+  }
+  return { html: container.innerHTML, report };
+}
+
+module.exports = { ID_PREFIX, sanitizeHtml, configureSanitizer };
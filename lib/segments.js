@@ -0,0 +1,247 @@
+/**
+ * Article content as sentences, for reading aloud.
+ *
+ * The content is split into blocks (paragraphs, headings, list items, table
+ * cells...) and each block into sentences, in reading order. Every segment
+ * keeps the index of its block, so players can skip by paragraph, and a
+ * language tag: the closest `lang` attribute, else the article's language,
+ * corrected by script for Chinese, Japanese and Korean text. Segment text is
+ * the block's text with whitespace collapsed, so it can be found again in the
+ * rendered content.
+ *
+ * Sentences end at . ! ? … (and 。！？ in CJK text), together with any closing
+ * quotes or brackets after them. A period doesn't end a sentence after a known
+ * abbreviation ("Dr.", "e.g."), an initial ("J. R. R."), or before a lowercase
+ * word. CJK punctuation needs no space after it, but a quotation that the
+ * sentence goes on after (「はい。」と言った。) stays in one piece.
+ */
+
+const { JSDOM } = require('jsdom');
+
+// Elements whose content starts and ends a block of text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main', 'nav', 'ol', 'p',
+  'section', 'summary', 'table', 'td', 'th', 'tr', 'ul'
+]);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+// Not read aloud: code, media and embeds have nothing to say, or nothing worth hearing
+const SKIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'video', 'audio', 'svg',
+  'button', 'pre', 'math'
+]);
+
+// Words that end in a period without ending the sentence, lowercase without the final period
+const ABBREVIATIONS = new Set([
+  // Titles
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'rev', 'hon', 'gen', 'gov', 'sen', 'rep',
+  'col', 'capt', 'lt', 'sgt', 'mme', 'mlle', 'sra', 'srta',
+  // References and measures
+  'no', 'nos', 'nr', 'fig', 'figs', 'vol', 'vols', 'ch', 'p', 'pp', 'ed', 'eds', 'approx', 'ca', 'cf',
+  'vs', 'al', 'dept', 'est', 'min', 'max', 'mt', 'ft', 'ave', 'blvd',
+  // Companies
+  'inc', 'ltd', 'co', 'corp', 'bros',
+  // Months
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  // With inner periods
+  'e.g', 'i.e', 'z.b', 'd.h', 'u.a', 'bzw', 'vgl'
+]);
+
+const WESTERN_TERMINATORS = '.!?…';
+const CJK_TERMINATORS = '。！？｡';
+// Closing quotes and brackets that belong to the sentence before them
+const CLOSERS = '"\'’”»›)]}」』】〉》）］';
+
+// Longest segment; longer sentences are split at a comma or semicolon, since
+// some speech engines stop partway through long utterances
+const MAX_SEGMENT_LENGTH = 300;
+
+/**
+ * Whether a character is a lowercase letter
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isLowercase(char) {
+  return char !== char.toUpperCase() && char === char.toLowerCase();
+}
+
+/**
+ * Whether the period at the end of `text` belongs to an abbreviation or an initial
+ * @param {string} text - Text up to and without the period
+ * @returns {boolean}
+ */
+function endsWithAbbreviation(text) {
+  const word = (text.match(/[\p{L}.]+$/u) || [''])[0];
+  if (!word) return false;
+  // Capital letters are initials ("J. R. R. Tolkien"), except the pronoun I
+  if (/^\p{Lu}$/u.test(word) && word !== 'I') return true;
+  // Letters with periods in between are acronyms ("U.S.")
+  if (/^(?:\p{L}\.)+\p{L}$/u.test(word)) return true;
+  return ABBREVIATIONS.has(word.toLowerCase());
+}
+
+/**
+ * Split a long sentence at commas, semicolons and colons so no part is much longer than max
+ * @param {string} sentence
+ * @param {number} max
+ * @returns {string[]}
+ */
+function splitLong(sentence, max) {
+  if (sentence.length <= max) return [sentence];
+  const parts = [];
+  let rest = sentence;
+  while (rest.length > max) {
+    const window = rest.slice(0, max);
+    const match = window.match(/^.*[,;:、，；：]\s*/su);
+    // No pause to break at: split at the last space, or hard at the limit
+    const end = match && match[0].length > max / 3
+      ? match[0].length
+      : (window.lastIndexOf(' ') > max / 3 ? window.lastIndexOf(' ') + 1 : max);
+    parts.push(rest.slice(0, end).trim());
+    rest = rest.slice(end);
+  }
+  if (rest.trim()) parts.push(rest.trim());
+  return parts;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - One block of text, whitespace already collapsed
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=300] - Longest segment; longer sentences are split at pauses
+ * @returns {string[]} The sentences, trimmed, in order
+ */
+function splitSentences(text, options = {}) {
+  const maxLength = options.maxLength || MAX_SEGMENT_LENGTH;
+  const sentences = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const cjk = CJK_TERMINATORS.includes(char);
+    if (!cjk && !WESTERN_TERMINATORS.includes(char)) {
+      i++;
+      continue;
+    }
+
+    // The whole run of terminators ("?!", "..."), then closing quotes and brackets
+    let end = i + 1;
+    while (end < text.length && (WESTERN_TERMINATORS + CJK_TERMINATORS).includes(text[end])) end++;
+    const closed = end;
+    while (end < text.length && CLOSERS.includes(text[end])) end++;
+
+    let breaks;
+    if (cjk) {
+      // A quotation goes on into the sentence around it: 「はい。」と言った。
+      breaks = end === closed || end === text.length || /[\s「『（“‘(]/.test(text[end]);
+    } else if (end < text.length && text[end] !== ' ') {
+      // "3.14", "example.com", "Yahoo!Japan"
+      breaks = false;
+    } else {
+      const next = text.slice(end).trimStart()[0];
+      const period = char === '.' && end === i + 1;
+      breaks = !next ||
+        (!isLowercase(next) && !(period && endsWithAbbreviation(text.slice(start, i))));
+    }
+
+    if (breaks) {
+      const sentence = text.slice(start, end).trim();
+      if (sentence) sentences.push(sentence);
+      start = end;
+    }
+    i = end;
+  }
+
+  const last = text.slice(start).trim();
+  if (last) sentences.push(last);
+  return sentences.flatMap(sentence => splitLong(sentence, maxLength));
+}
+
+/**
+ * Language of a piece of text by its script, for Chinese, Japanese and Korean
+ * @param {string} text
+ * @param {string|null} fallback - Language tag to use otherwise
+ * @returns {string|null}
+ */
+function languageFor(text, fallback) {
+  const base = fallback ? fallback.toLowerCase().split('-')[0] : null;
+  if (/[\u3040-\u30ff]/.test(text)) return base === 'ja' ? fallback : 'ja';
+  if (/[\uac00-\ud7af\u1100-\u11ff]/.test(text)) return base === 'ko' ? fallback : 'ko';
+  if (/\p{Script=Han}/u.test(text) && !/[A-Za-z]{3,}/.test(text)) {
+    return base === 'zh' || base === 'ja' ? fallback : 'zh';
+  }
+  return fallback;
+}
+
+/**
+ * Split article content into language-tagged sentence segments
+ * @param {string} html - Article content
+ * @param {Object} [options]
+ * @param {string} [options.lang] - The article's language, for blocks without a lang attribute
+ * @param {number} [options.maxLength=300] - Longest segment
+ * @returns {Array<{index: number, block: number, lang: (string|null), heading: boolean, text: string}>}
+ */
+function segmentHtml(html, options = {}) {
+  const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+  const container = document.createElement('div');
+  container.innerHTML = html || '';
+
+  const segments = [];
+  let block = 0;
+  let text = '';
+  let blockElement = null;
+
+  const flush = () => {
+    const collapsed = text.replace(/[ \t\r\n\f]+/g, ' ').trim();
+    text = '';
+    if (!collapsed) return;
+    const langElement = blockElement && blockElement.closest('[lang]');
+    const lang = (langElement && container.contains(langElement) && langElement.getAttribute('lang')) || options.lang || null;
+    const heading = !!blockElement && HEADING_TAGS.has(blockElement.tagName.toLowerCase());
+    splitSentences(collapsed, options).forEach(sentence => {
+      segments.push({ index: segments.length, block, lang: languageFor(sentence, lang), heading, text: sentence });
+    });
+    block++;
+  };
+
+  const visit = (node, parentBlock) => {
+    if (node.nodeType === 3) {
+      if (!text) blockElement = parentBlock;
+      text += node.textContent;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    // Embeds are replaced by their widgets in the page
+    if (SKIP_TAGS.has(tag) || node.classList.contains('embed-wrapper')) return;
+    if (tag === 'br') {
+      text += ' ';
+      return;
+    }
+
+    if (BLOCK_TAGS.has(tag)) {
+      flush();
+      node.childNodes.forEach(child => visit(child, node));
+      flush();
+    } else {
+      node.childNodes.forEach(child => visit(child, parentBlock));
+    }
+  };
+
+  container.childNodes.forEach(child => visit(child, null));
+  flush();
+  return segments;
+}
+
+/**
+ * Segment a parsed article's HTML content
+ * @param {Object} article - Parsed article with HTML content and `lang`
+ * @returns {Object[]} Segments, see segmentHtml
+ */
+function segmentArticle(article) {
+  return segmentHtml(article.content, { lang: article.lang || null });
+}
+
+module.exports = { segmentArticle, segmentHtml, splitSentences };
@@ -0,0 +1,226 @@
+/**
+ * Per-site rules, read from a JSON or YAML file (SITE_RULES_FILE, default
+ * site-rules.json) instead of being hard-coded per domain:
+ *
+ *   {
+ *     "defaults": { "dismiss": ["button[aria-label=\"Close\"]"] },
+ *     "rules": [
+ *       { "name": "medium", "hosts": ["medium.com"], "strategy": "browser-first", "strip": [".metabar"] }
+ *     ]
+ *   }
+ *
+ * The first rule with a matching host applies, layered over `defaults`:
+ *
+ *   strategy - fetch (plain request, browser when blocked), browser, or browser-first
+ *              (browser, plain request when the browser fails or isn't available)
+ *   content  - Selectors of the article content; when one matches, extraction is limited to it
+ *   strip    - Selectors removed before extraction
+ *   click    - Selectors clicked in the browser, e.g. "show full article" buttons
+ *   dismiss  - Selectors of close buttons in the browser; the first visible one is clicked
+ *   waitFor  - Selectors the browser waits for before reading the page
+ *   headers  - Request headers added to (or replacing) the defaults
+ *
+ * Selector lists and headers add to the defaults, strategy and content replace them.
+ * The file is re-read when it changes; a file that fails to load keeps the previous rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { JSDOM } = require('jsdom');
+
+const STRATEGIES = ['fetch', 'browser', 'browser-first'];
+const SELECTOR_FIELDS = ['content', 'strip', 'click', 'dismiss', 'waitFor'];
+// How often the file's modification time is checked, in milliseconds
+const RELOAD_CHECK_INTERVAL = 1000;
+
+// Empty document used to check that selectors parse
+const selectorCheckDocument = new JSDOM('').window.document;
+
+/**
+ * Check a list of selectors
+ * @param {*} value - A selector or list of selectors
+ * @param {string} where - Field name for error messages
+ * @returns {string[]}
+ * @throws {Error} If a selector is invalid
+ */
+function readSelectors(value, where) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(selector => {
+    if (typeof selector !== 'string' || !selector.trim()) {
+      throw new Error(`${where}: selectors must be non-empty strings`);
+    }
+    try {
+      selectorCheckDocument.querySelector(selector);
+    } catch (e) {
+      throw new Error(`${where}: invalid selector "${selector}"`);
+    }
+    return selector.trim();
+  });
+}
+
+/**
+ * Check one rule (or the defaults)
+ * @param {Object} raw - Rule from the file
+ * @param {string} where - Rule description for error messages
+ * @returns {Object} Rule with every field present
+ * @throws {Error} If a field is invalid
+ */
+function readRule(raw, where) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (raw.strategy !== undefined && !STRATEGIES.includes(raw.strategy)) {
+    throw new Error(`${where}: unknown strategy "${raw.strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+  }
+  const headers = raw.headers || {};
+  if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+    throw new Error(`${where}: headers must map header names to strings`);
+  }
+
+  const rule = { strategy: raw.strategy || null, headers };
+  SELECTOR_FIELDS.forEach(field => {
+    rule[field] = readSelectors(raw[field], `${where} ${field}`);
+  });
+  return rule;
+}
+
+/**
+ * Parse and check a rules file
+ * @param {string} text - File contents
+ * @param {string} file - File name; .yaml/.yml files are read as YAML, others as JSON
+ * @returns {{defaults: Object, rules: Object[]}}
+ * @throws {Error} If the file can't be parsed or a rule is invalid
+ */
+function parseSiteRules(text, file) {
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (!data || typeof data !== 'object') {
+    throw new Error('expected an object with "defaults" and "rules"');
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new Error('"rules" must be a list');
+  }
+
+  const defaults = readRule(data.defaults || {}, 'defaults');
+  const rules = (data.rules || []).map((raw, index) => {
+    const where = `rule ${raw && raw.name ? `"${raw.name}"` : index + 1}`;
+    const hosts = Array.isArray(raw && raw.hosts) ? raw.hosts : [raw && raw.hosts].filter(Boolean);
+    if (hosts.length === 0 || hosts.some(host => typeof host !== 'string' || !host.trim())) {
+      throw new Error(`${where}: "hosts" must list at least one host pattern`);
+    }
+    return {
+      name: raw.name || hosts[0],
+      hosts: hosts.map(host => host.trim().toLowerCase()),
+      ...readRule(raw, where)
+    };
+  });
+  return { defaults, rules };
+}
+
+/**
+ * Check a hostname against a host pattern: "example.com" matches the domain and its
+ * subdomains, "*.example.com" only subdomains, "*" every host
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hostMatches(hostname, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * Rules loaded from a file and reloaded when it changes
+ * @param {string} file - Path of the rules file
+ * @returns {{find: Function, reload: Function}}
+ */
+function createSiteRules(file) {
+  const resolved = path.resolve(file);
+  let current = { defaults: readRule({}, 'defaults'), rules: [] };
+  let loadedMtime = null;
+  let lastCheck = 0;
+
+  /**
+   * Load the file if it changed since the last load
+   * @param {boolean} [force=false] - Check now instead of at most once per RELOAD_CHECK_INTERVAL
+   */
+  function reload(force = false) {
+    const now = Date.now();
+    if (!force && now - lastCheck < RELOAD_CHECK_INTERVAL) return;
+    lastCheck = now;
+
+    let mtime;
+    try {
+      mtime = fs.statSync(resolved).mtimeMs;
+    } catch (e) {
+      if (loadedMtime !== 0) {
+        console.log(`No site rules file at ${resolved}, using built-in behavior`);
+        current = { defaults: readRule({}, 'defaults'), rules: [] };
+        loadedMtime = 0;
+      }
+      return;
+    }
+    if (mtime === loadedMtime) return;
+
+    loadedMtime = mtime;
+    try {
+      current = parseSiteRules(fs.readFileSync(resolved, 'utf8'), resolved);
+      console.log(`Loaded ${current.rules.length} site rules from ${resolved}`);
+    } catch (error) {
+      // Keep serving with the previous rules until the file is fixed
+      console.error(`Invalid site rules file ${resolved}: ${error.message}`);
+    }
+  }
+
+  return {
+    reload: () => reload(true),
+
+    /**
+     * Find the rule for a URL, layered over the defaults
+     * @param {string|URL} [url] - Page URL; without one only the defaults apply
+     * @returns {{name: (string|null), strategy: string, content: string[], strip: string[], click: string[],
+     *   dismiss: string[], waitFor: string[], headers: Object}} `name` is null when no rule matched
+     */
+    find(url) {
+      reload();
+      const { defaults, rules } = current;
+      let hostname = null;
+      try {
+        hostname = url ? new URL(url).hostname.toLowerCase() : null;
+      } catch (e) {
+        // Unparseable URLs only get the defaults
+      }
+      const rule = hostname ? rules.find(candidate => candidate.hosts.some(pattern => hostMatches(hostname, pattern))) : null;
+      if (!rule) {
+        return { ...defaults, name: null, strategy: defaults.strategy || 'fetch' };
+      }
+
+      const merged = {
+        name: rule.name,
+        strategy: rule.strategy || defaults.strategy || 'fetch',
+        content: rule.content.length > 0 ? rule.content : defaults.content,
+        headers: { ...defaults.headers, ...rule.headers }
+      };
+      ['strip', 'click', 'dismiss', 'waitFor'].forEach(field => {
+        merged[field] = Array.from(new Set(defaults[field].concat(rule[field])));
+      });
+      return merged;
+    }
+  };
+}
+
+// Rules shared by parseArticle and parseHtml
+const siteRules = createSiteRules(process.env.SITE_RULES_FILE || 'site-rules.json');
+
+/**
+ * Find the site rule for a URL in the SITE_RULES_FILE rules
+ * @param {string|URL} [url]
+ * @returns {Object} See createSiteRules().find
+ */
+function findSiteRule(url) {
+  return siteRules.find(url);
+}
+
+module.exports = { STRATEGIES, findSiteRule, createSiteRules, parseSiteRules };
@@ -0,0 +1,283 @@
+/**
+ * URL safety checks for everything the server fetches on a caller's behalf.
+ *
+ * Only http(s) URLs are fetched, and hosts that resolve to loopback, private,
+ * link-local or other reserved addresses are refused. For safeFetch the address
+ * check runs inside the HTTP agents' DNS lookup, so it applies to every
+ * connection it makes, including each redirect hop, and can't be bypassed by DNS
+ * rebinding between a check and the request.
+ *
+ * The headless browser resolves hosts itself. Its requests are checked with
+ * isUrlAllowed, which does a lookup of its own first, so a host that answers
+ * differently to the browser's lookup moments later is not caught there.
+ *
+ * Operators can adjust the policy with comma-separated host lists; an entry
+ * matches the host and all of its subdomains:
+ *   URL_DENY_HOSTS  - Hosts that are never fetched
+ *   URL_ALLOW_HOSTS - If set, only these hosts are fetched. Listed hosts are
+ *                     trusted and may resolve to private addresses, which is
+ *                     how an internal site is opened up deliberately.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { BlockedUrlError, InvalidUrlError, TimeoutError, UpstreamHttpError } = require('./errors');
+
+// Largest response body read from an upstream server, in bytes
+const MAX_RESPONSE_BYTES = parseInt(process.env.MAX_RESPONSE_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_REDIRECTS = 10;
+// Headers describing a request body, dropped with the body when a redirect turns the request into a GET
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+// Addresses that must never be reached from the server
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  // ::/96 holds the unspecified and loopback addresses, and the deprecated IPv4-compatible ones (::7f00:1)
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Parse a comma-separated host list from the environment
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+const policy = {
+  allowHosts: parseHostList(process.env.URL_ALLOW_HOSTS),
+  denyHosts: parseHostList(process.env.URL_DENY_HOSTS)
+};
+
+/**
+ * Replace the host allow/deny lists (defaults come from URL_ALLOW_HOSTS and URL_DENY_HOSTS)
+ * @param {Object} lists
+ * @param {string[]} [lists.allowHosts] - Hosts allowed; empty allows any public host
+ * @param {string[]} [lists.denyHosts] - Hosts never fetched
+ */
+function configureUrlPolicy(lists = {}) {
+  if (lists.allowHosts) policy.allowHosts = parseHostList(lists.allowHosts.join(','));
+  if (lists.denyHosts) policy.denyHosts = parseHostList(lists.denyHosts.join(','));
+}
+
+/**
+ * Check whether a host is on a list, directly or as a subdomain
+ * @param {string} hostname
+ * @param {string[]} list
+ * @returns {boolean}
+ */
+function hostInList(hostname, list) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return list.some(entry => host === entry || host.endsWith(`.${entry}`));
+}
+
+/**
+ * Check whether an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    // BlockList also matches IPv4-mapped addresses (::ffff:127.0.0.1) against the IPv4 ranges
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * Throw unless a URL may be fetched: http(s) only, host not denied, and
+ * (for IP literals, which skip DNS) not a blocked address
+ * @param {string|URL} url
+ * @returns {URL} The parsed URL
+ * @throws {InvalidUrlError|BlockedUrlError} If the URL is malformed or not allowed
+ */
+function assertUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = url instanceof URL ? url : new URL(url);
+  } catch (e) {
+    throw new InvalidUrlError();
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new BlockedUrlError(`only http and https URLs can be fetched (got ${parsed.protocol})`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new BlockedUrlError('URLs with credentials are not allowed');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (hostInList(hostname, policy.denyHosts)) {
+    throw new BlockedUrlError(`${hostname} is on the deny list`);
+  }
+  if (policy.allowHosts.length > 0 && !hostInList(hostname, policy.allowHosts)) {
+    throw new BlockedUrlError(`${hostname} is not on the allow list`);
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname) && !hostInList(hostname, policy.allowHosts)) {
+    throw new BlockedUrlError(`${hostname} is a private or reserved address`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolve a host name and check that none of its addresses are blocked
+ * @param {string} hostname
+ * @returns {Promise<void>}
+ * @throws {BlockedUrlError} If the host resolves to a blocked address
+ */
+async function assertHostResolvesPublic(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) || hostInList(host, policy.allowHosts)) return;
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    throw new BlockedUrlError(`${host} resolves to a private or reserved address (${blocked.address})`);
+  }
+}
+
+/**
+ * Check a URL against the whole policy, including DNS resolution. The lookup is
+ * separate from the one made by whoever fetches the URL next (the headless
+ * browser), so unlike safeFetch this doesn't guard against DNS rebinding.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isUrlAllowed(url) {
+  try {
+    const parsed = assertUrlAllowed(url);
+    await assertHostResolvesPublic(parsed.hostname);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * dns.lookup replacement for the HTTP agents that refuses blocked addresses
+ * at connection time
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    if (!hostInList(hostname, policy.allowHosts)) {
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const blocked = addresses.find(isBlockedAddress);
+      if (blocked) {
+        return callback(new BlockedUrlError(`${hostname} resolves to a private or reserved address (${blocked})`));
+      }
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: safeLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: safeLookup });
+
+/**
+ * node-fetch with the URL policy applied to the request and every redirect hop,
+ * and the response body capped at maxBytes. Like fetch, a 303, or a 301/302 to a
+ * POST, is followed with a GET without the body
+ * @param {string} url - The URL to fetch
+ * @param {Object} [options] - node-fetch options such as headers (redirect and agent are managed here)
+ * @param {number} [options.timeout] - Milliseconds for the whole fetch, redirects included (default: none)
+ * @param {number} [options.maxBytes] - Largest body to read (default MAX_RESPONSE_BYTES)
+ * @returns {Promise<Response>} The final response; response.url is the last hop
+ * @throws {BlockedUrlError|UpstreamHttpError|TimeoutError} If any hop is blocked, the site can't be
+ *   reached, there are too many redirects, or the request times out
+ */
+async function safeFetch(url, options = {}) {
+  const { maxBytes, timeout, ...requestOptions } = options;
+  let fetchOptions = requestOptions;
+  let currentUrl = assertUrlAllowed(url).href;
+  // One deadline for the whole chain; a per-hop timeout would let redirects stretch it
+  const deadline = timeout ? Date.now() + timeout : null;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const remaining = deadline ? deadline - Date.now() : 0;
+    if (deadline && remaining <= 0) {
+      throw new TimeoutError(`Timed out fetching ${currentUrl}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(currentUrl, {
+        ...fetchOptions,
+        timeout: remaining,
+        redirect: 'manual',
+        size: maxBytes || MAX_RESPONSE_BYTES,
+        agent: parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent)
+      });
+    } catch (error) {
+      // node-fetch wraps the lookup error; surface the policy error itself
+      if (error.code === 'URL_BLOCKED') {
+        throw new BlockedUrlError(error.message.replace(/^.*Blocked URL: /, ''));
+      }
+      if (error.type === 'request-timeout') {
+        throw new TimeoutError(`Timed out fetching ${currentUrl}`, { cause: error });
+      }
+      if (error.name === 'FetchError') {
+        throw new UpstreamHttpError(null, `Failed to fetch URL: ${error.message}`, { cause: error });
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      // Free the connection for the agent's pool; the redirect body is never read
+      response.body.resume();
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl);
+      } catch (e) {
+        throw new UpstreamHttpError(response.status, 'Invalid redirect location', { retryable: false });
+      }
+      // Check the next hop before following it
+      currentUrl = assertUrlAllowed(nextUrl).href;
+      const method = (fetchOptions.method || 'GET').toUpperCase();
+      if ((response.status === 303 && method !== 'GET' && method !== 'HEAD') ||
+          ((response.status === 301 || response.status === 302) && method === 'POST')) {
+        const headers = new fetch.Headers(fetchOptions.headers);
+        BODY_HEADERS.forEach(name => headers.delete(name));
+        fetchOptions = { ...fetchOptions, method: 'GET', body: undefined, headers };
+      }
+      continue;
+    }
+
+    // node-fetch leaves response.url at the first URL with manual redirects
+    Object.defineProperty(response, 'url', { value: currentUrl });
+    return response;
+  }
+
+  throw new UpstreamHttpError(null, `Too many redirects (more than ${MAX_REDIRECTS})`, { retryable: false });
+}
+
+module.exports = {
+  MAX_RESPONSE_BYTES,
+  assertUrlAllowed,
+  assertHostResolvesPublic,
+  isUrlAllowed,
+  isBlockedAddress,
+  configureUrlPolicy,
+  safeFetch
+};
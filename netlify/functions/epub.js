@@ -0,0 +1,60 @@
+const { buildEpub, contentDisposition } = require('../../lib/epub');
+const { createParseCacheFromEnv } = require('../../lib/cache');
+const { ArticleError, InvalidRequestError, toHttpError } = require('../../lib/errors');
+
+// Lives as long as the function instance stays warm
+const parseCache = createParseCacheFromEnv();
+
+exports.handler = async (event, context) => {
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    const { body } = toHttpError(new ArticleError('METHOD_NOT_ALLOWED', 'Method not allowed', { status: 405 }));
+    return {
+      statusCode: 405,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (e) {
+      throw new InvalidRequestError('Invalid JSON body');
+    }
+    const { url, urls, title, maxPages } = body;
+
+    // {url} for one article, or {urls: [...], title} for a book of several
+    const epub = await buildEpub(urls || url, { title, maxPages, cache: parseCache });
+
+    // Binary responses go back base64-encoded
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/epub+zip',
+        'Content-Disposition': contentDisposition(epub.fileName),
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: epub.data.toString('base64'),
+      isBase64Encoded: true,
+    };
+
+  } catch (error) {
+    console.error('Error building EPUB:', error);
+
+    const { status, body } = toHttpError(error);
+    return {
+      statusCode: status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+};
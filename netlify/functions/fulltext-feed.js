@@ -0,0 +1,58 @@
+const { buildFullTextFeed } = require('../../lib/feeds');
+const { createParseCacheFromEnv } = require('../../lib/cache');
+const { ArticleError, InvalidUrlError, toHttpError } = require('../../lib/errors');
+
+// Lives as long as the function instance stays warm
+const parseCache = createParseCacheFromEnv();
+
+exports.handler = async (event, context) => {
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    const { body } = toHttpError(new ArticleError('METHOD_NOT_ALLOWED', 'Method not allowed', { status: 405 }));
+    return {
+      statusCode: 405,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  try {
+    const { url, format, limit } = event.queryStringParameters || {};
+    if (!url) {
+      throw new InvalidUrlError('URL is required');
+    }
+
+    const query = new URLSearchParams(event.queryStringParameters).toString();
+    const feed = await buildFullTextFeed(url, {
+      format,
+      limit,
+      selfUrl: `https://${event.headers.host}/api/fulltext-feed?${query}`,
+      cache: parseCache
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': feed.contentType,
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: feed.content,
+    };
+
+  } catch (error) {
+    console.error('Error building full-text feed:', error);
+
+    const { status, body } = toHttpError(error);
+    return {
+      statusCode: status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+};
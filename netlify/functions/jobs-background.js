@@ -0,0 +1,25 @@
+const { createJobsFromEnv, connectBlobs } = require('../../lib/jobs');
+const { createParseCacheFromEnv } = require('../../lib/cache');
+const { allowServerlessBrowser } = require('../../lib/parseArticle');
+
+// Background functions have time for the headless browser, if the site provides Chrome (CHROME_BIN)
+allowServerlessBrowser();
+// Lives as long as the function instance stays warm
+const parseCache = createParseCacheFromEnv();
+const jobs = createJobsFromEnv({ defaultStore: 'blobs', cache: parseCache });
+
+// Runs one queued job, started by the jobs function with {id}. Netlify answers the
+// caller with 202 right away and lets background functions run for up to 15 minutes.
+exports.handler = async (event, context) => {
+  connectBlobs(event);
+  try {
+    const { id } = JSON.parse(event.body || '{}');
+    if (!id) {
+      console.error('Background job started without an id');
+      return;
+    }
+    await jobs.run(id);
+  } catch (error) {
+    console.error('Error running job:', error);
+  }
+};
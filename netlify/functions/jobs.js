@@ -0,0 +1,79 @@
+const fetch = require('node-fetch');
+const { createJobsFromEnv, connectBlobs } = require('../../lib/jobs');
+const { ArticleError, InvalidRequestError, toHttpError } = require('../../lib/errors');
+
+// Jobs are kept in Netlify Blobs, shared with the background function that runs them
+const jobs = createJobsFromEnv({
+  defaultStore: 'blobs',
+  // Background functions answer 202 at once and may run for 15 minutes
+  dispatch: async job => {
+    const response = await fetch(`${process.env.URL}/.netlify/functions/jobs-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: job.id })
+    });
+    if (!response.ok) {
+      throw new ArticleError('JOB_DISPATCH_FAILED', `Couldn't start the background parse (${response.status})`, { status: 502, retryable: true });
+    }
+  }
+});
+
+/**
+ * Build a JSON response
+ * @param {number} statusCode
+ * @param {Object} body
+ * @param {Object} [headers]
+ * @returns {Object}
+ */
+function json(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+// POST /api/jobs creates a job, GET /api/jobs/:id reads it
+exports.handler = async (event, context) => {
+  connectBlobs(event);
+  const id = (event.path.match(/\/jobs\/([\w-]+)\/?$/) || [])[1];
+
+  try {
+    if (event.httpMethod === 'GET' && id) {
+      return json(200, await jobs.get(id));
+    }
+
+    if (event.httpMethod === 'POST' && !id) {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch (e) {
+        throw new InvalidRequestError('Invalid JSON body');
+      }
+      const { webhook, ...request } = body;
+      const query = event.queryStringParameters || {};
+      const job = await jobs.create({
+        ...request,
+        refresh: query.refresh === '1' || request.refresh === true,
+        format: query.format || request.format,
+        images: query.images || request.images,
+        segments: query.segments === '1' || request.segments === true
+      }, { webhook });
+      return json(202, job, { Location: `/api/jobs/${job.id}` });
+    }
+
+    throw new ArticleError('METHOD_NOT_ALLOWED', 'Method not allowed', { status: 405 });
+
+  } catch (error) {
+    if (!(error instanceof ArticleError)) {
+      console.error('Error handling job request:', error);
+    }
+    const { status, body } = toHttpError(error);
+    return json(status, body);
+  }
+};
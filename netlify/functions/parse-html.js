@@ -0,0 +1,65 @@
+const { parseHtml } = require('../../lib/parseArticle');
+const { readHtmlUpload } = require('../../lib/readHtmlUpload');
+const { ArticleError, InvalidRequestError, toHttpError } = require('../../lib/errors');
+
+exports.handler = async (event, context) => {
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    const { body } = toHttpError(new ArticleError('METHOD_NOT_ALLOWED', 'Method not allowed', { status: 405 }));
+    return {
+      statusCode: 405,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  try {
+    // Netlify passes binary and multipart bodies base64-encoded
+    const rawBody = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+    const headers = {};
+    Object.keys(event.headers || {}).forEach(name => {
+      headers[name.toLowerCase()] = event.headers[name];
+    });
+
+    const { html, url, format, images, segments } = await readHtmlUpload(headers, rawBody);
+    const query = event.queryStringParameters || {};
+
+    if (!html) {
+      throw new InvalidRequestError('HTML content is required');
+    }
+
+    // Parse the submitted HTML using the shared module. There is no image
+    // store here (function instances don't share disk), so images=proxy is refused
+    const article = await parseHtml(html, url, {
+      format: query.format || format,
+      images: query.images || images,
+      segments: query.segments === '1' || segments
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(article),
+    };
+
+  } catch (error) {
+    console.error('Error parsing uploaded HTML:', error);
+
+    const { status, body } = toHttpError(error);
+    return {
+      statusCode: status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(body),
+    };
+  }
+};
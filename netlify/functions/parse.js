@@ -1,8 +1,14 @@
 const { parseArticle } = require('../../lib/parseArticle');
+const { createParseCacheFromEnv } = require('../../lib/cache');
+const { ArticleError, InvalidRequestError, InvalidUrlError, toHttpError } = require('../../lib/errors');
+
+// Lives as long as the function instance stays warm
+const parseCache = createParseCacheFromEnv();
 
 exports.handler = async (event, context) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
+    const { body } = toHttpError(new ArticleError('METHOD_NOT_ALLOWED', 'Method not allowed', { status: 405 }));
     return {
       statusCode: 405,
       headers: {
@@ -10,27 +16,34 @@ exports.handler = async (event, context) => {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Content-Type',
       },
-      body: JSON.stringify({ error: 'Method not allowed' }),
+      body: JSON.stringify(body),
     };
   }
 
   try {
-    const body = JSON.parse(event.body);
-    const { url } = body;
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (e) {
+      throw new InvalidRequestError('Invalid JSON body');
+    }
+    const { url, maxPages } = body;
+    // ?refresh=1 skips the cache and re-parses the article
+    const query = event.queryStringParameters || {};
+    const refresh = query.refresh === '1' || body.refresh === true;
+    // ?format=markdown|text|standalone returns the content in that format instead of HTML
+    const format = query.format || body.format;
+    // ?images=inline bundles the article's images; proxy needs the server's image store
+    const images = query.images || body.images;
+    // ?segments=1 adds the content as sentences, for reading aloud
+    const segments = query.segments === '1' || body.segments === true;
 
     if (!url) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'URL is required' }),
-      };
+      throw new InvalidUrlError('URL is required');
     }
 
     // Parse the article using the shared module
-    const article = await parseArticle(url);
+    const article = await parseArticle(url, { maxPages, cache: parseCache, refresh, format, images, segments });
 
     // Return the parsed article with embeds
     return {
@@ -48,33 +61,18 @@ exports.handler = async (event, context) => {
     console.error('Error details:', {
       message: error.message,
       name: error.name,
-      statusCode: error.statusCode
+      code: error.code,
+      upstreamStatus: error.upstreamStatus
     });
 
-    // Determine appropriate status code based on error message
-    let statusCode = 500;
-    let errorMessage = error.message || 'An error occurred while parsing the article';
-
-    if (error.message === 'Invalid URL format') {
-      statusCode = 400;
-    } else if (error.message === 'Could not extract article content from this URL') {
-      statusCode = 400;
-    } else if (error.message.includes('Failed to fetch URL')) {
-      statusCode = error.message.includes('403') ? 403 : 500;
-    } else if (error.message.includes('Puppeteer')) {
-      // Puppeteer errors in serverless environments
-      errorMessage = 'This site requires browser automation, but it\'s not available in this environment. ' +
-                     'For Medium articles, consider using a different service or running this locally.';
-      statusCode = 503; // Service Unavailable
-    }
-
+    const { status, body } = toHttpError(error);
     return {
-      statusCode: statusCode,
+      statusCode: status,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
       },
-      body: JSON.stringify({ error: errorMessage }),
+      body: JSON.stringify(body),
     };
   }
 };
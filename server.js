@@ -1,45 +1,456 @@
 const express = require('express');
-const { parseArticle } = require('./lib/parseArticle');
+const { parseArticle, parseHtml, shutdownBrowserPool } = require('./lib/parseArticle');
+const { parseBatch } = require('./lib/parseBatch');
+const { readHtmlUpload, MAX_HTML_BYTES } = require('./lib/readHtmlUpload');
+const { createParseCacheFromEnv } = require('./lib/cache');
+const { buildEpub, contentDisposition } = require('./lib/epub');
+const { createImageStoreFromEnv } = require('./lib/images');
+const { createLibraryFromEnv, createHighlightsFromEnv } = require('./lib/library');
+const { createFeedsFromEnv, buildFullTextFeed } = require('./lib/feeds');
+const { createJobsFromEnv } = require('./lib/jobs');
+const { formatArticle } = require('./lib/formats');
+const { segmentArticle } = require('./lib/segments');
+const { InvalidRequestError, InvalidUrlError, NotFoundError, toHttpError } = require('./lib/errors');
 const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Parsed articles are cached between requests (see PARSE_CACHE_* in the README)
+const parseCache = createParseCacheFromEnv();
+// Downloaded article images, served from /api/image/:hash (see "Offline images" in the README)
+const imageStore = createImageStoreFromEnv();
+// Saved articles (see "Library" in the README)
+const library = createLibraryFromEnv();
+// Highlights and notes on articles (see "Highlights" in the README)
+const highlights = createHighlightsFromEnv();
+// Feed subscriptions, whose new entries are parsed into the library (see "Feeds" in the README)
+const feeds = createFeedsFromEnv({ library, cache: parseCache });
+// Background parse jobs, polled by id (see "Jobs" in the README)
+const jobs = createJobsFromEnv({ cache: parseCache, imageStore });
+
 // Serve static files from the public directory
 app.use(express.static('public'));
 
 // Enable CORS for API endpoints
+// Uploaded HTML gets a larger body limit than the other JSON endpoints
+app.use('/api/parse-html', express.json({ limit: MAX_HTML_BYTES }));
+// Saved articles are sent back with their full content
+app.use('/api/library', express.json({ limit: MAX_HTML_BYTES }));
 app.use(express.json());
 
+/**
+ * Send an error as {code, message, details} with the matching status
+ * @param {Object} res - Express response
+ * @param {Error} error
+ */
+function sendError(res, error) {
+  const { status, body } = toHttpError(error);
+  res.status(status).json(body);
+}
+
 // Article parsing endpoint
 app.post('/api/parse', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, maxPages } = req.body;
+    // ?refresh=1 skips the cache and re-parses the article
+    const refresh = req.query.refresh === '1' || req.body.refresh === true;
+    // ?format=markdown|text|standalone returns the content in that format instead of HTML
+    const format = req.query.format || req.body.format;
+    // ?images=inline|proxy bundles the article's images instead of hotlinking them
+    const images = req.query.images || req.body.images;
+    // ?segments=1 adds the content as sentences, for reading aloud
+    const segments = req.query.segments === '1' || req.body.segments === true;
 
     if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+      throw new InvalidUrlError('URL is required');
     }
 
     // Parse the article using the shared module
-    const article = await parseArticle(url);
+    const article = await parseArticle(url, { maxPages, cache: parseCache, refresh, format, images, imageStore, segments });
 
     // Return the parsed article with embeds
     res.json(article);
 
   } catch (error) {
     console.error('Error parsing article:', error);
+    sendError(res, error);
+  }
+});
+
+// Article parsing with live progress, as Server-Sent Events: "progress" events with each
+// {stage, message, ...}, then "article" with the result or "failed" with {code, message, details}.
+// Takes the same options as /api/parse in the query; closing the connection cancels the parse.
+app.get('/api/parse/stream', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
 
-    // Determine appropriate status code based on error message
-    let statusCode = 500;
-    if (error.message === 'Invalid URL format') {
-      statusCode = 400;
-    } else if (error.message === 'Could not extract article content from this URL') {
-      statusCode = 400;
-    } else if (error.message.includes('Failed to fetch URL')) {
-      statusCode = error.message.includes('403') ? 403 : 500;
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (event, data) => {
+    if (!res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comments keep proxies from dropping the connection while a challenge page is waited out
+  const heartbeat = setInterval(() => {
+    if (!res.destroyed) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  try {
+    const { url, maxPages, format, images } = req.query;
+    if (!url) {
+      throw new InvalidUrlError('URL is required');
     }
 
-    res.status(statusCode).json({ error: error.message || 'An error occurred while parsing the article' });
+    const article = await parseArticle(url, {
+      maxPages,
+      cache: parseCache,
+      refresh: req.query.refresh === '1',
+      format,
+      images,
+      imageStore,
+      segments: req.query.segments === '1',
+      signal: controller.signal,
+      onProgress: event => send('progress', event)
+    });
+    send('article', article);
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Parse of ${req.query.url} cancelled by the client`);
+    } else {
+      console.error('Error parsing article:', error);
+    }
+    send('failed', toHttpError(error).body);
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Batch parsing: {urls: [...]} parsed a few at a time, streamed back as NDJSON, one line per
+// URL as it finishes ({index, url, ok, article|error} or {index, url, duplicateOf}), then
+// {done: true, ...summary}
+app.post('/api/parse/batch', async (req, res) => {
+  // Stop starting new articles when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  // Headers go out with the first line, so an invalid request still gets a JSON error
+  const writeLine = data => {
+    if (res.destroyed) return;
+    if (!res.headersSent) {
+      res.status(200).set({ 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+    }
+    res.write(`${JSON.stringify(data)}\n`);
+  };
+
+  try {
+    const { urls, maxPages } = req.body;
+    const summary = await parseBatch(urls, {
+      maxPages,
+      cache: parseCache,
+      refresh: req.query.refresh === '1' || req.body.refresh === true,
+      format: req.query.format || req.body.format,
+      images: req.query.images || req.body.images,
+      segments: req.query.segments === '1' || req.body.segments === true,
+      imageStore,
+      signal: controller.signal
+    }, writeLine);
+    writeLine({ done: true, ...summary });
+    res.end();
+
+  } catch (error) {
+    console.error('Error parsing batch:', error);
+    if (!res.headersSent) {
+      sendError(res, error);
+    } else {
+      writeLine({ done: true, error: toHttpError(error).body });
+      res.end();
+    }
+  }
+});
+
+// Parse HTML submitted by the client (JSON {html, url} or multipart with a "file" field)
+app.post('/api/parse-html', async (req, res) => {
+  try {
+    const { html, url, format, images, segments } = await readHtmlUpload(req.headers, req.is('multipart/form-data') ? req : req.body);
+
+    if (!html) {
+      throw new InvalidRequestError('HTML content is required');
+    }
+
+    const article = await parseHtml(html, url, {
+      format: req.query.format || format,
+      images: req.query.images || images,
+      imageStore,
+      segments: req.query.segments === '1' || segments
+    });
+    res.json(article);
+
+  } catch (error) {
+    console.error('Error parsing uploaded HTML:', error);
+    sendError(res, error);
+  }
+});
+
+// Jobs: {url, format, images, maxPages, refresh, webhook} queued for parsing in the background;
+// answers 202 with the job right away
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const { webhook, ...request } = req.body;
+    const job = await jobs.create({
+      ...request,
+      refresh: req.query.refresh === '1' || request.refresh === true,
+      format: req.query.format || request.format,
+      images: req.query.images || request.images,
+      segments: req.query.segments === '1' || request.segments === true
+    }, { webhook });
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    console.error('Error creating job:', error);
+    sendError(res, error);
+  }
+});
+
+// Jobs: status (queued, running, done, failed), progress, and the article or error once finished
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    res.json(await jobs.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// EPUB export: {url} for one article, or {urls: [...], title} for a book of several
+app.post('/api/epub', async (req, res) => {
+  try {
+    const { url, urls, title, maxPages } = req.body;
+    const epub = await buildEpub(urls || url, { title, maxPages, cache: parseCache });
+
+    res.set({
+      'Content-Type': 'application/epub+zip',
+      'Content-Disposition': contentDisposition(epub.fileName)
+    });
+    res.send(epub.data);
+
+  } catch (error) {
+    console.error('Error building EPUB:', error);
+    sendError(res, error);
+  }
+});
+
+// Images bundled with ?images=proxy, by the SHA-256 of their bytes
+app.get('/api/image/:hash', async (req, res) => {
+  try {
+    const image = await imageStore.get(req.params.hash);
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+
+    // Content-addressed, so a hash always names the same bytes
+    res.set({
+      'Content-Type': image.mediaType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(image.data);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Library: save a parsed article ({article} as returned by /api/parse, or {url} to parse it here)
+app.post('/api/library', async (req, res) => {
+  try {
+    const { url, tags, starred } = req.body;
+    let { article } = req.body;
+
+    if (!article) {
+      if (!url) {
+        throw new InvalidUrlError('URL or article is required');
+      }
+      article = await parseArticle(url, { cache: parseCache });
+    }
+
+    const { item, created } = await library.save(article, { url, tags, starred });
+    res.status(created ? 201 : 200).json(item);
+
+  } catch (error) {
+    console.error('Error saving article:', error);
+    sendError(res, error);
+  }
+});
+
+// Library: list saved articles, filtered by ?status=unread|read|archived|all, ?starred=1, ?site= and ?tag=
+app.get('/api/library', async (req, res) => {
+  try {
+    res.json(await library.list(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Library: one saved article with its content; ?format=markdown|text|standalone as for /api/parse
+app.get('/api/library/:id', async (req, res) => {
+  try {
+    const item = await library.get(req.params.id);
+    const article = formatArticle(item.article, req.query.format);
+    // ?segments=1 adds the content as sentences, for reading aloud
+    res.json({ ...item, article: req.query.segments === '1' ? { ...article, segments: segmentArticle(item.article) } : article });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Library: change status, starred or tags
+app.patch('/api/library/:id', async (req, res) => {
+  try {
+    const { status, starred, tags } = req.body;
+    res.json(await library.update(req.params.id, { status, starred, tags }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/library/:id', async (req, res) => {
+  try {
+    await library.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Highlights: ?url= for one article's highlights in reading order, or all of them
+app.get('/api/highlights', async (req, res) => {
+  try {
+    res.json({ highlights: await highlights.list({ url: req.query.url }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Highlights export: ?format=markdown|json, ?url= for one article (default: every article)
+app.get('/api/highlights/export', async (req, res) => {
+  try {
+    const { content, format } = await highlights.export({ url: req.query.url, format: req.query.format });
+    if (format === 'json') {
+      res.json(content);
+    } else {
+      res.type('text/markdown; charset=utf-8').send(content);
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Highlights: {url, title, quote: {exact, prefix, suffix}, position: {start, end}, note}
+app.post('/api/highlights', async (req, res) => {
+  try {
+    const { url, title, quote, position, note } = req.body;
+    res.status(201).json(await highlights.add({ url, title, quote, position, note }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Highlights: change the note
+app.patch('/api/highlights/:id', async (req, res) => {
+  try {
+    res.json(await highlights.update(req.params.id, { note: req.body.note }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/highlights/:id', async (req, res) => {
+  try {
+    await highlights.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Feeds: subscriptions with their unread counts
+app.get('/api/feeds', async (req, res) => {
+  try {
+    res.json({ feeds: await feeds.list() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Feeds: subscribe to {url} (a feed, or a page that links to one), with an optional {title}
+app.post('/api/feeds', async (req, res) => {
+  try {
+    const { url, title } = req.body;
+    if (!url) {
+      throw new InvalidUrlError('URL is required');
+    }
+    const { feed, created } = await feeds.subscribe(url, { title });
+    res.status(created ? 201 : 200).json(feed);
+  } catch (error) {
+    console.error('Error subscribing to feed:', error);
+    sendError(res, error);
+  }
+});
+
+app.get('/api/feeds/:id', async (req, res) => {
+  try {
+    res.json(await feeds.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Feeds: poll now and wait for new entries to be parsed
+app.post('/api/feeds/:id/refresh', async (req, res) => {
+  try {
+    res.json(await feeds.refresh(req.params.id));
+  } catch (error) {
+    console.error('Error refreshing feed:', error);
+    sendError(res, error);
+  }
+});
+
+// Feeds: unsubscribe; articles already added stay in the library
+app.delete('/api/feeds/:id', async (req, res) => {
+  try {
+    await feeds.unsubscribe(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Full-text feed: ?url= of a feed, rebuilt with each item's extracted article; ?format=atom|rss, ?limit=
+app.get('/api/fulltext-feed', async (req, res) => {
+  try {
+    const { url, format, limit } = req.query;
+    if (!url) {
+      throw new InvalidUrlError('URL is required');
+    }
+    const feed = await buildFullTextFeed(url, {
+      format,
+      limit,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      cache: parseCache
+    });
+    res.type(feed.contentType).send(feed.content);
+
+  } catch (error) {
+    console.error('Error building full-text feed:', error);
+    sendError(res, error);
   }
 });
 
@@ -48,6 +459,37 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
+// Malformed or oversized JSON bodies get the same error format as the routes
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  sendError(res, error);
+});
+
+const server = app.listen(PORT, () => {
   console.log(`Article Reader server running on http://localhost:${PORT}`);
+  feeds.start();
+  jobs.start().catch(error => console.error('Failed to resume jobs:', error));
 });
+
+// Stop accepting requests, let in-flight parses finish, then close the shared browser
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+
+  // Force exit if something hangs
+  setTimeout(() => process.exit(1), 15000).unref();
+
+  feeds.stop();
+  jobs.stop();
+  // Resolves once open requests are answered; the timeout above still applies
+  await new Promise(resolve => server.close(resolve));
+  await shutdownBrowserPool();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
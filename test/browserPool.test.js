@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browserPool');
+
+/**
+ * Fake Puppeteer launcher that records every browser and context it creates
+ * @returns {{launch: Function, browsers: Array}}
+ */
+function fakeLauncher() {
+  const browsers = [];
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.closed = false;
+    browser.contexts = [];
+    browser.createBrowserContext = async () => {
+      const context = { closed: false, newPage: async () => ({}), close: async () => { context.closed = true; } };
+      browser.contexts.push(context);
+      return context;
+    };
+    browser.close = async () => { browser.closed = true; };
+    browsers.push(browser);
+    return browser;
+  };
+  return { launch, browsers };
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('shares one browser and gives every lease its own context', async () => {
+  const { launch, browsers } = fakeLauncher();
+  const pool = createBrowserPool({ launch });
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  assert.equal(browsers.length, 1);
+  assert.equal(browsers[0].contexts.length, 2);
+  await first.release();
+  await second.release();
+  assert.ok(browsers[0].contexts.every(context => context.closed));
+  await pool.close();
+  assert.equal(browsers[0].closed, true);
+});
+
+test('queues requests beyond maxPages and times them out', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 1, queueTimeout: 50 });
+  const lease = await pool.acquire();
+  await assert.rejects(pool.acquire(), /Timed out after 50ms/);
+
+  const waiting = pool.acquire();
+  assert.equal(pool.stats().queued, 1);
+  await lease.release();
+  await (await waiting).release();
+  await pool.close();
+});
+
+test('replaces the browser after recycleAfter pages and after a crash', async () => {
+  const { launch, browsers } = fakeLauncher();
+  const pool = createBrowserPool({ launch, recycleAfter: 2 });
+  await (await pool.acquire()).release();
+  await (await pool.acquire()).release();
+  await (await pool.acquire()).release();
+  assert.equal(browsers.length, 2);
+  assert.equal(browsers[0].closed, true);
+
+  browsers[1].emit('disconnected');
+  await (await pool.acquire()).release();
+  assert.equal(browsers.length, 3);
+  await pool.close();
+});
+
+test('retries a failed launch on the next request', async () => {
+  const { launch, browsers } = fakeLauncher();
+  let failures = 1;
+  const pool = createBrowserPool({
+    launch: () => (failures-- > 0 ? Promise.reject(new Error('no chrome')) : launch())
+  });
+  await assert.rejects(pool.acquire(), /no chrome/);
+  await (await pool.acquire()).release();
+  assert.equal(browsers.length, 1);
+  await pool.close();
+});
+
+test('rejects queued and new requests once closing', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 1 });
+  const lease = await pool.acquire();
+  const queued = pool.acquire();
+  const closed = pool.close(200);
+  await assert.rejects(queued, /shutting down/);
+  await assert.rejects(pool.acquire(), /shutting down/);
+  await lease.release();
+  await closed;
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createParseCache, createFileStore, normalizeUrl } = require('../lib/cache');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('normalizes URLs for use as keys', () => {
+  assert.equal(
+    normalizeUrl('https://Example.COM:443/a/b/?utm_source=x&z=1&a=2#top'),
+    'https://example.com/a/b?a=2&z=1'
+  );
+  assert.equal(normalizeUrl('http://example.com:80/'), 'http://example.com/');
+});
+
+test('shares one entry between a URL and its canonical URL', async () => {
+  const cache = createParseCache();
+  await cache.set('https://example.com/post?ref=home', { title: 'Post', canonicalUrl: 'https://example.com/post' });
+  assert.equal((await cache.get('https://example.com/post')).article.title, 'Post');
+  assert.equal((await cache.get('https://example.com/post?ref=home')).article.title, 'Post');
+});
+
+test('only trusts a canonical URL on the host the page came from', async () => {
+  const cache = createParseCache();
+  await cache.set('https://evil.example/post', { title: 'Fake', canonicalUrl: 'https://news.example/story' });
+  assert.equal(await cache.get('https://news.example/story'), null);
+  assert.equal((await cache.get('https://evil.example/post')).article.title, 'Fake');
+
+  // After a redirect, the host is the one the page was fetched from
+  await cache.set('https://short.example/x', { title: 'Story', canonicalUrl: 'https://news.example/story' },
+    { url: 'https://news.example/story?from=short' });
+  assert.equal((await cache.get('https://news.example/story')).article.title, 'Story');
+});
+
+test('keeps parses with different maxPages apart', async () => {
+  const cache = createParseCache();
+  await cache.set('https://example.com/long', { title: 'One page' }, {}, { maxPages: 1 });
+  assert.equal(await cache.get('https://example.com/long'), null);
+  assert.equal(await cache.get('https://example.com/long', { maxPages: 5 }), null);
+  assert.equal((await cache.get('https://example.com/long', { maxPages: 1 })).article.title, 'One page');
+});
+
+test('keeps expired entries for revalidation until the stale time is over', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const cache = createParseCache({ ttl: 10, staleTtl: 10 });
+  await cache.set('https://example.com/a', { title: 'A' }, { etag: '"v1"' });
+  assert.equal((await cache.get('https://example.com/a')).fresh, true);
+  t.mock.timers.tick(15000);
+  const stale = await cache.get('https://example.com/a');
+  assert.equal(stale.fresh, false);
+  assert.equal(stale.etag, '"v1"');
+  t.mock.timers.tick(10000);
+  assert.equal(await cache.get('https://example.com/a'), null);
+});
+
+test('stores entries on disk with the file store', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parse-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await createParseCache({ store: createFileStore({ dir }) }).set('https://example.com/a', { title: 'A' });
+  const reopened = createParseCache({ store: createFileStore({ dir }) });
+  assert.equal((await reopened.get('https://example.com/a')).article.title, 'A');
+});
+
+test('serves hits, and revalidates expired entries with the origin', async t => {
+  const requests = [];
+  const base = await serve(t, {
+    '/post': (req, res) => {
+      requests.push(req.headers['if-none-match'] || null);
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+      res.end(articlePage('', { title: 'Cached post' }));
+    }
+  });
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const cache = createParseCache({ ttl: 60 });
+  const url = `${base}/post`;
+
+  assert.equal((await parseArticle(url, { cache })).cacheStatus, 'miss');
+  t.mock.timers.tick(61000);
+  const revalidated = await parseArticle(url, { cache });
+  assert.equal(revalidated.cacheStatus, 'revalidated');
+  assert.equal(revalidated.title, 'Cached post');
+  assert.equal((await parseArticle(url, { cache, refresh: true })).cacheStatus, 'refreshed');
+  assert.deepEqual(requests, [null, '"v1"', null]);
+
+  assert.equal((await parseArticle(url, { cache })).cacheStatus, 'hit');
+  assert.equal(requests.length, 3);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serve, articlePage } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'article-reader.js');
+
+/**
+ * Run the CLI; the test's local server is on the allow list
+ * @param {string[]} args
+ * @param {string} [input] - Written to stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(args, input = '') {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, URL_ALLOW_HOSTS: 'localhost' },
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(input);
+  });
+}
+
+test('prints one article as JSON', async t => {
+  const base = await serve(t, { '/one': articlePage('', { title: 'One' }) });
+  const { code, stdout } = await run([`${base}/one`]);
+  assert.equal(code, 0);
+  const article = JSON.parse(stdout);
+  assert.equal(article.title, 'One');
+  assert.match(article.content, /First paragraph/);
+});
+
+test('reads URLs from stdin and keeps their order', async t => {
+  const base = await serve(t, {
+    '/one': articlePage('', { title: 'One' }),
+    '/two': articlePage('', { title: 'Two' })
+  });
+  const { code, stdout, stderr } = await run(['--format', 'markdown'], `# a comment\n${base}/two\n\n${base}/one\n`);
+  assert.equal(code, 0);
+  assert.ok(stdout.indexOf('# Two') < stdout.indexOf('# One'));
+  assert.match(stderr, /2 of 2 articles parsed/);
+});
+
+test('writes files and a report, and exits 1 when an article fails', async t => {
+  const base = await serve(t, { '/one': articlePage('', { title: 'Same title' }), '/two': articlePage('', { title: 'Same title' }) });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { code, stderr } = await run(['-f', 'text', '-o', dir, `${base}/one`, `${base}/two`, `${base}/missing`]);
+  assert.equal(code, 1);
+  assert.match(stderr, new RegExp(`${base}/missing: UPSTREAM_HTTP_ERROR`));
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['report.json', 'same-title-2.txt', 'same-title.txt']);
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+  assert.equal(report.succeeded, 2);
+  assert.equal(report.failed, 1);
+  assert.deepEqual(report.results.map(result => result.ok), [true, true, false]);
+});
+
+test('exits 2 on usage errors', async () => {
+  assert.equal((await run(['--format', 'pdf', 'https://example.com/'])).code, 2);
+  assert.equal((await run(['--browser', '--no-browser', 'https://example.com/'])).code, 2);
+  const { code, stderr } = await run([]);
+  assert.equal(code, 2);
+  assert.match(stderr, /no URLs given/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whatwgEncoding = require('whatwg-encoding');
+const { decodeHtml, detectEncoding, normalizeEncoding } = require('../lib/decodeHtml');
+const { parseArticle, parseHtml } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+// whatwg-encoding only decodes, so the fixtures are written out as bytes
+const windows1252 = Buffer.concat([Buffer.from('<p>Caf'), Buffer.from([0xE9]), Buffer.from(' cr'), Buffer.from([0xE8]), Buffer.from('me</p>')]);
+const shiftJis = Buffer.from([0x82, 0xB1, 0x82, 0xF1, 0x82, 0xC9, 0x82, 0xBF, 0x82, 0xCD]); // こんにちは
+const windows1251 = Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2, 0x20, 0xEC, 0xE8, 0xF0]); // Привет мир
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('prefers the BOM, then the Content-Type header, then <meta charset>', () => {
+  const meta = Buffer.concat([Buffer.from('<meta charset="windows-1252">'), windows1252]);
+  assert.equal(detectEncoding(meta), 'windows-1252');
+  assert.equal(detectEncoding(meta, 'text/html; charset=iso-8859-2'), 'ISO-8859-2');
+  assert.equal(detectEncoding(meta, 'text/html; charset=made-up'), 'windows-1252');
+  assert.equal(detectEncoding(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), meta]), 'text/html; charset=iso-8859-2'), 'UTF-8');
+});
+
+test('sniffs pages that declare no encoding', () => {
+  assert.equal(detectEncoding(Buffer.from('<p>Crème brûlée</p>')), 'UTF-8');
+  assert.equal(detectEncoding(windows1252), 'windows-1252');
+  assert.equal(detectEncoding(Buffer.concat([Buffer.from('<p>'), shiftJis, Buffer.from('</p>')])), 'Shift_JIS');
+  assert.equal(detectEncoding(Buffer.concat([Buffer.from('<p>'), windows1251, Buffer.from('</p>')])), 'windows-1251');
+});
+
+test('decodes in the detected encoding', () => {
+  assert.deepEqual(decodeHtml(windows1252), { html: '<p>Café crème</p>', encoding: 'windows-1252' });
+  assert.equal(decodeHtml(shiftJis, 'text/html; charset=shift_jis').html, 'こんにちは');
+  assert.equal(whatwgEncoding.decode(windows1251, decodeHtml(windows1251).encoding), 'Привет мир');
+  assert.equal(normalizeEncoding('latin1'), 'windows-1252');
+  assert.equal(normalizeEncoding('nonsense'), null);
+});
+
+// An ASCII article with one windows-1252 byte (é) in it
+const legacyPage = Buffer.from(articlePage('<p>Caf\u00e9</p>'), 'latin1');
+
+test('parseArticle decodes fetched pages', async t => {
+  const base = await serve(t, {
+    '/legacy': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=windows-1252' });
+      res.end(legacyPage);
+    }
+  });
+  const article = await parseArticle(`${base}/legacy`);
+  assert.equal(article.encoding, 'windows-1252');
+  assert.match(article.content, /Café/);
+});
+
+test('parseHtml detects the encoding of raw bytes', async () => {
+  const article = await parseHtml(legacyPage, 'https://example.com/legacy');
+  assert.equal(article.encoding, 'windows-1252');
+  assert.match(article.content, /Café/);
+  assert.equal((await parseHtml(articlePage(''), 'https://example.com/a')).encoding, undefined);
+});
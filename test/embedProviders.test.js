@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { detectEmbeds, renderEmbed, registerEmbedProvider, unregisterEmbedProvider, getEmbedProviders } = require('../lib/embeds');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+/**
+ * Detect the embeds of a page body
+ * @param {string} body
+ * @returns {Array<Object>}
+ */
+function detect(body) {
+  const { document } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'https://example.com/post' }).window;
+  return { document, embeds: detectEmbeds(document) };
+}
+
+test('detects each built-in provider', () => {
+  const { embeds } = detect([
+    '<iframe src="https://player.vimeo.com/video/76979871"></iframe>',
+    '<blockquote class="instagram-media" data-instgrm-permalink="https://www.instagram.com/p/Cabc123/"></blockquote>',
+    '<blockquote class="tiktok-embed" cite="https://www.tiktok.com/@user/video/7000000000000000000" data-video-id="7000000000000000000"></blockquote>',
+    '<iframe src="https://open.spotify.com/embed/track/4uLU6hMCjMI75M1A2tKUQC"></iframe>',
+    '<script src="https://gist.github.com/user/0123456789abcdef0123.js"></script>',
+    '<p class="codepen" data-slug-hash="abcDEF" data-user="someone"></p>',
+    '<blockquote class="bluesky-embed" data-bluesky-uri="at://did:plc:abc123/app.bsky.feed.post/3k2abc"></blockquote>',
+    '<iframe class="mastodon-embed" src="https://mastodon.social/@user/110000000000000000/embed"></iframe>'
+  ].join(''));
+  assert.deepEqual(embeds.map(embed => embed.type).sort(),
+    ['bluesky', 'codepen', 'gist', 'instagram', 'mastodon', 'spotify', 'tiktok', 'vimeo']);
+});
+
+test('renders embeds from the extracted id, not the page markup', () => {
+  const { document, embeds } = detect('<iframe src="https://player.vimeo.com/video/76979871?autoplay=1" onload="alert(1)"></iframe>');
+  const wrapper = renderEmbed(document, embeds[0]);
+  assert.equal(wrapper.className, 'embed-wrapper embed-vimeo');
+  const iframe = wrapper.querySelector('iframe');
+  assert.equal(iframe.getAttribute('src'), 'https://player.vimeo.com/video/76979871');
+  assert.equal(iframe.hasAttribute('onload'), false);
+});
+
+test('renders Mastodon posts from other instances as links', t => {
+  const mastodon = getEmbedProviders().find(provider => provider.type === 'mastodon');
+  t.after(() => mastodon.configureInstances(['mastodon.social']));
+  mastodon.configureInstances(['mastodon.social', 'hachyderm.io']);
+  const { document, embeds } = detect(
+    '<iframe class="mastodon-embed" src="https://hachyderm.io/@user/1/embed"></iframe>' +
+    '<iframe class="mastodon-embed" src="https://evil.example/@user/2/embed"></iframe>'
+  );
+  const [trusted, other] = embeds.map(embed => renderEmbed(document, embed));
+  assert.equal(trusted.querySelector('iframe').getAttribute('src'), 'https://hachyderm.io/@user/1/embed');
+  assert.equal(other.querySelector('iframe'), null);
+  assert.equal(other.querySelector('a').getAttribute('href'), 'https://evil.example/@user/2');
+});
+
+test('reports each embed once', () => {
+  const { embeds } = detect(
+    '<iframe src="https://player.vimeo.com/video/76979871"></iframe><a href="https://vimeo.com/76979871">Same video</a>'
+  );
+  assert.equal(embeds.length, 1);
+});
+
+test('rejects providers without a type, detect or render', () => {
+  assert.throws(() => registerEmbedProvider({ type: 'Bad Type', detect() {}, render() {} }), TypeError);
+  assert.throws(() => registerEmbedProvider({ type: 'no-render', detect() {} }), TypeError);
+});
+
+test('registers a custom provider used by parseArticle', async t => {
+  registerEmbedProvider({
+    type: 'loom',
+    detect(document) {
+      return Array.from(document.querySelectorAll('iframe[src*="loom.com/embed/"]')).map(iframe => ({
+        id: iframe.getAttribute('src').split('/embed/')[1],
+        element: iframe
+      }));
+    },
+    // Without this the sanitizer removes the iframe
+    allowsIframe(url) {
+      return url.hostname === 'www.loom.com';
+    },
+    render(contentDoc, embed, wrapper) {
+      const iframe = contentDoc.createElement('iframe');
+      iframe.setAttribute('src', `https://www.loom.com/embed/${encodeURIComponent(embed.id)}`);
+      wrapper.appendChild(iframe);
+    }
+  });
+  t.after(() => unregisterEmbedProvider('loom'));
+  assert.ok(getEmbedProviders().some(provider => provider.type === 'loom'));
+
+  const base = await serve(t, { '/loom': articlePage('<iframe src="https://www.loom.com/embed/abc123"></iframe>') });
+  const article = await parseArticle(`${base}/loom`);
+  assert.match(article.content, /class="embed-wrapper embed-loom"/);
+  assert.match(article.content, /loom\.com\/embed\/abc123/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+// Quiet the parse log
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+/**
+ * Positions of the given markers in the parsed content, in the order given
+ * @param {string} content
+ * @param {string[]} markers
+ * @returns {number[]}
+ */
+function positions(content, markers) {
+  return markers.map(marker => {
+    const index = content.indexOf(marker);
+    assert.notEqual(index, -1, `${marker} is missing`);
+    return index;
+  });
+}
+
+test('keeps a YouTube iframe where it was in the article', async t => {
+  const base = await serve(t, {
+    '/video': articlePage('<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560" height="315"></iframe>')
+  });
+  const article = await parseArticle(`${base}/video`);
+  const [first, embed, last] = positions(article.content, ['First paragraph.', 'youtube.com/embed/dQw4w9WgXcQ', 'Last paragraph.']);
+  assert.ok(first < embed && embed < last);
+});
+
+test('keeps a tweet where it was in the article', async t => {
+  const base = await serve(t, {
+    '/tweet': articlePage('<blockquote class="twitter-tweet"><p>Hello</p><a href="https://twitter.com/user/status/1234567890">link</a></blockquote>')
+  });
+  const article = await parseArticle(`${base}/tweet`);
+  const [first, embed, last] = positions(article.content, ['First paragraph.', '1234567890', 'Last paragraph.']);
+  assert.ok(first < embed && embed < last);
+});
+
+test('places an embed linked from a paragraph right after that paragraph', async t => {
+  const base = await serve(t, {
+    '/link': articlePage(
+      '<p>Watch <a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ">this video</a>. ' +
+      `${'The middle paragraph also has plenty of words in it. '.repeat(4)}</p>` +
+      `<p>Another paragraph. ${'More words to keep the article long enough. '.repeat(4)}</p>`
+    )
+  });
+  const article = await parseArticle(`${base}/link`);
+  const [link, embed, next] = positions(article.content, ['this video', 'youtube.com/embed/dQw4w9WgXcQ', 'Another paragraph.']);
+  assert.ok(link < embed && embed < next);
+});
+
+test('keeps several embeds linked from one paragraph in document order', async t => {
+  const base = await serve(t, {
+    '/links': articlePage(
+      '<p>First <a href="https://www.youtube.com/watch?v=aaaaaaaaaaa">one video</a>, then ' +
+      '<a href="https://vimeo.com/76979871">another</a> and ' +
+      '<a href="https://www.youtube.com/watch?v=bbbbbbbbbbb">a last one</a>. ' +
+      `${'The middle paragraph also has plenty of words in it. '.repeat(4)}</p>`
+    )
+  });
+  const article = await parseArticle(`${base}/links`);
+  const [first, second, third, last] = positions(article.content, [
+    'youtube.com/embed/aaaaaaaaaaa', 'player.vimeo.com/video/76979871', 'youtube.com/embed/bbbbbbbbbbb', 'Last paragraph.'
+  ]);
+  assert.ok(first < second && second < third && third < last);
+});
+
+test('leaves embed placeholders out of the excerpt when the article opens with an embed', async t => {
+  const base = await serve(t, {
+    '/opening': articlePage('').replace('<h1>', '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe><h1>')
+  });
+  const article = await parseArticle(`${base}/opening`);
+  assert.match(article.excerpt, /^First paragraph\./);
+  assert.match(article.content, /youtube\.com\/embed\/dQw4w9WgXcQ/);
+});
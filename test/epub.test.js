@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { buildEpub, packageEpub, contentDisposition } = require('../lib/epub');
+const { serve, articlePage } = require('./helpers');
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+/**
+ * Check that a document is well-formed XML, as EPUB readers require
+ * @param {string} source
+ */
+function assertWellFormed(source) {
+  const { document } = new JSDOM('').window;
+  const parsed = new document.defaultView.DOMParser().parseFromString(source, 'application/xml');
+  assert.equal(parsed.getElementsByTagName('parsererror').length, 0, source);
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('packages articles as an EPUB 3 book', async t => {
+  const base = await serve(t, {
+    '/photo.png': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG);
+    }
+  });
+  const { data, title, fileName } = await packageEpub([
+    {
+      title: 'First & foremost',
+      byline: 'Ann',
+      url: 'https://example.com/first',
+      content: '<h2>Part one</h2><p>Hello<br>world</p><img src="' + base + '/photo.png" alt="Photo">' +
+        '<img src="' + base + '/missing.png"><script>alert(1)</script><iframe src="https://example.com/x"></iframe>' +
+        '<p onclick="x()" style="color: red">Styled</p>'
+    },
+    { title: 'Second', content: '<p>More</p>' }
+  ]);
+
+  assert.equal(title, 'First & foremost and 1 more');
+  assert.equal(fileName, 'first-foremost-and-1-more.epub');
+
+  // The mimetype entry must be first and stored, so readers can sniff the file
+  assert.equal(data.slice(30, 38).toString(), 'mimetype');
+  assert.equal(data.readUInt16LE(8), 0);
+
+  const zip = await JSZip.loadAsync(data);
+  assert.equal(await zip.file('mimetype').async('string'), 'application/epub+zip');
+  const opf = await zip.file('OEBPS/content.opf').async('string');
+  assert.match(opf, /<dc:title>First &amp; foremost and 1 more<\/dc:title>/);
+  assert.match(opf, /<itemref idref="article-1"\/>\s*<itemref idref="article-2"\/>/);
+  assert.match(opf, /href="images\/image-1\.png" media-type="image\/png"/);
+  assert.ok(zip.file('OEBPS/images/image-1.png'));
+
+  const chapter = await zip.file('OEBPS/article-1.xhtml').async('string');
+  assertWellFormed(chapter);
+  assert.match(chapter, /<img src="images\/image-1\.png" alt="Photo" ?\/>/);
+  assert.match(chapter, /<br ?\/>/);
+  assert.doesNotMatch(chapter, /missing\.png|<script|<iframe|onclick|style=/);
+
+  const nav = await zip.file('OEBPS/nav.xhtml').async('string');
+  assertWellFormed(nav);
+  assert.match(nav, /Part one/);
+  assertWellFormed(await zip.file('OEBPS/toc.ncx').async('string'));
+});
+
+test('parses the URLs in order, and names the article that failed', async t => {
+  const base = await serve(t, {
+    '/one': articlePage('', { title: 'One' }),
+    '/two': articlePage('', { title: 'Two' })
+  });
+  const { title, data } = await buildEpub([`${base}/two`, `${base}/one`], { title: 'Reading list' });
+  assert.equal(title, 'Reading list');
+  const zip = await JSZip.loadAsync(data);
+  assert.match(await zip.file('OEBPS/article-1.xhtml').async('string'), /<title>Two<\/title>/);
+
+  await assert.rejects(buildEpub([`${base}/one`, `${base}/gone`]), error => error.details.url === `${base}/gone`);
+  await assert.rejects(buildEpub([]), { code: 'INVALID_URL' });
+});
+
+test('builds a download header for any title', () => {
+  assert.equal(contentDisposition('café.epub'), 'attachment; filename="cafe.epub"; filename*=UTF-8\'\'caf%C3%A9.epub');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ArticleError, BlockedUrlError, ExtractionError, InvalidUrlError, UpstreamHttpError, parseRetryAfter, toHttpError
+} = require('../lib/errors');
+const { parseArticle, parseHtml } = require('../lib/parseArticle');
+const { serve } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('maps upstream statuses to response statuses and retry hints', () => {
+  const cases = [
+    [404, 404, false], [410, 404, false], [401, 403, false], [403, 403, false],
+    [429, 429, true], [408, 502, true], [500, 502, true], [400, 502, false], [null, 502, true]
+  ];
+  cases.forEach(([upstream, status, retryable]) => {
+    const error = new UpstreamHttpError(upstream, 'failed');
+    assert.equal(error.status, status, String(upstream));
+    assert.equal(error.retryable, retryable, String(upstream));
+    assert.equal(error.code, 'UPSTREAM_HTTP_ERROR');
+  });
+  assert.equal(new UpstreamHttpError(null, 'failed', { retryable: false }).retryable, false);
+});
+
+test('parses Retry-After as seconds or an HTTP date', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+  assert.equal(parseRetryAfter('120'), 120);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:01:30 GMT'), 90);
+  assert.equal(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT'), 0);
+  assert.equal(parseRetryAfter('soon'), undefined);
+  assert.equal(parseRetryAfter(null), undefined);
+});
+
+test('turns errors into a status and a {code, message, details} body', t => {
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(toHttpError(new UpstreamHttpError(429, 'Slow down', { retryAfter: 30 })), {
+    status: 429,
+    body: { code: 'UPSTREAM_HTTP_ERROR', message: 'Slow down', details: { retryable: true, upstreamStatus: 429, retryAfter: 30 } }
+  });
+  assert.deepEqual(toHttpError(new BlockedUrlError('nope')).body.details, { reason: 'nope', retryable: false });
+  assert.equal(toHttpError(new InvalidUrlError()).status, 400);
+  assert.equal(toHttpError(new ExtractionError()).status, 422);
+  assert.equal(toHttpError(Object.assign(new Error('big'), { type: 'entity.too.large' })).body.code, 'PAYLOAD_TOO_LARGE');
+  assert.equal(toHttpError(Object.assign(new Error('bad'), { type: 'entity.parse.failed' })).body.code, 'INVALID_REQUEST');
+});
+
+test('answers unexpected errors with a generic message and logs the original', t => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const error = new Error('ENOENT: no such file or directory, open \'/srv/app/.data/x.json\'');
+  assert.deepEqual(toHttpError(error), {
+    status: 500,
+    body: { code: 'INTERNAL_ERROR', message: 'An unexpected error occurred', details: { retryable: false } }
+  });
+  assert.equal(logged.mock.callCount(), 1);
+  assert.equal(logged.mock.calls[0].arguments[1], error);
+});
+
+test('keeps a Retry-After of 0', async t => {
+  const error = new UpstreamHttpError(503, 'Try again', { retryAfter: 0 });
+  assert.equal(error.retryAfter, 0);
+  assert.deepEqual(toHttpError(error).body.details, { retryable: true, upstreamStatus: 503, retryAfter: 0 });
+  assert.equal(new UpstreamHttpError(503, 'Try again').retryAfter, null);
+  assert.equal(toHttpError(new UpstreamHttpError(null, 'Unreachable')).body.details.upstreamStatus, undefined);
+
+  const base = await serve(t, {
+    '/now': (req, res) => {
+      res.writeHead(503, { 'Retry-After': '0' });
+      res.end();
+    }
+  });
+  await assert.rejects(parseArticle(`${base}/now`, { browser: false }), { status: 502, retryAfter: 0 });
+});
+
+test('parseArticle throws typed errors', async t => {
+  const base = await serve(t, {
+    '/busy': (req, res) => {
+      res.writeHead(429, { 'Retry-After': '120' });
+      res.end();
+    },
+    '/feed': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.end('%PDF');
+    },
+    '/empty': '<html><body></body></html>'
+  });
+
+  await assert.rejects(parseArticle('not a url'), { code: 'INVALID_URL', status: 400 });
+  await assert.rejects(parseArticle(`${base}/missing`), { code: 'UPSTREAM_HTTP_ERROR', status: 404, upstreamStatus: 404 });
+  await assert.rejects(parseArticle(`${base}/busy`), { status: 429, retryable: true, retryAfter: 120 });
+  await assert.rejects(parseArticle(`${base}/feed`), { code: 'UNSUPPORTED_CONTENT_TYPE', status: 415 });
+  await assert.rejects(parseArticle(`${base}/empty`), ExtractionError);
+  await assert.rejects(parseHtml('', 'https://example.com/'), { code: 'INVALID_REQUEST' });
+  await assert.rejects(parseArticle('http://127.0.0.1/'), error => error instanceof ArticleError && error.code === 'URL_BLOCKED');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { extractMetadata } = require('../lib/extractMetadata');
+
+/**
+ * Extract the metadata of a page head
+ * @param {string} head
+ * @param {string} [body]
+ * @returns {Object}
+ */
+function metadata(head, body = '') {
+  const { document } = new JSDOM(`<!DOCTYPE html><html lang="en"><head>${head}</head><body>${body}</body></html>`, {
+    url: 'https://example.com/posts/one?utm_source=x'
+  }).window;
+  return extractMetadata(document);
+}
+
+test('reads JSON-LD articles, including inside @graph', () => {
+  const result = metadata(`<script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', name: 'Site' },
+      {
+        '@type': 'NewsArticle',
+        datePublished: '2024-03-01T10:00:00+01:00',
+        dateModified: '2024-03-02T08:00:00Z',
+        mainEntityOfPage: { '@id': '/posts/one' },
+        inLanguage: 'de-DE',
+        image: { url: '/img/lead.jpg' },
+        keywords: 'news, science',
+        author: [{ '@type': 'Person', name: 'Ada Lovelace', url: '/ada' }, { name: 'Ada Lovelace' }]
+      }
+    ]
+  })}</script>`);
+  assert.equal(result.publishedTime, '2024-03-01T09:00:00.000Z');
+  assert.equal(result.modifiedTime, '2024-03-02T08:00:00.000Z');
+  assert.equal(result.canonicalUrl, 'https://example.com/posts/one');
+  assert.equal(result.lang, 'de-DE');
+  assert.equal(result.leadImage, 'https://example.com/img/lead.jpg');
+  assert.deepEqual(result.tags, ['news', 'science']);
+  assert.deepEqual(result.authors, [{ name: 'Ada Lovelace', url: 'https://example.com/ada' }]);
+});
+
+test('falls back to OpenGraph, Twitter cards and plain HTML', () => {
+  const result = metadata([
+    '<meta property="article:published_time" content="2023-05-06">',
+    '<meta property="og:locale" content="fr_FR">',
+    '<meta name="twitter:image" content="https://cdn.example.com/card.png">',
+    '<meta name="twitter:creator" content="@writer">',
+    '<meta name="keywords" content="one, two">',
+    '<link rel="canonical" href="https://example.com/canonical">'
+  ].join(''));
+  assert.equal(result.publishedTime, '2023-05-06T00:00:00.000Z');
+  assert.equal(result.lang, 'fr-FR');
+  assert.equal(result.leadImage, 'https://cdn.example.com/card.png');
+  assert.equal(result.canonicalUrl, 'https://example.com/canonical');
+  assert.deepEqual(result.tags, ['one', 'two']);
+  assert.deepEqual(result.authors, [{ name: '@writer', url: 'https://x.com/writer' }]);
+});
+
+test('prefers JSON-LD over OpenGraph', () => {
+  const result = metadata(
+    '<meta property="og:url" content="https://example.com/og">' +
+    '<script type="application/ld+json">{"@type": "Article", "url": "https://example.com/ld"}</script>'
+  );
+  assert.equal(result.canonicalUrl, 'https://example.com/ld');
+});
+
+test('ignores broken JSON-LD and invalid dates', () => {
+  const result = metadata(
+    '<script type="application/ld+json">{broken</script><meta property="article:published_time" content="yesterday">',
+    '<article><time datetime="2022-01-02T03:04:05Z">Jan 2</time></article>'
+  );
+  assert.equal(result.publishedTime, '2022-01-02T03:04:05.000Z');
+  assert.equal(result.lang, 'en');
+  assert.deepEqual(result.authors, []);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed, findFeedLinks } = require('../lib/feeds/parseFeed');
+const { createFeeds } = require('../lib/feeds');
+const { createLibrary } = require('../lib/library');
+const { InvalidFeedError } = require('../lib/errors');
+const { serve, articlePage } = require('./helpers');
+
+const FEED_URL = 'https://example.com/feed';
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('reads RSS feeds', () => {
+  const feed = parseFeed(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel><title>Blog</title><link>/</link>
+    <item><title>One</title><link>/posts/1</link><guid isPermaLink="false">post-1</guid>
+      <pubDate>Mon, 01 Jan 2024 10:00:00 GMT</pubDate><content:encoded><![CDATA[<p>Full</p>]]></content:encoded></item>
+    <item><title>Two</title><guid>https://example.com/posts/2</guid><description>Summary</description></item>
+    <item><title>No link</title></item>
+  </channel>
+</rss>`, FEED_URL);
+  assert.equal(feed.title, 'Blog');
+  assert.equal(feed.siteUrl, 'https://example.com/');
+  assert.deepEqual(feed.entries, [
+    { id: 'post-1', url: 'https://example.com/posts/1', title: 'One', published: '2024-01-01T10:00:00.000Z', content: '<p>Full</p>' },
+    { id: 'https://example.com/posts/2', url: 'https://example.com/posts/2', title: 'Two', published: null, content: 'Summary' }
+  ]);
+});
+
+test('reads Atom feeds', () => {
+  const feed = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+  <title type="html">Atom &amp;amp; more</title><link rel="self" href="/feed"/><link href="/"/>
+  <entry><id>tag:1</id><title>Entry</title><link rel="alternate" href="/e/1"/>
+    <updated>2024-02-01T00:00:00Z</updated><content type="html">&lt;p&gt;Body&lt;/p&gt;</content></entry>
+</feed>`, FEED_URL);
+  assert.equal(feed.title, 'Atom & more');
+  assert.equal(feed.siteUrl, 'https://example.com/');
+  assert.deepEqual(feed.entries, [
+    { id: 'tag:1', url: 'https://example.com/e/1', title: 'Entry', published: '2024-02-01T00:00:00.000Z', content: '<p>Body</p>' }
+  ]);
+});
+
+test('reads JSON feeds', () => {
+  const feed = parseFeed(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'JSON',
+    items: [{ id: 1, url: '/j/1', title: 'J', content_text: 'a < b' }]
+  }), FEED_URL);
+  assert.deepEqual(feed.entries, [
+    { id: '1', url: 'https://example.com/j/1', title: 'J', published: null, content: '<p>a &lt; b</p>' }
+  ]);
+});
+
+test('rejects documents that are not feeds', () => {
+  assert.throws(() => parseFeed('{"title": "x"}', FEED_URL), InvalidFeedError);
+  assert.throws(() => parseFeed('{not json', FEED_URL), /not valid JSON/);
+  assert.throws(() => parseFeed('<html><body></body></html>', FEED_URL), /Not an RSS or Atom feed/);
+});
+
+test('finds the feeds a page links to', () => {
+  const html = '<head><link rel="alternate" type="application/rss+xml" href="/rss"><link rel="alternate" type="text/html" href="/fr"></head>';
+  assert.deepEqual(findFeedLinks(html, 'https://example.com/blog/'), ['https://example.com/rss']);
+});
+
+test('subscribes through a page and saves new entries to the library', async t => {
+  let feedRequests = 0;
+  let items = ['1', '2', '3'];
+  const base = await serve(t, {
+    '/': '<html><head><link rel="alternate" type="application/rss+xml" href="/rss"></head><body></body></html>',
+    '/rss': (req, res) => {
+      feedRequests++;
+      const etag = `"${items.join('-')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag });
+      res.end(`<rss><channel><title>Local blog</title>${items.map(id =>
+        `<item><title>Post ${id}</title><link>/posts/${id}</link><pubDate>Mon, 0${id} Jan 2024 00:00:00 GMT</pubDate></item>`).join('')}</channel></rss>`);
+    },
+    '/posts/1': articlePage('', { title: 'Post 1' }),
+    '/posts/2': articlePage('', { title: 'Post 2' }),
+    '/posts/3': articlePage('', { title: 'Post 3' }),
+    '/posts/4': articlePage('', { title: 'Post 4' })
+  });
+  const library = createLibrary();
+  const feeds = createFeeds({ library, initialEntries: 2 });
+
+  const { feed, created } = await feeds.subscribe(`${base}/`);
+  assert.equal(created, true);
+  assert.equal(feed.url, `${base}/rss`);
+  assert.equal(feed.title, 'Local blog');
+
+  // Only the newest entries are added on the first poll
+  const first = await feeds.refresh(feed.id);
+  assert.equal(first.added, 2);
+  assert.equal(first.feed.unread, 2);
+  const titles = (await library.list()).items.map(item => item.title).sort();
+  assert.deepEqual(titles, ['Post 2', 'Post 3']);
+  assert.ok((await library.list()).items.every(item => item.feedId === feed.id));
+
+  // Unchanged feeds answer 304 and add nothing
+  assert.equal((await feeds.refresh(feed.id)).added, 0);
+
+  items = ['1', '2', '3', '4'];
+  assert.equal((await feeds.refresh(feed.id)).added, 1);
+  assert.equal((await library.list()).total, 3);
+  assert.ok(feedRequests >= 4);
+
+  assert.equal((await feeds.subscribe(`${base}/rss`)).created, false);
+  await feeds.unsubscribe(feed.id);
+  assert.deepEqual(await feeds.list(), []);
+  assert.equal((await library.list()).total, 3);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatArticle, normalizeFormat } = require('../lib/formats');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+const article = {
+  title: 'Hello <World>',
+  byline: 'Ann',
+  siteName: 'Site',
+  content: '<h2>Intro</h2><p>Some <strong>bold</strong> text<sup><a href="#fn1" id="fnref1">1</a></sup>.</p>' +
+    '<ul><li>one</li><li>two</li></ul>' +
+    '<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>' +
+    '<div class="embed-wrapper" data-embed-url="https://www.youtube.com/watch?v=abc"><iframe src="https://www.youtube.com/embed/abc"></iframe></div>' +
+    '<pre>x = 1</pre>' +
+    '<section class="footnotes"><ol><li id="fn1">A note. <a href="#fnref1" class="footnote-backref">↩</a></li></ol></section>'
+};
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('normalizes format names', () => {
+  assert.equal(normalizeFormat(), 'html');
+  assert.equal(normalizeFormat(' Markdown '), 'markdown');
+  assert.throws(() => normalizeFormat('pdf'), { code: 'INVALID_REQUEST', message: /Unknown format "pdf"/ });
+});
+
+test('keeps html content as it is', () => {
+  assert.deepEqual(formatArticle(article), { ...article, format: 'html' });
+});
+
+test('renders Markdown with footnotes, header rows, embed links and fenced code', () => {
+  const { content, format } = formatArticle(article, 'markdown');
+  assert.equal(format, 'markdown');
+  assert.match(content, /^# Hello <World>\n\n_Ann · Site_\n\n## Intro\n\nSome \*\*bold\*\* text\[\^1\]\./);
+  assert.match(content, /\| a \| b \|\n\| --- \| --- \|\n\| c \| d \|/);
+  assert.match(content, /\[Embedded media\]\(https:\/\/www\.youtube\.com\/watch\?v=abc\)/);
+  assert.match(content, /```\nx = 1\n```/);
+  assert.match(content, /\[\^1\]: A note\.\n?$/);
+  assert.doesNotMatch(content, /↩/);
+});
+
+test('renders plain text', () => {
+  const { content } = formatArticle(article, 'text');
+  assert.match(content, /^Hello <World>\n=+\n\nAnn · Site\n\nIntro\n\nSome bold text\[1\]\.\n\n- one\n- two\n/);
+  assert.match(content, /a \| b\nc \| d/);
+  assert.match(content, /Embedded media: https:\/\/www\.youtube\.com\/watch\?v=abc/);
+  assert.match(content, /1\. A note\./);
+  assert.doesNotMatch(content, /<p>/);
+});
+
+test('renders a standalone document with escaped metadata', () => {
+  const { content } = formatArticle(article, 'standalone');
+  assert.match(content, /^<!DOCTYPE html>/);
+  assert.match(content, /<title>Hello &lt;World&gt;<\/title>/);
+  assert.match(content, /<style>/);
+  assert.ok(content.includes(article.content));
+});
+
+test('parseArticle returns the requested format', async t => {
+  const base = await serve(t, { '/post': articlePage('<h2>Middle</h2>', { title: 'Formats' }) });
+  const result = await parseArticle(`${base}/post`, { format: 'markdown' });
+  assert.equal(result.format, 'markdown');
+  assert.match(result.content, /## Middle/);
+  await assert.rejects(parseArticle(`${base}/post`, { format: 'docx' }), { code: 'INVALID_REQUEST' });
+});
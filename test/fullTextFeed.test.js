@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFullTextFeed } = require('../lib/feeds');
+const { parseFeed } = require('../lib/feeds/parseFeed');
+const { serve, articlePage } = require('./helpers');
+
+/**
+ * Serve a summary-only RSS feed: one article that parses, one that's gone
+ * @param {Object} t - node:test context
+ * @returns {Promise<string>} Base URL
+ */
+function serveFeed(t) {
+  return serve(t, {
+    '/rss': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+      res.end(`<rss><channel><title>Summaries</title><link>/</link>
+        <item><title>Kept</title><link>/posts/kept</link><guid>post-kept</guid><pubDate>Tue, 02 Jan 2024 00:00:00 GMT</pubDate>
+          <description>Short summary</description></item>
+        <item><title>Gone</title><link>/posts/gone</link><description>&lt;p&gt;Only a summary&lt;/p&gt;&lt;script&gt;x()&lt;/script&gt;</description></item>
+      </channel></rss>`);
+    },
+    '/posts/kept': articlePage('<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>', { title: 'Kept' })
+  });
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('rebuilds a feed as Atom with the full text of each item', async t => {
+  const base = await serveFeed(t);
+  const result = await buildFullTextFeed(`${base}/rss`, { selfUrl: 'https://reader.example/feed' });
+  assert.equal(result.contentType, 'application/atom+xml; charset=utf-8');
+  assert.equal(result.items, 2);
+  assert.equal(result.failed, 1);
+
+  const feed = parseFeed(result.content, 'https://reader.example/feed');
+  assert.equal(feed.title, 'Summaries');
+  const [kept, gone] = feed.entries;
+  assert.equal(kept.id, `${base}/posts/kept`);
+  assert.equal(kept.published, '2024-01-02T00:00:00.000Z');
+  assert.match(kept.content, /Last paragraph/);
+  // Feed readers drop iframes, so embeds become links
+  assert.doesNotMatch(kept.content, /<iframe/);
+  assert.match(kept.content, /href="https:\/\/www\.youtube\.com\/watch\?v=dQw4w9WgXcQ"/);
+  assert.match(gone.content, /full text couldn't be extracted/);
+  assert.match(gone.content, /<p>Only a summary<\/p>/);
+  assert.doesNotMatch(gone.content, /<script/);
+});
+
+test('writes RSS and honors the item limit', async t => {
+  const base = await serveFeed(t);
+  const result = await buildFullTextFeed(`${base}/rss`, { format: 'RSS', limit: 1 });
+  assert.equal(result.contentType, 'application/rss+xml; charset=utf-8');
+  assert.equal(result.items, 1);
+  const feed = parseFeed(result.content, `${base}/rss`);
+  assert.deepEqual(feed.entries.map(entry => entry.id), ['post-kept']);
+  assert.match(result.content, /<guid isPermaLink="false">post-kept<\/guid>/);
+});
+
+test('rejects unknown formats and blocked URLs', async () => {
+  await assert.rejects(buildFullTextFeed('https://example.com/feed', { format: 'json' }), /Unknown feed format "json"/);
+  await assert.rejects(buildFullTextFeed('http://127.0.0.1/feed'), { code: 'URL_BLOCKED' });
+});
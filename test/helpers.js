@@ -0,0 +1,47 @@
+const http = require('http');
+const { configureUrlPolicy } = require('../lib/urlSafety');
+
+/**
+ * Serve fixed pages from a local HTTP server for the length of a test.
+ * localhost is put on the URL allow list meanwhile, since private hosts are
+ * otherwise refused.
+ * @param {Object} t - node:test context; the server closes when the test ends
+ * @param {Object<string, (string|Function)>} routes - Path to HTML, or to a (req, res) handler
+ * @returns {Promise<string>} Base URL of the server, without a trailing slash
+ */
+async function serve(t, routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url.split('?')[0]];
+    if (typeof route === 'function') return route(req, res);
+    if (route === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('<h1>Not found</h1>');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(route);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  configureUrlPolicy({ allowHosts: ['localhost'] });
+  t.after(() => new Promise(resolve => {
+    configureUrlPolicy({ allowHosts: [] });
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return `http://localhost:${server.address().port}`;
+}
+
+/**
+ * A page with enough prose for Readability to treat it as an article
+ * @param {string} body - Extra markup placed between the paragraphs
+ * @param {Object} [options]
+ * @param {string} [options.title='Test article']
+ * @param {string} [options.head] - Extra markup for <head>
+ * @returns {string}
+ */
+function articlePage(body, options = {}) {
+  const prose = text => `<p>${text} ${'This paragraph has enough words to count as the article body. '.repeat(4)}</p>`;
+  return `<!DOCTYPE html><html><head><title>${options.title || 'Test article'}</title>${options.head || ''}</head>` +
+    `<body><article><h1>${options.title || 'Test article'}</h1>${prose('First paragraph.')}${body}${prose('Last paragraph.')}</article></body></html>`;
+}
+
+module.exports = { serve, articlePage };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHighlights } = require('../lib/library');
+const { NotFoundError } = require('../lib/errors');
+
+/**
+ * Fields for a highlight of `exact` starting at `start`
+ * @param {string} url
+ * @param {string} exact
+ * @param {number} start
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function passage(url, exact, start, fields = {}) {
+  return { url, title: 'An article', quote: { exact, prefix: 'before ', suffix: ' after' }, position: { start, end: start + exact.length }, ...fields };
+}
+
+test('adds, updates and deletes highlights', async () => {
+  const highlights = createHighlights();
+  const highlight = await highlights.add(passage('https://example.com/a?utm_source=x', 'A passage', 10, { note: '  Worth it  ' }));
+  assert.equal(highlight.key, 'https://example.com/a');
+  assert.equal(highlight.note, 'Worth it');
+  assert.deepEqual(highlight.quote, { exact: 'A passage', prefix: 'before ', suffix: ' after' });
+
+  const updated = await highlights.update(highlight.id, { note: '' });
+  assert.equal(updated.note, null);
+
+  await highlights.delete(highlight.id);
+  assert.deepEqual(await highlights.list(), []);
+  await assert.rejects(highlights.update(highlight.id, { note: 'x' }), NotFoundError);
+  await assert.rejects(highlights.delete(highlight.id), NotFoundError);
+});
+
+test('rejects highlights without a quote or a matching position', async () => {
+  const highlights = createHighlights();
+  await assert.rejects(highlights.add(passage('', 'Text', 0)), /article URL is required/);
+  await assert.rejects(highlights.add(passage('https://example.com/a', ' ', 0)), /quote\.exact/);
+  await assert.rejects(highlights.add({ ...passage('https://example.com/a', 'Text', 0), position: { start: 0, end: 10 } }), /spanning the quoted text/);
+  await assert.rejects(highlights.add(passage('https://example.com/a', 'Text', 0, { note: 5 })), /note must be a string/);
+});
+
+test('lists an article in reading order, and articles by latest highlight', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const highlights = createHighlights();
+  await highlights.add(passage('https://example.com/a', 'Second', 50));
+  t.mock.timers.tick(1000);
+  await highlights.add(passage('https://example.com/a', 'First', 5));
+  t.mock.timers.tick(1000);
+  await highlights.add(passage('https://example.com/b', 'Other', 0));
+
+  assert.deepEqual((await highlights.list({ url: 'https://example.com/a#top' })).map(h => h.quote.exact), ['First', 'Second']);
+  assert.deepEqual((await highlights.list()).map(h => h.quote.exact), ['Other', 'First', 'Second']);
+});
+
+test('exports Markdown and JSON grouped by article', async () => {
+  const highlights = createHighlights();
+  await highlights.add(passage('https://example.com/a', 'Line one\n\nLine two', 0, { title: 'Post [1]', note: 'My note' }));
+
+  const { content } = await highlights.export({ url: 'https://example.com/a' });
+  assert.equal(content, '# [Post \\[1\\]](<https://example.com/a>)\n\n> Line one\n>\n> Line two\n\nMy note\n');
+
+  const json = await highlights.export({ format: 'JSON' });
+  assert.equal(json.format, 'json');
+  assert.equal(json.content[0].title, 'Post [1]');
+  assert.equal(json.content[0].highlights.length, 1);
+
+  await assert.rejects(highlights.export({ url: 'https://example.com/none' }), /no highlights to export/);
+  await assert.rejects(highlights.export({ format: 'pdf' }), /Unknown export format "pdf"/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bundleImages, createImageStore, normalizeImageMode } = require('../lib/images');
+const { detectImageType } = require('../lib/images/loader');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+/**
+ * Serve the PNG at /photo.png, counting downloads and recording the Referer
+ * @param {Object} t - node:test context
+ * @param {Object} [routes] - More routes
+ * @returns {Promise<{base: string, requests: string[]}>}
+ */
+async function serveImage(t, routes = {}) {
+  const requests = [];
+  const base = await serve(t, {
+    ...routes,
+    '/photo.png': (req, res) => {
+      requests.push(req.headers.referer);
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG);
+    },
+    '/not-an-image.png': 'Not an image'
+  });
+  return { base, requests };
+}
+
+/**
+ * Create an image store in a temporary directory, removed after the test
+ * @param {Object} t - node:test context
+ * @returns {Object} Image store
+ */
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createImageStore({ dir });
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('checks the images mode', () => {
+  assert.equal(normalizeImageMode(), 'hotlink');
+  assert.equal(normalizeImageMode('INLINE'), 'inline');
+  assert.throws(() => normalizeImageMode('embed'), { code: 'INVALID_REQUEST' });
+});
+
+test('recognizes image types by their bytes', () => {
+  assert.deepEqual(detectImageType(PNG), { mediaType: 'image/png', extension: 'png', web: true });
+  assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+});
+
+test('inlines images as data URIs and keeps the ones it could not bundle', async t => {
+  const { base, requests } = await serveImage(t);
+  const article = {
+    pages: ['https://example.com/post'],
+    leadImage: `${base}/photo.png`,
+    content: `<img src="${base}/photo.png" srcset="${base}/photo.png 1x, ${base}/big.png 2x"><img src="${base}/not-an-image.png">`
+  };
+  const result = await bundleImages(article, { mode: 'inline' });
+  const dataUri = `data:image/png;base64,${PNG.toString('base64')}`;
+  assert.equal(result.content, `<img src="${dataUri}"><img src="${base}/not-an-image.png">`);
+  assert.equal(result.leadImage, dataUri);
+  assert.deepEqual(result.images, { mode: 'inline', bundled: 1, failed: 1 });
+  assert.deepEqual(requests, ['https://example.com/post']);
+  assert.equal(await bundleImages(article), article);
+});
+
+test('proxies images from the store, downloading each one once', async t => {
+  const { base, requests } = await serveImage(t);
+  const store = tempStore(t);
+  const article = { content: `<p><img src="${base}/photo.png"></p>` };
+
+  const first = await bundleImages(article, { mode: 'proxy', store, urlPrefix: '/images/' });
+  const hash = first.content.match(/\/images\/([a-f0-9]{64})/)[1];
+  assert.deepEqual((await store.get(hash)).data, PNG);
+  assert.equal(await store.get('../etc/passwd'), null);
+
+  await bundleImages(article, { mode: 'inline', store });
+  assert.equal(requests.length, 1);
+  await assert.rejects(bundleImages(article, { mode: 'proxy' }), { code: 'INVALID_REQUEST' });
+});
+
+test('parseArticle bundles images after parsing', async t => {
+  const { base } = await serveImage(t, { '/post': articlePage('<p><img src="/photo.png" alt="Photo"></p>') });
+  const article = await parseArticle(`${base}/post`, { images: 'inline' });
+  assert.match(article.content, /<img src="data:image\/png;base64,/);
+  assert.equal(article.images.bundled, 1);
+  await assert.rejects(parseArticle(`${base}/post`, { images: 'proxy' }), { code: 'INVALID_REQUEST' });
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createJobs } = require('../lib/jobs');
+const { createMemoryStore } = require('../lib/library');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+/**
+ * Poll a job until it finishes
+ * @param {Object} jobs
+ * @param {string} id
+ * @returns {Promise<Object>} The finished job
+ */
+async function finished(jobs, id) {
+  for (;;) {
+    const job = await jobs.get(id);
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('runs a job in the background and posts it to the webhook, signed', async t => {
+  const deliveries = [];
+  const base = await serve(t, {
+    '/story': articlePage('', { title: 'Queued story' }),
+    '/hook': (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        deliveries.push({ body, signature: req.headers['x-signature-256'] });
+        res.end();
+      });
+    }
+  });
+  const jobs = createJobs({ webhookSecret: 'shh' });
+
+  const queued = await jobs.create({ url: `${base}/story`, format: 'markdown', maxPages: '3' }, { webhook: `${base}/hook` });
+  assert.equal(queued.status, 'queued');
+  assert.deepEqual(queued.options, { format: 'markdown', images: 'hotlink', maxPages: 3, refresh: false, segments: false });
+
+  const job = await finished(jobs, queued.id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.result.title, 'Queued story');
+  assert.equal(job.result.format, 'markdown');
+  assert.match(job.result.content, /^# Queued story/);
+  assert.ok(job.startedAt && job.finishedAt);
+
+  // The webhook is recorded once it has been delivered
+  while (!(await jobs.get(queued.id)).webhook.deliveredAt) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const { webhook } = await jobs.get(queued.id);
+  assert.equal(webhook.attempts, 1);
+  assert.equal(webhook.status, 200);
+  assert.equal(deliveries.length, 1);
+  assert.equal(JSON.parse(deliveries[0].body).status, 'done');
+  const expected = crypto.createHmac('sha256', 'shh').update(deliveries[0].body).digest('hex');
+  assert.equal(deliveries[0].signature, `sha256=${expected}`);
+});
+
+test('records failures as {code, message, details}', async t => {
+  const base = await serve(t, {});
+  const jobs = createJobs();
+  const { id } = await jobs.create({ url: `${base}/missing` });
+  const job = await finished(jobs, id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error.code, 'UPSTREAM_HTTP_ERROR');
+  assert.equal(job.error.details.upstreamStatus, 404);
+  assert.equal(job.result, null);
+});
+
+test('fails jobs that run past the time limit', async t => {
+  // Never answers
+  const base = await serve(t, { '/slow': () => {} });
+  const jobs = createJobs({ timeout: 0.05 });
+  const { id } = await jobs.create({ url: `${base}/slow` });
+  const job = await finished(jobs, id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error.code, 'TIMEOUT');
+});
+
+test('checks the URL, webhook and options when the job is created', async () => {
+  const jobs = createJobs({ dispatch: async () => assert.fail('nothing should be dispatched') });
+  await assert.rejects(jobs.create({}), { code: 'INVALID_URL' });
+  await assert.rejects(jobs.create({ url: 'ftp://example.com/' }), { code: 'URL_BLOCKED' });
+  await assert.rejects(jobs.create({ url: 'http://169.254.169.254/' }), { code: 'URL_BLOCKED' });
+  await assert.rejects(jobs.create({ url: 'https://example.com/', format: 'pdf' }), { code: 'INVALID_REQUEST' });
+  await assert.rejects(jobs.create({ url: 'https://example.com/' }, { webhook: 'http://169.254.169.254/hook' }),
+    { code: 'URL_BLOCKED' });
+  await assert.rejects(jobs.get('nope'), { code: 'NOT_FOUND' });
+});
+
+test('hands jobs to dispatch, and marks them failed when the handoff fails', async t => {
+  const base = await serve(t, { '/story': articlePage('') });
+  const dispatched = [];
+  const jobs = createJobs({ dispatch: async job => dispatched.push(job.id) });
+  const { id } = await jobs.create({ url: `${base}/story` });
+  assert.deepEqual(dispatched, [id]);
+  assert.equal((await jobs.get(id)).status, 'queued');
+
+  const job = await jobs.run(id);
+  assert.equal(job.status, 'done');
+  // Running it again does nothing
+  assert.equal(await jobs.run(id), null);
+
+  const store = createMemoryStore();
+  const withStore = createJobs({ store, dispatch: async () => { throw new Error('no background function'); } });
+  await assert.rejects(withStore.create({ url: `${base}/story` }), /no background function/);
+  const [stored] = await store.list();
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.error.code, 'INTERNAL_ERROR');
+});
+
+test('start() resumes unfinished jobs and drops expired ones', async t => {
+  const base = await serve(t, { '/story': articlePage('') });
+  const store = createMemoryStore();
+  const now = new Date();
+  const later = new Date(now.getTime() + 60000).toISOString();
+  const job = fields => ({
+    status: 'queued', url: `${base}/story`, options: {}, webhook: null, createdAt: now.toISOString(),
+    startedAt: null, finishedAt: null, expiresAt: later, progress: null, result: null, error: null, ...fields
+  });
+  await store.set('left-running', job({ id: 'left-running', status: 'running', startedAt: now.toISOString() }));
+  await store.set('left-queued', job({ id: 'left-queued' }));
+  await store.set('expired', job({ id: 'expired', expiresAt: new Date(now.getTime() - 1000).toISOString() }));
+
+  const jobs = createJobs({ store });
+  await jobs.start();
+  t.after(() => jobs.stop());
+
+  assert.equal((await finished(jobs, 'left-running')).status, 'done');
+  assert.equal((await finished(jobs, 'left-queued')).status, 'done');
+  assert.equal(await store.get('expired'), null);
+});
+
+test('expired jobs are not found', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const jobs = createJobs({ ttl: 60, dispatch: async () => {} });
+  const { id } = await jobs.create({ url: 'https://example.com/' });
+  t.mock.timers.tick(59000);
+  assert.equal((await jobs.get(id)).status, 'queued');
+  t.mock.timers.tick(2000);
+  await assert.rejects(jobs.get(id), { code: 'NOT_FOUND' });
+});
+
+test('serverless functions only get the browser when CHROME_BIN is set', async () => {
+  const parseArticlePath = path.join(__dirname, '..', 'lib', 'parseArticle.js');
+  // Loads parseArticle as a Netlify function would, and prints whether the browser can be used
+  const browserAllowed = env => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', `console.log = () => {}; process.stdout.write(String(require(${JSON.stringify(parseArticlePath)}).allowServerlessBrowser()))`], {
+      env: { ...process.env, NETLIFY: '1', CHROME_BIN: '', ...env },
+      timeout: 60000
+    }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+  assert.equal(await browserAllowed({}), 'false');
+  assert.equal(await browserAllowed({ CHROME_BIN: '/opt/chromium' }), 'true');
+});
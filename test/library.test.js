@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLibrary, createFileStore, createMemoryStore } = require('../lib/library');
+const { NotFoundError } = require('../lib/errors');
+
+/**
+ * A parse result as the routes pass it to save()
+ * @param {string} url
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function article(url, fields = {}) {
+  return { title: 'Article', content: '<p>Text</p>', pages: [url], format: 'html', cacheStatus: 'miss', ...fields };
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('saves, reads, updates and deletes articles', async () => {
+  const library = createLibrary();
+  const { item, created } = await library.save(
+    article('https://www.example.com/a', { content: '<p onclick="x()">Text</p><script>alert(1)</script>' }),
+    { tags: 'news, News , long read', starred: 'true' }
+  );
+  assert.equal(created, true);
+  assert.equal(item.site, 'example.com');
+  assert.equal(item.status, 'unread');
+  assert.deepEqual(item.tags, ['news', 'long read']);
+  assert.equal(item.starred, true);
+  assert.equal(item.article, undefined);
+
+  const saved = await library.get(item.id);
+  assert.equal(saved.article.content, '<p>Text</p>');
+  assert.equal(saved.article.cacheStatus, undefined);
+
+  const read = await library.update(item.id, { status: 'read', starred: false });
+  assert.equal(read.status, 'read');
+  assert.equal(read.starred, false);
+  assert.ok(read.readAt);
+
+  await library.delete(item.id);
+  await assert.rejects(library.get(item.id), NotFoundError);
+  await assert.rejects(library.delete(item.id), NotFoundError);
+});
+
+test('saving a URL again refreshes the article and keeps its state', async () => {
+  const library = createLibrary();
+  const first = await library.save(article('https://example.com/a?utm_source=x'), { tags: ['kept'] });
+  await library.update(first.item.id, { status: 'archived' });
+
+  const second = await library.save(article('https://example.com/a', { title: 'New title' }));
+  assert.equal(second.created, false);
+  assert.equal(second.item.id, first.item.id);
+  assert.equal(second.item.title, 'New title');
+  assert.equal(second.item.status, 'archived');
+  assert.deepEqual(second.item.tags, ['kept']);
+  assert.equal((await library.list()).total, 1);
+});
+
+test('filters and pages the list, newest first', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const library = createLibrary();
+  for (const [url, fields] of [
+    ['https://example.com/1', { tags: ['Tech'] }],
+    ['https://blog.example.com/2', { starred: true }],
+    ['https://other.org/3', { tags: ['tech'], starred: true }]
+  ]) {
+    await library.save(article(url), fields);
+    t.mock.timers.tick(1000);
+  }
+  const urls = result => result.items.map(item => item.url);
+
+  assert.deepEqual(urls(await library.list()), ['https://other.org/3', 'https://blog.example.com/2', 'https://example.com/1']);
+  assert.deepEqual(urls(await library.list({ site: 'example.com' })), ['https://blog.example.com/2', 'https://example.com/1']);
+  assert.deepEqual(urls(await library.list({ tag: 'TECH', starred: '1' })), ['https://other.org/3']);
+  assert.deepEqual(await library.list({ status: 'read' }), { items: [], total: 0 });
+  const page = await library.list({ limit: 1, offset: 1 });
+  assert.deepEqual(urls(page), ['https://blog.example.com/2']);
+  assert.equal(page.total, 3);
+});
+
+test('reads articles from the store only to open them', async () => {
+  const store = createMemoryStore();
+  const calls = { get: 0, list: 0 };
+  const counting = {
+    ...store,
+    get: id => { calls.get++; return store.get(id); },
+    list: () => { calls.list++; return store.list(); }
+  };
+  const library = createLibrary({ store: counting });
+
+  const [first] = await Promise.all([
+    library.save(article('https://example.com/a')),
+    library.save(article('https://example.com/b'))
+  ]);
+  await library.save(article('https://example.com/a', { title: 'Again' }));
+  await library.update(first.item.id, { starred: true });
+  const { items, total } = await library.list({ starred: true });
+  assert.equal(total, 1);
+  assert.equal(items[0].title, 'Again');
+  assert.deepEqual(await library.countBy('site'), { 'example.com': 2 });
+  await library.delete(first.item.id);
+  assert.equal((await library.list()).total, 1);
+
+  // One read of every item to build the index, then only the update read an article
+  assert.deepEqual(calls, { get: 1, list: 1 });
+});
+
+test('rejects invalid articles and fields', async () => {
+  const library = createLibrary();
+  await assert.rejects(library.save({ title: 'No content' }), { code: 'INVALID_REQUEST' });
+  await assert.rejects(library.save(article('https://example.com/a', { format: 'markdown' })), /html format/);
+  await assert.rejects(library.save(article('https://example.com/a'), { tags: [1] }), /list of strings/);
+  await assert.rejects(library.save(article('https://example.com/a'), { tags: 'x'.repeat(51) }), /at most 50 characters/);
+  await assert.rejects(library.list({ status: 'deleted' }), /Unknown status "deleted"/);
+});
+
+test('keeps items on disk with the file store', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { item } = await createLibrary({ store: createFileStore({ dir }) }).save(article('https://example.com/a'));
+
+  const reopened = createLibrary({ store: createFileStore({ dir }) });
+  assert.equal((await reopened.get(item.id)).article.content, '<p>Text</p>');
+  await assert.rejects(reopened.get('../secrets'), NotFoundError);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { normalizeImages, parseSrcset, bestSrcsetCandidate } = require('../lib/normalizeImages');
+const { parseHtml } = require('../lib/parseArticle');
+const { articlePage } = require('./helpers');
+
+const BASE = 'https://example.com/posts/one';
+
+/**
+ * Normalize the images in a body fragment
+ * @param {string} body
+ * @returns {{body: HTMLElement, count: number}}
+ */
+function normalize(body) {
+  const { document } = new JSDOM(`<body>${body}</body>`).window;
+  const count = normalizeImages(document, BASE);
+  return { body: document.body, count };
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('parses srcset candidates, including commas inside URLs', () => {
+  assert.deepEqual(parseSrcset('a.jpg 320w, https://cdn.example/b,c.jpg 640w'), [
+    { url: 'a.jpg', width: 320, density: 1 },
+    { url: 'https://cdn.example/b,c.jpg', width: 640, density: 1 }
+  ]);
+  assert.deepEqual(parseSrcset('a.jpg, b.jpg 2x').map(candidate => candidate.density), [1, 2]);
+});
+
+test('picks the widest candidate within the size limit', () => {
+  assert.equal(bestSrcsetCandidate('s.jpg 400w, m.jpg 1200w, l.jpg 2400w'), 'm.jpg');
+  assert.equal(bestSrcsetCandidate('xl.jpg 3000w, l.jpg 2400w'), 'l.jpg');
+  assert.equal(bestSrcsetCandidate('a.jpg, b.jpg 2x, c.jpg 3x'), 'b.jpg');
+  assert.equal(bestSrcsetCandidate(''), null);
+});
+
+test('promotes lazy-loading attributes over placeholders', () => {
+  const { body, count } = normalize(
+    '<img src="data:image/gif;base64,R0lGOD" data-src="/real.jpg" width="1" height="1" loading="lazy">' +
+    '<img src="/spacer.gif" data-srcset="/a.jpg 400w, /b.jpg 800w">'
+  );
+  const [first, second] = body.querySelectorAll('img');
+  assert.equal(first.outerHTML, '<img src="https://example.com/real.jpg" data-src="/real.jpg">');
+  assert.equal(second.getAttribute('src'), 'https://example.com/b.jpg');
+  assert.equal(second.getAttribute('srcset'), 'https://example.com/a.jpg 400w, https://example.com/b.jpg 800w');
+  assert.equal(count, 2);
+});
+
+test('replaces placeholders with their <noscript> fallback', () => {
+  const { body } = normalize('<img src="/placeholder.png"><noscript><img src="/full.jpg" alt="Full"></noscript>');
+  assert.equal(body.innerHTML, '<img src="https://example.com/full.jpg" alt="Full">');
+});
+
+test('turns <picture> into a plain <img>', () => {
+  const { body } = normalize(
+    '<picture><source media="(min-width: 800px)" srcset="/wide.jpg"><source srcset="/a.webp 500w, /b.webp 1000w"><img alt="Pic"></picture>'
+  );
+  assert.equal(body.querySelectorAll('picture, source').length, 0);
+  assert.equal(body.querySelector('img').getAttribute('src'), 'https://example.com/b.webp');
+});
+
+test('wraps images and their captions in figures', () => {
+  const { body } = normalize(
+    '<div class="wp-caption"><a href="/big.jpg"><img src="/photo.jpg"></a><p class="wp-caption-text">A caption</p></div>' +
+    '<p><img src="/plain.jpg"></p><p>Not a caption</p>'
+  );
+  const figures = body.querySelectorAll('figure');
+  assert.equal(figures.length, 1);
+  assert.equal(figures[0].querySelector('figcaption').textContent, 'A caption');
+  assert.ok(figures[0].querySelector('a > img'));
+});
+
+test('parsed articles keep lazy-loaded images', async () => {
+  const article = await parseHtml(articlePage('<p><img src="data:image/gif;base64,R0lGOD" data-src="/images/lazy.jpg" alt="Lazy"></p>'), BASE);
+  assert.match(article.content, /<img src="https:\/\/example\.com\/images\/lazy\.jpg"/);
+});
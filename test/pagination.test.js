@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { findNextPageUrl } = require('../lib/pagination');
+const { parseArticle, normalizeMaxPages } = require('../lib/parseArticle');
+const { parseBatch } = require('../lib/parseBatch');
+const { createJobs } = require('../lib/jobs');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+/**
+ * Find the next page of a page body
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @param {string[]} [visited]
+ * @returns {string|null}
+ */
+function nextPage(html, url, visited = []) {
+  const { document } = new JSDOM(html, { url }).window;
+  return findNextPageUrl(document, url, visited);
+}
+
+/**
+ * Page `number` of a multi-page article, linking to the next one
+ * @param {number} number
+ * @param {number} count - Pages in the article
+ * @returns {string}
+ */
+function multiPage(number, count) {
+  const next = number < count ? `<link rel="next" href="/story?page=${number + 1}">` : '';
+  return articlePage(`<p>Text of page ${number}. ${'Each page has its own words. '.repeat(6)}</p>`, { title: 'Long story', head: next });
+}
+
+test('finds the next page from rel=next, link text or a numbered list', () => {
+  assert.equal(nextPage('<link rel="next" href="/story?page=2">', 'https://example.com/story'), 'https://example.com/story?page=2');
+  assert.equal(nextPage('<a href="/story/page/2">Next page »</a>', 'https://example.com/story'), 'https://example.com/story/page/2');
+  assert.equal(
+    nextPage('<div class="pagination"><a href="/story?page=1">1</a><a href="/story?page=3">3</a></div>', 'https://example.com/story?page=2'),
+    'https://example.com/story?page=3'
+  );
+});
+
+test('only follows pages of the same article', () => {
+  assert.equal(nextPage('<link rel="next" href="/other-story?page=2">', 'https://example.com/story'), null);
+  assert.equal(nextPage('<link rel="next" href="https://elsewhere.example/story?page=2">', 'https://example.com/story'), null);
+  // Going back, or to a page already merged, is not "next"
+  assert.equal(nextPage('<a rel="next" href="/story?page=1">Next</a>', 'https://example.com/story?page=2'), null);
+  assert.equal(nextPage('<link rel="next" href="/story?page=3">', 'https://example.com/story?page=2', ['https://example.com/story?page=3']), null);
+});
+
+test('merges the pages of an article', async t => {
+  const base = await serve(t, {
+    '/story': (req, res) => {
+      const number = Number(new URL(req.url, 'http://localhost').searchParams.get('page')) || 1;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(multiPage(number, 3));
+    }
+  });
+  const article = await parseArticle(`${base}/story`);
+  assert.deepEqual(article.pages, [`${base}/story`, `${base}/story?page=2`, `${base}/story?page=3`]);
+  const order = ['Text of page 1.', 'Text of page 2.', 'Text of page 3.'].map(text => article.content.indexOf(text));
+  assert.ok(order.every(index => index !== -1));
+  assert.deepEqual(order, [...order].sort((a, b) => a - b));
+  // The title repeated on every page is kept once
+  assert.ok(article.content.split('Long story').length - 1 <= 1);
+});
+
+test('stops at maxPages', async t => {
+  const base = await serve(t, {
+    '/story': (req, res) => {
+      const number = Number(new URL(req.url, 'http://localhost').searchParams.get('page')) || 1;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(multiPage(number, 3));
+    }
+  });
+  const article = await parseArticle(`${base}/story`, { maxPages: 2 });
+  assert.equal(article.pages.length, 2);
+  assert.doesNotMatch(article.content, /Text of page 3\./);
+});
+
+test('keeps maxPages between 1 and the default, and refuses anything but whole numbers', async () => {
+  assert.equal(normalizeMaxPages(), 5);
+  assert.equal(normalizeMaxPages(''), 5);
+  assert.equal(normalizeMaxPages(3), 3);
+  assert.equal(normalizeMaxPages(' 2 '), 2);
+  assert.equal(normalizeMaxPages(1000000), 5);
+  assert.equal(normalizeMaxPages('0'), 1);
+  assert.equal(normalizeMaxPages(-4), 1);
+  [2.5, '2.5', 'abc', '3 pages', Infinity, NaN, true, {}].forEach(value => {
+    assert.throws(() => normalizeMaxPages(value), { code: 'INVALID_REQUEST' }, String(value));
+  });
+
+  await assert.rejects(parseArticle('https://example.com/', { maxPages: 'all' }), { code: 'INVALID_REQUEST' });
+  await assert.rejects(parseBatch(['https://example.com/'], { maxPages: 1.5 }), { code: 'INVALID_REQUEST' });
+  const jobs = createJobs({ dispatch: async () => assert.fail('nothing should be dispatched') });
+  await assert.rejects(jobs.create({ url: 'https://example.com/', maxPages: '1e9' }), { code: 'INVALID_REQUEST' });
+});
+
+test('fetches no more than the default number of pages, whatever maxPages asks for', async t => {
+  let requests = 0;
+  const base = await serve(t, {
+    '/story': (req, res) => {
+      requests++;
+      const number = Number(new URL(req.url, 'http://localhost').searchParams.get('page')) || 1;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(multiPage(number, 8));
+    }
+  });
+  const article = await parseArticle(`${base}/story`, { maxPages: 1000000 });
+  assert.equal(article.pages.length, 5);
+  assert.equal(requests, 5);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBatch } = require('../lib/parseBatch');
+const { configureUrlPolicy } = require('../lib/urlSafety');
+const { serve, articlePage } = require('./helpers');
+
+/**
+ * Serve /a, /b and /c as articles, recording when each request starts and how many overlap
+ * @param {Object} t - node:test context
+ * @returns {Promise<{base: string, starts: number[], maxInFlight: Function}>}
+ */
+async function serveArticles(t) {
+  const starts = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const route = title => (req, res) => {
+    starts.push(Date.now());
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(articlePage('', { title }));
+    }, 20);
+  };
+  const base = await serve(t, { '/a': route('A'), '/b': route('B'), '/c': route('C') });
+  return { base, starts, maxInFlight: () => maxInFlight };
+}
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('reports each result, failures and duplicates included', async t => {
+  const { base } = await serveArticles(t);
+  const results = [];
+  const summary = await parseBatch(
+    [`${base}/a`, `${base}/missing`, `${base}/a?utm_source=x`, 'not a url'],
+    { hostDelay: 0 },
+    result => results.push(result)
+  );
+
+  assert.deepEqual(summary, { total: 4, parsed: 3, succeeded: 1, failed: 2, duplicates: 1, cancelled: false });
+  const byIndex = Object.fromEntries(results.map(result => [result.index, result]));
+  assert.equal(byIndex[0].article.title, 'A');
+  assert.equal(byIndex[1].error.code, 'UPSTREAM_HTTP_ERROR');
+  assert.equal(byIndex[2].duplicateOf, 0);
+  assert.equal(byIndex[3].error.code, 'INVALID_URL');
+});
+
+test('a failing result callback does not change the counts', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { base } = await serveArticles(t);
+  const seen = [];
+  const summary = await parseBatch([`${base}/a`, `${base}/b`, `${base}/a`], { hostDelay: 0 }, result => {
+    seen.push(result.index);
+    throw new Error('stream closed');
+  });
+  assert.deepEqual(summary, { total: 3, parsed: 2, succeeded: 2, failed: 0, duplicates: 1, cancelled: false });
+  assert.deepEqual(seen.sort(), [0, 1, 2]);
+});
+
+test('parses one site at a time with a pause, other sites in parallel', async t => {
+  const { base, starts, maxInFlight } = await serveArticles(t);
+  const summary = await parseBatch([`${base}/a`, `${base}/b`, `${base}/c`], { hostDelay: 100 });
+  assert.equal(summary.succeeded, 3);
+  assert.equal(maxInFlight(), 1);
+  assert.ok(starts[1] - starts[0] >= 100);
+  assert.ok(starts[2] - starts[1] >= 100);
+
+  // The same server under another name is another site
+  configureUrlPolicy({ allowHosts: ['localhost', '127.0.0.1'] });
+  const other = base.replace('localhost', '127.0.0.1');
+  await parseBatch([`${base}/a`, `${other}/b`], { hostDelay: 0 });
+  assert.equal(maxInFlight(), 2);
+});
+
+test('stops starting articles once the signal is aborted', async t => {
+  const { base } = await serveArticles(t);
+  const controller = new AbortController();
+  const results = [];
+  const summary = await parseBatch([`${base}/a`, `${base}/b`, `${base}/c`], { hostDelay: 0, signal: controller.signal }, result => {
+    results.push(result);
+    controller.abort();
+  });
+  assert.equal(summary.cancelled, true);
+  assert.equal(summary.parsed, 1);
+  assert.equal(results.length, 1);
+});
+
+test('rejects empty, oversized and malformed lists', async () => {
+  await assert.rejects(parseBatch([]), { code: 'INVALID_URL' });
+  await assert.rejects(parseBatch(new Array(101).fill('https://example.com/')), /Too many URLs/);
+  await assert.rejects(parseBatch(['https://example.com/', 5]), { code: 'INVALID_URL' });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHtml } = require('../lib/parseArticle');
+const { articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('parses HTML the caller already has', async () => {
+  const article = await parseHtml(articlePage('<p>Middle.</p>', { title: 'Saved page' }));
+  assert.equal(article.title, 'Saved page');
+  assert.match(article.content, /First paragraph\./);
+  assert.match(article.content, /Last paragraph\./);
+});
+
+test('resolves relative links against the original URL', async () => {
+  const article = await parseHtml(
+    articlePage(`<p><a href="/other">Other</a> and <img src="images/photo.jpg" alt="Photo"> ${'Words to keep. '.repeat(10)}</p>`),
+    'https://example.com/posts/one'
+  );
+  assert.match(article.content, /href="https:\/\/example\.com\/other"/);
+  assert.match(article.content, /src="https:\/\/example\.com\/posts\/images\/photo\.jpg"/);
+});
+
+test('keeps embeds in place', async () => {
+  const article = await parseHtml(articlePage('<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>'));
+  assert.match(article.content, /embed-youtube/);
+});
+
+test('rejects empty HTML and invalid URLs', async () => {
+  await assert.rejects(parseHtml('   '), /HTML content is required/);
+  await assert.rejects(parseHtml(articlePage(''), 'not a url'), /Invalid URL/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browserPool');
+const { parseArticle } = require('../lib/parseArticle');
+const { parseBatch } = require('../lib/parseBatch');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('reports each stage of a parse in order', async t => {
+  const base = await serve(t, {
+    '/story': articlePage('<p><a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ">Watch</a></p>', { title: 'Progress' })
+  });
+  const events = [];
+  const article = await parseArticle(`${base}/story`, { browser: false, onProgress: event => events.push(event) });
+
+  assert.deepEqual(events.map(event => event.stage), ['fetching', 'extracting', 'embeds', 'done']);
+  assert.equal(events[0].url, `${base}/story`);
+  assert.equal(events[1].page, 1);
+  assert.equal(events[2].count, 1);
+  assert.deepEqual(events[3], { stage: 'done', message: 'Done', title: article.title, cacheStatus: null });
+});
+
+test('a failing progress listener does not fail the parse', async t => {
+  t.mock.method(console, 'error', () => {});
+  const base = await serve(t, { '/story': articlePage('') });
+  const article = await parseArticle(`${base}/story`, {
+    browser: false,
+    onProgress: () => { throw new Error('listener broke'); }
+  });
+  assert.equal(article.title, 'Test article');
+});
+
+test('reports a failed request before rejecting', async t => {
+  const base = await serve(t, {
+    '/gone': (req, res) => {
+      res.writeHead(410);
+      res.end();
+    }
+  });
+  const events = [];
+  await assert.rejects(parseArticle(`${base}/gone`, { browser: false, onProgress: event => events.push(event) }),
+    { code: 'UPSTREAM_HTTP_ERROR' });
+  const failed = events.find(event => event.stage === 'fetch-failed');
+  assert.equal(failed.status, 410);
+  assert.equal(failed.code, 'UPSTREAM_HTTP_ERROR');
+});
+
+test('aborting the signal cancels a parse in flight', async t => {
+  let requested;
+  const arrived = new Promise(resolve => { requested = resolve; });
+  // Never answers: only the abort can end the parse
+  const base = await serve(t, { '/slow': () => requested() });
+  const controller = new AbortController();
+  const parsing = parseArticle(`${base}/slow`, { browser: false, signal: controller.signal });
+  await arrived;
+  controller.abort();
+  await assert.rejects(parsing, { code: 'CANCELLED', status: 499 });
+});
+
+test('an already aborted signal cancels before anything is fetched', async t => {
+  let requests = 0;
+  const base = await serve(t, {
+    '/story': (req, res) => {
+      requests++;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(articlePage(''));
+    }
+  });
+  await assert.rejects(parseArticle(`${base}/story`, { browser: false, signal: AbortSignal.abort() }),
+    { code: 'CANCELLED' });
+  assert.equal(requests, 0);
+});
+
+test('a queued browser lease gives up its place when the signal aborts', async () => {
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.createBrowserContext = async () => ({ newPage: async () => ({}), close: async () => {} });
+    browser.close = async () => {};
+    return browser;
+  };
+  const pool = createBrowserPool({ launch, maxPages: 1, queueTimeout: 10000 });
+  const held = await pool.acquire();
+  const controller = new AbortController();
+  const waiting = pool.acquire(controller.signal);
+  controller.abort();
+  await assert.rejects(waiting, /Cancelled while waiting/);
+  await assert.rejects(pool.acquire(AbortSignal.abort()), /Cancelled while waiting/);
+
+  // The cancelled waiter didn't take the page that frees up
+  const next = pool.acquire();
+  await held.release();
+  await (await next).release();
+  await pool.close();
+});
+
+test('aborting a batch cancels the articles being parsed', async t => {
+  let requested;
+  const arrived = new Promise(resolve => { requested = resolve; });
+  const base = await serve(t, { '/slow': () => requested() });
+  const controller = new AbortController();
+  const results = [];
+  const batch = parseBatch([`${base}/slow`], { browser: false, signal: controller.signal }, result => results.push(result));
+  await arrived;
+  controller.abort();
+  await batch;
+  assert.equal(results.length, 1);
+  assert.equal(results[0].ok, false);
+  assert.equal(results[0].error.code, 'CANCELLED');
+});
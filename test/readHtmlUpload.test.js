@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readHtmlUpload } = require('../lib/readHtmlUpload');
+
+/**
+ * Build a multipart/form-data body
+ * @param {Array<{name: string, value: string, filename?: string}>} parts
+ * @returns {{headers: Object, body: Buffer}}
+ */
+function multipart(parts) {
+  const boundary = 'test-boundary';
+  const body = parts.map(part => {
+    const disposition = `form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ''}`;
+    const type = part.filename ? '\r\nContent-Type: text/html' : '';
+    return `--${boundary}\r\nContent-Disposition: ${disposition}${type}\r\n\r\n${part.value}\r\n`;
+  }).join('') + `--${boundary}--\r\n`;
+  return { headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }, body: Buffer.from(body) };
+}
+
+test('reads a JSON body', async () => {
+  const upload = await readHtmlUpload({ 'content-type': 'application/json' }, { html: '<p>Hi</p>', url: 'https://example.com/' });
+  assert.equal(upload.html, '<p>Hi</p>');
+  assert.equal(upload.url, 'https://example.com/');
+});
+
+test('reads a raw JSON string', async () => {
+  const upload = await readHtmlUpload({ 'content-type': 'application/json' }, '{"html": "<p>Hi</p>"}');
+  assert.equal(upload.html, '<p>Hi</p>');
+  assert.equal(upload.url, undefined);
+});
+
+test('reads an uploaded file as bytes, with the URL field', async () => {
+  const { headers, body } = multipart([
+    { name: 'url', value: 'https://example.com/saved' },
+    { name: 'file', filename: 'page.html', value: '<p>Saved</p>' }
+  ]);
+  const upload = await readHtmlUpload(headers, body);
+  assert.ok(Buffer.isBuffer(upload.html));
+  assert.equal(upload.html.toString(), '<p>Saved</p>');
+  assert.equal(upload.url, 'https://example.com/saved');
+});
+
+test('rejects invalid JSON', async () => {
+  await assert.rejects(readHtmlUpload({ 'content-type': 'application/json' }, '{not json'), /Invalid JSON/);
+});
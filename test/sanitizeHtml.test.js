@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, configureSanitizer } = require('../lib/sanitizeHtml');
+const { parseHtml } = require('../lib/parseArticle');
+const { articlePage } = require('./helpers');
+
+// Quiet the removal log the sanitizer writes for every change
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+test.afterEach(() => configureSanitizer({}));
+
+test('removes scripts, forms and other active elements with their content', () => {
+  const { html, report } = sanitizeHtml('<p>Text</p><script>alert(1)</script><form><input></form><svg><a>x</a></svg>');
+  assert.equal(html, '<p>Text</p>');
+  assert.deepEqual(report.removedElements, { script: 1, form: 1, svg: 1 });
+});
+
+test('unwraps unknown elements and keeps their text', () => {
+  const { html, report } = sanitizeHtml('<p><custom-tag>kept <font>text</font></custom-tag></p>');
+  assert.equal(html, '<p>kept text</p>');
+  assert.deepEqual(report.unwrappedElements, { 'custom-tag': 1, font: 1 });
+});
+
+test('drops event handlers and unknown attributes', () => {
+  const { html } = sanitizeHtml('<img src="a.png" onerror="alert(1)" data-x="1" alt="A"><p onclick="x()">t</p>');
+  assert.equal(html, '<img src="a.png" alt="A"><p>t</p>');
+});
+
+test('drops URLs with disallowed schemes', () => {
+  const { html, report } = sanitizeHtml('<a href="java\tscript:alert(1)">a</a><a href="https://example.com/">b</a>');
+  assert.equal(html, '<a>a</a><a href="https://example.com/">b</a>');
+  assert.deepEqual(report.blockedUrls, { javascript: 1 });
+});
+
+test('allows inline image data, but not other data URLs', () => {
+  const png = 'data:image/png;base64,iVBORw0KGgo=';
+  assert.equal(sanitizeHtml(`<img src="${png}">`).html, `<img src="${png}">`);
+  assert.equal(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">').html, '<img>');
+  assert.equal(sanitizeHtml('<a href="data:text/html,hi">x</a>').html, '<a>x</a>');
+});
+
+test('keeps only the classes the reader uses', () => {
+  assert.equal(sanitizeHtml('<div class="embed-youtube hidden page">x</div>').html, '<div class="embed-youtube page">x</div>');
+});
+
+test('prefixes ids and the links and references that point at them', () => {
+  const { html } = sanitizeHtml(
+    '<p id="parseButton">x<sup><a href="#fn1" id="ref1">1</a></sup></p>' +
+    '<table><tr><th id="h">a</th><td headers="h">b</td></tr></table><ol><li id="fn1">note</li></ol><a href="#">top</a>'
+  );
+  assert.match(html, /<p id="article-parseButton">/);
+  assert.match(html, /<a href="#article-fn1" id="article-ref1">/);
+  assert.match(html, /<td headers="article-h">/);
+  assert.match(html, /<li id="article-fn1">/);
+  assert.match(html, /<a href="#">top<\/a>/);
+});
+
+test('prefixes ids only once, so sanitizing again changes nothing', () => {
+  const once = sanitizeHtml('<h2 id="intro">Intro</h2><a href="#intro">Go</a>').html;
+  assert.equal(sanitizeHtml(once).html, once);
+});
+
+test('keeps layout styles but nothing that positions content or loads URLs', () => {
+  const { html } = sanitizeHtml(
+    '<div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: 9">a</div>' +
+    '<div style="margin: 1em; background: url(https://x/a.png); text-align: center">b</div>'
+  );
+  assert.equal(html, '<div style="width: 100%; height: 100%">a</div><div style="margin: 1em; text-align: center">b</div>');
+});
+
+test('keeps provider iframes with a sandbox and removes others', () => {
+  const { html, report } = sanitizeHtml(
+    '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe><iframe src="https://evil.example/frame"></iframe>'
+  );
+  assert.match(html, /^<iframe src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ" sandbox="[^"]*allow-scripts[^"]*"><\/iframe>$/);
+  assert.deepEqual(report.blockedIframes, ['evil.example']);
+});
+
+test('keeps Mastodon iframes only from configured instances', () => {
+  const { html, report } = sanitizeHtml(
+    '<iframe src="https://mastodon.social/@user/123/embed"></iframe><iframe src="https://evil.example/@user/123/embed"></iframe>'
+  );
+  assert.match(html, /mastodon\.social/);
+  assert.doesNotMatch(html, /evil\.example/);
+  assert.deepEqual(report.blockedIframes, ['evil.example']);
+});
+
+test('follows the operator settings', () => {
+  configureSanitizer({ iframeHosts: ['example.org'], denyTags: ['table'], iframeSandbox: 'allow-scripts' });
+  const { html } = sanitizeHtml('<iframe src="https://www.example.org/x"></iframe><table><tr><td>x</td></tr></table>');
+  assert.equal(html, '<iframe src="https://www.example.org/x" sandbox="allow-scripts"></iframe>');
+});
+
+test('parsed articles come back sanitized, with a report', async () => {
+  const article = await parseHtml(
+    articlePage('<p>Middle <img src="x.png" onerror="alert(1)"></p>'),
+    'https://example.com/post'
+  );
+  assert.doesNotMatch(article.content, /onerror/);
+  assert.equal(article.sanitized.removedAttributes.onerror, 1);
+});
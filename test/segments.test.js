@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, segmentHtml } = require('../lib/segments');
+
+test('splits at sentence ends, keeping closing quotes', () => {
+  assert.deepEqual(splitSentences('It rained. Was it cold?! "Very." Then it stopped…'), [
+    'It rained.', 'Was it cold?!', '"Very."', 'Then it stopped…'
+  ]);
+});
+
+test('keeps abbreviations, initials and acronyms inside the sentence', () => {
+  assert.deepEqual(splitSentences('Dr. Smith arrived at 3 p.m. on Monday. He left.'), [
+    'Dr. Smith arrived at 3 p.m. on Monday.', 'He left.'
+  ]);
+  assert.deepEqual(splitSentences('J. R. R. Tolkien wrote it. The U.S. edition came later.'), [
+    'J. R. R. Tolkien wrote it.', 'The U.S. edition came later.'
+  ]);
+  assert.deepEqual(splitSentences('See e.g. the appendix. It helps.'), ['See e.g. the appendix.', 'It helps.']);
+});
+
+test('ends a sentence after the pronoun I', () => {
+  assert.deepEqual(splitSentences('So did I. Then we left.'), ['So did I.', 'Then we left.']);
+});
+
+test('does not split numbers, domains or before lowercase words', () => {
+  assert.deepEqual(splitSentences('Pi is 3.14 and the site is example.com today.'), [
+    'Pi is 3.14 and the site is example.com today.'
+  ]);
+  assert.deepEqual(splitSentences('Wait... then what?'), ['Wait... then what?']);
+});
+
+test('splits CJK text without spaces, keeping quotations the sentence goes on after', () => {
+  assert.deepEqual(splitSentences('今日は晴れ。明日は雨！'), ['今日は晴れ。', '明日は雨！']);
+  assert.deepEqual(splitSentences('「はい。」と彼は言った。次の文。'), ['「はい。」と彼は言った。', '次の文。']);
+});
+
+test('splits long sentences at pauses', () => {
+  const parts = splitSentences(`${'word, '.repeat(40)}end.`, { maxLength: 60 });
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(part.length <= 60, part));
+  assert.equal(parts.join(' ').replace(/\s+/g, ' '), `${'word, '.repeat(40)}end.`);
+});
+
+test('segments HTML into blocks with headings and languages', () => {
+  const segments = segmentHtml(
+    '<h2>Title</h2><p lang="fr">Bonjour. Ça va?</p><p>Hello <b>there</b>.</p><pre>skip. me.</pre><ul><li>日本語です。</li></ul>',
+    { lang: 'en' }
+  );
+  assert.deepEqual(segments.map(({ block, lang, heading, text }) => [block, lang, heading, text]), [
+    [0, 'en', true, 'Title'],
+    [1, 'fr', false, 'Bonjour.'],
+    [1, 'fr', false, 'Ça va?'],
+    [2, 'en', false, 'Hello there.'],
+    [3, 'ja', false, '日本語です。']
+  ]);
+  assert.deepEqual(segments.map(segment => segment.index), [0, 1, 2, 3, 4]);
+});
+
+test('leaves embeds out', () => {
+  const segments = segmentHtml('<p>Before.</p><div class="embed-wrapper embed-youtube"><p>Video title.</p></div><p>After.</p>');
+  assert.deepEqual(segments.map(segment => segment.text), ['Before.', 'After.']);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { serve, articlePage } = require('./helpers');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const probe = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js with in-memory stores, in a scratch directory
+ * @param {Object} t - node:test context; the process is killed if the test ends first
+ * @returns {Promise<{child: Object, base: string, exited: Promise<number>}>}
+ */
+async function startServer(t) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-reader-server-'));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      URL_ALLOW_HOSTS: 'localhost',
+      LIBRARY_STORE: 'memory',
+      JOBS_STORE: 'memory'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+  t.after(() => {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('server running')) resolve();
+    });
+    child.on('exit', () => reject(new Error(`server.js exited early:\n${output}`)));
+  });
+  return { child, base: `http://localhost:${port}`, exited };
+}
+
+test('finishes open requests before exiting on SIGTERM', async t => {
+  let requested;
+  const arrived = new Promise(resolve => { requested = resolve; });
+  const site = await serve(t, {
+    '/slow': (req, res) => {
+      requested();
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(articlePage('', { title: 'Slow story' }));
+      }, 300);
+    }
+  });
+  const { child, base, exited } = await startServer(t);
+
+  const response = fetch(`${base}/api/parse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: `${site}/slow` })
+  });
+  await arrived;
+  child.kill('SIGTERM');
+
+  const answered = await response;
+  assert.equal(answered.status, 200);
+  assert.equal((await answered.json()).title, 'Slow story');
+  assert.equal(await exited, 0);
+});
+
+test('streams progress over Server-Sent Events, and cancels the parse when the client leaves', { timeout: 60000 }, async t => {
+  let requested;
+  const arrived = new Promise(resolve => { requested = resolve; });
+  let upstreamClosed;
+  const closed = new Promise(resolve => { upstreamClosed = resolve; });
+  const site = await serve(t, {
+    '/story': articlePage('', { title: 'Streamed story' }),
+    // Never answers; the server gives up on it once the client is gone
+    '/stuck': (req, res) => {
+      res.on('close', upstreamClosed);
+      requested();
+    }
+  });
+  const { base } = await startServer(t);
+
+  const response = await fetch(`${base}/api/parse/stream?url=${encodeURIComponent(`${site}/story`)}`);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = (await response.text()).trim().split('\n\n').map(block => block.match(/^event: (\w[\w-]*)/)[1]);
+  assert.deepEqual(events, ['progress', 'progress', 'progress', 'progress', 'article']);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${base}/api/parse/stream?url=${encodeURIComponent(`${site}/stuck`)}`, { signal: controller.signal });
+  assert.equal(stream.status, 200);
+  await arrived;
+  controller.abort();
+  await closed;
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The rules file is read when parseArticle loads, so it is set up first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-rules-'));
+process.env.SITE_RULES_FILE = path.join(dir, 'rules.yaml');
+fs.writeFileSync(process.env.SITE_RULES_FILE, `
+defaults:
+  strip: [".share"]
+rules:
+  - name: local
+    hosts: [localhost]
+    content: [".story"]
+    strip: [".promo"]
+    headers:
+      X-Site-Rule: local
+`);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { createSiteRules, parseSiteRules } = require('../lib/siteRules');
+const { parseArticle } = require('../lib/parseArticle');
+const { serve, articlePage } = require('./helpers');
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('checks rules files', () => {
+  assert.throws(() => parseSiteRules('{"rules": {}}', 'rules.json'), /"rules" must be a list/);
+  assert.throws(() => parseSiteRules('{"rules": [{"name": "a"}]}', 'rules.json'), /rule "a": "hosts" must list/);
+  assert.throws(() => parseSiteRules('{"rules": [{"hosts": "a.com", "strategy": "magic"}]}', 'rules.json'), /unknown strategy "magic"/);
+  assert.throws(() => parseSiteRules('{"rules": [{"hosts": "a.com", "strip": "div["}]}', 'rules.json'), /invalid selector "div\["/);
+  assert.throws(() => parseSiteRules('{"rules": [{"hosts": "a.com", "headers": {"X": 1}}]}', 'rules.json'), /headers must map/);
+});
+
+test('finds the first matching rule, layered over the defaults', () => {
+  const file = path.join(dir, 'find.json');
+  fs.writeFileSync(file, JSON.stringify({
+    defaults: { strip: ['.ad'], headers: { 'Accept-Language': 'en' } },
+    rules: [
+      { name: 'subdomains', hosts: ['*.example.com'], strategy: 'browser', strip: ['.ad', '.banner'] },
+      { name: 'domain', hosts: ['example.com', 'example.org'], content: ['main'], headers: { 'Accept-Language': 'de' } }
+    ]
+  }));
+  const rules = createSiteRules(file);
+
+  const sub = rules.find('https://news.example.com/a');
+  assert.equal(sub.name, 'subdomains');
+  assert.equal(sub.strategy, 'browser');
+  assert.deepEqual(sub.strip, ['.ad', '.banner']);
+
+  const domain = rules.find('https://example.org/a');
+  assert.equal(domain.name, 'domain');
+  assert.equal(domain.strategy, 'fetch');
+  assert.deepEqual(domain.content, ['main']);
+  assert.deepEqual(domain.headers, { 'Accept-Language': 'de' });
+
+  assert.equal(rules.find('https://other.net/').name, null);
+  assert.equal(rules.find('not a url').name, null);
+});
+
+test('keeps the previous rules when the file becomes invalid', () => {
+  const file = path.join(dir, 'reload.json');
+  fs.writeFileSync(file, '{"rules": [{"name": "first", "hosts": ["a.com"]}]}');
+  const rules = createSiteRules(file);
+  assert.equal(rules.find('https://a.com/').name, 'first');
+
+  fs.writeFileSync(file, '{"rules": [{"name": "second", "hosts": ["a.com"]}]}');
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  rules.reload();
+  assert.equal(rules.find('https://a.com/').name, 'second');
+
+  fs.writeFileSync(file, '{not json');
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 10000));
+  rules.reload();
+  assert.equal(rules.find('https://a.com/').name, 'second');
+});
+
+test('parseArticle applies the rule for the site', async t => {
+  let headers = null;
+  const page = articlePage(
+    '<div class="promo"><p>Subscribe now to read more great articles like this one every single week.</p></div>' +
+    '<p class="share">Share this</p>'
+  ).replace('<article>', '<article class="story">') + '<aside><p>Unrelated sidebar text.</p></aside>';
+  const base = await serve(t, {
+    '/post': (req, res) => {
+      headers = req.headers;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(page);
+    }
+  });
+
+  const article = await parseArticle(`${base}/post`);
+  assert.equal(article.siteRule, 'local');
+  assert.equal(headers['x-site-rule'], 'local');
+  assert.doesNotMatch(article.content, /Subscribe now|Share this|Unrelated sidebar/);
+  assert.match(article.content, /Last paragraph/);
+});